@@ -0,0 +1,194 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "solady/src/utils/EIP712.sol";
+import "solady/src/utils/SignatureCheckerLib.sol";
+
+/**
+ * @title AirswapForwarder
+ * @dev Minimal ERC-2771 forwarder that relays calls signed off-chain (EIP-712)
+ * @notice The signer's address is appended to the forwarded calldata, so targets
+ * trusting this forwarder see the signer rather than the relayer as the sender
+ */
+contract AirswapForwarder is EIP712 {
+    // ============ STRUCTS ============
+
+    /**
+     * @dev A call signed off-chain by `from` and submitted by a relayer
+     * @param from The address signing the request, seen as the sender by the target
+     * @param to The contract to call
+     * @param value The ETH value to forward, paid by the relayer
+     * @param gas The gas to forward to the call
+     * @param nonce The signer's current nonce, each nonce can be used once
+     * @param deadline Timestamp from which the request is rejected
+     * @param data The calldata to forward
+     */
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data;
+    }
+
+    // ============ EVENTS ============
+
+    /**
+     * @dev Emitted when a request is executed
+     * @param from The address that signed the request
+     * @param to The contract that was called
+     * @param nonce The nonce of the request
+     */
+    event Executed(address indexed from, address indexed to, uint256 nonce);
+
+    // ============ ERRORS ============
+
+    /**
+     * @dev Error thrown when the request deadline has passed
+     */
+    error RequestExpired();
+
+    /**
+     * @dev Error thrown when the request nonce is not the signer's current nonce
+     */
+    error InvalidNonce();
+
+    /**
+     * @dev Error thrown when the request is not signed by its `from` address
+     */
+    error InvalidRequestSignature();
+
+    /**
+     * @dev Error thrown when the ETH sent does not match the request value
+     */
+    error InvalidValue();
+
+    // ============ STATE VARIABLES ============
+
+    /// @dev EIP-712 typehash of `ForwardRequest`
+    bytes32 public constant FORWARD_REQUEST_TYPEHASH =
+        keccak256(
+            "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+        );
+
+    /// @dev Next nonce of each signer
+    mapping(address => uint256) public nonces;
+
+    // ============ FORWARDING FUNCTIONS ============
+
+    /**
+     * @dev EIP-712 domain used to sign forward requests
+     */
+    function _domainNameAndVersion()
+        internal
+        pure
+        override
+        returns (string memory, string memory)
+    {
+        return ("AirswapForwarder", "1");
+    }
+
+    /**
+     * @dev Executes a signed request, reverting with the target's error if the call fails
+     * @param request The request signed by `request.from`
+     * @param signature The EIP-712 signature of the request
+     * @return The data returned by the call
+     */
+    function execute(
+        ForwardRequest calldata request,
+        bytes calldata signature
+    ) external payable returns (bytes memory) {
+        if (msg.value != request.value) {
+            revert InvalidValue();
+        }
+        if (block.timestamp >= request.deadline) {
+            revert RequestExpired();
+        }
+        if (nonces[request.from] != request.nonce) {
+            revert InvalidNonce();
+        }
+        if (
+            !SignatureCheckerLib.isValidSignatureNowCalldata(
+                request.from,
+                hashRequest(request),
+                signature
+            )
+        ) {
+            revert InvalidRequestSignature();
+        }
+
+        nonces[request.from] = request.nonce + 1;
+
+        // Forward the call with the signer appended to the calldata (ERC-2771)
+        (bool success, bytes memory result) = request.to.call{
+            gas: request.gas,
+            value: request.value
+        }(abi.encodePacked(request.data, request.from));
+
+        // The call gets at most 63/64 of the remaining gas, so a relayer
+        // forwarding too little gas leaves less than 1/64 of `request.gas`
+        if (gasleft() <= request.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+
+        if (!success) {
+            assembly {
+                revert(add(result, 0x20), mload(result))
+            }
+        }
+
+        emit Executed(request.from, request.to, request.nonce);
+        return result;
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    /**
+     * @dev Gets the EIP-712 digest that the signer signs for a request
+     * @param request The request to hash
+     * @return The typed data hash of the request
+     */
+    function hashRequest(
+        ForwardRequest calldata request
+    ) public view returns (bytes32) {
+        return
+            _hashTypedData(
+                keccak256(
+                    abi.encode(
+                        FORWARD_REQUEST_TYPEHASH,
+                        request.from,
+                        request.to,
+                        request.value,
+                        request.gas,
+                        request.nonce,
+                        request.deadline,
+                        keccak256(request.data)
+                    )
+                )
+            );
+    }
+
+    /**
+     * @dev Checks if a request can be executed right now
+     * @param request The request to check
+     * @param signature The EIP-712 signature of the request
+     * @return True if the request is unexpired, uses the current nonce and is signed by `from`
+     */
+    function verify(
+        ForwardRequest calldata request,
+        bytes calldata signature
+    ) external view returns (bool) {
+        return
+            block.timestamp < request.deadline &&
+            nonces[request.from] == request.nonce &&
+            SignatureCheckerLib.isValidSignatureNowCalldata(
+                request.from,
+                hashRequest(request),
+                signature
+            );
+    }
+}
@@ -2,16 +2,77 @@
 pragma solidity ^0.8.28;
 
 import "./interfaces/IAirswapNFT.sol";
+import "solady/src/auth/Ownable.sol";
 import "solady/src/utils/SafeTransferLib.sol";
+import "solady/src/utils/MerkleProofLib.sol";
+import "solady/src/utils/EIP712.sol";
+import "solady/src/utils/SignatureCheckerLib.sol";
 
 /**
  * @title AirswapMinter
  * @dev Contract that allows users to mint AirswapNFT tokens
- * @notice Users can mint a specified quantity of NFTs per wallet if they have the required sAST balance
+ * @notice Users can mint a specified quantity of NFTs per wallet if they have the required sAST balance.
+ * The NFT must grant this contract MINTER_ROLE, the only permission it relies on.
+ * Holders of the NFT's PAUSER_ROLE can also pause minting here.
+ * Ownership follows Solady's Ownable like AirswapNFT: the new owner requests a
+ * handover, which the current owner completes within 48 hours. Unlike the NFT,
+ * single-step `transferOwnership` is disabled.
  */
-contract AirswapMinter {
+contract AirswapMinter is EIP712, Ownable {
     using SafeTransferLib for address;
 
+    // ============ STRUCTS ============
+
+    /**
+     * @dev A mint campaign with its own rules, running alongside the global drop
+     * @param tokenId The token ID minted by the campaign
+     * @param quantity The quantity minted per claim
+     * @param requiredBalance The sAST balance required to claim
+     * @param startTime Timestamp from which claims are accepted
+     * @param endTime Timestamp from which claims are rejected (0 for no end)
+     * @param maxClaims Maximum number of claims (0 for no limit)
+     * @param claims Number of claims made so far
+     * @param active Whether the owner has the campaign switched on
+     */
+    struct Campaign {
+        uint256 tokenId;
+        uint256 quantity;
+        uint256 requiredBalance;
+        uint64 startTime;
+        uint64 endTime;
+        uint256 maxClaims;
+        uint256 claims;
+        bool active;
+    }
+
+    /**
+     * @dev A mint voucher signed off-chain by `voucherSigner` (EIP-712)
+     * @param recipient The address receiving the tokens
+     * @param tokenId The token ID to mint
+     * @param quantity The quantity to mint
+     * @param nonce Unique voucher number, each nonce can be used once
+     * @param expiry Timestamp from which the voucher is rejected
+     */
+    struct MintVoucher {
+        address recipient;
+        uint256 tokenId;
+        uint256 quantity;
+        uint256 nonce;
+        uint256 expiry;
+    }
+
+    /**
+     * @dev An eligibility tier of the global drop
+     * @param minBalance The sAST balance from which the tier applies
+     * @param tokenId The token ID minted by holders in the tier
+     * @param quantity The quantity minted per holder in the tier
+     */
+    struct Tier {
+        uint256 minBalance;
+        uint256 tokenId;
+        uint256 quantity;
+    }
+
     // ============ EVENTS ============
 
     /**
@@ -57,6 +118,180 @@ contract AirswapMinter {
      */
     event MintQuantityUpdated(uint256 oldQuantity, uint256 newQuantity);
 
+    /**
+     * @dev Emitted when the allowlist Merkle root is updated
+     * @param oldRoot The previous Merkle root
+     * @param newRoot The new Merkle root (zero disables allowlist mode)
+     */
+    event MerkleRootUpdated(bytes32 oldRoot, bytes32 newRoot);
+
+    /**
+     * @dev Emitted when the sAST balance snapshot is updated
+     * @param root The Merkle root of the snapshot balances (zero disables snapshot mode)
+     * @param blockNumber The block at which the balances were taken
+     */
+    event SnapshotUpdated(bytes32 root, uint256 blockNumber);
+
+    /**
+     * @dev Emitted when the mint window is updated
+     * @param startTime Timestamp from which minting is open
+     * @param endTime Timestamp from which minting is closed (0 for no end)
+     */
+    event MintWindowUpdated(uint64 startTime, uint64 endTime);
+
+    /**
+     * @dev Emitted when the staking contract is updated
+     * @param oldStaking The previous staking contract (zero when off)
+     * @param newStaking The new staking contract (zero when off)
+     */
+    event StakingContractUpdated(
+        address indexed oldStaking,
+        address indexed newStaking
+    );
+
+    /**
+     * @dev Emitted when the stake duration requirements are updated
+     * @param minStakeAge The new minimum time since the stake was made
+     * @param minStakeLock The new minimum time left before the stake fully unlocks
+     */
+    event StakeDurationsUpdated(uint256 minStakeAge, uint256 minStakeLock);
+
+    /**
+     * @dev Emitted when the eligibility tiers of the global drop are replaced
+     * @param tiers The new tiers, empty when tiers are switched off
+     */
+    event TiersUpdated(Tier[] tiers);
+
+    /**
+     * @dev Emitted when a new round of tiered claims starts
+     * @param version The tier claims version of the new round
+     */
+    event TierRoundStarted(uint256 version);
+
+    /**
+     * @dev Emitted when a campaign is created
+     * @param campaignId The ID of the new campaign
+     * @param tokenId The token ID minted by the campaign
+     * @param quantity The quantity minted per claim
+     * @param requiredBalance The sAST balance required to claim
+     * @param startTime Timestamp from which claims are accepted
+     * @param endTime Timestamp from which claims are rejected (0 for no end)
+     * @param maxClaims Maximum number of claims (0 for no limit)
+     */
+    event CampaignCreated(
+        uint256 indexed campaignId,
+        uint256 indexed tokenId,
+        uint256 quantity,
+        uint256 requiredBalance,
+        uint64 startTime,
+        uint64 endTime,
+        uint256 maxClaims
+    );
+
+    /**
+     * @dev Emitted when a campaign is switched on or off
+     * @param campaignId The ID of the campaign
+     * @param active Whether the campaign is now active
+     */
+    event CampaignStatusUpdated(uint256 indexed campaignId, bool active);
+
+    /**
+     * @dev Emitted when a user claims from a campaign
+     * @param campaignId The ID of the campaign
+     * @param user The address of the user who claimed
+     */
+    event CampaignClaimed(uint256 indexed campaignId, address indexed user);
+
+    /**
+     * @dev Emitted when the sAST balance snapshot of a campaign is updated
+     * @param campaignId The ID of the campaign
+     * @param root The Merkle root of the snapshot balances (zero for live balances)
+     */
+    event CampaignSnapshotUpdated(uint256 indexed campaignId, bytes32 root);
+
+    /**
+     * @dev Emitted when the voucher signer is updated
+     * @param oldSigner The previous voucher signer
+     * @param newSigner The new voucher signer
+     */
+    event VoucherSignerUpdated(
+        address indexed oldSigner,
+        address indexed newSigner
+    );
+
+    /**
+     * @dev Emitted when a mint voucher is redeemed
+     * @param nonce The nonce of the voucher
+     * @param recipient The address that received the tokens
+     */
+    event VoucherRedeemed(uint256 indexed nonce, address indexed recipient);
+
+    /**
+     * @dev Emitted when the trusted forwarder is updated
+     * @param oldForwarder The previous trusted forwarder
+     * @param newForwarder The new trusted forwarder
+     */
+    event TrustedForwarderUpdated(
+        address indexed oldForwarder,
+        address indexed newForwarder
+    );
+
+    /**
+     * @dev Emitted when minting through this contract is paused
+     * @param account The address that paused minting
+     */
+    event MintingPaused(address indexed account);
+
+    /**
+     * @dev Emitted when minting through this contract is unpaused
+     * @param account The address that unpaused minting
+     */
+    event MintingUnpaused(address indexed account);
+
+    /**
+     * @dev Emitted when the mint price of a token ID is updated
+     * @param tokenId The ID of the token
+     * @param oldPrice The previous price per token
+     * @param newPrice The new price per token
+     */
+    event MintPriceUpdated(
+        uint256 indexed tokenId,
+        uint256 oldPrice,
+        uint256 newPrice
+    );
+
+    /**
+     * @dev Emitted when the token mint prices are paid in is updated
+     * @param oldToken The previous payment token (zero for ETH)
+     * @param newToken The new payment token (zero for ETH)
+     */
+    event PaymentTokenUpdated(
+        address indexed oldToken,
+        address indexed newToken
+    );
+
+    /**
+     * @dev Emitted when the treasury is updated
+     * @param oldTreasury The previous treasury
+     * @param newTreasury The new treasury
+     */
+    event TreasuryUpdated(
+        address indexed oldTreasury,
+        address indexed newTreasury
+    );
+
+    /**
+     * @dev Emitted when mint payments are withdrawn to the treasury
+     * @param token The token withdrawn (zero for ETH)
+     * @param treasury The treasury receiving the funds
+     * @param amount The amount withdrawn
+     */
+    event Withdrawn(
+        address indexed token,
+        address indexed treasury,
+        uint256 amount
+    );
+
     // ============ ERRORS ============
 
     /**
@@ -69,11 +304,6 @@ contract AirswapMinter {
      */
     error InsufficientSASTBalance();
 
-    /**
-     * @dev Error thrown when caller is not authorized
-     */
-    error Unauthorized();
-
     /**
      * @dev Error thrown when trying to set invalid token address
      */
@@ -84,8 +314,166 @@ contract AirswapMinter {
      */
     error InvalidMintQuantity();
 
+    /**
+     * @dev Error thrown when claiming while no allowlist is set
+     */
+    error AllowlistNotActive();
+
+    /**
+     * @dev Error thrown when minting by sAST balance while an allowlist is set
+     */
+    error AllowlistActive();
+
+    /**
+     * @dev Error thrown when a Merkle proof does not match the allowlist
+     */
+    error InvalidMerkleProof();
+
+    /**
+     * @dev Error thrown when minting by snapshot while no snapshot is set
+     */
+    error SnapshotNotActive();
+
+    /**
+     * @dev Error thrown when minting by live sAST balance while a snapshot is set
+     */
+    error SnapshotActive();
+
+    /**
+     * @dev Error thrown when referencing a campaign that does not exist
+     */
+    error CampaignDoesNotExist();
+
+    /**
+     * @dev Error thrown when claiming from a campaign that is switched off
+     */
+    error CampaignNotActive();
+
+    /**
+     * @dev Error thrown when claiming from a campaign before its start time
+     */
+    error CampaignNotStarted();
+
+    /**
+     * @dev Error thrown when claiming from a campaign after its end time
+     */
+    error CampaignEnded();
+
+    /**
+     * @dev Error thrown when a campaign has reached its maximum number of claims
+     */
+    error CampaignSoldOut();
+
+    /**
+     * @dev Error thrown when a campaign's end time is not after its start time
+     */
+    error InvalidCampaignWindow();
+
+    /**
+     * @dev Error thrown when a mint window's end time is not after its start time
+     */
+    error InvalidMintWindow();
+
+    /**
+     * @dev Error thrown when a mint would exceed the token's max supply
+     */
+    error InsufficientSupply();
+
+    /**
+     * @dev Error thrown when minting before the mint window opens
+     */
+    error MintNotStarted();
+
+    /**
+     * @dev Error thrown when minting after the mint window closes
+     */
+    error MintEnded();
+
+    /**
+     * @dev Error thrown when redeeming a voucher while no voucher signer is set
+     */
+    error VouchersNotActive();
+
+    /**
+     * @dev Error thrown when a voucher is redeemed at or after its expiry
+     */
+    error VoucherExpired();
+
+    /**
+     * @dev Error thrown when a voucher nonce has already been used
+     */
+    error VoucherAlreadyUsed();
+
+    /**
+     * @dev Error thrown when a voucher is not signed by the voucher signer
+     */
+    error InvalidVoucherSignature();
+
+    /**
+     * @dev Error thrown when trying to mint while minting is paused
+     */
+    error MintingIsPaused();
+
+    /**
+     * @dev Error thrown when pausing or unpausing while already in that state
+     */
+    error PauseStatusUnchanged();
+
+    /**
+     * @dev Error thrown when the airdrop arrays do not have the same length
+     * @param recipients The length of the recipients array
+     * @param tokenIds The length of the token IDs array
+     * @param amounts The length of the amounts array
+     */
+    error ArrayLengthMismatch(
+        uint256 recipients,
+        uint256 tokenIds,
+        uint256 amounts
+    );
+
+    /**
+     * @dev Error thrown when the user's stake is younger than `minStakeAge` or
+     * fully unlocks within `minStakeLock`
+     */
+    error StakeTooShort();
+
+    /**
+     * @dev Error thrown when tier balance thresholds are not strictly increasing
+     * @param index The index of the first out of order tier
+     */
+    error InvalidTierBoundary(uint256 index);
+
+    /**
+     * @dev Error thrown when the ETH sent does not cover the mint price, or
+     * ETH is sent while mints are paid in an ERC-20
+     * @param expected The ETH required
+     * @param received The ETH sent
+     */
+    error IncorrectPayment(uint256 expected, uint256 received);
+
+    /**
+     * @dev Error thrown when using a permit while mints are paid in ETH
+     */
+    error PaymentTokenNotSet();
+
+    /**
+     * @dev Error thrown when trying to set the zero address as treasury
+     */
+    error InvalidTreasury();
+
+    /**
+     * @dev Error thrown by `transferOwnership`, ownership only moves by handover
+     */
+    error OwnershipHandoverRequired();
+
     // ============ STATE VARIABLES ============
 
+    /// @dev EIP-712 typehash of `MintVoucher`
+    bytes32 public constant MINT_VOUCHER_TYPEHASH =
+        keccak256(
+            "MintVoucher(address recipient,uint256 tokenId,uint256 quantity,uint256 nonce,uint256 expiry)"
+        );
+
     /// @dev The AirswapNFT contract
     IAirswapNFT public immutable nftContract;
 
@@ -104,12 +492,75 @@ contract AirswapMinter {
     /// @dev Mapping to track which addresses have already minted specific token IDs
     mapping(address => mapping(uint256 => bool)) public hasMinted;
 
-    /// @dev Owner of the contract (can update settings)
-    address public owner;
-
     /// @dev Total number of NFTs minted through this contract
     uint256 public totalMinted;
 
+    /// @dev Root of the allowlist Merkle tree, zero when allowlist mode is off
+    bytes32 public merkleRoot;
+
+    /// @dev Root of the sAST balance snapshot tree, zero when snapshot mode is off
+    bytes32 public snapshotRoot;
+
+    /// @dev Block at which the snapshot balances were taken
+    uint256 public snapshotBlock;
+
+    /// @dev Timestamp from which the global drop is open
+    uint64 public mintStartTime;
+
+    /// @dev Timestamp from which the global drop is closed (0 for no end)
+    uint64 public mintEndTime;
+
+    /// @dev Mint campaigns by ID
+    mapping(uint256 => Campaign) public campaigns;
+
+    /// @dev Number of campaigns created, also the ID of the next campaign
+    uint256 public campaignCount;
+
+    /// @dev Mapping to track which addresses have claimed from which campaigns
+    mapping(uint256 => mapping(address => bool)) public hasClaimedCampaign;
+
+    /// @dev Roots of campaign sAST balance snapshots, zero for campaigns on live balances
+    mapping(uint256 => bytes32) public campaignSnapshotRoots;
+
+    /// @dev Address whose EIP-712 signatures authorize mint vouchers
+    address public voucherSigner;
+
+    /// @dev Mapping to track which voucher nonces have been used
+    mapping(uint256 => bool) public usedVoucherNonces;
+
+    /// @dev ERC-2771 forwarder relaying `mintNFT` meta-transactions, zero when off
+    address public trustedForwarder;
+
+    /// @dev Emergency switch stopping every mint through this contract
+    bool public mintingPaused;
+
+    /// @dev Price per token minted by users, by token ID (0 for free mints)
+    mapping(uint256 => uint256) public mintPrice;
+
+    /// @dev ERC-20 token mint prices are paid in, zero for ETH
+    address public paymentToken;
+
+    /// @dev Address receiving withdrawn mint payments
+    address public treasury;
+
+    /// @dev Eligibility tiers of the global drop by increasing balance, empty when off
+    Tier[] internal _tiers;
+
+    /// @dev Incremented by `startTierRound`, scoping the tiered claims below
+    uint256 public tiersVersion;
+
+    /// @dev Mapping to track which addresses have minted in which tier round
+    mapping(uint256 => mapping(address => bool)) public hasClaimedTiers;
+
+    /// @dev AirSwap Staking contract read instead of `sastToken`, zero when off
+    address public stakingContract;
+
+    /// @dev Minimum time since a stake was made, in seconds, when staking is on
+    uint256 public minStakeAge;
+
+    /// @dev Minimum time left before a stake fully unlocks, in seconds, when staking is on
+    uint256 public minStakeLock;
+
     // ============ CONSTRUCTOR ============
 
     /**
@@ -131,47 +582,555 @@ contract AirswapMinter {
         nftContract = IAirswapNFT(_nftContract);
         sastToken = _sastToken;
         requiredSASTBalance = 1010 * 10 ** 4;
-        owner = msg.sender;
+        treasury = msg.sender;
+        _initializeOwner(msg.sender);
     }
 
     // ============ MODIFIERS ============
 
-    /**
-     * @dev Modifier to restrict access to owner only
-     */
-    modifier onlyOwner() {
-        if (msg.sender != owner) {
-            revert Unauthorized();
+    /**
+     * @dev Modifier to restrict access to the owner and the NFT pausers
+     */
+    modifier onlyPauser() {
+        if (
+            msg.sender != owner() &&
+            !nftContract.hasRole(nftContract.PAUSER_ROLE(), msg.sender)
+        ) {
+            revert Unauthorized();
+        }
+        _;
+    }
+
+    /**
+     * @dev Modifier to stop minting while paused
+     */
+    modifier whenMintingNotPaused() {
+        if (mintingPaused) {
+            revert MintingIsPaused();
+        }
+        _;
+    }
+
+    // ============ MINTING FUNCTIONS ============
+
+    /**
+     * @dev EIP-712 domain used to sign mint vouchers
+     */
+    function _domainNameAndVersion()
+        internal
+        pure
+        override
+        returns (string memory, string memory)
+    {
+        return ("AirswapMinter", "1");
+    }
+
+    /**
+     * @dev Gets the sender of the call, taken from the end of the calldata when
+     * relayed by the trusted forwarder (ERC-2771)
+     * @return The address the call is made on behalf of
+     */
+    function _msgSender() internal view returns (address) {
+        if (msg.sender == trustedForwarder && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /**
+     * @dev Checks if `quantity` more of a token fits under its max supply
+     * @param tokenId The ID of the token
+     * @param quantity The quantity about to be minted
+     * @return True if the token is uncapped or has enough supply left
+     */
+    function _hasSupply(
+        uint256 tokenId,
+        uint256 quantity
+    ) internal view returns (bool) {
+        uint256 cap = nftContract.maxSupply(tokenId);
+        return cap == 0 || nftContract.totalSupply(tokenId) + quantity <= cap;
+    }
+
+    /**
+     * @dev Reverts unless `quantity` more of a token fits under its max supply
+     */
+    function _checkSupply(uint256 tokenId, uint256 quantity) internal view {
+        if (!_hasSupply(tokenId, quantity)) {
+            revert InsufficientSupply();
+        }
+    }
+
+    /**
+     * @dev Reads the live sAST balance of a user: their stake on
+     * `stakingContract` when set, their `sastToken` balance otherwise
+     * @return balance The balance counted towards eligibility
+     * @return matured False when the stake is younger than `minStakeAge` or
+     * fully unlocks within `minStakeLock`
+     */
+    function _sastBalance(
+        address user
+    ) internal view returns (uint256 balance, bool matured) {
+        if (stakingContract == address(0)) {
+            return (IERC20(sastToken).balanceOf(user), true);
+        }
+
+        IStaking.Stake memory stake = IStaking(stakingContract).getStakes(user);
+        matured =
+            block.timestamp >= stake.timestamp + minStakeAge &&
+            (minStakeLock == 0 ||
+                stake.maturity >= block.timestamp + minStakeLock);
+        return (stake.balance, matured);
+    }
+
+    /**
+     * @dev Resolves what a sAST balance mints from the global drop: the
+     * highest tier it reaches, or `mintableTokenId` and `mintQuantity` from
+     * `requiredSASTBalance` on when no tiers are set
+     */
+    function _globalDrop(
+        uint256 balance
+    ) internal view returns (bool eligible, uint256 tokenId, uint256 quantity) {
+        if (_tiers.length == 0) {
+            return (
+                balance >= requiredSASTBalance,
+                mintableTokenId,
+                mintQuantity
+            );
+        }
+
+        (bool qualified, uint256 index) = _tierOf(balance);
+        if (!qualified) {
+            return (false, 0, 0);
+        }
+        Tier storage tier = _tiers[index];
+        return (true, tier.tokenId, tier.quantity);
+    }
+
+    /**
+     * @dev Checks if a user already minted the global drop: once per token ID,
+     * and while tiers are on also once per tier round, whichever tier they reach
+     */
+    function _hasMintedDrop(
+        address user,
+        uint256 tokenId
+    ) internal view returns (bool) {
+        return
+            hasMinted[user][tokenId] ||
+            (_tiers.length != 0 && hasClaimedTiers[tiersVersion][user]);
+    }
+
+    /**
+     * @dev Records a global drop mint for `_hasMintedDrop`
+     */
+    function _markMintedDrop(address user, uint256 tokenId) internal {
+        hasMinted[user][tokenId] = true;
+        if (_tiers.length != 0) {
+            hasClaimedTiers[tiersVersion][user] = true;
+        }
+    }
+
+    /**
+     * @dev Finds the highest tier a sAST balance reaches
+     */
+    function _tierOf(
+        uint256 balance
+    ) internal view returns (bool qualified, uint256 index) {
+        for (uint256 i = _tiers.length; i > 0; i--) {
+            if (balance >= _tiers[i - 1].minBalance) {
+                return (true, i - 1);
+            }
+        }
+    }
+
+    /**
+     * @dev Reverts unless the global drop is within its mint window
+     */
+    function _checkMintWindow() internal view {
+        if (block.timestamp < mintStartTime) {
+            revert MintNotStarted();
+        }
+        if (mintEndTime != 0 && block.timestamp >= mintEndTime) {
+            revert MintEnded();
+        }
+    }
+
+    /**
+     * @dev Takes the price of `quantity` of a token from `payer`, refunding
+     * any ETH sent above the price
+     */
+    function _collectPayment(
+        address payer,
+        uint256 tokenId,
+        uint256 quantity
+    ) internal {
+        uint256 cost = mintPrice[tokenId] * quantity;
+
+        if (paymentToken != address(0)) {
+            if (msg.value != 0) {
+                revert IncorrectPayment(0, msg.value);
+            }
+            if (cost != 0) {
+                paymentToken.safeTransferFrom(payer, address(this), cost);
+            }
+            return;
+        }
+
+        if (msg.value < cost) {
+            revert IncorrectPayment(cost, msg.value);
+        }
+        if (msg.value > cost) {
+            payer.safeTransferETH(msg.value - cost);
+        }
+    }
+
+    /**
+     * @dev Approves the payment of a mint with an EIP-2612 permit
+     */
+    function _permitPayment(
+        address payer,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        if (paymentToken == address(0)) {
+            revert PaymentTokenNotSet();
+        }
+        // A permit submitted by someone else first still leaves the
+        // allowance in place, so a failed permit is left to transferFrom
+        try
+            IERC20Permit(paymentToken).permit(
+                payer,
+                address(this),
+                value,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {}
+    }
+
+    /**
+     * @dev Checks that a campaign accepts claims from a user
+     * @return campaign The campaign
+     */
+    function _checkCampaign(
+        uint256 campaignId,
+        address user
+    ) internal view returns (Campaign storage campaign) {
+        if (campaignId >= campaignCount) {
+            revert CampaignDoesNotExist();
+        }
+        campaign = campaigns[campaignId];
+
+        if (!campaign.active) {
+            revert CampaignNotActive();
+        }
+        if (block.timestamp < campaign.startTime) {
+            revert CampaignNotStarted();
+        }
+        if (campaign.endTime != 0 && block.timestamp >= campaign.endTime) {
+            revert CampaignEnded();
+        }
+        if (campaign.maxClaims != 0 && campaign.claims >= campaign.maxClaims) {
+            revert CampaignSoldOut();
+        }
+        if (hasClaimedCampaign[campaignId][user]) {
+            revert AlreadyMinted();
+        }
+    }
+
+    /**
+     * @dev Records a campaign claim by the sender, collects its payment and
+     * mints its tokens
+     */
+    function _claimCampaign(
+        uint256 campaignId,
+        Campaign storage campaign
+    ) internal {
+        _checkSupply(campaign.tokenId, campaign.quantity);
+
+        // Mark user as having claimed
+        hasClaimedCampaign[campaignId][msg.sender] = true;
+        campaign.claims++;
+        totalMinted += campaign.quantity;
+
+        _collectPayment(msg.sender, campaign.tokenId, campaign.quantity);
+
+        // Mint the NFT to the user
+        nftContract.mint(msg.sender, campaign.tokenId, campaign.quantity, "");
+
+        emit NFTMinted(msg.sender, campaign.tokenId, campaign.quantity);
+        emit CampaignClaimed(campaignId, msg.sender);
+    }
+
+    /**
+     * @dev Checks a Merkle proof of the sender's balance against a snapshot root
+     * @notice Leaves are `keccak256(bytes.concat(keccak256(abi.encode(account, balance))))`
+     */
+    function _verifySnapshotProof(
+        bytes32 root,
+        uint256 balance,
+        bytes32[] calldata proof
+    ) internal view {
+        bytes32 leaf = keccak256(
+            bytes.concat(keccak256(abi.encode(msg.sender, balance)))
+        );
+        if (!MerkleProofLib.verifyCalldata(proof, root, leaf)) {
+            revert InvalidMerkleProof();
+        }
+    }
+
+    /**
+     * @dev Allows a user to mint NFTs if they meet the requirements
+     * @notice User must have sufficient sAST tokens and not have minted before
+     * @notice When tiers are set, mints the token and quantity of the highest
+     * tier the user's sAST balance reaches
+     * @notice Can be relayed gaslessly through the trusted forwarder
+     * @notice Send `mintPrice(tokenId) * quantity` in ETH, or approve it when
+     * mints are paid in an ERC-20
+     */
+    function mintNFT() public payable whenMintingNotPaused {
+        _checkMintWindow();
+        address user = _msgSender();
+        if (merkleRoot != bytes32(0)) {
+            revert AllowlistActive();
+        }
+        if (snapshotRoot != bytes32(0)) {
+            revert SnapshotActive();
+        }
+
+        // Check sAST balance
+        (uint256 balance, bool matured) = _sastBalance(user);
+        (bool eligible, uint256 tokenId, uint256 quantity) = _globalDrop(
+            balance
+        );
+        if (!eligible) {
+            revert InsufficientSASTBalance();
+        }
+        if (!matured) {
+            revert StakeTooShort();
+        }
+
+        // Check if user has already minted
+        if (_hasMintedDrop(user, tokenId)) {
+            revert AlreadyMinted();
+        }
+
+        _checkSupply(tokenId, quantity);
+
+        // Mark user as having minted
+        _markMintedDrop(user, tokenId);
+        totalMinted += quantity;
+
+        _collectPayment(user, tokenId, quantity);
+
+        // Mint the NFT to the user
+        nftContract.mint(user, tokenId, quantity, "");
+
+        emit NFTMinted(user, tokenId, quantity);
+    }
+
+    /**
+     * @dev Mints like `mintNFT`, paying with an EIP-2612 permit instead of an approval
+     * @param deadline The permit deadline
+     * @param v The permit signature v
+     * @param r The permit signature r
+     * @param s The permit signature s
+     * @notice The permit must approve exactly the price of the mint
+     */
+    function mintNFTWithPermit(
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        address user = _msgSender();
+        (uint256 balance, ) = _sastBalance(user);
+        (, uint256 tokenId, uint256 quantity) = _globalDrop(balance);
+        _permitPayment(
+            user,
+            mintPrice[tokenId] * quantity,
+            deadline,
+            v,
+            r,
+            s
+        );
+        mintNFT();
+    }
+
+    /**
+     * @dev Allows a user to claim from a campaign if they meet its requirements
+     * @param campaignId The ID of the campaign to claim from
+     * @notice Eligibility uses the live sAST balance, independent of the global
+     * drop's snapshot mode. Campaigns with their own snapshot are claimed with
+     * `mintCampaignWithSnapshot` instead.
+     * @notice Costs `mintPrice(tokenId) * quantity` of the campaign, like `mintNFT`
+     */
+    function mint(uint256 campaignId) public payable whenMintingNotPaused {
+        Campaign storage campaign = _checkCampaign(campaignId, msg.sender);
+        if (campaignSnapshotRoots[campaignId] != bytes32(0)) {
+            revert SnapshotActive();
+        }
+
+        // Check sAST balance
+        (uint256 balance, bool matured) = _sastBalance(msg.sender);
+        if (balance < campaign.requiredBalance) {
+            revert InsufficientSASTBalance();
+        }
+        if (!matured) {
+            revert StakeTooShort();
+        }
+
+        _claimCampaign(campaignId, campaign);
+    }
+
+    /**
+     * @dev Allows a user to claim from a campaign based on their sAST balance
+     * in the campaign's snapshot
+     * @param campaignId The ID of the campaign to claim from
+     * @param balance The user's sAST balance recorded in the snapshot
+     * @param proof Merkle proof of `(msg.sender, balance)` against the
+     * campaign's snapshot root
+     * @notice Balances moved after the snapshot cannot be used to claim again
+     */
+    function mintCampaignWithSnapshot(
+        uint256 campaignId,
+        uint256 balance,
+        bytes32[] calldata proof
+    ) external payable whenMintingNotPaused {
+        Campaign storage campaign = _checkCampaign(campaignId, msg.sender);
+        bytes32 root = campaignSnapshotRoots[campaignId];
+        if (root == bytes32(0)) {
+            revert SnapshotNotActive();
+        }
+        _verifySnapshotProof(root, balance, proof);
+
+        // Check snapshot sAST balance
+        if (balance < campaign.requiredBalance) {
+            revert InsufficientSASTBalance();
+        }
+
+        _claimCampaign(campaignId, campaign);
+    }
+
+    /**
+     * @dev Claims from a campaign like `mint`, paying with an EIP-2612 permit
+     * @param campaignId The ID of the campaign to claim from
+     * @param deadline The permit deadline
+     * @param v The permit signature v
+     * @param r The permit signature r
+     * @param s The permit signature s
+     * @notice The permit must approve exactly the price of the claim
+     */
+    function mintWithPermit(
+        uint256 campaignId,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        Campaign storage campaign = campaigns[campaignId];
+        _permitPayment(
+            msg.sender,
+            mintPrice[campaign.tokenId] * campaign.quantity,
+            deadline,
+            v,
+            r,
+            s
+        );
+        mint(campaignId);
+    }
+
+    /**
+     * @dev Allows a user to mint based on their sAST balance at `snapshotBlock`
+     * @param balance The user's sAST balance recorded in the snapshot
+     * @param proof Merkle proof of `(msg.sender, balance)` against `snapshotRoot`
+     * @notice Balances moved after the snapshot cannot be used to mint again
+     * @notice When tiers are set, the snapshot balance picks the tier
+     */
+    function mintWithSnapshot(
+        uint256 balance,
+        bytes32[] calldata proof
+    ) external payable whenMintingNotPaused {
+        _checkMintWindow();
+        if (snapshotRoot == bytes32(0)) {
+            revert SnapshotNotActive();
+        }
+        _verifySnapshotProof(snapshotRoot, balance, proof);
+
+        // Check snapshot sAST balance
+        (bool eligible, uint256 tokenId, uint256 quantity) = _globalDrop(
+            balance
+        );
+        if (!eligible) {
+            revert InsufficientSASTBalance();
+        }
+
+        // Check if user has already minted
+        if (_hasMintedDrop(msg.sender, tokenId)) {
+            revert AlreadyMinted();
         }
-        _;
-    }
 
-    // ============ MINTING FUNCTIONS ============
+        _checkSupply(tokenId, quantity);
+
+        // Mark user as having minted
+        _markMintedDrop(msg.sender, tokenId);
+        totalMinted += quantity;
+
+        _collectPayment(msg.sender, tokenId, quantity);
+
+        // Mint the NFT to the user
+        nftContract.mint(msg.sender, tokenId, quantity, "");
+
+        emit NFTMinted(msg.sender, tokenId, quantity);
+    }
 
     /**
-     * @dev Allows a user to mint NFTs if they meet the requirements
-     * @notice User must have sufficient sAST tokens and not have minted before
+     * @dev Allows an allowlisted user to mint the quantity assigned to them
+     * @param quantity The quantity encoded in the user's allowlist leaf
+     * @param proof Merkle proof of `(msg.sender, quantity)` against `merkleRoot`
+     * @notice Leaves are `keccak256(bytes.concat(keccak256(abi.encode(account, quantity))))`
      */
-    function mintNFT() external {
+    function claimAllowlist(
+        uint256 quantity,
+        bytes32[] calldata proof
+    ) external payable whenMintingNotPaused {
+        _checkMintWindow();
+        if (merkleRoot == bytes32(0)) {
+            revert AllowlistNotActive();
+        }
+
         // Check if user has already minted
         if (hasMinted[msg.sender][mintableTokenId]) {
             revert AlreadyMinted();
         }
 
-        // Check sAST balance
-        uint256 userBalance = IERC20(sastToken).balanceOf(msg.sender);
-        if (userBalance < requiredSASTBalance) {
-            revert InsufficientSASTBalance();
+        if (quantity == 0) {
+            revert InvalidMintQuantity();
+        }
+
+        bytes32 leaf = keccak256(
+            bytes.concat(keccak256(abi.encode(msg.sender, quantity)))
+        );
+        if (!MerkleProofLib.verifyCalldata(proof, merkleRoot, leaf)) {
+            revert InvalidMerkleProof();
         }
 
+        _checkSupply(mintableTokenId, quantity);
+
         // Mark user as having minted
         hasMinted[msg.sender][mintableTokenId] = true;
-        totalMinted += mintQuantity;
+        totalMinted += quantity;
+
+        _collectPayment(msg.sender, mintableTokenId, quantity);
 
         // Mint the NFT to the user
-        nftContract.mint(msg.sender, mintableTokenId, mintQuantity, "");
+        nftContract.mint(msg.sender, mintableTokenId, quantity, "");
 
-        emit NFTMinted(msg.sender, mintableTokenId, mintQuantity);
+        emit NFTMinted(msg.sender, mintableTokenId, quantity);
     }
 
     /**
@@ -179,7 +1138,9 @@ contract AirswapMinter {
      * @param users Array of user addresses
      * @notice Only owner can call this function
      */
-    function batchMintNFTs(address[] calldata users) external onlyOwner {
+    function batchMintNFTs(
+        address[] calldata users
+    ) external onlyOwner whenMintingNotPaused {
         for (uint256 i = 0; i < users.length; i++) {
             address user = users[i];
 
@@ -188,6 +1149,8 @@ contract AirswapMinter {
                 continue;
             }
 
+            _checkSupply(mintableTokenId, mintQuantity);
+
             // Mark user as having minted
             hasMinted[user][mintableTokenId] = true;
             totalMinted += mintQuantity;
@@ -199,6 +1162,120 @@ contract AirswapMinter {
         }
     }
 
+    /**
+     * @dev Mints the tokens described by a voucher to its recipient
+     * @param voucher The voucher signed by `voucherSigner`
+     * @param signature The EIP-712 signature of the voucher
+     * @notice Anyone can submit a voucher, the tokens always go to its recipient
+     */
+    function mintWithVoucher(
+        MintVoucher calldata voucher,
+        bytes calldata signature
+    ) external whenMintingNotPaused {
+        if (voucherSigner == address(0)) {
+            revert VouchersNotActive();
+        }
+        if (block.timestamp >= voucher.expiry) {
+            revert VoucherExpired();
+        }
+        if (usedVoucherNonces[voucher.nonce]) {
+            revert VoucherAlreadyUsed();
+        }
+        if (voucher.quantity == 0) {
+            revert InvalidMintQuantity();
+        }
+        if (
+            !SignatureCheckerLib.isValidSignatureNowCalldata(
+                voucherSigner,
+                hashVoucher(voucher),
+                signature
+            )
+        ) {
+            revert InvalidVoucherSignature();
+        }
+
+        _checkSupply(voucher.tokenId, voucher.quantity);
+
+        // Mark the voucher as used
+        usedVoucherNonces[voucher.nonce] = true;
+        totalMinted += voucher.quantity;
+
+        // Mint the NFT to the recipient
+        nftContract.mint(
+            voucher.recipient,
+            voucher.tokenId,
+            voucher.quantity,
+            ""
+        );
+
+        emit NFTMinted(voucher.recipient, voucher.tokenId, voucher.quantity);
+        emit VoucherRedeemed(voucher.nonce, voucher.recipient);
+    }
+
+    /**
+     * @dev Mints any quantity of any token IDs to each recipient (admin function)
+     * @param recipients Recipient of each row
+     * @param tokenIds Token ID of each row
+     * @param amounts Quantity of each row
+     * @notice Only owner can call this function
+     * @notice Consecutive rows for the same recipient are minted with a single
+     * `mintBatch` call, so sort rows by recipient to save gas
+     */
+    function airdrop(
+        address[] calldata recipients,
+        uint256[] calldata tokenIds,
+        uint256[] calldata amounts
+    ) external onlyOwner whenMintingNotPaused {
+        if (
+            recipients.length != tokenIds.length ||
+            recipients.length != amounts.length
+        ) {
+            revert ArrayLengthMismatch(
+                recipients.length,
+                tokenIds.length,
+                amounts.length
+            );
+        }
+
+        uint256 start = 0;
+        while (start < recipients.length) {
+            address recipient = recipients[start];
+            uint256 end = start + 1;
+            while (end < recipients.length && recipients[end] == recipient) {
+                end++;
+            }
+
+            for (uint256 i = start; i < end; i++) {
+                if (amounts[i] == 0) {
+                    revert InvalidMintQuantity();
+                }
+                _checkSupply(tokenIds[i], amounts[i]);
+                totalMinted += amounts[i];
+            }
+
+            if (end - start == 1) {
+                nftContract.mint(
+                    recipient,
+                    tokenIds[start],
+                    amounts[start],
+                    ""
+                );
+            } else {
+                nftContract.mintBatch(
+                    recipient,
+                    tokenIds[start:end],
+                    amounts[start:end],
+                    ""
+                );
+            }
+
+            for (uint256 i = start; i < end; i++) {
+                emit NFTMinted(recipient, tokenIds[i], amounts[i]);
+            }
+            start = end;
+        }
+    }
+
     // ============ ADMIN FUNCTIONS ============
 
     /**
@@ -262,41 +1339,537 @@ contract AirswapMinter {
     }
 
     /**
-     * @dev Transfers ownership of the contract
-     * @param _newOwner The new owner address
+     * @dev Updates the allowlist Merkle root
+     * @param _merkleRoot The new root, or zero to return to sAST balance minting
      * @notice Only owner can call this function
      */
-    function transferOwnership(address _newOwner) external onlyOwner {
-        if (_newOwner == address(0)) {
-            revert InvalidTokenAddress();
+    function updateMerkleRoot(bytes32 _merkleRoot) external onlyOwner {
+        bytes32 oldRoot = merkleRoot;
+        merkleRoot = _merkleRoot;
+
+        emit MerkleRootUpdated(oldRoot, _merkleRoot);
+    }
+
+    /**
+     * @dev Publishes the sAST balance snapshot used for eligibility
+     * @param _snapshotRoot Merkle root of `(account, balance)` leaves, or zero to return to live balances
+     * @param _snapshotBlock The block at which the balances were taken
+     * @notice Only owner can call this function
+     */
+    function updateSnapshot(
+        bytes32 _snapshotRoot,
+        uint256 _snapshotBlock
+    ) external onlyOwner {
+        snapshotRoot = _snapshotRoot;
+        snapshotBlock = _snapshotBlock;
+
+        emit SnapshotUpdated(_snapshotRoot, _snapshotBlock);
+    }
+
+    /**
+     * @dev Sets the window during which the global drop can be minted
+     * @param _startTime Timestamp from which minting is open
+     * @param _endTime Timestamp from which minting is closed (0 for no end)
+     * @notice Only owner can call this function
+     */
+    function setMintWindow(
+        uint64 _startTime,
+        uint64 _endTime
+    ) external onlyOwner {
+        if (_endTime != 0 && _endTime <= _startTime) {
+            revert InvalidMintWindow();
+        }
+
+        mintStartTime = _startTime;
+        mintEndTime = _endTime;
+
+        emit MintWindowUpdated(_startTime, _endTime);
+    }
+
+    /**
+     * @dev Switches eligibility to stakes on an AirSwap Staking contract
+     * @param _stakingContract The staking contract (zero to read `sastToken` again)
+     * @notice Only owner can call this function
+     * @notice Snapshot mints keep using the balances of the published snapshot
+     */
+    function updateStakingContract(
+        address _stakingContract
+    ) external onlyOwner {
+        address oldStaking = stakingContract;
+        stakingContract = _stakingContract;
+
+        emit StakingContractUpdated(oldStaking, _stakingContract);
+    }
+
+    /**
+     * @dev Updates how long stakes must have been made and stay locked to mint
+     * @param _minStakeAge Minimum time since the stake was made, in seconds
+     * @param _minStakeLock Minimum time left before the stake fully unlocks,
+     * in seconds (0 to allow unlocked stakes)
+     * @notice Only owner can call this function
+     */
+    function updateStakeDurations(
+        uint256 _minStakeAge,
+        uint256 _minStakeLock
+    ) external onlyOwner {
+        minStakeAge = _minStakeAge;
+        minStakeLock = _minStakeLock;
+
+        emit StakeDurationsUpdated(_minStakeAge, _minStakeLock);
+    }
+
+    /**
+     * @dev Replaces the eligibility tiers of the global drop
+     * @param tiers The tiers by strictly increasing balance threshold, empty
+     * to go back to `requiredSASTBalance`, `mintableTokenId` and `mintQuantity`
+     * @notice Only owner can call this function
+     * @notice Each address mints once per tier round, so moving sAST between
+     * mints cannot collect several tiers. Claims carry over when tiers are
+     * replaced; only `startTierRound` lets addresses claim again.
+     */
+    function setTiers(Tier[] calldata tiers) external onlyOwner {
+        delete _tiers;
+        for (uint256 i = 0; i < tiers.length; i++) {
+            if (tiers[i].quantity == 0) {
+                revert InvalidMintQuantity();
+            }
+            if (i > 0 && tiers[i].minBalance <= tiers[i - 1].minBalance) {
+                revert InvalidTierBoundary(i);
+            }
+            _tiers.push(tiers[i]);
+        }
+
+        emit TiersUpdated(tiers);
+    }
+
+    /**
+     * @dev Starts a new round of tiered claims, letting every address claim a
+     * tier once more
+     * @notice Addresses still mint each token ID only once
+     * @notice Only owner can call this function
+     */
+    function startTierRound() external onlyOwner {
+        emit TierRoundStarted(++tiersVersion);
+    }
+
+    /**
+     * @dev Creates a new mint campaign, active immediately
+     * @param tokenId The token ID minted by the campaign
+     * @param quantity The quantity minted per claim
+     * @param requiredBalance The sAST balance required to claim
+     * @param startTime Timestamp from which claims are accepted
+     * @param endTime Timestamp from which claims are rejected (0 for no end)
+     * @param maxClaims Maximum number of claims (0 for no limit)
+     * @return campaignId The ID of the new campaign
+     * @notice Only owner can call this function
+     */
+    function createCampaign(
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 requiredBalance,
+        uint64 startTime,
+        uint64 endTime,
+        uint256 maxClaims
+    ) external onlyOwner returns (uint256 campaignId) {
+        if (quantity == 0) {
+            revert InvalidMintQuantity();
+        }
+        if (endTime != 0 && endTime <= startTime) {
+            revert InvalidCampaignWindow();
+        }
+
+        campaignId = campaignCount++;
+        campaigns[campaignId] = Campaign({
+            tokenId: tokenId,
+            quantity: quantity,
+            requiredBalance: requiredBalance,
+            startTime: startTime,
+            endTime: endTime,
+            maxClaims: maxClaims,
+            claims: 0,
+            active: true
+        });
+
+        emit CampaignCreated(
+            campaignId,
+            tokenId,
+            quantity,
+            requiredBalance,
+            startTime,
+            endTime,
+            maxClaims
+        );
+    }
+
+    /**
+     * @dev Switches a campaign on or off
+     * @param campaignId The ID of the campaign
+     * @param active Whether the campaign should accept claims
+     * @notice Only owner can call this function
+     */
+    function setCampaignActive(
+        uint256 campaignId,
+        bool active
+    ) external onlyOwner {
+        if (campaignId >= campaignCount) {
+            revert CampaignDoesNotExist();
+        }
+
+        campaigns[campaignId].active = active;
+
+        emit CampaignStatusUpdated(campaignId, active);
+    }
+
+    /**
+     * @dev Publishes the sAST balance snapshot a campaign checks instead of
+     * live balances
+     * @param campaignId The ID of the campaign
+     * @param root Merkle root of `(account, balance)` leaves, or zero to return
+     * to live balances
+     * @notice Only owner can call this function
+     */
+    function setCampaignSnapshot(
+        uint256 campaignId,
+        bytes32 root
+    ) external onlyOwner {
+        if (campaignId >= campaignCount) {
+            revert CampaignDoesNotExist();
+        }
+        campaignSnapshotRoots[campaignId] = root;
+
+        emit CampaignSnapshotUpdated(campaignId, root);
+    }
+
+    /**
+     * @dev Updates the address that signs mint vouchers
+     * @param _voucherSigner The new voucher signer (zero disables vouchers)
+     * @notice Unredeemed vouchers from the previous signer stop being valid
+     * @notice Only owner can call this function
+     */
+    function updateVoucherSigner(address _voucherSigner) external onlyOwner {
+        address oldSigner = voucherSigner;
+        voucherSigner = _voucherSigner;
+
+        emit VoucherSignerUpdated(oldSigner, _voucherSigner);
+    }
+
+    /**
+     * @dev Updates the ERC-2771 forwarder trusted to relay `mintNFT`
+     * @param _trustedForwarder The new trusted forwarder (zero disables meta-transactions)
+     * @notice Only owner can call this function
+     */
+    function updateTrustedForwarder(
+        address _trustedForwarder
+    ) external onlyOwner {
+        address oldForwarder = trustedForwarder;
+        trustedForwarder = _trustedForwarder;
+
+        emit TrustedForwarderUpdated(oldForwarder, _trustedForwarder);
+    }
+
+    /**
+     * @dev Pauses every mint through this contract
+     * @notice Only owner and NFT pausers can call this function
+     */
+    function pauseMinting() external onlyPauser {
+        if (mintingPaused) {
+            revert PauseStatusUnchanged();
+        }
+        mintingPaused = true;
+
+        emit MintingPaused(msg.sender);
+    }
+
+    /**
+     * @dev Unpauses minting through this contract
+     * @notice Only owner and NFT pausers can call this function
+     */
+    function unpauseMinting() external onlyPauser {
+        if (!mintingPaused) {
+            revert PauseStatusUnchanged();
+        }
+        mintingPaused = false;
+
+        emit MintingUnpaused(msg.sender);
+    }
+
+    /**
+     * @dev Updates the price per token paid by users minting a token ID
+     * @param tokenId The ID of the token
+     * @param _mintPrice The new price per token in the payment token (0 for free)
+     * @notice Only owner can call this function
+     */
+    function updateMintPrice(
+        uint256 tokenId,
+        uint256 _mintPrice
+    ) external onlyOwner {
+        uint256 oldPrice = mintPrice[tokenId];
+        mintPrice[tokenId] = _mintPrice;
+
+        emit MintPriceUpdated(tokenId, oldPrice, _mintPrice);
+    }
+
+    /**
+     * @dev Updates the token mint prices are paid in
+     * @param _paymentToken The new ERC-20 payment token (zero for ETH)
+     * @notice Only owner can call this function
+     * @notice Prices are not converted, update them alongside the token
+     */
+    function updatePaymentToken(address _paymentToken) external onlyOwner {
+        address oldToken = paymentToken;
+        paymentToken = _paymentToken;
+
+        emit PaymentTokenUpdated(oldToken, _paymentToken);
+    }
+
+    /**
+     * @dev Updates the address receiving withdrawn mint payments
+     * @param _treasury The new treasury
+     * @notice Only owner can call this function
+     */
+    function updateTreasury(address _treasury) external onlyOwner {
+        if (_treasury == address(0)) {
+            revert InvalidTreasury();
+        }
+
+        address oldTreasury = treasury;
+        treasury = _treasury;
+
+        emit TreasuryUpdated(oldTreasury, _treasury);
+    }
+
+    /**
+     * @dev Sends the whole balance of a token held by this contract to the treasury
+     * @param token The token to withdraw (zero for ETH)
+     * @notice Only owner can call this function
+     */
+    function withdraw(address token) external onlyOwner {
+        uint256 amount;
+        if (token == address(0)) {
+            amount = address(this).balance;
+            treasury.safeTransferAllETH();
+        } else {
+            amount = token.safeTransferAll(treasury);
         }
 
-        owner = _newOwner;
+        emit Withdrawn(token, treasury, amount);
+    }
+
+    /**
+     * @dev Disabled so a mistyped address cannot take over the minter: the new
+     * owner calls `requestOwnershipHandover` and the owner accepts it with
+     * `completeOwnershipHandover`
+     */
+    function transferOwnership(address) public payable override onlyOwner {
+        revert OwnershipHandoverRequired();
     }
 
     // ============ VIEW FUNCTIONS ============
 
+    /**
+     * @dev Gets the EIP-712 digest that the voucher signer signs for a voucher
+     * @param voucher The voucher to hash
+     * @return The typed data hash of the voucher
+     */
+    function hashVoucher(
+        MintVoucher calldata voucher
+    ) public view returns (bytes32) {
+        return
+            _hashTypedData(
+                keccak256(
+                    abi.encode(
+                        MINT_VOUCHER_TYPEHASH,
+                        voucher.recipient,
+                        voucher.tokenId,
+                        voucher.quantity,
+                        voucher.nonce,
+                        voucher.expiry
+                    )
+                )
+            );
+    }
+
     /**
      * @dev Checks if a user can mint (hasn't minted before and has sufficient balance)
+     * @notice Always false in allowlist and snapshot mode, where eligibility depends on a proof
+     * @notice When tiers are set, checks the token of the user's tier
      * @param user The address to check
      * @return True if user can mint, false otherwise
      */
     function canMint(address user) external view returns (bool) {
-        if (hasMinted[user][mintableTokenId]) {
+        if (
+            isMintingPaused() ||
+            !isMintOpen() ||
+            merkleRoot != bytes32(0) ||
+            snapshotRoot != bytes32(0)
+        ) {
             return false;
         }
 
-        uint256 userBalance = IERC20(sastToken).balanceOf(user);
-        return userBalance >= requiredSASTBalance;
+        (uint256 balance, bool matured) = _sastBalance(user);
+        (bool eligible, uint256 tokenId, uint256 quantity) = _globalDrop(
+            balance
+        );
+        return
+            eligible &&
+            matured &&
+            !_hasMintedDrop(user, tokenId) &&
+            _hasSupply(tokenId, quantity);
+    }
+
+    /**
+     * @dev Gets the eligibility tiers of the global drop
+     * @return The tiers by increasing balance threshold, empty when off
+     */
+    function getTiers() external view returns (Tier[] memory) {
+        return _tiers;
+    }
+
+    /**
+     * @dev Gets the highest tier a user's live sAST balance reaches
+     * @param user The address to check
+     * @return qualified Whether the user reaches any tier
+     * @return index The index of the tier in `getTiers()`, 0 when not qualified
+     */
+    function getTier(
+        address user
+    ) external view returns (bool qualified, uint256 index) {
+        (uint256 balance, ) = _sastBalance(user);
+        return _tierOf(balance);
+    }
+
+    /**
+     * @dev Gets the window during which the global drop can be minted
+     * @return startTime Timestamp from which minting is open
+     * @return endTime Timestamp from which minting is closed (0 for no end)
+     */
+    function getMintWindow()
+        external
+        view
+        returns (uint64 startTime, uint64 endTime)
+    {
+        return (mintStartTime, mintEndTime);
+    }
+
+    /**
+     * @dev Checks if minting is paused on this contract or on the NFT
+     * @return True if every mint through this contract would revert
+     */
+    function isMintingPaused() public view returns (bool) {
+        return mintingPaused || nftContract.mintingPaused();
+    }
+
+    /**
+     * @dev Checks if the global drop is within its mint window
+     * @return True if minting is open at the current block timestamp
+     */
+    function isMintOpen() public view returns (bool) {
+        return
+            block.timestamp >= mintStartTime &&
+            (mintEndTime == 0 || block.timestamp < mintEndTime);
+    }
+
+    /**
+     * @dev Checks if an address is the trusted forwarder (ERC-2771)
+     * @param forwarder The address to check
+     * @return True if calls from `forwarder` are attributed to the signer it appends
+     */
+    function isTrustedForwarder(address forwarder) external view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
     }
 
     /**
      * @dev Gets the sAST balance of a user
      * @param user The address to check
-     * @return The user's sAST balance
+     * @return The user's sAST balance, their stake when staking is on
      */
     function getUserSASTBalance(address user) external view returns (uint256) {
-        return IERC20(sastToken).balanceOf(user);
+        (uint256 balance, ) = _sastBalance(user);
+        return balance;
+    }
+
+    /**
+     * @dev Checks if a user's stake meets `minStakeAge` and `minStakeLock`
+     * @param user The address to check
+     * @return True if the stake is old enough and locked long enough, always
+     * true when staking is off
+     */
+    function isStakeMatured(address user) external view returns (bool) {
+        (, bool matured) = _sastBalance(user);
+        return matured;
+    }
+
+    /**
+     * @dev Gets a campaign
+     * @param campaignId The ID of the campaign
+     * @return The campaign
+     */
+    function getCampaign(
+        uint256 campaignId
+    ) external view returns (Campaign memory) {
+        if (campaignId >= campaignCount) {
+            revert CampaignDoesNotExist();
+        }
+        return campaigns[campaignId];
+    }
+
+    /**
+     * @dev Lists all campaigns, indexed by campaign ID
+     * @return list Every campaign created so far
+     */
+    function getCampaigns() external view returns (Campaign[] memory list) {
+        list = new Campaign[](campaignCount);
+        for (uint256 i = 0; i < campaignCount; i++) {
+            list[i] = campaigns[i];
+        }
+    }
+
+    /**
+     * @dev Gets which campaigns a user has claimed from
+     * @param user The address to check
+     * @return claimed Claim status per campaign, indexed by campaign ID
+     */
+    function getClaimStatus(
+        address user
+    ) external view returns (bool[] memory claimed) {
+        claimed = new bool[](campaignCount);
+        for (uint256 i = 0; i < campaignCount; i++) {
+            claimed[i] = hasClaimedCampaign[i][user];
+        }
+    }
+
+    /**
+     * @dev Checks if a user can claim from a campaign right now
+     * @param campaignId The ID of the campaign
+     * @param user The address to check
+     * @return True if `mint(campaignId)` would succeed for the user
+     * @notice Always false for campaigns with a snapshot, where eligibility
+     * depends on a proof
+     */
+    function canMintCampaign(
+        uint256 campaignId,
+        address user
+    ) external view returns (bool) {
+        if (campaignId >= campaignCount) {
+            return false;
+        }
+        Campaign storage campaign = campaigns[campaignId];
+
+        if (
+            isMintingPaused() ||
+            !campaign.active ||
+            block.timestamp < campaign.startTime ||
+            (campaign.endTime != 0 && block.timestamp >= campaign.endTime) ||
+            (campaign.maxClaims != 0 && campaign.claims >= campaign.maxClaims) ||
+            hasClaimedCampaign[campaignId][user] ||
+            campaignSnapshotRoots[campaignId] != bytes32(0) ||
+            !_hasSupply(campaign.tokenId, campaign.quantity)
+        ) {
+            return false;
+        }
+
+        (uint256 balance, bool matured) = _sastBalance(user);
+        return matured && balance >= campaign.requiredBalance;
     }
 
     /**
@@ -327,3 +1900,32 @@ interface IERC20 {
         address spender
     ) external view returns (uint256);
 }
+
+/**
+ * @dev Minimal interface of the AirSwap Staking contract
+ */
+interface IStaking {
+    struct Stake {
+        uint256 duration;
+        uint256 balance;
+        uint256 timestamp;
+        uint256 maturity;
+    }
+
+    function getStakes(address account) external view returns (Stake memory);
+}
+
+/**
+ * @dev Minimal EIP-2612 interface for paying mints with a permit
+ */
+interface IERC20Permit {
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+}
@@ -2,12 +2,20 @@
 pragma solidity ^0.8.28;
 
 import "solady/src/tokens/ERC1155.sol";
+import "solady/src/tokens/ERC2981.sol";
 import "solady/src/auth/Ownable.sol";
 import "solady/src/utils/LibString.sol";
+import "solady/src/utils/EnumerableSetLib.sol";
 import "./interfaces/IAirswapNFT.sol";
 
-contract AirswapNFT is ERC1155, Ownable, IAirswapNFT {
+contract AirswapNFT is ERC1155, ERC2981, Ownable, IAirswapNFT {
     using LibString for uint256;
+    using EnumerableSetLib for EnumerableSetLib.AddressSet;
+
+    // Roles granted by the owner, who implicitly holds every role
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant URI_MANAGER_ROLE = keccak256("URI_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
 
     // Token name and symbol for display purposes
     string public name;
@@ -16,17 +24,41 @@ contract AirswapNFT is ERC1155, Ownable, IAirswapNFT {
     // Mapping to track if a token ID exists
     mapping(uint256 => bool) public tokenExists;
 
-    // Mapping for individual token URIs
+    // Per-token supply tracking, a max supply of 0 means uncapped
+    mapping(uint256 => uint256) public totalSupply;
+    mapping(uint256 => uint256) public maxSupply;
+
+    // Soulbound tokens cannot move between holders, frozen statuses never change
+    mapping(uint256 => bool) public soulbound;
+    mapping(uint256 => bool) public soulboundFrozen;
+
+    // Emergency switches, minting and transfers (including burns) pause separately
+    bool public mintingPaused;
+    bool public transfersPaused;
+
+    // Per-token URI overrides, tokens without one use the collection base URI
     mapping(uint256 => string) public URIs;
+    string public baseURI;
+
+    // In `{id}` mode URIs are returned as ERC-1155 templates for clients to
+    // fill in, otherwise the decimal ID and ".json" are appended
+    bool public idSubstitution;
+
+    // Collection-level metadata (ERC-7572)
+    string public contractURI;
 
-    // Admin system
-    mapping(address => bool) public admins;
-    uint256 public adminCount;
+    // Frozen tokens keep the URI they resolved to when frozen, forever
+    mapping(uint256 => bool) public uriFrozen;
+    mapping(uint256 => string) internal _permanentURIs;
+    bool public allURIsFrozen;
+
+    // Role members, enumerable per role
+    mapping(bytes32 => EnumerableSetLib.AddressSet) internal _roleMembers;
 
     // Modifiers
-    modifier onlyOwnerOrAdmin() {
-        if (msg.sender != owner() && !admins[msg.sender]) {
-            revert Unauthorized();
+    modifier onlyRole(bytes32 role) {
+        if (!hasRole(role, msg.sender)) {
+            revert MissingRole(role, msg.sender);
         }
         _;
     }
@@ -38,54 +70,279 @@ contract AirswapNFT is ERC1155, Ownable, IAirswapNFT {
     }
 
     /**
-     * @dev Admin management functions
+     * @dev Role management functions
      */
 
     /**
-     * @dev Adds an admin (only owner)
-     * @param admin Address to add as admin
+     * @dev Grants a role to an account (only owner)
+     * @param role Role to grant
+     * @param account Address receiving the role
      */
-    function addAdmin(address admin) external onlyOwner {
-        if (admin == address(0)) {
-            revert InvalidAdminAddress();
+    function grantRole(bytes32 role, address account) external onlyOwner {
+        if (account == address(0)) {
+            revert InvalidRoleAccount();
         }
-        if (admins[admin]) {
-            revert AlreadyAdmin();
+        if (account == owner()) {
+            revert OwnerAlreadyHasRole(role);
         }
-        if (admin == owner()) {
-            revert OwnerAlreadyAdmin();
+        if (!_roleMembers[role].add(account)) {
+            revert RoleAlreadyGranted(role, account);
         }
 
-        admins[admin] = true;
-        adminCount++;
-        emit AdminAdded(admin);
+        emit RoleGranted(role, account, msg.sender);
     }
 
     /**
-     * @dev Removes an admin (only owner)
-     * @param admin Address to remove as admin
+     * @dev Revokes a role from an account (only owner)
+     * @param role Role to revoke
+     * @param account Address losing the role
      */
-    function removeAdmin(address admin) external onlyOwner {
-        if (!admins[admin]) {
-            revert NotAdmin();
+    function revokeRole(bytes32 role, address account) external onlyOwner {
+        if (!_roleMembers[role].remove(account)) {
+            revert MissingRole(role, account);
         }
 
-        admins[admin] = false;
-        adminCount--;
-        emit AdminRemoved(admin);
+        emit RoleRevoked(role, account, msg.sender);
     }
 
     /**
-     * @dev Checks if an address is an admin
+     * @dev Gives up a role held by the sender
+     * @param role Role to renounce
+     */
+    function renounceRole(bytes32 role) external {
+        if (!_roleMembers[role].remove(msg.sender)) {
+            revert MissingRole(role, msg.sender);
+        }
+
+        emit RoleRenounced(role, msg.sender);
+    }
+
+    /**
+     * @dev Checks if an account holds a role, the owner holds every role
+     * @param role Role to check
      * @param account Address to check
-     * @return bool True if admin
+     * @return bool True if the account holds the role
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return account == owner() || _roleMembers[role].contains(account);
+    }
+
+    /**
+     * @dev Returns the number of accounts granted a role, excluding the owner
+     * @param role Role to count
+     * @return uint256 Number of members
+     */
+    function getRoleMemberCount(bytes32 role) external view returns (uint256) {
+        return _roleMembers[role].length();
+    }
+
+    /**
+     * @dev Returns an account granted a role by index, the order may change on revocation
+     * @param role Role to enumerate
+     * @param index Index of the member
+     * @return address The member at the index
+     */
+    function getRoleMember(
+        bytes32 role,
+        uint256 index
+    ) external view returns (address) {
+        return _roleMembers[role].at(index);
+    }
+
+    /**
+     * @dev Returns every account granted a role, excluding the owner
+     * @param role Role to enumerate
+     * @return address[] The members of the role
+     */
+    function getRoleMembers(
+        bytes32 role
+    ) external view returns (address[] memory) {
+        return _roleMembers[role].values();
+    }
+
+    /**
+     * @dev Pause functions
+     */
+
+    /**
+     * @dev Pauses minting (pauser)
+     */
+    function pauseMinting() external onlyRole(PAUSER_ROLE) {
+        if (mintingPaused) {
+            revert PauseStatusUnchanged();
+        }
+        mintingPaused = true;
+        emit MintingPaused(msg.sender);
+    }
+
+    /**
+     * @dev Unpauses minting (pauser)
+     */
+    function unpauseMinting() external onlyRole(PAUSER_ROLE) {
+        if (!mintingPaused) {
+            revert PauseStatusUnchanged();
+        }
+        mintingPaused = false;
+        emit MintingUnpaused(msg.sender);
+    }
+
+    /**
+     * @dev Pauses transfers and burns (pauser)
+     */
+    function pauseTransfers() external onlyRole(PAUSER_ROLE) {
+        if (transfersPaused) {
+            revert PauseStatusUnchanged();
+        }
+        transfersPaused = true;
+        emit TransfersPaused(msg.sender);
+    }
+
+    /**
+     * @dev Unpauses transfers and burns (pauser)
+     */
+    function unpauseTransfers() external onlyRole(PAUSER_ROLE) {
+        if (!transfersPaused) {
+            revert PauseStatusUnchanged();
+        }
+        transfersPaused = false;
+        emit TransfersUnpaused(msg.sender);
+    }
+
+    /**
+     * @dev Creates a token before its first mint (only owner)
+     * @param tokenId ID of the token to create
+     * @param _maxSupply Maximum supply of the token, 0 for uncapped
+     * @param tokenURI URI for the token, empty to use the base URI (required
+     * once every URI is frozen)
+     */
+    function createToken(
+        uint256 tokenId,
+        uint256 _maxSupply,
+        string memory tokenURI
+    ) external onlyOwner {
+        if (tokenExists[tokenId]) {
+            revert TokenAlreadyExists();
+        }
+        if (allURIsFrozen && bytes(tokenURI).length != 0) {
+            revert URIIsFrozen();
+        }
+
+        tokenExists[tokenId] = true;
+        maxSupply[tokenId] = _maxSupply;
+        URIs[tokenId] = tokenURI;
+
+        emit TokenCreated(tokenId, _maxSupply, tokenURI);
+        emit URISet(tokenId, tokenURI);
+        emit URI(_tokenURI(tokenId), tokenId);
+    }
+
+    /**
+     * @dev Sets whether a token is soulbound (only owner)
+     * @param tokenId ID of the token
+     * @param _soulbound True to block transfers between holders
+     */
+    function setSoulbound(
+        uint256 tokenId,
+        bool _soulbound
+    ) external onlyOwner {
+        if (soulboundFrozen[tokenId]) {
+            revert SoulboundStatusFrozen();
+        }
+
+        soulbound[tokenId] = _soulbound;
+        if (_soulbound) {
+            emit Locked(tokenId);
+        } else {
+            emit Unlocked(tokenId);
+        }
+    }
+
+    /**
+     * @dev Freezes the current soulbound status of a token forever (only owner)
+     * @param tokenId ID of the token
+     */
+    function freezeSoulbound(uint256 tokenId) external onlyOwner {
+        if (soulboundFrozen[tokenId]) {
+            revert SoulboundStatusFrozen();
+        }
+
+        soulboundFrozen[tokenId] = true;
+        emit SoulboundFrozen(tokenId, soulbound[tokenId]);
+    }
+
+    /**
+     * @dev Returns whether a token is soulbound (ERC-5192 style)
+     * @param tokenId ID of the token
+     * @return bool True if holders cannot transfer the token
+     */
+    function locked(uint256 tokenId) external view returns (bool) {
+        return soulbound[tokenId];
+    }
+
+    /**
+     * @dev Royalty management functions, amounts are in basis points
+     */
+
+    /**
+     * @dev Sets the royalty for tokens without an override (only owner)
+     * @param receiver Address receiving royalties
+     * @param feeNumerator Royalty in basis points
+     */
+    function setDefaultRoyalty(
+        address receiver,
+        uint96 feeNumerator
+    ) external onlyOwner {
+        _setDefaultRoyalty(receiver, feeNumerator);
+        emit DefaultRoyaltyUpdated(receiver, feeNumerator);
+    }
+
+    /**
+     * @dev Deletes the default royalty (only owner)
      */
-    function isAdmin(address account) external view returns (bool) {
-        return admins[account];
+    function deleteDefaultRoyalty() external onlyOwner {
+        _deleteDefaultRoyalty();
+        emit DefaultRoyaltyUpdated(address(0), 0);
     }
 
     /**
-     * @dev Mints new tokens (owner or admin)
+     * @dev Sets a royalty override for a token (only owner)
+     * @param tokenId ID of the token
+     * @param receiver Address receiving royalties
+     * @param feeNumerator Royalty in basis points
+     */
+    function setTokenRoyalty(
+        uint256 tokenId,
+        address receiver,
+        uint96 feeNumerator
+    ) external onlyOwner {
+        _setTokenRoyalty(tokenId, receiver, feeNumerator);
+        emit TokenRoyaltyUpdated(tokenId, receiver, feeNumerator);
+    }
+
+    /**
+     * @dev Removes the royalty override of a token (only owner)
+     * @param tokenId ID of the token
+     */
+    function resetTokenRoyalty(uint256 tokenId) external onlyOwner {
+        _resetTokenRoyalty(tokenId);
+        emit TokenRoyaltyUpdated(tokenId, address(0), 0);
+    }
+
+    /**
+     * @dev Advertises ERC-1155, ERC-1155 metadata and ERC-2981 support
+     * @param interfaceId Interface identifier to check
+     * @return bool True if the interface is supported
+     */
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view virtual override(ERC1155, ERC2981) returns (bool) {
+        return
+            ERC1155.supportsInterface(interfaceId) ||
+            ERC2981.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Mints new tokens (minter)
      * @param to Address to mint tokens to
      * @param tokenId ID of the token to mint
      * @param amount Amount of tokens to mint
@@ -96,14 +353,14 @@ contract AirswapNFT is ERC1155, Ownable, IAirswapNFT {
         uint256 tokenId,
         uint256 amount,
         bytes memory data
-    ) external onlyOwnerOrAdmin {
+    ) external onlyRole(MINTER_ROLE) {
         _mint(to, tokenId, amount, data);
         tokenExists[tokenId] = true;
         emit TokenMinted(to, tokenId, amount);
     }
 
     /**
-     * @dev Mints multiple tokens in a batch (owner or admin)
+     * @dev Mints multiple tokens in a batch (minter)
      * @param to Address to mint tokens to
      * @param tokenIds Array of token IDs to mint
      * @param amounts Array of amounts to mint for each token ID
@@ -114,7 +371,7 @@ contract AirswapNFT is ERC1155, Ownable, IAirswapNFT {
         uint256[] memory tokenIds,
         uint256[] memory amounts,
         bytes memory data
-    ) external onlyOwnerOrAdmin {
+    ) external onlyRole(MINTER_ROLE) {
         _batchMint(to, tokenIds, amounts, data);
         for (uint256 i = 0; i < tokenIds.length; i++) {
             tokenExists[tokenIds[i]] = true;
@@ -122,6 +379,34 @@ contract AirswapNFT is ERC1155, Ownable, IAirswapNFT {
         }
     }
 
+    /**
+     * @dev Burns tokens (holder or approved operator)
+     * @param from Address to burn tokens from
+     * @param tokenId ID of the token to burn
+     * @param amount Amount of tokens to burn
+     */
+    function burn(address from, uint256 tokenId, uint256 amount) external {
+        _burn(msg.sender, from, tokenId, amount);
+        emit TokenBurned(from, tokenId, amount);
+    }
+
+    /**
+     * @dev Burns multiple tokens in a batch (holder or approved operator)
+     * @param from Address to burn tokens from
+     * @param tokenIds Array of token IDs to burn
+     * @param amounts Array of amounts to burn for each token ID
+     */
+    function burnBatch(
+        address from,
+        uint256[] memory tokenIds,
+        uint256[] memory amounts
+    ) external {
+        _batchBurn(msg.sender, from, tokenIds, amounts);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            emit TokenBurned(from, tokenIds[i], amounts[i]);
+        }
+    }
+
     /**
      * @dev Returns the URI for a given token ID
      * @param tokenId ID of the token
@@ -133,20 +418,127 @@ contract AirswapNFT is ERC1155, Ownable, IAirswapNFT {
         if (!tokenExists[tokenId]) {
             revert TokenDoesNotExist();
         }
-        return string.concat(URIs[tokenId], tokenId.toString(), ".json");
+        return _tokenURI(tokenId);
     }
 
     /**
-     * @dev Updates the URI for a specific token ID (owner or admin)
+     * @dev Resolves the URI of a token from its override or the base URI
+     */
+    function _tokenURI(uint256 tokenId) internal view returns (string memory) {
+        if (uriFrozen[tokenId]) {
+            return _permanentURIs[tokenId];
+        }
+        string memory prefix = bytes(URIs[tokenId]).length != 0
+            ? URIs[tokenId]
+            : baseURI;
+        if (idSubstitution) {
+            return prefix;
+        }
+        return string.concat(prefix, tokenId.toString(), ".json");
+    }
+
+    /**
+     * @dev Updates the URI override for a specific token ID (URI manager)
      * @param tokenId ID of the token to update
-     * @param newURI New URI for the token
+     * @param newURI New URI for the token, empty to use the base URI
      */
     function setURI(
         uint256 tokenId,
         string memory newURI
-    ) external onlyOwnerOrAdmin {
+    ) external onlyRole(URI_MANAGER_ROLE) {
+        if (isFrozen(tokenId)) {
+            revert URIIsFrozen();
+        }
+
         URIs[tokenId] = newURI;
         emit URISet(tokenId, newURI);
+        emit URI(_tokenURI(tokenId), tokenId);
+    }
+
+    /**
+     * @dev Updates the URI of tokens without an override (URI manager)
+     * @param newBaseURI New base URI for the collection
+     */
+    function setBaseURI(
+        string memory newBaseURI
+    ) external onlyRole(URI_MANAGER_ROLE) {
+        if (allURIsFrozen) {
+            revert URIIsFrozen();
+        }
+
+        baseURI = newBaseURI;
+        emit BaseURISet(newBaseURI);
+        emit BatchMetadataUpdate(0, type(uint256).max);
+    }
+
+    /**
+     * @dev Switches between `{id}` templates and appended decimal IDs (URI manager)
+     * @param enabled True to return URIs as ERC-1155 `{id}` templates
+     */
+    function setIdSubstitution(
+        bool enabled
+    ) external onlyRole(URI_MANAGER_ROLE) {
+        if (allURIsFrozen) {
+            revert URIIsFrozen();
+        }
+
+        idSubstitution = enabled;
+        emit IdSubstitutionSet(enabled);
+        emit BatchMetadataUpdate(0, type(uint256).max);
+    }
+
+    /**
+     * @dev Updates the collection-level metadata URI (URI manager)
+     * @param newContractURI New URI of the collection metadata
+     * @notice Not covered by `freezeAll`, which only freezes token URIs, so the
+     * collection description and links can still be maintained
+     */
+    function setContractURI(
+        string memory newContractURI
+    ) external onlyRole(URI_MANAGER_ROLE) {
+        contractURI = newContractURI;
+        emit ContractURIUpdated();
+    }
+
+    /**
+     * @dev Freezes the current URI of a token forever (only owner)
+     * @param tokenId ID of the token
+     */
+    function freezeURI(uint256 tokenId) external onlyOwner {
+        if (!tokenExists[tokenId]) {
+            revert TokenDoesNotExist();
+        }
+        if (isFrozen(tokenId)) {
+            revert URIIsFrozen();
+        }
+
+        string memory permanentURI = _tokenURI(tokenId);
+        _permanentURIs[tokenId] = permanentURI;
+        uriFrozen[tokenId] = true;
+        emit PermanentURI(permanentURI, tokenId);
+    }
+
+    /**
+     * @dev Freezes the URIs of every token, present and future, forever (only owner)
+     * @notice Tokens created afterwards resolve through the frozen base URI;
+     * the collection-level `contractURI` stays editable
+     */
+    function freezeAll() external onlyOwner {
+        if (allURIsFrozen) {
+            revert URIIsFrozen();
+        }
+
+        allURIsFrozen = true;
+        emit AllURIsFrozen();
+    }
+
+    /**
+     * @dev Returns whether the URI of a token can no longer change
+     * @param tokenId ID of the token
+     * @return True if the token or the whole collection is frozen
+     */
+    function isFrozen(uint256 tokenId) public view returns (bool) {
+        return allURIsFrozen || uriFrozen[tokenId];
     }
 
     /**
@@ -157,4 +549,65 @@ contract AirswapNFT is ERC1155, Ownable, IAirswapNFT {
     function getTokenURI(uint256 tokenId) public view returns (string memory) {
         return URIs[tokenId];
     }
+
+    /**
+     * @dev Enables the transfer hook used to track supply
+     */
+    function _useBeforeTokenTransfer() internal pure override returns (bool) {
+        return true;
+    }
+
+    /**
+     * @dev Enforces the pause switches, tracks per-token supply on mints and
+     * burns, enforces max supply and blocks transfers of soulbound tokens
+     * between holders
+     */
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory amounts,
+        bytes memory
+    ) internal override {
+        if (ids.length != amounts.length) {
+            revert ArrayLengthsMismatch();
+        }
+
+        if (from == address(0)) {
+            if (mintingPaused) {
+                revert MintingIsPaused();
+            }
+        } else if (transfersPaused) {
+            revert TransfersArePaused();
+        }
+
+        if (from == address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                uint256 supply = totalSupply[ids[i]] + amounts[i];
+                uint256 cap = maxSupply[ids[i]];
+                if (cap != 0 && supply > cap) {
+                    revert MaxSupplyExceeded();
+                }
+                totalSupply[ids[i]] = supply;
+            }
+        }
+
+        if (to == address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                // A burn larger than the supply is larger than the holder's
+                // balance, and ERC1155 reverts it after this hook
+                unchecked {
+                    totalSupply[ids[i]] -= amounts[i];
+                }
+            }
+        }
+
+        if (from != address(0) && to != address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                if (soulbound[ids[i]]) {
+                    revert TokenSoulbound();
+                }
+            }
+        }
+    }
 }
@@ -0,0 +1,298 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "./interfaces/IAirswapNFT.sol";
+import "solady/src/auth/Ownable.sol";
+
+/**
+ * @title AirswapRedeemer
+ * @dev Contract that lets holders burn AirswapNFT tokens to receive other tokens
+ * @notice Holders approve this contract with `setApprovalForAll` on the NFT, and
+ * the NFT must grant this contract MINTER_ROLE so it can mint the outputs
+ */
+contract AirswapRedeemer is Ownable {
+    // ============ STRUCTS ============
+
+    /**
+     * @dev A burn-to-redeem recipe
+     * @param inputIds The token IDs burned on each redemption
+     * @param inputAmounts The amount burned for each input token ID
+     * @param outputId The token ID minted on each redemption
+     * @param outputAmount The amount minted on each redemption
+     * @param active Whether the owner has the recipe switched on
+     */
+    struct Recipe {
+        uint256[] inputIds;
+        uint256[] inputAmounts;
+        uint256 outputId;
+        uint256 outputAmount;
+        bool active;
+    }
+
+    // ============ EVENTS ============
+
+    /**
+     * @dev Emitted when a recipe is created
+     * @param recipeId The ID of the new recipe
+     * @param inputIds The token IDs burned on each redemption
+     * @param inputAmounts The amount burned for each input token ID
+     * @param outputId The token ID minted on each redemption
+     * @param outputAmount The amount minted on each redemption
+     */
+    event RecipeCreated(
+        uint256 indexed recipeId,
+        uint256[] inputIds,
+        uint256[] inputAmounts,
+        uint256 outputId,
+        uint256 outputAmount
+    );
+
+    /**
+     * @dev Emitted when a recipe is switched on or off
+     * @param recipeId The ID of the recipe
+     * @param active The new status of the recipe
+     */
+    event RecipeStatusUpdated(uint256 indexed recipeId, bool active);
+
+    /**
+     * @dev Emitted when a holder redeems a recipe
+     * @param user The address of the holder who redeemed
+     * @param recipeId The ID of the recipe
+     * @param outputId The token ID that was minted
+     * @param outputAmount The amount that was minted
+     */
+    event Redeemed(
+        address indexed user,
+        uint256 indexed recipeId,
+        uint256 outputId,
+        uint256 outputAmount
+    );
+
+    // ============ ERRORS ============
+
+    /**
+     * @dev Error thrown when trying to set an invalid contract address
+     */
+    error InvalidTokenAddress();
+
+    /**
+     * @dev Error thrown when a recipe has no inputs, mismatched arrays or zero amounts
+     */
+    error InvalidRecipe();
+
+    /**
+     * @dev Error thrown when referencing a recipe that does not exist
+     */
+    error RecipeDoesNotExist();
+
+    /**
+     * @dev Error thrown when redeeming a recipe that is switched off
+     */
+    error RecipeNotActive();
+
+    // ============ STATE VARIABLES ============
+
+    /// @dev The AirswapNFT contract
+    IAirswapNFT public immutable nftContract;
+
+    /// @dev Redemption recipes by ID
+    mapping(uint256 => Recipe) internal recipes;
+
+    /// @dev Number of recipes created, also the next recipe ID
+    uint256 public recipeCount;
+
+    /// @dev Number of redemptions per recipe
+    mapping(uint256 => uint256) public redemptions;
+
+    // ============ CONSTRUCTOR ============
+
+    /**
+     * @dev Constructor
+     * @param _nftContract The AirswapNFT contract address
+     */
+    constructor(address _nftContract) {
+        if (_nftContract == address(0)) {
+            revert InvalidTokenAddress();
+        }
+
+        nftContract = IAirswapNFT(_nftContract);
+        _initializeOwner(msg.sender);
+    }
+
+    // ============ REDEMPTION FUNCTIONS ============
+
+    /**
+     * @dev Burns the recipe inputs from the sender and mints the output to them
+     * @param recipeId The ID of the recipe to redeem
+     * @notice The sender must have approved this contract on the NFT
+     */
+    function redeem(uint256 recipeId) external {
+        if (recipeId >= recipeCount) {
+            revert RecipeDoesNotExist();
+        }
+        Recipe storage recipe = recipes[recipeId];
+
+        if (!recipe.active) {
+            revert RecipeNotActive();
+        }
+
+        redemptions[recipeId]++;
+
+        // Burn the inputs, then mint the output to the holder
+        nftContract.burnBatch(msg.sender, recipe.inputIds, recipe.inputAmounts);
+        nftContract.mint(msg.sender, recipe.outputId, recipe.outputAmount, "");
+
+        emit Redeemed(
+            msg.sender,
+            recipeId,
+            recipe.outputId,
+            recipe.outputAmount
+        );
+    }
+
+    // ============ ADMIN FUNCTIONS ============
+
+    /**
+     * @dev Creates a new recipe, active immediately
+     * @param inputIds The token IDs burned on each redemption
+     * @param inputAmounts The amount burned for each input token ID
+     * @param outputId The token ID minted on each redemption
+     * @param outputAmount The amount minted on each redemption
+     * @return recipeId The ID of the new recipe
+     * @notice Only owner can call this function
+     */
+    function createRecipe(
+        uint256[] calldata inputIds,
+        uint256[] calldata inputAmounts,
+        uint256 outputId,
+        uint256 outputAmount
+    ) external onlyOwner returns (uint256 recipeId) {
+        if (
+            inputIds.length == 0 ||
+            inputIds.length != inputAmounts.length ||
+            outputAmount == 0
+        ) {
+            revert InvalidRecipe();
+        }
+        for (uint256 i = 0; i < inputAmounts.length; i++) {
+            if (inputAmounts[i] == 0) {
+                revert InvalidRecipe();
+            }
+        }
+
+        recipeId = recipeCount++;
+        recipes[recipeId] = Recipe({
+            inputIds: inputIds,
+            inputAmounts: inputAmounts,
+            outputId: outputId,
+            outputAmount: outputAmount,
+            active: true
+        });
+
+        emit RecipeCreated(
+            recipeId,
+            inputIds,
+            inputAmounts,
+            outputId,
+            outputAmount
+        );
+    }
+
+    /**
+     * @dev Switches a recipe on or off
+     * @param recipeId The ID of the recipe
+     * @param active The new status of the recipe
+     * @notice Only owner can call this function
+     */
+    function setRecipeActive(
+        uint256 recipeId,
+        bool active
+    ) external onlyOwner {
+        if (recipeId >= recipeCount) {
+            revert RecipeDoesNotExist();
+        }
+
+        recipes[recipeId].active = active;
+
+        emit RecipeStatusUpdated(recipeId, active);
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    /**
+     * @dev Gets a recipe
+     * @param recipeId The ID of the recipe
+     * @return The recipe
+     */
+    function getRecipe(uint256 recipeId) external view returns (Recipe memory) {
+        if (recipeId >= recipeCount) {
+            revert RecipeDoesNotExist();
+        }
+        return recipes[recipeId];
+    }
+
+    /**
+     * @dev Checks if a user can redeem a recipe right now
+     * @notice Requires the inputs, an approval of this contract and enough output supply
+     * @param recipeId The ID of the recipe
+     * @param user The address to check
+     * @return True if `redeem(recipeId)` would succeed for the user
+     */
+    function canRedeem(
+        uint256 recipeId,
+        address user
+    ) external view returns (bool) {
+        if (recipeId >= recipeCount) {
+            return false;
+        }
+        Recipe storage recipe = recipes[recipeId];
+
+        if (
+            !recipe.active ||
+            !IERC1155(address(nftContract)).isApprovedForAll(
+                user,
+                address(this)
+            )
+        ) {
+            return false;
+        }
+
+        // Check the output fits under its max supply
+        uint256 cap = nftContract.maxSupply(recipe.outputId);
+        if (
+            cap != 0 &&
+            nftContract.totalSupply(recipe.outputId) + recipe.outputAmount > cap
+        ) {
+            return false;
+        }
+
+        for (uint256 i = 0; i < recipe.inputIds.length; i++) {
+            if (
+                IERC1155(address(nftContract)).balanceOf(
+                    user,
+                    recipe.inputIds[i]
+                ) < recipe.inputAmounts[i]
+            ) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+}
+
+// ============ INTERFACES ============
+
+/**
+ * @dev Minimal ERC-1155 interface for balance and approval checks
+ */
+interface IERC1155 {
+    function balanceOf(
+        address owner,
+        uint256 id
+    ) external view returns (uint256);
+    function isApprovedForAll(
+        address owner,
+        address operator
+    ) external view returns (bool);
+}
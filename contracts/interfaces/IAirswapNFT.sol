@@ -3,7 +3,7 @@ pragma solidity ^0.8.28;
 
 /**
  * @title IAirswapNFT
- * @dev Interface for the AirswapNFT ERC-1155 contract with admin functionality
+ * @dev Interface for the AirswapNFT ERC-1155 contract with role-based permissions
  * @notice This interface defines the custom functions, events, and errors for the AirswapNFT contract
  */
 interface IAirswapNFT {
@@ -22,51 +22,235 @@ interface IAirswapNFT {
     );
 
     /**
-     * @dev Emitted when a token URI is set or updated
+     * @dev Emitted when tokens are burned
+     * @param from The address whose tokens were burned
+     * @param tokenId The ID of the token being burned
+     * @param amount The amount of tokens burned
+     */
+    event TokenBurned(
+        address indexed from,
+        uint256 indexed tokenId,
+        uint256 amount
+    );
+
+    /**
+     * @dev Emitted when a token is created ahead of its first mint
+     * @param tokenId The ID of the token
+     * @param maxSupply The maximum supply of the token (0 for uncapped)
+     * @param uri The URI set for the token
+     */
+    event TokenCreated(uint256 indexed tokenId, uint256 maxSupply, string uri);
+
+    /**
+     * @dev Emitted when a token URI override is set or updated, alongside the
+     * ERC-1155 `URI` event carrying the resolved URI
      * @param tokenId The ID of the token
-     * @param newURI The new URI for the token
+     * @param newURI The new URI override for the token
      */
     event URISet(uint256 indexed tokenId, string newURI);
 
     /**
-     * @dev Emitted when an admin is added
-     * @param admin The address of the new admin
+     * @dev Emitted when the collection base URI is updated
+     * @param newBaseURI The new base URI
+     */
+    event BaseURISet(string newBaseURI);
+
+    /**
+     * @dev Emitted when `{id}` substitution mode is switched on or off
+     * @param enabled True if URIs are returned as `{id}` templates
+     */
+    event IdSubstitutionSet(bool enabled);
+
+    /**
+     * @dev Emitted when the collection-level metadata URI is updated (ERC-7572)
+     */
+    event ContractURIUpdated();
+
+    /**
+     * @dev Emitted when the metadata of a range of tokens changes (EIP-4906)
+     * @param fromTokenId The first token ID of the range
+     * @param toTokenId The last token ID of the range
+     */
+    event BatchMetadataUpdate(uint256 fromTokenId, uint256 toTokenId);
+
+    /**
+     * @dev Emitted when the URI of a token is frozen forever
+     * @param _value The permanent URI of the token
+     * @param _id The ID of the token
+     */
+    event PermanentURI(string _value, uint256 indexed _id);
+
+    /**
+     * @dev Emitted when the URIs of every token are frozen forever
+     */
+    event AllURIsFrozen();
+
+    /**
+     * @dev Emitted when a token becomes soulbound (ERC-5192 style)
+     * @param tokenId The ID of the token
+     */
+    event Locked(uint256 indexed tokenId);
+
+    /**
+     * @dev Emitted when a token becomes transferable again (ERC-5192 style)
+     * @param tokenId The ID of the token
+     */
+    event Unlocked(uint256 indexed tokenId);
+
+    /**
+     * @dev Emitted when the soulbound status of a token is frozen forever
+     * @param tokenId The ID of the token
+     * @param soulbound The frozen soulbound status
      */
-    event AdminAdded(address indexed admin);
+    event SoulboundFrozen(uint256 indexed tokenId, bool soulbound);
+
+    /**
+     * @dev Emitted when the collection default royalty is set or deleted
+     * @param receiver The address receiving royalties (zero when deleted)
+     * @param feeNumerator The royalty in basis points
+     */
+    event DefaultRoyaltyUpdated(address indexed receiver, uint96 feeNumerator);
+
+    /**
+     * @dev Emitted when a token royalty override is set or reset
+     * @param tokenId The ID of the token
+     * @param receiver The address receiving royalties (zero when reset)
+     * @param feeNumerator The royalty in basis points
+     */
+    event TokenRoyaltyUpdated(
+        uint256 indexed tokenId,
+        address indexed receiver,
+        uint96 feeNumerator
+    );
+
+    /**
+     * @dev Emitted when the owner grants a role
+     * @param role The role granted
+     * @param account The address receiving the role
+     * @param sender The owner who granted the role
+     */
+    event RoleGranted(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+
+    /**
+     * @dev Emitted when the owner revokes a role
+     * @param role The role revoked
+     * @param account The address losing the role
+     * @param sender The owner who revoked the role
+     */
+    event RoleRevoked(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
 
     /**
-     * @dev Emitted when an admin is removed
-     * @param admin The address of the removed admin
+     * @dev Emitted when an account gives up one of its roles
+     * @param role The role renounced
+     * @param account The address that renounced the role
      */
-    event AdminRemoved(address indexed admin);
+    event RoleRenounced(bytes32 indexed role, address indexed account);
+
+    /**
+     * @dev Emitted when minting is paused
+     * @param account The address that paused minting
+     */
+    event MintingPaused(address indexed account);
+
+    /**
+     * @dev Emitted when minting is unpaused
+     * @param account The address that unpaused minting
+     */
+    event MintingUnpaused(address indexed account);
+
+    /**
+     * @dev Emitted when transfers and burns are paused
+     * @param account The address that paused transfers
+     */
+    event TransfersPaused(address indexed account);
+
+    /**
+     * @dev Emitted when transfers and burns are unpaused
+     * @param account The address that unpaused transfers
+     */
+    event TransfersUnpaused(address indexed account);
 
     // ============ CUSTOM ERRORS ============
 
     /**
-     * @dev Error thrown when trying to add an invalid admin address
+     * @dev Error thrown when an account lacks the role required for a call,
+     * or when revoking or renouncing a role the account does not hold
+     * @param role The missing role
+     * @param account The address without the role
      */
-    error InvalidAdminAddress();
+    error MissingRole(bytes32 role, address account);
 
     /**
-     * @dev Error thrown when trying to add an address that is already an admin
+     * @dev Error thrown when trying to grant a role to the zero address
      */
-    error AlreadyAdmin();
+    error InvalidRoleAccount();
 
     /**
-     * @dev Error thrown when trying to add the owner as an admin (owner is already admin)
+     * @dev Error thrown when trying to grant a role the account already holds
+     * @param role The role already held
+     * @param account The address holding the role
      */
-    error OwnerAlreadyAdmin();
+    error RoleAlreadyGranted(bytes32 role, address account);
 
     /**
-     * @dev Error thrown when trying to remove an address that is not an admin
+     * @dev Error thrown when trying to grant a role to the owner (owner holds every role)
+     * @param role The role that was granted
      */
-    error NotAdmin();
+    error OwnerAlreadyHasRole(bytes32 role);
 
     /**
      * @dev Error thrown when trying to access a token that does not exist
      */
     error TokenDoesNotExist();
 
+    /**
+     * @dev Error thrown when trying to create a token that already exists
+     */
+    error TokenAlreadyExists();
+
+    /**
+     * @dev Error thrown when a mint would take a token past its max supply
+     */
+    error MaxSupplyExceeded();
+
+    /**
+     * @dev Error thrown when trying to transfer a soulbound token
+     */
+    error TokenSoulbound();
+
+    /**
+     * @dev Error thrown when trying to change a frozen soulbound status
+     */
+    error SoulboundStatusFrozen();
+
+    /**
+     * @dev Error thrown when trying to change a frozen token URI
+     */
+    error URIIsFrozen();
+
+    /**
+     * @dev Error thrown when trying to mint while minting is paused
+     */
+    error MintingIsPaused();
+
+    /**
+     * @dev Error thrown when trying to transfer or burn while transfers are paused
+     */
+    error TransfersArePaused();
+
+    /**
+     * @dev Error thrown when pausing or unpausing a switch already in that state
+     */
+    error PauseStatusUnchanged();
+
     // ============ CUSTOM VIEW FUNCTIONS ============
 
     /**
@@ -82,24 +266,61 @@ interface IAirswapNFT {
     function symbol() external view returns (string memory);
 
     /**
-     * @dev Returns the total number of admins
-     * @return The number of admins
+     * @dev Returns the role allowed to mint, held by the minting contracts
+     * @return The role identifier, keccak256("MINTER_ROLE")
      */
-    function adminCount() external view returns (uint256);
+    function MINTER_ROLE() external view returns (bytes32);
 
     /**
-     * @dev Checks if an address is an admin
-     * @param account The address to check
-     * @return True if the address is an admin, false otherwise
+     * @dev Returns the role allowed to create tokens and set URIs
+     * @return The role identifier, keccak256("URI_MANAGER_ROLE")
+     */
+    function URI_MANAGER_ROLE() external view returns (bytes32);
+
+    /**
+     * @dev Returns the role allowed to pause minting and transfers
+     * @return The role identifier, keccak256("PAUSER_ROLE")
      */
-    function isAdmin(address account) external view returns (bool);
+    function PAUSER_ROLE() external view returns (bytes32);
 
     /**
-     * @dev Returns the admin status of an address
+     * @dev Checks if an address holds a role
+     * @param role The role to check
      * @param account The address to check
-     * @return True if the address is an admin, false otherwise
+     * @return True if the address was granted the role or is the owner
      */
-    function admins(address account) external view returns (bool);
+    function hasRole(
+        bytes32 role,
+        address account
+    ) external view returns (bool);
+
+    /**
+     * @dev Returns the number of addresses granted a role
+     * @param role The role to count
+     * @return The number of members, excluding the owner
+     */
+    function getRoleMemberCount(bytes32 role) external view returns (uint256);
+
+    /**
+     * @dev Returns an address granted a role by index
+     * @param role The role to enumerate
+     * @param index The index of the member, below `getRoleMemberCount(role)`
+     * @return The member at the index
+     * @notice The order of members may change when a role is revoked or renounced
+     */
+    function getRoleMember(
+        bytes32 role,
+        uint256 index
+    ) external view returns (address);
+
+    /**
+     * @dev Returns every address granted a role
+     * @param role The role to enumerate
+     * @return The members of the role, excluding the owner
+     */
+    function getRoleMembers(
+        bytes32 role
+    ) external view returns (address[] memory);
 
     /**
      * @dev Checks if a token ID exists
@@ -109,41 +330,207 @@ interface IAirswapNFT {
     function tokenExists(uint256 tokenId) external view returns (bool);
 
     /**
-     * @dev Returns the URI for a specific token ID
+     * @dev Returns the amount of a token currently in circulation
+     * @param tokenId The token ID to check
+     * @return The minted amount minus the burned amount
+     */
+    function totalSupply(uint256 tokenId) external view returns (uint256);
+
+    /**
+     * @dev Returns the maximum supply of a token
+     * @param tokenId The token ID to check
+     * @return The maximum supply, or 0 if the token is uncapped
+     */
+    function maxSupply(uint256 tokenId) external view returns (uint256);
+
+    /**
+     * @dev Returns whether a token is soulbound (ERC-5192 style)
+     * @param tokenId The token ID to check
+     * @return True if holders cannot transfer the token
+     */
+    function locked(uint256 tokenId) external view returns (bool);
+
+    /**
+     * @dev Returns whether minting is paused
+     * @return True if `mint` and `mintBatch` revert
+     */
+    function mintingPaused() external view returns (bool);
+
+    /**
+     * @dev Returns whether transfers are paused
+     * @return True if transfers and burns revert
+     */
+    function transfersPaused() external view returns (bool);
+
+    /**
+     * @dev Returns the URI override for a specific token ID
      * @param tokenId The ID of the token
-     * @return The URI string for the token
+     * @return The URI override for the token, empty if it uses the base URI
      */
     function getTokenURI(uint256 tokenId) external view returns (string memory);
 
-    // ============ ADMIN MANAGEMENT FUNCTIONS ============
+    /**
+     * @dev Returns the URI of tokens without an override
+     * @return The collection base URI
+     */
+    function baseURI() external view returns (string memory);
+
+    /**
+     * @dev Returns whether URIs are returned as ERC-1155 `{id}` templates
+     * @return True in `{id}` mode, false if the decimal ID and ".json" are appended
+     */
+    function idSubstitution() external view returns (bool);
+
+    /**
+     * @dev Returns the collection-level metadata URI (ERC-7572)
+     * @return The URI of the collection metadata
+     */
+    function contractURI() external view returns (string memory);
+
+    /**
+     * @dev Returns whether the URI of a token was frozen on its own
+     * @param tokenId The ID of the token
+     * @return True if freezeURI was called for the token
+     */
+    function uriFrozen(uint256 tokenId) external view returns (bool);
+
+    /**
+     * @dev Returns whether the URIs of every token are frozen
+     * @return True once freezeAll was called
+     */
+    function allURIsFrozen() external view returns (bool);
+
+    /**
+     * @dev Returns whether the URI of a token can no longer change
+     * @param tokenId The ID of the token
+     * @return True if the token or the whole collection is frozen
+     */
+    function isFrozen(uint256 tokenId) external view returns (bool);
+
+    // ============ ROLE MANAGEMENT FUNCTIONS ============
+
+    /**
+     * @dev Grants a role (only owner can call)
+     * @param role The role to grant
+     * @param account The address receiving the role
+     * @notice Cannot grant to the zero address, existing members or the owner
+     */
+    function grantRole(bytes32 role, address account) external;
+
+    /**
+     * @dev Revokes a role (only owner can call)
+     * @param role The role to revoke
+     * @param account The address losing the role
+     * @notice Reverts with MissingRole if the address does not hold the role
+     */
+    function revokeRole(bytes32 role, address account) external;
+
+    /**
+     * @dev Gives up a role held by the caller
+     * @param role The role to renounce
+     * @notice Reverts with MissingRole if the caller does not hold the role
+     */
+    function renounceRole(bytes32 role) external;
+
+    // ============ PAUSE FUNCTIONS ============
+
+    /**
+     * @dev Pauses minting (pauser can call)
+     * @notice Stops every mint, including those of the minting contracts
+     */
+    function pauseMinting() external;
+
+    /**
+     * @dev Unpauses minting (pauser can call)
+     */
+    function unpauseMinting() external;
+
+    /**
+     * @dev Pauses transfers and burns (pauser can call)
+     * @notice Holders and approved operators cannot move or burn tokens
+     */
+    function pauseTransfers() external;
+
+    /**
+     * @dev Unpauses transfers and burns (pauser can call)
+     */
+    function unpauseTransfers() external;
+
+    // ============ TOKEN MANAGEMENT FUNCTIONS ============
+
+    /**
+     * @dev Creates a token before its first mint (only owner can call)
+     * @param tokenId The ID of the token to create
+     * @param maxSupply The maximum supply of the token (0 for uncapped)
+     * @param tokenURI The URI for the token, empty to use the base URI
+     * @notice Only the owner can create tokens, since supply caps are permanent
+     * @notice Reverts with `URIIsFrozen` when given a URI once every URI is frozen
+     * @notice Tokens minted without being created first are uncapped
+     */
+    function createToken(
+        uint256 tokenId,
+        uint256 maxSupply,
+        string memory tokenURI
+    ) external;
 
     /**
-     * @dev Adds an admin (only owner can call)
-     * @param admin The address to add as admin
-     * @notice Only the contract owner can add admins
-     * @notice Cannot add zero address or existing admins
-     * @notice Cannot add the owner as admin (owner is already admin)
+     * @dev Sets whether a token is soulbound (only owner can call)
+     * @param tokenId The ID of the token
+     * @param soulbound True to block transfers between holders
+     * @notice Minting and burning are not affected
+     * @notice Reverts once the status has been frozen
      */
-    function addAdmin(address admin) external;
+    function setSoulbound(uint256 tokenId, bool soulbound) external;
 
     /**
-     * @dev Removes an admin (only owner can call)
-     * @param admin The address to remove as admin
-     * @notice Only the contract owner can remove admins
-     * @notice Cannot remove non-admin addresses
+     * @dev Freezes the current soulbound status of a token forever (only owner can call)
+     * @param tokenId The ID of the token
      */
-    function removeAdmin(address admin) external;
+    function freezeSoulbound(uint256 tokenId) external;
+
+    // ============ ROYALTY FUNCTIONS ============
+
+    /**
+     * @dev Sets the royalty applied to every token without an override (only owner can call)
+     * @param receiver The address receiving royalties
+     * @param feeNumerator The royalty in basis points (10000 = 100%)
+     */
+    function setDefaultRoyalty(address receiver, uint96 feeNumerator) external;
+
+    /**
+     * @dev Deletes the collection default royalty (only owner can call)
+     */
+    function deleteDefaultRoyalty() external;
+
+    /**
+     * @dev Sets a royalty override for a token (only owner can call)
+     * @param tokenId The ID of the token
+     * @param receiver The address receiving royalties
+     * @param feeNumerator The royalty in basis points (10000 = 100%)
+     */
+    function setTokenRoyalty(
+        uint256 tokenId,
+        address receiver,
+        uint96 feeNumerator
+    ) external;
+
+    /**
+     * @dev Removes the royalty override of a token so the default applies (only owner can call)
+     * @param tokenId The ID of the token
+     */
+    function resetTokenRoyalty(uint256 tokenId) external;
 
     // ============ MINTING FUNCTIONS ============
 
     /**
-     * @dev Mints new tokens (owner or admin can call)
+     * @dev Mints new tokens (minter can call)
      * @param to The address to mint tokens to
      * @param tokenId The ID of the token to mint
      * @param amount The amount of tokens to mint
      * @param data Additional data to pass to the receiver
-     * @notice Only the owner or admins can mint tokens
+     * @notice Only the owner or minters can mint tokens
      * @notice Creates token existence record if token doesn't exist
+     * @notice Reverts if the mint would exceed the token's max supply
      */
     function mint(
         address to,
@@ -153,12 +540,12 @@ interface IAirswapNFT {
     ) external;
 
     /**
-     * @dev Mints multiple tokens in a batch (owner or admin can call)
+     * @dev Mints multiple tokens in a batch (minter can call)
      * @param to The address to mint tokens to
      * @param tokenIds Array of token IDs to mint
      * @param amounts Array of amounts to mint for each token ID
      * @param data Additional data to pass to the receiver
-     * @notice Only the owner or admins can mint tokens
+     * @notice Only the owner or minters can mint tokens
      * @notice Creates token existence records for all tokens
      * @notice Arrays must have the same length
      */
@@ -169,14 +556,71 @@ interface IAirswapNFT {
         bytes memory data
     ) external;
 
+    // ============ BURNING FUNCTIONS ============
+
+    /**
+     * @dev Burns tokens (holder or approved operator can call)
+     * @param from The address to burn tokens from
+     * @param tokenId The ID of the token to burn
+     * @param amount The amount of tokens to burn
+     * @notice Soulbound tokens can be burned
+     */
+    function burn(address from, uint256 tokenId, uint256 amount) external;
+
+    /**
+     * @dev Burns multiple tokens in a batch (holder or approved operator can call)
+     * @param from The address to burn tokens from
+     * @param tokenIds Array of token IDs to burn
+     * @param amounts Array of amounts to burn for each token ID
+     * @notice Arrays must have the same length
+     */
+    function burnBatch(
+        address from,
+        uint256[] memory tokenIds,
+        uint256[] memory amounts
+    ) external;
+
     // ============ URI MANAGEMENT FUNCTIONS ============
 
     /**
-     * @dev Updates the URI for a specific token ID (owner or admin can call)
+     * @dev Updates the URI override for a specific token ID (URI manager can call)
      * @param tokenId The ID of the token to update
-     * @param newURI The new URI for the token
-     * @notice Only the owner or admins can set URIs
+     * @param newURI The new URI for the token, empty to use the base URI
+     * @notice Only the owner or URI managers can set URIs
      * @notice URI should be set before or after minting the token
      */
     function setURI(uint256 tokenId, string memory newURI) external;
+
+    /**
+     * @dev Updates the URI of tokens without an override (URI manager can call)
+     * @param newBaseURI The new base URI
+     */
+    function setBaseURI(string memory newBaseURI) external;
+
+    /**
+     * @dev Switches `{id}` substitution mode (URI manager can call)
+     * @param enabled True to return URIs as ERC-1155 `{id}` templates, which
+     * clients fill in with the token ID as 64 lowercase hex characters
+     */
+    function setIdSubstitution(bool enabled) external;
+
+    /**
+     * @dev Updates the collection-level metadata URI (URI manager can call)
+     * @param newContractURI The new URI of the collection metadata
+     */
+    function setContractURI(string memory newContractURI) external;
+
+    /**
+     * @dev Freezes the current URI of a token forever (only owner can call)
+     * @param tokenId The ID of the token, which must exist
+     * @notice Later base URI and mode changes no longer affect the token
+     */
+    function freezeURI(uint256 tokenId) external;
+
+    /**
+     * @dev Freezes the URIs of every token forever (only owner can call)
+     * @notice setURI, setBaseURI and setIdSubstitution revert afterwards,
+     * while the contract URI can still change
+     */
+    function freezeAll() external;
 }
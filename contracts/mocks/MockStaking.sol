@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+/**
+ * @title MockStaking
+ * @dev Mock of the AirSwap Staking contract (sAST) for testing purposes.
+ * Stakes unlock linearly over their duration, from their timestamp to their
+ * maturity. No tokens are moved.
+ */
+contract MockStaking {
+    struct Stake {
+        uint256 duration;
+        uint256 balance;
+        uint256 timestamp;
+        uint256 maturity;
+    }
+
+    mapping(address => Stake) internal _stakes;
+
+    /**
+     * @dev Adds to the caller's stake and restarts its unlock schedule
+     */
+    function stake(uint256 amount, uint256 duration) external {
+        Stake storage s = _stakes[msg.sender];
+        s.duration = duration;
+        s.balance += amount;
+        s.timestamp = block.timestamp;
+        s.maturity = block.timestamp + duration;
+    }
+
+    function getStakes(address account) external view returns (Stake memory) {
+        return _stakes[account];
+    }
+
+    function balanceOf(address account) external view returns (uint256) {
+        return _stakes[account].balance;
+    }
+
+    function decimals() external pure returns (uint8) {
+        return 4;
+    }
+}
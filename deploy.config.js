@@ -0,0 +1,53 @@
+// Per-network deployment parameters consumed by scripts/deploy.js.
+//
+// `sastToken: null` is only allowed on local networks: the deploy script then
+// deploys a MockERC20 to stand in for sAST. Live networks read the sAST
+// address from the environment so it never has to be committed.
+//
+// `roles` lists extra AirswapNFT role holders by role name (MINTER,
+// URI_MANAGER, PAUSER); the minter and redeemer always get MINTER.
+//
+// `baseURI` is the metadata URI of tokens without their own override and
+// `contractURI` points to the collection-level metadata (ERC-7572).
+
+const local = {
+  name: "Airswap NFT Collection",
+  symbol: "ANFT",
+  sastToken: null,
+  // 1010 sAST (4 decimals)
+  requiredBalance: "10100000",
+  mintableTokenId: 0,
+  mintQuantity: 1,
+  roles: { MINTER: [], URI_MANAGER: [], PAUSER: [] },
+  baseURI: "",
+  contractURI: "",
+};
+
+module.exports = {
+  hardhat: local,
+  localhost: local,
+
+  sepolia: {
+    name: "Airswap NFT Collection",
+    symbol: "ANFT",
+    sastToken: process.env.SEPOLIA_SAST_TOKEN,
+    requiredBalance: "10100000",
+    mintableTokenId: 0,
+    mintQuantity: 1,
+    roles: { MINTER: [], URI_MANAGER: [], PAUSER: [] },
+    baseURI: "",
+    contractURI: "",
+  },
+
+  mainnet: {
+    name: "Airswap NFT Collection",
+    symbol: "ANFT",
+    sastToken: process.env.MAINNET_SAST_TOKEN,
+    requiredBalance: "10100000",
+    mintableTokenId: 0,
+    mintQuantity: 1,
+    roles: { MINTER: [], URI_MANAGER: [], PAUSER: [] },
+    baseURI: "",
+    contractURI: "",
+  },
+};
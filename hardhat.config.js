@@ -1,9 +1,16 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+// Admin tasks for day-to-day collection operations
+require("./tasks/admin");
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    // Keeps AirswapNFT and AirswapMinter under the 24 KB contract size limit
+    settings: { optimizer: { enabled: true, runs: 200 } },
+  },
   networks: {
     // Testnet
     sepolia: {
@@ -0,0 +1,46 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const { ROLES } = require("../../sdk/roles");
+
+// 1010 sAST (4 decimals)
+const DEFAULT_REQUIRED_BALANCE = 1010n * 10n ** 4n;
+
+module.exports = buildModule("AirswapModule", (m) => {
+  const name = m.getParameter("name", "Airswap NFT Collection");
+  const symbol = m.getParameter("symbol", "ANFT");
+  const sastToken = m.getParameter("sastToken");
+  const requiredBalance = m.getParameter(
+    "requiredBalance",
+    DEFAULT_REQUIRED_BALANCE
+  );
+  const mintableTokenId = m.getParameter("mintableTokenId", 0);
+  const mintQuantity = m.getParameter("mintQuantity", 1);
+  const tokenURI = m.getParameter("tokenURI", "");
+  const baseURI = m.getParameter("baseURI", "");
+  const contractURI = m.getParameter("contractURI", "");
+
+  const nft = m.contract("AirswapNFT", [name, symbol]);
+  const minter = m.contract("AirswapMinter", [nft, sastToken]);
+  const redeemer = m.contract("AirswapRedeemer", [nft]);
+  const forwarder = m.contract("AirswapForwarder");
+
+  m.call(nft, "grantRole", [ROLES.MINTER, minter], {
+    id: "grantMinterRoleToMinter",
+  });
+  m.call(nft, "grantRole", [ROLES.MINTER, redeemer], {
+    id: "grantMinterRoleToRedeemer",
+  });
+  m.call(nft, "setURI", [mintableTokenId, tokenURI]);
+  m.call(nft, "setBaseURI", [baseURI]);
+  m.call(nft, "setContractURI", [contractURI]);
+
+  m.call(minter, "updateRequiredBalance", [requiredBalance]);
+  m.call(minter, "updateMintableTokenId", [mintableTokenId]);
+  m.call(minter, "updateMintQuantity", [mintQuantity]);
+  m.call(minter, "updateTrustedForwarder", [forwarder]);
+
+  return { nft, minter, redeemer, forwarder };
+});
@@ -0,0 +1,103 @@
+// Airdrops the current AirswapMinter drop to the addresses of a CSV with
+// batchMintNFTs, resuming from a checkpoint after a crash.
+//
+// Usage:
+//   PRIVATE_KEY=0x... node scripts/airdrop.js --csv recipients.csv \
+//     --network sepolia [--rpc <url>] [--minter 0x...] [--gas-limit 10000000] \
+//     [--checkpoint file] [--report airdrop-report.json] [--dry-run]
+//
+// The CSV has an `address` column. PRIVATE_KEY must be the minter owner.
+// Progress is kept in the checkpoint file, so re-running the same command
+// after a crash continues where it stopped; delete it to start a new drop.
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { JsonRpcProvider, Wallet } = require("ethers");
+
+const {
+  Airdrop,
+  DEFAULT_GAS_LIMIT,
+  parseRecipients,
+} = require("./lib/airdrop");
+const { readCSV } = require("./lib/csv");
+const { JsonStore } = require("./lib/indexer");
+const { getDeployedAddress, readManifest } = require("./lib/manifest");
+
+const DEFAULT_CHECKPOINT_DIR = path.join(__dirname, "..", "airdrop-data");
+
+const { values } = parseArgs({
+  options: {
+    csv: { type: "string" },
+    network: { type: "string", default: "localhost" },
+    rpc: { type: "string", default: "http://127.0.0.1:8545" },
+    minter: { type: "string" },
+    "gas-limit": { type: "string", default: DEFAULT_GAS_LIMIT.toString() },
+    checkpoint: { type: "string" },
+    report: { type: "string", default: "airdrop-report.json" },
+    "dry-run": { type: "boolean", default: false },
+  },
+});
+
+async function main() {
+  if (!values.csv) {
+    throw new Error("--csv is required");
+  }
+  if (!process.env.PRIVATE_KEY) {
+    throw new Error("PRIVATE_KEY is not set");
+  }
+
+  const { recipients, duplicates, invalid } = parseRecipients(
+    readCSV(values.csv, ["address"])
+  );
+  for (const { line, value } of invalid) {
+    console.log(`⚠️  Line ${line}: "${value}" is not a valid address`);
+  }
+  console.log(
+    `📋 ${recipients.length} recipients (${duplicates} duplicates, ${invalid.length} invalid)`
+  );
+
+  const signer = new Wallet(
+    process.env.PRIVATE_KEY,
+    new JsonRpcProvider(values.rpc)
+  );
+  const minter =
+    values.minter ||
+    getDeployedAddress(readManifest(values.network), "AirswapMinter");
+
+  const airdrop = new Airdrop({
+    signer,
+    minter,
+    recipients,
+    store: new JsonStore(
+      values.checkpoint ||
+        path.join(DEFAULT_CHECKPOINT_DIR, `${values.network}.json`)
+    ),
+    gasLimit: BigInt(values["gas-limit"]),
+    log: console.log,
+  });
+  const report = await airdrop.run({ dryRun: values["dry-run"] });
+
+  if (values["dry-run"]) {
+    console.log(
+      `🧪 Dry run: ${report.chunks.flat().length} recipients in ${
+        report.chunks.length
+      } transactions, ${report.skipped.length} skipped`
+    );
+  }
+
+  fs.writeFileSync(
+    values.report,
+    JSON.stringify({ ...report, invalid }, null, 2) + "\n"
+  );
+  console.log(
+    `📝 ${report.minted.length} minted, ${report.skipped.length} skipped, ${report.failed.length} failed, written to ${values.report}`
+  );
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
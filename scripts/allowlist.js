@@ -0,0 +1,89 @@
+// Builds and verifies AirswapMinter allowlist Merkle trees.
+//
+// Usage:
+//   node scripts/allowlist.js build --csv allowlist.csv --out proofs.json [--quantity 1]
+//   node scripts/allowlist.js verify --proofs proofs.json [--address 0x...]
+//
+// The CSV has an `address` column and an optional `quantity` column; rows
+// without a quantity get --quantity.
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const { readCSV } = require("./lib/csv");
+const { buildTree, verifyProof } = require("./lib/merkle");
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    csv: { type: "string" },
+    out: { type: "string", default: "proofs.json" },
+    proofs: { type: "string", default: "proofs.json" },
+    quantity: { type: "string", default: "1" },
+    address: { type: "string" },
+  },
+});
+
+function build() {
+  if (!values.csv) {
+    throw new Error("--csv is required");
+  }
+
+  const entries = readCSV(values.csv, ["address", "quantity"]).map(
+    ({ values: row }) => ({
+      address: row.address,
+      quantity: row.quantity || values.quantity,
+    })
+  );
+  const tree = buildTree(entries);
+
+  fs.writeFileSync(values.out, JSON.stringify(tree, null, 2) + "\n");
+  console.log(`🌳 Merkle root: ${tree.root}`);
+  console.log(
+    `📝 ${Object.keys(tree.entries).length} proofs written to ${values.out}`
+  );
+}
+
+function verify() {
+  const { root, entries } = JSON.parse(fs.readFileSync(values.proofs, "utf8"));
+  const accounts = values.address ? [values.address] : Object.keys(entries);
+
+  let invalid = 0;
+  for (const account of accounts) {
+    const entry = Object.entries(entries).find(
+      ([address]) => address.toLowerCase() === account.toLowerCase()
+    );
+    if (!entry) {
+      console.log(`❌ ${account} is not on the allowlist`);
+      invalid++;
+      continue;
+    }
+
+    const [address, { quantity, proof }] = entry;
+    if (verifyProof(root, address, quantity, proof)) {
+      console.log(`✅ ${address} may claim ${quantity}`);
+    } else {
+      console.log(`❌ ${address} has an invalid proof`);
+      invalid++;
+    }
+  }
+
+  if (invalid > 0) {
+    throw new Error(`${invalid} of ${accounts.length} entries failed`);
+  }
+}
+
+const commands = { build, verify };
+
+try {
+  const command = commands[positionals[0]];
+  if (!command) {
+    throw new Error(
+      `Unknown command "${positionals[0]}", expected build or verify`
+    );
+  }
+  command();
+} catch (error) {
+  console.error("❌", error.message);
+  process.exit(1);
+}
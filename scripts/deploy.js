@@ -1,142 +1,286 @@
-const hre = require("hardhat");
+const { ROLES, parseRole, roleName } = require("../sdk/roles");
+const { isLocalNetwork, loadNetworkConfig } = require("./lib/config");
+const { readManifest, writeManifest } = require("./lib/manifest");
 
-async function main() {
-  console.log("🚀 Starting deployment of Airswap contracts...");
+/**
+ * @dev Deploys (or reuses) the Airswap contracts for the current network
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} [options]
+ * @param {object} [options.configs] Per-network parameters, defaults to deploy.config.js
+ * @param {string} [options.manifestDir] Directory holding the deployment manifests
+ * @param {boolean} [options.redeploy] Ignore the manifest and deploy everything again
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<object>} The updated deployment manifest
+ */
+async function deploy(hre, options = {}) {
+  const { configs, manifestDir, redeploy = false, log = console.log } = options;
+  const { ethers, network } = hre;
 
-  // Deploy the NFT contract first
-  console.log("📋 Deploying AirswapNFT contract...");
+  const params = loadNetworkConfig(network.name, configs);
+  const manifest = readManifest(network.name, manifestDir);
+  const { chainId } = await ethers.provider.getNetwork();
+  manifest.chainId = Number(chainId);
 
-  // Get the contract factory
-  const AirswapNFT = await hre.ethers.getContractFactory("AirswapNFT");
+  const [deployer] = await ethers.getSigners();
+  const freshDeployments = [];
 
-  // Contract parameters
-  const name = "Airswap NFT Collection";
-  const symbol = "ANFT";
+  log(`🚀 Starting deployment of Airswap contracts on ${network.name}...`);
+  log(`   Deployer: ${deployer.address}`);
 
-  console.log("📋 NFT Contract parameters:");
-  console.log(`   Name: ${name}`);
-  console.log(`   Symbol: ${symbol}`);
+  /**
+   * Deploys `contractName` unless the manifest already points at a live
+   * instance for which `isCurrent(entry)` holds.
+   */
+  async function ensureContract(contractName, args, isCurrent) {
+    const entry = manifest.contracts[contractName];
 
-  // Deploy the NFT contract
-  console.log("⏳ Deploying NFT contract...");
-  const nft = await AirswapNFT.deploy(name, symbol);
+    if (entry && !redeploy) {
+      const code = await ethers.provider.getCode(entry.address);
+      if (code === "0x") {
+        log(`⚠️  ${contractName} not found at ${entry.address}, redeploying`);
+      } else if (!isCurrent(entry)) {
+        log(
+          `♻️  ${contractName} parameters changed, upgrading ${entry.address}`
+        );
+      } else {
+        log(`⏭️  ${contractName} already deployed at ${entry.address}`);
+        return ethers.getContractAt(contractName, entry.address);
+      }
+    }
+
+    log(`⏳ Deploying ${contractName}...`);
+    const factory = await ethers.getContractFactory(contractName);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
 
-  // Wait for deployment to complete
-  await nft.waitForDeployment();
+    const address = await contract.getAddress();
+    manifest.contracts[contractName] = {
+      address,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      constructorArgs: args.map(String),
+      deployer: deployer.address,
+      previous: entry ? [entry.address, ...(entry.previous || [])] : [],
+    };
+    writeManifest(manifest, manifestDir);
+    freshDeployments.push({ contractName, contract, args });
 
+    log(`✅ ${contractName} deployed at ${address}`);
+    return contract;
+  }
+
+  // sAST stand-in on local networks
+  let sastToken = params.sastToken;
+  if (sastToken === null) {
+    const mock = await ensureContract("MockERC20", [], () => true);
+    sastToken = await mock.getAddress();
+  }
+
+  const nft = await ensureContract(
+    "AirswapNFT",
+    [params.name, params.symbol],
+    (entry) =>
+      entry.constructorArgs[0] === params.name &&
+      entry.constructorArgs[1] === params.symbol
+  );
   const nftAddress = await nft.getAddress();
-  console.log("✅ NFT Contract deployed successfully!");
-  console.log(`📍 NFT Contract address: ${nftAddress}`);
 
-  // Deploy the Minter contract
-  console.log("📋 Deploying AirswapMinter contract...");
+  // The sAST token can be updated in place, so only a new NFT contract
+  // requires a new minter.
+  const minter = await ensureContract(
+    "AirswapMinter",
+    [nftAddress, sastToken],
+    (entry) => entry.constructorArgs[0] === nftAddress
+  );
+  const minterAddress = await minter.getAddress();
 
-  const AirswapMinter = await hre.ethers.getContractFactory("AirswapMinter");
+  const redeemer = await ensureContract(
+    "AirswapRedeemer",
+    [nftAddress],
+    (entry) => entry.constructorArgs[0] === nftAddress
+  );
+  const redeemerAddress = await redeemer.getAddress();
 
-  // Minter contract parameters
-  const sastTokenAddress = "0x0000000000000000000000000000000000000000"; // Replace with actual sAST token address
+  // Stateless apart from signer nonces, so an existing forwarder is always kept
+  const forwarder = await ensureContract("AirswapForwarder", [], () => true);
+  const forwarderAddress = await forwarder.getAddress();
 
-  console.log("📋 Minter Contract parameters:");
-  console.log(`   NFT Contract: ${nftAddress}`);
-  console.log(`   sAST Token: ${sastTokenAddress}`);
-  console.log(`   Default Mintable Token ID: 0`);
-  console.log(`   Default Mint Quantity: 1`);
+  await configureNFT(
+    nft,
+    [minterAddress, redeemerAddress],
+    params,
+    manifest,
+    deployer,
+    log
+  );
+  await configureMinter(
+    minter,
+    { sastToken, forwarderAddress },
+    params,
+    deployer,
+    log
+  );
 
-  // Deploy the minter contract
-  console.log("⏳ Deploying Minter contract...");
-  const minter = await AirswapMinter.deploy(nftAddress, sastTokenAddress);
+  if (!isLocalNetwork(network.name) && freshDeployments.length > 0) {
+    await verifyDeployments(hre, freshDeployments, log);
+  }
 
-  // Wait for deployment to complete
-  await minter.waitForDeployment();
+  const file = writeManifest(manifest, manifestDir);
+  log(`📝 Deployment manifest written to ${file}`);
+  log("🎉 Deployment completed successfully!");
 
-  const minterAddress = await minter.getAddress();
-  console.log("✅ Minter Contract deployed successfully!");
-  console.log(`📍 Minter Contract address: ${minterAddress}`);
+  return manifest;
+}
 
-  // Verify the NFT deployment
-  console.log("🔍 Verifying NFT deployment...");
-  const deployedName = await nft.name();
-  const deployedSymbol = await nft.symbol();
+/**
+ * @dev Grants MINTER to the minting contracts and the configured roles on the
+ * NFT, revokes MINTER from minting contracts that were replaced and brings the
+ * collection URIs in line with the network config
+ */
+async function configureNFT(
+  nft,
+  contractAddresses,
+  params,
+  manifest,
+  deployer,
+  log
+) {
   const owner = await nft.owner();
-  const adminCount = await nft.adminCount();
-
-  console.log("📊 NFT Deployment verification:");
-  console.log(`   Contract name: ${deployedName}`);
-  console.log(`   Contract symbol: ${deployedSymbol}`);
-  console.log(`   Owner: ${owner}`);
-  console.log(`   Initial admin count: ${adminCount}`);
-
-  // Verify the Minter deployment
-  console.log("🔍 Verifying Minter deployment...");
-  const minterNFTContract = await minter.nftContract();
-  const minterSASTToken = await minter.sastToken();
-  const minterTokenId = await minter.mintableTokenId();
-  const minterQuantity = await minter.mintQuantity();
-  const minterOwner = await minter.owner();
-
-  console.log("📊 Minter Deployment verification:");
-  console.log(`   NFT Contract: ${minterNFTContract}`);
-  console.log(`   sAST Token: ${minterSASTToken}`);
-  console.log(`   Mintable Token ID: ${minterTokenId}`);
-  console.log(`   Mint Quantity: ${minterQuantity}`);
-  console.log(`   Owner: ${minterOwner}`);
-
-  // Optional: Verify contracts on Etherscan (if not on localhost)
-  if (hre.network.name !== "localhost" && hre.network.name !== "hardhat") {
-    console.log("🔍 Waiting for block confirmations before verification...");
-    await nft.deploymentTransaction().wait(6); // Wait 6 block confirmations
-    await minter.deploymentTransaction().wait(6);
+  if (owner !== deployer.address) {
+    log(`⚠️  Deployer is not the NFT owner (${owner}), skipping role setup`);
+    return;
+  }
 
-    try {
-      console.log("🔍 Verifying NFT contract on Etherscan...");
-      await hre.run("verify:verify", {
-        address: nftAddress,
-        constructorArguments: [name, symbol],
-      });
-      console.log("✅ NFT Contract verified on Etherscan!");
-    } catch (error) {
-      console.log("⚠️  NFT Contract verification failed:", error.message);
+  const grants = [
+    ...contractAddresses.map((account) => [ROLES.MINTER, account]),
+    ...Object.entries(params.roles).flatMap(([role, accounts]) =>
+      accounts.map((account) => [parseRole(role), account])
+    ),
+  ].filter(([, account]) => account !== owner);
+  for (const [role, account] of grants) {
+    if (!(await nft.hasRole(role, account))) {
+      log(`🔑 Granting NFT ${roleName(role)} role to ${account}`);
+      await (await nft.grantRole(role, account)).wait();
+    }
+  }
+
+  for (const contractName of ["AirswapMinter", "AirswapRedeemer"]) {
+    for (const previous of manifest.contracts[contractName].previous || []) {
+      // A restarted local node can redeploy at a previous address
+      if (contractAddresses.includes(previous) || previous === owner) {
+        continue;
+      }
+      if (await nft.hasRole(ROLES.MINTER, previous)) {
+        log(
+          `🔒 Revoking MINTER role from replaced ${contractName} ${previous}`
+        );
+        await (await nft.revokeRole(ROLES.MINTER, previous)).wait();
+      }
     }
+  }
+
+  const settings = [
+    ["Base URI", "baseURI", "setBaseURI", params.baseURI],
+    ["Contract URI", "contractURI", "setContractURI", params.contractURI],
+  ];
+  for (const [label, getter, setter, value] of settings) {
+    const current = await nft[getter]();
+    if (current !== value) {
+      log(`🔧 ${label}: ${JSON.stringify(current)} → ${JSON.stringify(value)}`);
+      await (await nft[setter](value)).wait();
+    }
+  }
+}
+
+/**
+ * @dev Brings the minter settings in line with the network config
+ */
+async function configureMinter(
+  minter,
+  { sastToken, forwarderAddress },
+  params,
+  deployer,
+  log
+) {
+  const owner = await minter.owner();
+  if (owner !== deployer.address) {
+    log(`⚠️  Deployer is not the minter owner (${owner}), skipping settings`);
+    return;
+  }
+
+  const settings = [
+    ["sAST token", "sastToken", "updateSASTToken", sastToken],
+    [
+      "Required balance",
+      "requiredSASTBalance",
+      "updateRequiredBalance",
+      params.requiredBalance,
+    ],
+    [
+      "Mintable token ID",
+      "mintableTokenId",
+      "updateMintableTokenId",
+      params.mintableTokenId,
+    ],
+    [
+      "Mint quantity",
+      "mintQuantity",
+      "updateMintQuantity",
+      params.mintQuantity,
+    ],
+    [
+      "Trusted forwarder",
+      "trustedForwarder",
+      "updateTrustedForwarder",
+      forwarderAddress,
+    ],
+  ];
+
+  for (const [label, getter, setter, value] of settings) {
+    const current = await minter[getter]();
+    if (current.toString() !== value.toString()) {
+      log(`🔧 ${label}: ${current} → ${value}`);
+      await (await minter[setter](value)).wait();
+    }
+  }
+}
+
+/**
+ * @dev Verifies freshly deployed contracts on Etherscan
+ */
+async function verifyDeployments(hre, deployments, log) {
+  log("🔍 Waiting for block confirmations before verification...");
+  for (const { contract } of deployments) {
+    await contract.deploymentTransaction().wait(6);
+  }
 
+  for (const { contractName, contract, args } of deployments) {
     try {
-      console.log("🔍 Verifying Minter contract on Etherscan...");
+      log(`🔍 Verifying ${contractName} on Etherscan...`);
       await hre.run("verify:verify", {
-        address: minterAddress,
-        constructorArguments: [nftAddress, sastTokenAddress],
+        address: await contract.getAddress(),
+        constructorArguments: args,
       });
-      console.log("✅ Minter Contract verified on Etherscan!");
+      log(`✅ ${contractName} verified on Etherscan!`);
     } catch (error) {
-      console.log("⚠️  Minter Contract verification failed:", error.message);
+      log(`⚠️  ${contractName} verification failed:`, error.message);
     }
   }
-
-  console.log("🎉 Deployment completed successfully!");
-  console.log("📝 Next steps:");
-  console.log("   1. Update the sAST token address in the minter contract");
-  console.log("   2. Add admins to the NFT contract using addAdmin(address)");
-  console.log("   3. Set up your metadata URIs using setURI(tokenId, uri)");
-  console.log("   4. Test the minting functionality");
-
-  return {
-    nftAddress,
-    minterAddress,
-    name: deployedName,
-    symbol: deployedSymbol,
-    owner,
-    adminCount,
-    mintableTokenId: minterTokenId,
-    mintQuantity: minterQuantity,
-    minterOwner,
-  };
 }
 
-// Handle errors
-main()
-  .then((result) => {
-    console.log("🏁 Deployment script finished successfully");
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error("❌ Deployment failed:", error);
-    process.exit(1);
-  });
+module.exports = { deploy };
+
+if (require.main === module) {
+  const hre = require("hardhat");
+
+  deploy(hre, { redeploy: process.env.REDEPLOY === "true" })
+    .then(() => {
+      console.log("🏁 Deployment script finished successfully");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ Deployment failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,125 @@
+// Replays AirswapNFT / AirswapMinter / AirswapRedeemer events from an RPC into a local JSON store.
+//
+// Usage:
+//   node scripts/indexer.js sync --network sepolia --rpc <url>
+//   node scripts/indexer.js holders --network sepolia --token-id 3 [--block N]
+//   node scripts/indexer.js snapshot --network sepolia [--block N] [--out file]
+//   node scripts/indexer.js mints --network sepolia
+//   node scripts/indexer.js burns --network sepolia
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { JsonRpcProvider } = require("ethers");
+
+const { EventIndexer, JsonStore } = require("./lib/indexer");
+const { getDeployedAddress, readManifest } = require("./lib/manifest");
+
+const DEFAULT_STORE_DIR = path.join(__dirname, "..", "indexer-data");
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    network: { type: "string", default: "localhost" },
+    rpc: { type: "string", default: "http://127.0.0.1:8545" },
+    store: { type: "string" },
+    "token-id": { type: "string" },
+    block: { type: "string" },
+    out: { type: "string" },
+    confirmations: { type: "string", default: "0" },
+  },
+});
+
+function createIndexer(provider) {
+  const manifest = readManifest(values.network);
+  const nft = getDeployedAddress(manifest, "AirswapNFT");
+  const minter = getDeployedAddress(manifest, "AirswapMinter");
+  const redeemer = manifest.contracts.AirswapRedeemer?.address;
+  const startBlock = Math.min(
+    ...["AirswapNFT", "AirswapMinter", "AirswapRedeemer"]
+      .filter((name) => manifest.contracts[name])
+      .map((name) => manifest.contracts[name].blockNumber)
+  );
+
+  return new EventIndexer({
+    provider,
+    nft,
+    minter,
+    redeemer,
+    store: new JsonStore(
+      values.store || path.join(DEFAULT_STORE_DIR, `${values.network}.json`)
+    ),
+    startBlock,
+    confirmations: Number(values.confirmations),
+  });
+}
+
+function stringify(value) {
+  return JSON.stringify(
+    value,
+    (_, v) => (typeof v === "bigint" ? v.toString() : v),
+    2
+  );
+}
+
+async function main() {
+  const [command] = positionals;
+  const provider = new JsonRpcProvider(values.rpc);
+  const indexer = createIndexer(provider);
+  const blockNumber =
+    values.block === undefined ? undefined : Number(values.block);
+
+  switch (command) {
+    case "sync": {
+      const result = await indexer.sync();
+      if (result.reorged) {
+        console.log("♻️  Chain reorganized, rolled back to last common block");
+      }
+      console.log(
+        `✅ Indexed blocks ${result.fromBlock}-${result.toBlock} (${result.added} events)`
+      );
+      break;
+    }
+    case "holders": {
+      if (values["token-id"] === undefined) {
+        throw new Error("--token-id is required");
+      }
+      console.log(
+        stringify(indexer.getHolders(values["token-id"], { blockNumber }))
+      );
+      break;
+    }
+    case "snapshot": {
+      const snapshot = stringify({
+        blockNumber: blockNumber ?? indexer.state.lastBlock,
+        holders: indexer.getHolderSnapshot({ blockNumber }),
+      });
+      if (values.out) {
+        fs.writeFileSync(values.out, snapshot + "\n");
+        console.log(`📝 Snapshot written to ${values.out}`);
+      } else {
+        console.log(snapshot);
+      }
+      break;
+    }
+    case "mints": {
+      console.log(stringify(indexer.getMintHistory({ blockNumber })));
+      break;
+    }
+    case "burns": {
+      console.log(stringify(indexer.getBurnHistory({ blockNumber })));
+      break;
+    }
+    default:
+      throw new Error(
+        `Unknown command "${command}", expected sync, holders, snapshot, mints or burns`
+      );
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Indexer failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,314 @@
+const { Contract, Interface, getAddress } = require("ethers");
+
+const { NFT_ABI, MINTER_ABI } = require("../../sdk/abi");
+const { decodeRevert, isRevert } = require("./errors");
+
+// batchMintNFTs is owner only, so it is not part of the client ABI
+const AIRDROP_ABI = [...MINTER_ABI, "function batchMintNFTs(address[] users)"];
+
+const interfaces = [new Interface(AIRDROP_ABI), new Interface(NFT_ABI)];
+
+// Most gas spent by a single batchMintNFTs transaction
+const DEFAULT_GAS_LIMIT = 10000000n;
+
+/**
+ * @dev Validates and dedupes airdrop recipients read from a CSV
+ * @param {{ line: number, values: { address: string } }[]} rows Rows from `readCSV`
+ * @returns {{ recipients: string[], duplicates: number, invalid: { line: number, value: string }[] }}
+ * Checksummed recipients in file order, the number of repeated rows and the
+ * rows that are not valid addresses
+ */
+function parseRecipients(rows) {
+  const seen = new Set();
+  const recipients = [];
+  const invalid = [];
+  let duplicates = 0;
+
+  for (const { line, values } of rows) {
+    let address;
+    try {
+      address = getAddress(values.address);
+    } catch {
+      invalid.push({ line, value: values.address ?? "" });
+      continue;
+    }
+
+    if (seen.has(address)) {
+      duplicates++;
+    } else {
+      seen.add(address);
+      recipients.push(address);
+    }
+  }
+
+  return { recipients, duplicates, invalid };
+}
+
+/**
+ * @dev Mints the current AirswapMinter drop to a list of recipients with
+ * `batchMintNFTs`, in chunks sized from gas estimates. Progress is
+ * checkpointed after every transaction, so a crashed run resumes where it
+ * stopped when started again with the same store.
+ */
+class Airdrop {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Signer} options.signer The minter owner
+   * @param {string} options.minter AirswapMinter address
+   * @param {string[]} options.recipients Recipients from `parseRecipients`
+   * @param {{ load: Function, save: Function }} [options.store] Persists progress, e.g. a JsonStore
+   * @param {bigint} [options.gasLimit] Most gas spent by a single transaction
+   * @param {Function} [options.log] Logger for progress messages
+   */
+  constructor({
+    signer,
+    minter,
+    recipients,
+    store,
+    gasLimit = DEFAULT_GAS_LIMIT,
+    log = () => {},
+  }) {
+    this.minter = new Contract(minter, AIRDROP_ABI, signer);
+    this.recipients = recipients;
+    this.store = store;
+    this.gasLimit = gasLimit;
+    this.log = log;
+  }
+
+  /**
+   * @dev Runs the airdrop, or plans it without sending anything
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] Only pre-filter and size the chunks
+   * @returns {Promise<object>} Report with the `minted`, `skipped` and `failed`
+   * recipients, the transactions sent and, for dry runs, the planned `chunks`
+   */
+  async run({ dryRun = false } = {}) {
+    const minter = getAddress(this.minter.target);
+    const tokenId = await this.minter.mintableTokenId();
+
+    const state = this.store?.load() || {
+      minter,
+      tokenId: tokenId.toString(),
+      minted: [],
+      skipped: [],
+      failed: [],
+      transactions: [],
+      inFlight: null,
+    };
+    if (state.minter !== minter || state.tokenId !== tokenId.toString()) {
+      throw new Error(
+        `Checkpoint is for token ${state.tokenId} on ${state.minter}, not token ${tokenId} on ${minter}`
+      );
+    }
+
+    if (state.inFlight && !dryRun) {
+      await this._recoverInFlight(state);
+    }
+
+    // Failures are retried, the hasMinted pre-filter below keeps anyone who
+    // minted since from being minted twice
+    state.failed = [];
+    const done = new Set([
+      ...state.minted,
+      ...state.skipped.map(({ address }) => address),
+    ]);
+    let pending = [];
+    for (const address of this.recipients) {
+      if (done.has(address)) {
+        continue;
+      }
+      if (await this.minter.hasMinted(address, tokenId)) {
+        state.skipped.push({ address, reason: "AlreadyMinted" });
+      } else {
+        pending.push(address);
+      }
+    }
+    this.log(
+      `🔎 ${pending.length} to mint, ${state.skipped.length} skipped, ${done.size} handled in earlier runs`
+    );
+
+    const chunks = [];
+    while (pending.length > 0) {
+      const size = await this._chunkSize(pending);
+      const chunk = pending.slice(0, size);
+      pending = pending.slice(size);
+
+      if (dryRun) {
+        chunks.push(chunk);
+        continue;
+      }
+
+      let gasLimit;
+      try {
+        gasLimit = await this.minter.batchMintNFTs.estimateGas(chunk);
+      } catch (error) {
+        if (!isRevert(error)) {
+          throw error;
+        }
+        // One recipient can make the whole chunk revert, mint them one by
+        // one so only the offending ones fail
+        if (chunk.length > 1) {
+          await this._mintIndividually(state, chunk);
+        } else {
+          this._fail(state, chunk, error);
+        }
+        continue;
+      }
+
+      await this._mint(state, chunk, gasLimit);
+    }
+
+    if (dryRun) {
+      return { ...this._report(state), chunks };
+    }
+    return this._report(state);
+  }
+
+  /**
+   * @dev Picks how many pending recipients fit in one transaction, from the
+   * gas estimates of one and two recipients
+   */
+  async _chunkSize(pending) {
+    if (pending.length === 1) {
+      return 1;
+    }
+
+    let one, two;
+    try {
+      one = await this.minter.batchMintNFTs.estimateGas(pending.slice(0, 1));
+      two = await this.minter.batchMintNFTs.estimateGas(pending.slice(0, 2));
+    } catch {
+      return 1;
+    }
+
+    const perRecipient = two > one ? two - one : one;
+    const base = one - perRecipient;
+    const size = Number((this.gasLimit - base) / perRecipient);
+    return Math.max(1, Math.min(size, pending.length));
+  }
+
+  /**
+   * @dev Mints recipients one transaction each, recording reverts as failures
+   */
+  async _mintIndividually(state, chunk) {
+    for (const address of chunk) {
+      let gasLimit;
+      try {
+        gasLimit = await this.minter.batchMintNFTs.estimateGas([address]);
+      } catch (error) {
+        if (!isRevert(error)) {
+          throw error;
+        }
+        this._fail(state, [address], error);
+        continue;
+      }
+      await this._mint(state, [address], gasLimit);
+    }
+  }
+
+  /**
+   * @dev Sends one batchMintNFTs transaction and records its outcome. Errors
+   * sending it, such as a nonce clash or an underpriced transaction, stop the
+   * run with the checkpoint untouched.
+   */
+  async _mint(state, chunk, gasLimit) {
+    const tx = await this.minter.batchMintNFTs(chunk, { gasLimit });
+
+    // Saved before waiting, so a crash in between finds the transaction again
+    state.inFlight = { hash: tx.hash, recipients: chunk };
+    this._save(state);
+
+    await this._settle(state, tx, chunk);
+  }
+
+  /**
+   * @dev Waits for a sent transaction and records its outcome. Only a mined
+   * revert clears it: on any other error, such as an RPC timeout, it stays in
+   * flight for the next run to pick up, since it may still be mined.
+   */
+  async _settle(state, tx, chunk) {
+    let receipt;
+    try {
+      receipt = await tx.wait();
+    } catch (error) {
+      if (!error.receipt) {
+        throw error;
+      }
+      state.inFlight = null;
+      this._fail(state, chunk, error);
+      return;
+    }
+    this._record(state, receipt, chunk);
+  }
+
+  /**
+   * @dev Records the transaction left waiting by a crashed run, waiting for
+   * it first if it is still pending. Recipients of a transaction the node no
+   * longer knows about were dropped and are minted again.
+   */
+  async _recoverInFlight(state) {
+    const { hash, recipients } = state.inFlight;
+    const tx = await this.minter.runner.provider.getTransaction(hash);
+
+    if (!tx) {
+      this.log(`⚠️  ${hash} was dropped, its recipients will be retried`);
+      state.inFlight = null;
+      this._save(state);
+      return;
+    }
+
+    this.log(`⏳ Waiting for ${hash} from the previous run`);
+    await this._settle(state, tx, recipients);
+  }
+
+  /**
+   * @dev Sorts the recipients of a mined transaction into minted and skipped
+   * from its NFTMinted events. batchMintNFTs silently skips anyone who minted
+   * since the pre-filter ran.
+   */
+  _record(state, receipt, chunk) {
+    const minted = new Set();
+    for (const log of receipt.logs) {
+      const parsed = this.minter.interface.parseLog(log);
+      if (parsed?.name === "NFTMinted") {
+        minted.add(getAddress(parsed.args.user));
+      }
+    }
+
+    for (const address of chunk) {
+      if (minted.has(address)) {
+        state.minted.push(address);
+      } else {
+        state.skipped.push({ address, reason: "AlreadyMinted" });
+      }
+    }
+    state.transactions.push(receipt.hash);
+    state.inFlight = null;
+    this._save(state);
+    this.log(
+      `✅ Minted to ${minted.size} of ${chunk.length} recipients in ${receipt.hash}`
+    );
+  }
+
+  /**
+   * @dev Records recipients whose mint reverted, to be retried by the next run
+   */
+  _fail(state, chunk, error) {
+    const { message } = decodeRevert(error, interfaces);
+    for (const address of chunk) {
+      state.failed.push({ address, reason: message });
+    }
+    this._save(state);
+    this.log(`❌ ${chunk.length} recipients failed: ${message}`);
+  }
+
+  _save(state) {
+    this.store?.save(state);
+  }
+
+  _report({ minter, tokenId, minted, skipped, failed, transactions }) {
+    return { minter, tokenId, minted, skipped, failed, transactions };
+  }
+}
+
+module.exports = { Airdrop, parseRecipients, DEFAULT_GAS_LIMIT };
@@ -0,0 +1,80 @@
+const { ethers } = require("ethers");
+
+const { parseRole } = require("../../sdk/roles");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * @dev Returns true for networks that only live for the duration of a node
+ * @param {string} network The Hardhat network name
+ * @returns {boolean}
+ */
+function isLocalNetwork(network) {
+  return LOCAL_NETWORKS.includes(network);
+}
+
+/**
+ * @dev Loads and validates the deployment parameters for a network
+ * @param {string} network The Hardhat network name
+ * @param {object} [configs] Per-network parameters, defaults to deploy.config.js
+ * @returns {object} Normalized parameters (requiredBalance is a bigint)
+ */
+function loadNetworkConfig(network, configs = require("../../deploy.config")) {
+  const config = configs[network];
+  if (!config) {
+    throw new Error(`No deployment config found for network "${network}"`);
+  }
+
+  if (!config.name || !config.symbol) {
+    throw new Error(`"name" and "symbol" must be set for network "${network}"`);
+  }
+
+  if (config.sastToken == null || config.sastToken === "") {
+    if (!isLocalNetwork(network)) {
+      throw new Error(`"sastToken" must be set for network "${network}"`);
+    }
+  } else if (
+    !ethers.isAddress(config.sastToken) ||
+    config.sastToken === ethers.ZeroAddress
+  ) {
+    throw new Error(
+      `"sastToken" is not a valid address for network "${network}": ${config.sastToken}`
+    );
+  }
+
+  const mintQuantity = BigInt(config.mintQuantity ?? 1);
+  if (mintQuantity === 0n) {
+    throw new Error(`"mintQuantity" must be greater than zero`);
+  }
+
+  const roles = {};
+  for (const [role, accounts] of Object.entries(config.roles || {})) {
+    parseRole(role);
+    for (const account of accounts) {
+      if (!ethers.isAddress(account) || account === ethers.ZeroAddress) {
+        throw new Error(`Invalid ${role} address in config: ${account}`);
+      }
+    }
+    roles[role] = accounts.map((account) => ethers.getAddress(account));
+  }
+
+  for (const key of ["baseURI", "contractURI"]) {
+    if (config[key] != null && typeof config[key] !== "string") {
+      throw new Error(`"${key}" must be a string`);
+    }
+  }
+
+  return {
+    name: config.name,
+    symbol: config.symbol,
+    sastToken: config.sastToken ? ethers.getAddress(config.sastToken) : null,
+    requiredBalance: BigInt(config.requiredBalance ?? 1010n * 10n ** 4n),
+    mintableTokenId: BigInt(config.mintableTokenId ?? 0),
+    mintQuantity,
+    roles,
+    baseURI: config.baseURI ?? "",
+    contractURI: config.contractURI ?? "",
+  };
+}
+
+module.exports = { isLocalNetwork, loadNetworkConfig };
@@ -0,0 +1,41 @@
+const fs = require("fs");
+
+/**
+ * @dev Parses a simple comma-separated file into row objects. Blank lines and
+ * lines starting with `#` are ignored; quoting is not supported.
+ * @param {string} text The CSV contents
+ * @param {string[]} columns Column names to use when the file has no header
+ * @returns {{ line: number, values: Object<string, string> }[]}
+ */
+function parseCSV(text, columns) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((content, i) => ({ line: i + 1, content: content.trim() }))
+    .filter(({ content }) => content !== "" && !content.startsWith("#"))
+    .map(({ line, content }) => ({
+      line,
+      cells: content.split(",").map((cell) => cell.trim()),
+    }));
+
+  // A first row that does not start with an address is a header
+  let header = columns;
+  if (rows.length > 0 && !/^0x/i.test(rows[0].cells[0])) {
+    header = rows.shift().cells.map((cell) => cell.toLowerCase());
+  }
+
+  return rows.map(({ line, cells }) => ({
+    line,
+    values: Object.fromEntries(header.map((name, i) => [name, cells[i]])),
+  }));
+}
+
+/**
+ * @dev Reads and parses a CSV file
+ * @param {string} file Path of the CSV file
+ * @param {string[]} columns Column names to use when the file has no header
+ */
+function readCSV(file, columns) {
+  return parseCSV(fs.readFileSync(file, "utf8"), columns);
+}
+
+module.exports = { parseCSV, readCSV };
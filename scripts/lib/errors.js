@@ -0,0 +1,144 @@
+/**
+ * @dev Human-readable explanations for the custom errors of AirswapNFT,
+ * AirswapMinter, AirswapRedeemer, AirswapForwarder and the Solady base
+ * contracts they inherit
+ */
+const ERROR_MESSAGES = {
+  // IAirswapNFT
+  MissingRole: "The address does not hold the required role",
+  InvalidRoleAccount: "The zero address cannot be granted a role",
+  RoleAlreadyGranted: "The address already holds the role",
+  OwnerAlreadyHasRole: "The owner already holds every role",
+  TokenDoesNotExist: "The token has not been created or minted yet",
+  TokenAlreadyExists: "The token has already been created or minted",
+  MaxSupplyExceeded: "The mint would exceed the token's max supply",
+  TokenSoulbound: "The token is soulbound and cannot be transferred",
+  SoulboundStatusFrozen: "The token's soulbound status is frozen",
+  URIIsFrozen: "The token's metadata URI is frozen",
+  MintingIsPaused: "Minting is paused",
+  TransfersArePaused: "Transfers and burns are paused",
+  PauseStatusUnchanged: "The switch is already in the requested state",
+
+  // AirswapMinter
+  AlreadyMinted: "The address has already minted the current token",
+  InsufficientSASTBalance: "The address does not hold enough sAST to mint",
+  InvalidTokenAddress: "The zero address is not a valid contract address",
+  InvalidMintQuantity: "The mint quantity must be greater than zero",
+  InsufficientSupply: "Not enough of the token's max supply is left to mint",
+  ArrayLengthMismatch:
+    "The recipients, token IDs and amounts must have the same length",
+  IncorrectPayment: "The ETH sent does not match the mint price",
+  PaymentTokenNotSet: "Mints are paid in ETH, there is no token to permit",
+  InvalidTreasury: "The zero address cannot be the treasury",
+  StakeTooShort: "The sAST stake is too recent or unlocks too soon to mint",
+  InvalidTierBoundary: "Tier balance thresholds must be strictly increasing",
+  VouchersNotActive: "No voucher signer is set on the minter",
+  OwnershipHandoverRequired:
+    "The minter only changes owner by handover: the new owner requests it and the owner completes it",
+  VoucherExpired: "The mint voucher has expired",
+  VoucherAlreadyUsed: "The mint voucher nonce has already been used",
+  InvalidVoucherSignature:
+    "The mint voucher is not signed by the voucher signer",
+  AllowlistNotActive: "No allowlist is set on the minter",
+  AllowlistActive: "The minter is in allowlist mode, claim with a proof",
+  InvalidMerkleProof: "The proof does not match the published Merkle root",
+  SnapshotNotActive: "No sAST snapshot is set on the minter",
+  SnapshotActive: "The minter is in snapshot mode, mint with a snapshot proof",
+  CampaignDoesNotExist: "No campaign exists with this ID",
+  CampaignNotActive: "The campaign is switched off",
+  CampaignNotStarted: "The campaign has not started yet",
+  CampaignEnded: "The campaign has ended",
+  CampaignSoldOut: "The campaign has reached its maximum number of claims",
+  InvalidCampaignWindow: "The campaign end time must be after its start time",
+  InvalidMintWindow: "The end time must be after the start time",
+  MintNotStarted: "Minting has not opened yet",
+  MintEnded: "Minting has closed",
+
+  // AirswapRedeemer
+  InvalidRecipe:
+    "A recipe needs inputs with matching amounts greater than zero",
+  RecipeDoesNotExist: "No recipe exists with this ID",
+  RecipeNotActive: "The recipe is switched off",
+
+  // AirswapForwarder
+  RequestExpired: "The forward request deadline has passed",
+  InvalidNonce: "The forward request nonce is not the signer's current nonce",
+  InvalidRequestSignature: "The forward request is not signed by its sender",
+  InvalidValue: "The ETH sent does not match the forward request value",
+
+  // Solady ERC1155
+  InsufficientBalance: "The holder does not have enough of the token",
+  NotOwnerNorApproved: "The sender is not the holder or an approved operator",
+
+  // Solady ERC2981
+  RoyaltyOverflow: "The royalty cannot exceed 10000 basis points",
+  RoyaltyReceiverIsZeroAddress:
+    "The royalty receiver cannot be the zero address",
+
+  // Solady Ownable
+  Unauthorized: "The sender is not allowed to perform this action",
+  NewOwnerIsZeroAddress: "The new owner cannot be the zero address",
+  NoHandoverRequest: "There is no pending ownership handover request",
+};
+
+/**
+ * @dev Finds the revert data carried by an ethers or provider error
+ * @param {Error} error The thrown error
+ * @returns {string|undefined} Hex-encoded revert data
+ */
+function findRevertData(error) {
+  const candidates = [
+    error?.data,
+    error?.error?.data,
+    error?.info?.error?.data,
+    error?.data?.data,
+  ];
+  return candidates.find(
+    (data) => typeof data === "string" && /^0x[0-9a-fA-F]{8}/.test(data)
+  );
+}
+
+/**
+ * @dev Decodes a contract revert into a readable message
+ * @param {Error} error The thrown error
+ * @param {import("ethers").Interface[]} interfaces Interfaces declaring the possible errors
+ * @returns {{ name: string|null, args: Array, message: string }}
+ */
+function decodeRevert(error, interfaces) {
+  const data = findRevertData(error);
+
+  if (data) {
+    for (const iface of interfaces) {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        const args = [...parsed.args];
+        const details = args.length > 0 ? ` (${args.join(", ")})` : "";
+        const explanation = ERROR_MESSAGES[parsed.name] || "Call reverted";
+        return {
+          name: parsed.name,
+          args,
+          message: `${parsed.name}: ${explanation}${details}`,
+        };
+      }
+    }
+  }
+
+  return {
+    name: null,
+    args: [],
+    message: error?.shortMessage || error?.message || String(error),
+  };
+}
+
+/**
+ * @dev Tells a contract revert from RPC and network errors
+ * @param {Error} error The thrown error
+ * @returns {boolean} True if the call or transaction reverted
+ */
+function isRevert(error) {
+  return (
+    error?.code === "CALL_EXCEPTION" || findRevertData(error) !== undefined
+  );
+}
+
+module.exports = { ERROR_MESSAGES, decodeRevert, isRevert };
@@ -0,0 +1,95 @@
+const { Contract, getAddress } = require("ethers");
+
+const { FORWARDER_ABI } = require("../../sdk/abi");
+
+// Must match FORWARD_REQUEST_TYPEHASH and _domainNameAndVersion in AirswapForwarder
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+/**
+ * @dev Builds the EIP-712 domain of an AirswapForwarder deployment
+ * @param {bigint|number|string} chainId Chain the forwarder is deployed on
+ * @param {string} forwarder AirswapForwarder address
+ * @returns {import("ethers").TypedDataDomain}
+ */
+function forwarderDomain(chainId, forwarder) {
+  return {
+    name: "AirswapForwarder",
+    version: "1",
+    chainId: BigInt(chainId),
+    verifyingContract: getAddress(forwarder),
+  };
+}
+
+/**
+ * @dev Converts the fields of a request, e.g. parsed from JSON, to the types signed
+ * @param {object} request Request with string, number or bigint fields
+ * @returns {{ from: string, to: string, value: bigint, gas: bigint, nonce: bigint, deadline: bigint, data: string }}
+ */
+function normalizeRequest({
+  from,
+  to,
+  value = 0n,
+  gas,
+  nonce,
+  deadline,
+  data,
+}) {
+  return {
+    from: getAddress(from),
+    to: getAddress(to),
+    value: BigInt(value),
+    gas: BigInt(gas),
+    nonce: BigInt(nonce),
+    deadline: BigInt(deadline),
+    data,
+  };
+}
+
+/**
+ * @dev Builds and signs a request using the signer's next forwarder nonce
+ * @param {import("ethers").Signer} signer The account the call is made on behalf of
+ * @param {string} forwarder AirswapForwarder address
+ * @param {object} call
+ * @param {string} call.to The contract to call
+ * @param {string} call.data The calldata
+ * @param {bigint|number} call.gas The gas to forward to the call
+ * @param {bigint|number} call.deadline Timestamp from which the request is rejected
+ * @returns {Promise<{ request: object, signature: string }>}
+ */
+async function signForwardRequest(
+  signer,
+  forwarder,
+  { to, data, gas, deadline }
+) {
+  const from = await signer.getAddress();
+  const [nonce, { chainId }] = await Promise.all([
+    new Contract(forwarder, FORWARDER_ABI, signer).nonces(from),
+    signer.provider.getNetwork(),
+  ]);
+
+  const request = normalizeRequest({ from, to, gas, nonce, deadline, data });
+  const signature = await signer.signTypedData(
+    forwarderDomain(chainId, forwarder),
+    FORWARD_REQUEST_TYPES,
+    request
+  );
+
+  return { request, signature };
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  forwarderDomain,
+  normalizeRequest,
+  signForwardRequest,
+};
@@ -0,0 +1,444 @@
+const fs = require("fs");
+const path = require("path");
+const { Interface, ZeroAddress } = require("ethers");
+
+const { NFT_ABI, MINTER_ABI, REDEEMER_ABI } = require("../../sdk/abi");
+
+const STORE_VERSION = 1;
+
+// Number of block hashes kept to detect reorgs; deeper reorgs trigger a
+// full resync
+const MAX_CHECKPOINTS = 256;
+
+const nftInterface = new Interface(NFT_ABI);
+const minterInterface = new Interface(MINTER_ABI);
+const redeemerInterface = new Interface(REDEEMER_ABI);
+
+const NFT_EVENTS = [
+  "TokenMinted",
+  "TokenBurned",
+  "TransferSingle",
+  "TransferBatch",
+  "URISet",
+  "RoleGranted",
+  "RoleRevoked",
+  "RoleRenounced",
+];
+const MINTER_EVENTS = ["NFTMinted"];
+const REDEEMER_EVENTS = ["Redeemed"];
+
+/**
+ * @dev Persists indexer state as a single JSON file. Writes go through a
+ * temporary file so a crash never leaves a truncated checkpoint behind.
+ */
+class JsonStore {
+  /**
+   * @param {string} file Path of the JSON file
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * @returns {object|null} The stored state, or null if nothing was saved yet
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.file, "utf8"));
+  }
+
+  /**
+   * @param {object} state The state to persist
+   */
+  save(state) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + "\n");
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+/**
+ * @dev Converts decoded event arguments into JSON-friendly values
+ */
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = Array.isArray(value)
+      ? value.map(String)
+      : typeof value === "bigint"
+      ? value.toString()
+      : value;
+  });
+  return result;
+}
+
+/**
+ * @dev Replays AirswapNFT, AirswapMinter and (optionally) AirswapRedeemer
+ * events from an RPC into a local store, and answers holder, mint and burn
+ * history queries from it
+ */
+class EventIndexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider RPC provider
+   * @param {string} options.nft AirswapNFT address
+   * @param {string} options.minter AirswapMinter address
+   * @param {string} [options.redeemer] AirswapRedeemer address
+   * @param {JsonStore} options.store Where events and checkpoints are persisted
+   * @param {number} [options.startBlock] First block to index, usually the deployment block
+   * @param {number} [options.batchSize] Number of blocks fetched per getLogs call
+   * @param {number} [options.confirmations] Blocks to stay behind the chain head
+   */
+  constructor({
+    provider,
+    nft,
+    minter,
+    redeemer,
+    store,
+    startBlock = 0,
+    batchSize = 2000,
+    confirmations = 0,
+  }) {
+    this.provider = provider;
+    this.nft = nft.toLowerCase();
+    this.minter = minter.toLowerCase();
+    this.redeemer = redeemer ? redeemer.toLowerCase() : null;
+    this.sources = {
+      [this.nft]: [nftInterface, NFT_EVENTS],
+      [this.minter]: [minterInterface, MINTER_EVENTS],
+    };
+    if (this.redeemer) {
+      this.sources[this.redeemer] = [redeemerInterface, REDEEMER_EVENTS];
+    }
+    this.store = store;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+
+    this.state = store.load() || this._emptyState(startBlock);
+    if (
+      this.state.contracts.nft !== this.nft ||
+      this.state.contracts.minter !== this.minter ||
+      (this.state.contracts.redeemer ?? null) !== this.redeemer
+    ) {
+      throw new Error(
+        `Store ${store.file} belongs to other contracts, use a separate file`
+      );
+    }
+  }
+
+  _emptyState(startBlock) {
+    return {
+      version: STORE_VERSION,
+      contracts: {
+        nft: this.nft,
+        minter: this.minter,
+        redeemer: this.redeemer,
+      },
+      startBlock,
+      lastBlock: startBlock - 1,
+      blockHashes: {},
+      events: [],
+    };
+  }
+
+  /**
+   * @dev Indexes new blocks up to `toBlock`, rolling back first if the chain
+   * reorganized below the last checkpoint
+   * @param {object} [options]
+   * @param {number} [options.toBlock] Last block to index, defaults to the head minus confirmations
+   * @returns {Promise<{ fromBlock: number, toBlock: number, added: number, reorged: boolean }>}
+   */
+  async sync({ toBlock } = {}) {
+    const reorged = await this._handleReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const target = Math.min(toBlock ?? head, head - this.confirmations);
+    const fromBlock = this.state.lastBlock + 1;
+
+    let added = 0;
+    for (let start = fromBlock; start <= target; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, target);
+      added += await this._indexRange(start, end);
+    }
+
+    return { fromBlock, toBlock: target, added, reorged };
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: Object.keys(this.sources),
+      fromBlock,
+      toBlock,
+    });
+
+    const events = [];
+    for (const log of logs) {
+      const [iface, names] = this.sources[log.address.toLowerCase()];
+
+      const parsed = iface.parseLog(log);
+      if (!parsed || !names.includes(parsed.name)) {
+        continue;
+      }
+
+      events.push({
+        name: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        args: serializeArgs(parsed.fragment, parsed.args),
+      });
+      this.state.blockHashes[log.blockNumber] = log.blockHash;
+    }
+
+    const block = await this.provider.getBlock(toBlock);
+    this.state.blockHashes[toBlock] = block.hash;
+    this._pruneCheckpoints();
+    this.state.events.push(...events);
+    this.state.lastBlock = toBlock;
+    this.store.save(this.state);
+
+    return events.length;
+  }
+
+  _pruneCheckpoints() {
+    const numbers = Object.keys(this.state.blockHashes)
+      .map(Number)
+      .sort((a, b) => b - a);
+    for (const number of numbers.slice(MAX_CHECKPOINTS)) {
+      delete this.state.blockHashes[number];
+    }
+  }
+
+  /**
+   * @dev Walks back through the recorded block hashes until one still matches
+   * the chain, and drops everything indexed after it
+   * @returns {Promise<boolean>} True if a reorg was rolled back
+   */
+  async _handleReorg() {
+    const checkpoints = Object.keys(this.state.blockHashes)
+      .map(Number)
+      .sort((a, b) => b - a);
+
+    for (const [i, number] of checkpoints.entries()) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === this.state.blockHashes[number]) {
+        if (i === 0) {
+          return false;
+        }
+        this._rollback(number);
+        return true;
+      }
+    }
+
+    if (checkpoints.length === 0) {
+      return false;
+    }
+    this._rollback(this.state.startBlock - 1);
+    return true;
+  }
+
+  _rollback(blockNumber) {
+    this.state.events = this.state.events.filter(
+      (event) => event.blockNumber <= blockNumber
+    );
+    for (const number of Object.keys(this.state.blockHashes)) {
+      if (Number(number) > blockNumber) {
+        delete this.state.blockHashes[number];
+      }
+    }
+    this.state.lastBlock = blockNumber;
+    this.store.save(this.state);
+  }
+
+  _eventsUntil(blockNumber, names) {
+    return this.state.events.filter(
+      (event) =>
+        names.includes(event.name) &&
+        (blockNumber === undefined || event.blockNumber <= blockNumber)
+    );
+  }
+
+  /**
+   * @dev Returns the balances of every holder of every token at a block
+   * @param {object} [options]
+   * @param {number} [options.blockNumber] Defaults to the last indexed block
+   * @returns {Object<string, Object<string, string>>} tokenId => holder => balance
+   */
+  getHolderSnapshot({ blockNumber } = {}) {
+    const balances = {};
+    const apply = (tokenId, from, to, amount) => {
+      balances[tokenId] = balances[tokenId] || {};
+      const token = balances[tokenId];
+      if (from !== ZeroAddress) {
+        token[from] = (token[from] || 0n) - amount;
+      }
+      if (to !== ZeroAddress) {
+        token[to] = (token[to] || 0n) + amount;
+      }
+    };
+
+    for (const { name, args } of this._eventsUntil(blockNumber, [
+      "TransferSingle",
+      "TransferBatch",
+    ])) {
+      if (name === "TransferSingle") {
+        apply(args.id, args.from, args.to, BigInt(args.amount));
+      } else {
+        args.ids.forEach((id, i) =>
+          apply(id, args.from, args.to, BigInt(args.amounts[i]))
+        );
+      }
+    }
+
+    const snapshot = {};
+    for (const [tokenId, holders] of Object.entries(balances)) {
+      for (const [holder, balance] of Object.entries(holders)) {
+        if (balance > 0n) {
+          snapshot[tokenId] = snapshot[tokenId] || {};
+          snapshot[tokenId][holder] = balance.toString();
+        }
+      }
+    }
+    return snapshot;
+  }
+
+  /**
+   * @dev Returns the holders of a token at a block, largest balance first
+   * @param {bigint|number|string} tokenId The token ID
+   * @param {object} [options]
+   * @param {number} [options.blockNumber] Defaults to the last indexed block
+   * @returns {{ address: string, balance: bigint }[]}
+   */
+  getHolders(tokenId, { blockNumber } = {}) {
+    const holders = this.getHolderSnapshot({ blockNumber })[String(tokenId)];
+    return Object.entries(holders || {})
+      .map(([address, balance]) => ({ address, balance: BigInt(balance) }))
+      .sort((a, b) => Number(b.balance - a.balance));
+  }
+
+  /**
+   * @dev Returns every NFT mint, flagging the ones made through the minter
+   * @param {object} [options]
+   * @param {number} [options.blockNumber] Defaults to the last indexed block
+   * @returns {object[]}
+   */
+  getMintHistory({ blockNumber } = {}) {
+    const minterTxs = new Set(
+      this._eventsUntil(blockNumber, ["NFTMinted"]).map(
+        (event) => event.transactionHash
+      )
+    );
+
+    return this._eventsUntil(blockNumber, ["TokenMinted"]).map((event) => ({
+      to: event.args.to,
+      tokenId: BigInt(event.args.tokenId),
+      amount: BigInt(event.args.amount),
+      viaMinter: minterTxs.has(event.transactionHash),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }));
+  }
+
+  /**
+   * @dev Returns the users who minted through AirswapMinter
+   * @param {object} [options]
+   * @param {number} [options.blockNumber] Defaults to the last indexed block
+   * @returns {{ user: string, tokenId: bigint, quantity: bigint, blockNumber: number, transactionHash: string }[]}
+   */
+  getMinterMints({ blockNumber } = {}) {
+    return this._eventsUntil(blockNumber, ["NFTMinted"]).map((event) => ({
+      user: event.args.user,
+      tokenId: BigInt(event.args.tokenId),
+      quantity: BigInt(event.args.quantity),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }));
+  }
+
+  /**
+   * @dev Returns every NFT burn, flagging the ones made through the redeemer
+   * @param {object} [options]
+   * @param {number} [options.blockNumber] Defaults to the last indexed block
+   * @returns {object[]}
+   */
+  getBurnHistory({ blockNumber } = {}) {
+    const redeemerTxs = new Set(
+      this._eventsUntil(blockNumber, ["Redeemed"]).map(
+        (event) => event.transactionHash
+      )
+    );
+
+    return this._eventsUntil(blockNumber, ["TokenBurned"]).map((event) => ({
+      from: event.args.from,
+      tokenId: BigInt(event.args.tokenId),
+      amount: BigInt(event.args.amount),
+      viaRedeemer: redeemerTxs.has(event.transactionHash),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }));
+  }
+
+  /**
+   * @dev Returns the redemptions made through AirswapRedeemer
+   * @param {object} [options]
+   * @param {number} [options.blockNumber] Defaults to the last indexed block
+   * @returns {{ user: string, recipeId: bigint, outputId: bigint, outputAmount: bigint, blockNumber: number, transactionHash: string }[]}
+   */
+  getRedemptions({ blockNumber } = {}) {
+    return this._eventsUntil(blockNumber, ["Redeemed"]).map((event) => ({
+      user: event.args.user,
+      recipeId: BigInt(event.args.recipeId),
+      outputId: BigInt(event.args.outputId),
+      outputAmount: BigInt(event.args.outputAmount),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }));
+  }
+
+  /**
+   * @dev Returns the members of an NFT role at a block, excluding the owner
+   * @param {string} role The bytes32 role identifier
+   * @param {object} [options]
+   * @param {number} [options.blockNumber] Defaults to the last indexed block
+   * @returns {string[]}
+   */
+  getRoleMembers(role, { blockNumber } = {}) {
+    const members = new Set();
+    for (const { name, args } of this._eventsUntil(blockNumber, [
+      "RoleGranted",
+      "RoleRevoked",
+      "RoleRenounced",
+    ])) {
+      if (args.role !== role) {
+        continue;
+      }
+      if (name === "RoleGranted") {
+        members.add(args.account);
+      } else {
+        members.delete(args.account);
+      }
+    }
+    return [...members];
+  }
+
+  /**
+   * @dev Returns the URI prefix of each token at a block
+   * @param {object} [options]
+   * @param {number} [options.blockNumber] Defaults to the last indexed block
+   * @returns {Object<string, string>} tokenId => URI
+   */
+  getURIs({ blockNumber } = {}) {
+    const uris = {};
+    for (const { args } of this._eventsUntil(blockNumber, ["URISet"])) {
+      uris[args.tokenId] = args.newURI;
+    }
+    return uris;
+  }
+}
+
+module.exports = { EventIndexer, JsonStore };
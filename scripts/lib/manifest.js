@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * @dev Returns the manifest file path for a network
+ * @param {string} network The Hardhat network name
+ * @param {string} [dir] Directory holding the manifests
+ * @returns {string}
+ */
+function manifestPath(network, dir = DEFAULT_DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * @dev Reads the deployment manifest of a network
+ * @param {string} network The Hardhat network name
+ * @param {string} [dir] Directory holding the manifests
+ * @returns {object} The manifest, or an empty one if none was written yet
+ */
+function readManifest(network, dir = DEFAULT_DEPLOYMENTS_DIR) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) {
+    return { network, chainId: null, contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @dev Writes the deployment manifest of a network
+ * @param {object} manifest The manifest to persist
+ * @param {string} [dir] Directory holding the manifests
+ * @returns {string} The path that was written
+ */
+function writeManifest(manifest, dir = DEFAULT_DEPLOYMENTS_DIR) {
+  const file = manifestPath(manifest.network, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    JSON.stringify(
+      { ...manifest, updatedAt: new Date().toISOString() },
+      null,
+      2
+    ) + "\n"
+  );
+  return file;
+}
+
+/**
+ * @dev Returns the recorded address of a contract, throwing if it is missing
+ * @param {object} manifest The deployment manifest
+ * @param {string} contractName The contract name (e.g. "AirswapNFT")
+ * @returns {string}
+ */
+function getDeployedAddress(manifest, contractName) {
+  const entry = manifest.contracts[contractName];
+  if (!entry) {
+    throw new Error(
+      `${contractName} is not deployed on network "${manifest.network}"`
+    );
+  }
+  return entry.address;
+}
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_DIR,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  getDeployedAddress,
+};
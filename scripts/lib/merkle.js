@@ -0,0 +1,112 @@
+const {
+  AbiCoder,
+  concat,
+  getAddress,
+  isAddress,
+  keccak256,
+} = require("ethers");
+
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * @dev Hashes an entry the way AirswapMinter verifies leaves:
+ * keccak256(bytes.concat(keccak256(abi.encode(account, value))))
+ * @param {string} account The address of the entry
+ * @param {bigint|number|string} value The allowlist quantity or snapshot balance
+ * @returns {string}
+ */
+function hashLeaf(account, value) {
+  return keccak256(
+    keccak256(coder.encode(["address", "uint256"], [account, value]))
+  );
+}
+
+/**
+ * @dev Hashes a pair of nodes in sorted order, matching Solady's MerkleProofLib
+ */
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? keccak256(concat([a, b]))
+    : keccak256(concat([b, a]));
+}
+
+/**
+ * @dev Builds a Merkle tree over `(address, uint256)` entries: allowlist
+ * quantities, or sAST balances for snapshots
+ * @param {object[]} entries Objects with an `address` and a `valueKey` field
+ * @param {string} [valueKey] Name of the uint256 field, "quantity" by default
+ * @returns {{ root: string, entries: Object<string, { proof: string[] }> }}
+ */
+function buildTree(entries, valueKey = "quantity") {
+  if (entries.length === 0) {
+    throw new Error("Cannot build an allowlist without entries");
+  }
+
+  const seen = new Set();
+  const leaves = entries.map(({ address, [valueKey]: value }) => {
+    if (!isAddress(address)) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+    const account = getAddress(address);
+    if (seen.has(account)) {
+      throw new Error(`Duplicate address: ${account}`);
+    }
+    seen.add(account);
+
+    if (BigInt(value) <= 0n) {
+      throw new Error(`${valueKey} must be greater than zero for ${account}`);
+    }
+    return {
+      account,
+      value: BigInt(value).toString(),
+      hash: hashLeaf(account, value),
+    };
+  });
+
+  // Sorted leaves make the root independent of the input order
+  leaves.sort((a, b) => (BigInt(a.hash) < BigInt(b.hash) ? -1 : 1));
+
+  const layers = [leaves.map((leaf) => leaf.hash)];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      // An unpaired node is promoted to the next layer unchanged
+      next.push(
+        i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]
+      );
+    }
+    layers.push(next);
+  }
+
+  const result = { root: layers[layers.length - 1][0], entries: {} };
+  leaves.forEach((leaf, index) => {
+    const proof = [];
+    let position = index;
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = position ^ 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      position >>= 1;
+    }
+    result.entries[leaf.account] = { [valueKey]: leaf.value, proof };
+  });
+
+  return result;
+}
+
+/**
+ * @dev Verifies a proof locally
+ * @param {string} root The Merkle root
+ * @param {string} account The claiming address
+ * @param {bigint|number|string} value The quantity or balance in the leaf
+ * @param {string[]} proof The Merkle proof
+ * @returns {boolean}
+ */
+function verifyProof(root, account, value, proof) {
+  const computed = proof.reduce(hashPair, hashLeaf(account, value));
+  return computed === root;
+}
+
+module.exports = { hashLeaf, buildTree, verifyProof };
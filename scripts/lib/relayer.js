@@ -0,0 +1,227 @@
+const http = require("http");
+const { Contract, Interface, formatEther, getAddress } = require("ethers");
+
+const { NFT_ABI, MINTER_ABI, FORWARDER_ABI } = require("../../sdk/abi");
+const { decodeRevert } = require("./errors");
+const { normalizeRequest } = require("./forwarder");
+
+// Largest request body accepted by the HTTP server
+const MAX_BODY_BYTES = 16 * 1024;
+
+const minterInterface = new Interface(MINTER_ABI);
+const interfaces = [
+  new Interface(FORWARDER_ABI),
+  minterInterface,
+  new Interface(NFT_ABI),
+];
+
+// The only call the relayer pays for
+const MINT_NFT_DATA = minterInterface.encodeFunctionData("mintNFT");
+
+/**
+ * @dev Error rejecting a relay request, carrying the HTTP status to answer with
+ */
+class RelayError extends Error {
+  /**
+   * @param {string} message Human-readable description
+   * @param {number} status HTTP status code
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = "RelayError";
+    this.status = status;
+  }
+}
+
+/**
+ * @dev Submits signed `mintNFT` requests to the AirswapForwarder and pays their
+ * gas, up to a spending cap per sender
+ */
+class Relayer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Signer} options.signer Account paying the gas
+   * @param {string} options.forwarder AirswapForwarder address
+   * @param {string} options.minter AirswapMinter address, the only target relayed to
+   * @param {bigint} options.spendingCap Most gas in wei paid for a single sender
+   * @param {{ load: Function, save: Function }} [options.store] Persists the amounts spent, e.g. a JsonStore
+   */
+  constructor({ signer, forwarder, minter, spendingCap, store }) {
+    this.signer = signer;
+    this.forwarder = new Contract(forwarder, FORWARDER_ABI, signer);
+    this.minter = getAddress(minter);
+    this.spendingCap = spendingCap;
+    this.store = store;
+
+    const state = store?.load();
+    this.spent = new Map(
+      Object.entries(state?.spent || {}).map(([sender, wei]) => [
+        sender,
+        BigInt(wei),
+      ])
+    );
+
+    // Requests are relayed one at a time so the signer nonce and the
+    // spending checks never race
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * @dev Gets the gas paid so far for a sender
+   * @param {string} sender The address that signed the requests
+   * @returns {bigint} Amount spent in wei
+   */
+  getSpent(sender) {
+    return this.spent.get(getAddress(sender)) || 0n;
+  }
+
+  /**
+   * @dev Checks, simulates and submits a signed request
+   * @param {object} request The forward request, as signed
+   * @param {string} signature The EIP-712 signature of the request
+   * @returns {Promise<{ hash: string, blockNumber: number, cost: bigint }>}
+   * @throws {RelayError} If the request is not relayed
+   */
+  relay(request, signature) {
+    const result = this.queue.then(() => this._relay(request, signature));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async _relay(rawRequest, signature) {
+    let request;
+    try {
+      request = normalizeRequest(rawRequest);
+    } catch {
+      throw new RelayError("Malformed forward request", 400);
+    }
+
+    if (
+      request.to !== this.minter ||
+      request.data !== MINT_NFT_DATA ||
+      request.value !== 0n
+    ) {
+      throw new RelayError(`Only mintNFT on ${this.minter} is relayed`, 403);
+    }
+
+    let gasLimit;
+    try {
+      gasLimit = await this.forwarder.execute.estimateGas(request, signature);
+    } catch (error) {
+      throw new RelayError(
+        `Request would revert: ${decodeRevert(error, interfaces).message}`,
+        400
+      );
+    }
+
+    const { maxFeePerGas, gasPrice } = await this.signer.provider.getFeeData();
+    const maxCost = gasLimit * (maxFeePerGas ?? gasPrice);
+    const spent = this.getSpent(request.from);
+    if (spent + maxCost > this.spendingCap) {
+      throw new RelayError(
+        `Spending cap of ${formatEther(this.spendingCap)} ETH reached for ${
+          request.from
+        }`,
+        429
+      );
+    }
+
+    let receipt;
+    try {
+      const tx = await this.forwarder.execute(request, signature, {
+        gasLimit,
+      });
+      receipt = await tx.wait();
+    } catch (error) {
+      throw new RelayError(
+        `Transaction reverted: ${decodeRevert(error, interfaces).message}`,
+        502
+      );
+    }
+
+    const cost = receipt.gasUsed * receipt.gasPrice;
+    this.spent.set(request.from, spent + cost);
+    this.store?.save({
+      spent: Object.fromEntries(
+        [...this.spent].map(([sender, wei]) => [sender, wei.toString()])
+      ),
+    });
+
+    return { hash: receipt.hash, blockNumber: receipt.blockNumber, cost };
+  }
+}
+
+/**
+ * @dev Reads and parses a JSON request body
+ */
+async function readJson(req) {
+  let body = "";
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      throw new RelayError("Request body too large", 413);
+    }
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new RelayError("Request body is not valid JSON", 400);
+  }
+}
+
+/**
+ * @dev Creates the HTTP server of a relayer
+ *
+ * - `POST /relay` with `{ request, signature }` relays a request and answers
+ *   `{ hash, blockNumber, cost }`
+ * - `GET /spending/<address>` answers `{ spent, cap }` in wei
+ *
+ * Errors are answered as `{ error }` with the status of the `RelayError`.
+ * @param {Relayer} relayer The relayer to expose
+ * @param {object} [options]
+ * @param {Function} [options.log] Logger for relayed and rejected requests
+ * @returns {http.Server} The server, not yet listening
+ */
+function createRelayServer(relayer, { log = () => {} } = {}) {
+  return http.createServer(async (req, res) => {
+    let status = 200;
+    let payload;
+
+    try {
+      const [, route, param] = req.url.split("/");
+
+      if (req.method === "POST" && route === "relay" && !param) {
+        const { request, signature } = await readJson(req);
+        const { hash, blockNumber, cost } = await relayer.relay(
+          request,
+          signature
+        );
+        payload = { hash, blockNumber, cost: cost.toString() };
+        log(`✅ Relayed mint for ${request.from} in ${hash}`);
+      } else if (req.method === "GET" && route === "spending" && param) {
+        let spent;
+        try {
+          spent = relayer.getSpent(param);
+        } catch {
+          throw new RelayError(`Invalid address "${param}"`, 400);
+        }
+        payload = {
+          spent: spent.toString(),
+          cap: relayer.spendingCap.toString(),
+        };
+      } else {
+        throw new RelayError("Not found", 404);
+      }
+    } catch (error) {
+      status = error instanceof RelayError ? error.status : 500;
+      payload = { error: error.message };
+      log(`❌ ${req.method} ${req.url} ${status}: ${error.message}`);
+    }
+
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  });
+}
+
+module.exports = { Relayer, RelayError, createRelayServer };
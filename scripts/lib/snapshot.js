@@ -0,0 +1,72 @@
+const { Interface, ZeroAddress, getAddress } = require("ethers");
+
+const { buildTree } = require("./merkle");
+
+const erc20Interface = new Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 amount)",
+]);
+const TRANSFER_TOPIC = erc20Interface.getEvent("Transfer").topicHash;
+
+/**
+ * @dev Computes token balances at a block by replaying Transfer events
+ * @param {import("ethers").Provider} provider RPC provider
+ * @param {string} token Address of the token (sAST)
+ * @param {object} options
+ * @param {number} options.blockNumber Block at which balances are taken (inclusive)
+ * @param {number} [options.fromBlock] First block to scan, ideally the token deployment block
+ * @param {number} [options.batchSize] Number of blocks fetched per getLogs call
+ * @returns {Promise<Map<string, bigint>>} Non-zero balances by address
+ */
+async function computeBalances(
+  provider,
+  token,
+  { blockNumber, fromBlock = 0, batchSize = 5000 }
+) {
+  const balances = new Map();
+  const add = (account, amount) =>
+    balances.set(account, (balances.get(account) || 0n) + amount);
+
+  for (let start = fromBlock; start <= blockNumber; start += batchSize) {
+    const logs = await provider.getLogs({
+      address: token,
+      topics: [TRANSFER_TOPIC],
+      fromBlock: start,
+      toBlock: Math.min(start + batchSize - 1, blockNumber),
+    });
+
+    for (const log of logs) {
+      const { from, to, amount } = erc20Interface.parseLog(log).args;
+      if (from !== ZeroAddress) {
+        add(getAddress(from), -amount);
+      }
+      if (to !== ZeroAddress) {
+        add(getAddress(to), amount);
+      }
+    }
+  }
+
+  for (const [account, balance] of balances) {
+    if (balance <= 0n) {
+      balances.delete(account);
+    }
+  }
+  return balances;
+}
+
+/**
+ * @dev Builds the snapshot published with AirswapMinter.updateSnapshot
+ * @param {Map<string, bigint>} balances Balances from computeBalances
+ * @param {object} options
+ * @param {number} options.blockNumber Block at which balances were taken
+ * @param {bigint} [options.minBalance] Leave out holders below this balance
+ * @returns {{ root: string, blockNumber: number, entries: Object<string, { balance: string, proof: string[] }> }}
+ */
+function buildSnapshot(balances, { blockNumber, minBalance = 1n }) {
+  const entries = [...balances]
+    .filter(([, balance]) => balance >= minBalance)
+    .map(([address, balance]) => ({ address, balance }));
+
+  return { blockNumber, ...buildTree(entries, "balance") };
+}
+
+module.exports = { computeBalances, buildSnapshot };
@@ -0,0 +1,121 @@
+const { TypedDataEncoder, getAddress, verifyTypedData } = require("ethers");
+
+// Must match MINT_VOUCHER_TYPEHASH and _domainNameAndVersion in AirswapMinter
+const VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: "recipient", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "quantity", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+/**
+ * @dev Builds the EIP-712 domain of an AirswapMinter deployment
+ * @param {bigint|number|string} chainId Chain the minter is deployed on
+ * @param {string} minter AirswapMinter address
+ * @returns {import("ethers").TypedDataDomain}
+ */
+function voucherDomain(chainId, minter) {
+  return {
+    name: "AirswapMinter",
+    version: "1",
+    chainId: BigInt(chainId),
+    verifyingContract: getAddress(minter),
+  };
+}
+
+/**
+ * @dev Validates a voucher and converts its fields to the types signed
+ * @param {object} voucher Voucher with string, number or bigint fields
+ * @returns {{ recipient: string, tokenId: bigint, quantity: bigint, nonce: bigint, expiry: bigint }}
+ */
+function normalizeVoucher({ recipient, tokenId, quantity, nonce, expiry }) {
+  let address;
+  try {
+    address = getAddress(recipient);
+  } catch {
+    throw new Error(`Invalid recipient address "${recipient}"`);
+  }
+
+  const voucher = {
+    recipient: address,
+    tokenId: BigInt(tokenId),
+    quantity: BigInt(quantity),
+    nonce: BigInt(nonce),
+    expiry: BigInt(expiry),
+  };
+  if (voucher.quantity <= 0n) {
+    throw new Error(`quantity must be greater than zero for ${address}`);
+  }
+  return voucher;
+}
+
+/**
+ * @dev Signs vouchers in bulk, rejecting reused nonces
+ * @param {import("ethers").Signer} signer The voucher signer set on the minter
+ * @param {import("ethers").TypedDataDomain} domain Domain from `voucherDomain`
+ * @param {object[]} vouchers Vouchers to sign
+ * @returns {Promise<object[]>} The normalized vouchers, each with its `signature`
+ */
+async function signVouchers(signer, domain, vouchers) {
+  const nonces = new Set();
+  const signed = [];
+
+  for (const entry of vouchers) {
+    const voucher = normalizeVoucher(entry);
+    if (nonces.has(voucher.nonce)) {
+      throw new Error(`Duplicate nonce ${voucher.nonce}`);
+    }
+    nonces.add(voucher.nonce);
+
+    const signature = await signer.signTypedData(
+      domain,
+      VOUCHER_TYPES,
+      voucher
+    );
+    signed.push({ ...voucher, signature });
+  }
+
+  return signed;
+}
+
+/**
+ * @dev Recovers the address that signed a voucher, without any RPC call
+ * @param {import("ethers").TypedDataDomain} domain Domain from `voucherDomain`
+ * @param {object} voucher The voucher
+ * @param {string} signature The EIP-712 signature
+ * @returns {string} The recovered signer address
+ */
+function recoverVoucherSigner(domain, voucher, signature) {
+  return verifyTypedData(
+    domain,
+    VOUCHER_TYPES,
+    normalizeVoucher(voucher),
+    signature
+  );
+}
+
+/**
+ * @dev Computes the digest checked on-chain, equal to `hashVoucher` on the minter
+ * @param {import("ethers").TypedDataDomain} domain Domain from `voucherDomain`
+ * @param {object} voucher The voucher
+ * @returns {string} The EIP-712 digest
+ */
+function hashVoucher(domain, voucher) {
+  return TypedDataEncoder.hash(
+    domain,
+    VOUCHER_TYPES,
+    normalizeVoucher(voucher)
+  );
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  voucherDomain,
+  normalizeVoucher,
+  signVouchers,
+  recoverVoucherSigner,
+  hashVoucher,
+};
@@ -0,0 +1,72 @@
+// Relays signed mintNFT requests through the AirswapForwarder, paying their
+// gas up to a spending cap per sender.
+//
+// Usage:
+//   RELAYER_PRIVATE_KEY=0x... node scripts/relayer.js --network localhost \
+//     [--rpc http://127.0.0.1:8545] [--port 8787] [--cap 0.01] [--store file]
+//
+// --cap is the most ETH spent on gas for a single sender. Amounts spent are
+// kept in the store file so the caps survive restarts.
+
+require("dotenv").config();
+
+const path = require("path");
+const { parseArgs } = require("util");
+const { JsonRpcProvider, Wallet, formatEther, parseEther } = require("ethers");
+
+const { JsonStore } = require("./lib/indexer");
+const { getDeployedAddress, readManifest } = require("./lib/manifest");
+const { Relayer, createRelayServer } = require("./lib/relayer");
+
+const DEFAULT_STORE_DIR = path.join(__dirname, "..", "relayer-data");
+
+const { values } = parseArgs({
+  options: {
+    network: { type: "string", default: "localhost" },
+    rpc: { type: "string", default: "http://127.0.0.1:8545" },
+    port: { type: "string", default: "8787" },
+    cap: { type: "string", default: "0.01" },
+    store: { type: "string" },
+  },
+});
+
+async function main() {
+  if (!process.env.RELAYER_PRIVATE_KEY) {
+    throw new Error("RELAYER_PRIVATE_KEY is not set");
+  }
+
+  const manifest = readManifest(values.network);
+  // Without the provider's request cache, gas estimates and nonces are
+  // never reused between requests relayed in quick succession
+  const signer = new Wallet(
+    process.env.RELAYER_PRIVATE_KEY,
+    new JsonRpcProvider(values.rpc, undefined, { cacheTimeout: -1 })
+  );
+
+  const relayer = new Relayer({
+    signer,
+    forwarder: getDeployedAddress(manifest, "AirswapForwarder"),
+    minter: getDeployedAddress(manifest, "AirswapMinter"),
+    spendingCap: parseEther(values.cap),
+    store: new JsonStore(
+      values.store || path.join(DEFAULT_STORE_DIR, `${values.network}.json`)
+    ),
+  });
+
+  const balance = await signer.provider.getBalance(signer.address);
+  const server = createRelayServer(relayer, { log: console.log });
+  server.listen(Number(values.port), () => {
+    console.log(`⛽ Relaying for ${relayer.minter} on ${values.network}`);
+    console.log(
+      `   Relayer: ${signer.address} (${formatEther(balance)} ETH), cap ${
+        values.cap
+      } ETH per sender`
+    );
+    console.log(`👂 Listening on http://127.0.0.1:${values.port}`);
+  });
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,145 @@
+// Signs AirswapMinter mint vouchers in bulk and verifies them offline.
+//
+// Usage:
+//   VOUCHER_SIGNER_PRIVATE_KEY=0x... node scripts/vouchers.js sign \
+//     --csv rewards.csv --minter 0x... --chain-id 1 --expiry <timestamp> \
+//     --start-nonce <n> [--out vouchers.json]
+//   node scripts/vouchers.js verify --vouchers vouchers.json [--signer 0x...]
+//
+// The CSV has `address`, `tokenid` and `quantity` columns and optional `nonce`
+// and `expiry` columns; rows without a nonce are numbered from --start-nonce
+// and rows without an expiry get --expiry. Nonces are shared by every voucher
+// on the minter, so --start-nonce has no default: pass the first nonce never
+// issued before.
+
+require("dotenv").config();
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { Wallet, getAddress } = require("ethers");
+
+const { readCSV } = require("./lib/csv");
+const {
+  recoverVoucherSigner,
+  signVouchers,
+  voucherDomain,
+} = require("./lib/vouchers");
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    csv: { type: "string" },
+    minter: { type: "string" },
+    "chain-id": { type: "string" },
+    expiry: { type: "string" },
+    "start-nonce": { type: "string" },
+    out: { type: "string", default: "vouchers.json" },
+    vouchers: { type: "string", default: "vouchers.json" },
+    signer: { type: "string" },
+  },
+});
+
+function stringify(value) {
+  return JSON.stringify(
+    value,
+    (_, v) => (typeof v === "bigint" ? v.toString() : v),
+    2
+  );
+}
+
+async function sign() {
+  if (!values.csv || !values.minter || !values["chain-id"]) {
+    throw new Error("--csv, --minter and --chain-id are required");
+  }
+  if (!process.env.VOUCHER_SIGNER_PRIVATE_KEY) {
+    throw new Error("VOUCHER_SIGNER_PRIVATE_KEY is not set");
+  }
+
+  const signer = new Wallet(process.env.VOUCHER_SIGNER_PRIVATE_KEY);
+  const domain = voucherDomain(values["chain-id"], values.minter);
+
+  let nextNonce =
+    values["start-nonce"] === undefined
+      ? undefined
+      : BigInt(values["start-nonce"]);
+  const entries = readCSV(values.csv, [
+    "address",
+    "tokenid",
+    "quantity",
+    "nonce",
+    "expiry",
+  ]).map(({ line, values: row }) => {
+    const expiry = row.expiry || values.expiry;
+    if (!expiry || !row.tokenid || !row.quantity) {
+      throw new Error(
+        `Line ${line}: tokenId, quantity and expiry are required`
+      );
+    }
+    if (!row.nonce && nextNonce === undefined) {
+      throw new Error(
+        `Line ${line}: no nonce, pass --start-nonce after the last nonce issued`
+      );
+    }
+    return {
+      recipient: row.address,
+      tokenId: row.tokenid,
+      quantity: row.quantity,
+      nonce: row.nonce || nextNonce++,
+      expiry,
+    };
+  });
+
+  const vouchers = await signVouchers(signer, domain, entries);
+
+  fs.writeFileSync(
+    values.out,
+    stringify({ domain, signer: signer.address, vouchers }) + "\n"
+  );
+  console.log(`✍️  Signed by ${signer.address}`);
+  console.log(`📝 ${vouchers.length} vouchers written to ${values.out}`);
+}
+
+function verify() {
+  const { domain, signer, vouchers } = JSON.parse(
+    fs.readFileSync(values.vouchers, "utf8")
+  );
+  const expected = getAddress(values.signer || signer);
+  const now = BigInt(Math.floor(Date.now() / 1000));
+
+  let invalid = 0;
+  for (const voucher of vouchers) {
+    const label = `#${voucher.nonce} ${voucher.recipient} (${voucher.quantity} x token ${voucher.tokenId})`;
+    const recovered = recoverVoucherSigner(domain, voucher, voucher.signature);
+
+    if (recovered !== expected) {
+      console.log(`❌ ${label} is signed by ${recovered}`);
+      invalid++;
+    } else if (BigInt(voucher.expiry) <= now) {
+      console.log(`⌛ ${label} has expired`);
+      invalid++;
+    } else {
+      console.log(`✅ ${label}`);
+    }
+  }
+
+  if (invalid > 0) {
+    throw new Error(`${invalid} of ${vouchers.length} vouchers failed`);
+  }
+}
+
+const commands = { sign, verify };
+
+async function main() {
+  const command = commands[positionals[0]];
+  if (!command) {
+    throw new Error(
+      `Unknown command "${positionals[0]}", expected sign or verify`
+    );
+  }
+  await command();
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
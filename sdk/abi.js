@@ -0,0 +1,171 @@
+// Human-readable ABIs of the functions, events and errors used by the client.
+// Keep in sync with contracts/AirswapNFT.sol, contracts/AirswapMinter.sol and
+// contracts/AirswapRedeemer.sol.
+
+const NFT_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function owner() view returns (address)",
+  "function MINTER_ROLE() view returns (bytes32)",
+  "function URI_MANAGER_ROLE() view returns (bytes32)",
+  "function PAUSER_ROLE() view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleMemberCount(bytes32 role) view returns (uint256)",
+  "function getRoleMember(bytes32 role, uint256 index) view returns (address)",
+  "function getRoleMembers(bytes32 role) view returns (address[])",
+  "function tokenExists(uint256 tokenId) view returns (bool)",
+  "function totalSupply(uint256 tokenId) view returns (uint256)",
+  "function maxSupply(uint256 tokenId) view returns (uint256)",
+  "function locked(uint256 tokenId) view returns (bool)",
+  "function mintingPaused() view returns (bool)",
+  "function transfersPaused() view returns (bool)",
+  "function uri(uint256 tokenId) view returns (string)",
+  "function getTokenURI(uint256 tokenId) view returns (string)",
+  "function baseURI() view returns (string)",
+  "function idSubstitution() view returns (bool)",
+  "function contractURI() view returns (string)",
+  "function uriFrozen(uint256 tokenId) view returns (bool)",
+  "function allURIsFrozen() view returns (bool)",
+  "function isFrozen(uint256 tokenId) view returns (bool)",
+  "function balanceOf(address owner, uint256 id) view returns (uint256)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "function burn(address from, uint256 tokenId, uint256 amount)",
+  "function burnBatch(address from, uint256[] tokenIds, uint256[] amounts)",
+  "function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)",
+
+  "event TokenMinted(address indexed to, uint256 indexed tokenId, uint256 amount)",
+  "event TokenBurned(address indexed from, uint256 indexed tokenId, uint256 amount)",
+  "event TokenCreated(uint256 indexed tokenId, uint256 maxSupply, string uri)",
+  "event URISet(uint256 indexed tokenId, string newURI)",
+  "event URI(string value, uint256 indexed id)",
+  "event BaseURISet(string newBaseURI)",
+  "event IdSubstitutionSet(bool enabled)",
+  "event ContractURIUpdated()",
+  "event BatchMetadataUpdate(uint256 fromTokenId, uint256 toTokenId)",
+  "event PermanentURI(string _value, uint256 indexed _id)",
+  "event AllURIsFrozen()",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRenounced(bytes32 indexed role, address indexed account)",
+  "event MintingPaused(address indexed account)",
+  "event MintingUnpaused(address indexed account)",
+  "event TransfersPaused(address indexed account)",
+  "event TransfersUnpaused(address indexed account)",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 amount)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] amounts)",
+
+  "error MissingRole(bytes32 role, address account)",
+  "error InvalidRoleAccount()",
+  "error RoleAlreadyGranted(bytes32 role, address account)",
+  "error OwnerAlreadyHasRole(bytes32 role)",
+  "error TokenDoesNotExist()",
+  "error TokenAlreadyExists()",
+  "error MaxSupplyExceeded()",
+  "error TokenSoulbound()",
+  "error URIIsFrozen()",
+  "error MintingIsPaused()",
+  "error TransfersArePaused()",
+  "error Unauthorized()",
+  "error InsufficientBalance()",
+  "error NotOwnerNorApproved()",
+];
+
+const MINTER_ABI = [
+  "function nftContract() view returns (address)",
+  "function sastToken() view returns (address)",
+  "function owner() view returns (address)",
+  "function requiredSASTBalance() view returns (uint256)",
+  "function mintableTokenId() view returns (uint256)",
+  "function mintQuantity() view returns (uint256)",
+  "function totalMinted() view returns (uint256)",
+  "function hasMinted(address user, uint256 tokenId) view returns (bool)",
+  "function canMint(address user) view returns (bool)",
+  "function getUserSASTBalance(address user) view returns (uint256)",
+  "function merkleRoot() view returns (bytes32)",
+  "function snapshotRoot() view returns (bytes32)",
+  "function snapshotBlock() view returns (uint256)",
+  "function getMintWindow() view returns (uint64 startTime, uint64 endTime)",
+  "function getTiers() view returns (tuple(uint256 minBalance, uint256 tokenId, uint256 quantity)[])",
+  "function getTier(address user) view returns (bool qualified, uint256 index)",
+  "function tiersVersion() view returns (uint256)",
+  "function hasClaimedTiers(uint256 version, address user) view returns (bool)",
+  "function stakingContract() view returns (address)",
+  "function minStakeAge() view returns (uint256)",
+  "function minStakeLock() view returns (uint256)",
+  "function isStakeMatured(address user) view returns (bool)",
+  "function isMintOpen() view returns (bool)",
+  "function mintingPaused() view returns (bool)",
+  "function isMintingPaused() view returns (bool)",
+  "function mintPrice(uint256 tokenId) view returns (uint256)",
+  "function paymentToken() view returns (address)",
+  "function treasury() view returns (address)",
+  "function mintNFT() payable",
+  "function mintNFTWithPermit(uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function claimAllowlist(uint256 quantity, bytes32[] proof) payable",
+  "function mintWithSnapshot(uint256 balance, bytes32[] proof) payable",
+  "function voucherSigner() view returns (address)",
+  "function trustedForwarder() view returns (address)",
+  "function usedVoucherNonces(uint256 nonce) view returns (bool)",
+  "function mintWithVoucher(tuple(address recipient, uint256 tokenId, uint256 quantity, uint256 nonce, uint256 expiry) voucher, bytes signature)",
+
+  "event NFTMinted(address indexed user, uint256 indexed tokenId, uint256 quantity)",
+  "event VoucherRedeemed(uint256 indexed nonce, address indexed recipient)",
+  "event MintingPaused(address indexed account)",
+  "event MintingUnpaused(address indexed account)",
+
+  "error AlreadyMinted()",
+  "error InsufficientSASTBalance()",
+  "error StakeTooShort()",
+  "error Unauthorized()",
+  "error InvalidTokenAddress()",
+  "error InvalidMintQuantity()",
+  "error AllowlistNotActive()",
+  "error AllowlistActive()",
+  "error InvalidMerkleProof()",
+  "error SnapshotNotActive()",
+  "error SnapshotActive()",
+  "error MintNotStarted()",
+  "error MintEnded()",
+  "error InsufficientSupply()",
+  "error VouchersNotActive()",
+  "error VoucherExpired()",
+  "error VoucherAlreadyUsed()",
+  "error InvalidVoucherSignature()",
+  "error MintingIsPaused()",
+  "error IncorrectPayment(uint256 expected, uint256 received)",
+  "error PaymentTokenNotSet()",
+];
+
+const REDEEMER_ABI = [
+  "function nftContract() view returns (address)",
+  "function owner() view returns (address)",
+  "function recipeCount() view returns (uint256)",
+  "function redemptions(uint256 recipeId) view returns (uint256)",
+  "function getRecipe(uint256 recipeId) view returns (tuple(uint256[] inputIds, uint256[] inputAmounts, uint256 outputId, uint256 outputAmount, bool active))",
+  "function canRedeem(uint256 recipeId, address user) view returns (bool)",
+  "function redeem(uint256 recipeId)",
+
+  "event RecipeCreated(uint256 indexed recipeId, uint256[] inputIds, uint256[] inputAmounts, uint256 outputId, uint256 outputAmount)",
+  "event RecipeStatusUpdated(uint256 indexed recipeId, bool active)",
+  "event Redeemed(address indexed user, uint256 indexed recipeId, uint256 outputId, uint256 outputAmount)",
+
+  "error RecipeDoesNotExist()",
+  "error RecipeNotActive()",
+];
+
+const FORWARDER_ABI = [
+  "function nonces(address from) view returns (uint256)",
+  "function hashRequest(tuple(address from, address to, uint256 value, uint256 gas, uint256 nonce, uint256 deadline, bytes data) request) view returns (bytes32)",
+  "function verify(tuple(address from, address to, uint256 value, uint256 gas, uint256 nonce, uint256 deadline, bytes data) request, bytes signature) view returns (bool)",
+  "function execute(tuple(address from, address to, uint256 value, uint256 gas, uint256 nonce, uint256 deadline, bytes data) request, bytes signature) payable returns (bytes)",
+
+  "event Executed(address indexed from, address indexed to, uint256 nonce)",
+
+  "error RequestExpired()",
+  "error InvalidNonce()",
+  "error InvalidRequestSignature()",
+  "error InvalidValue()",
+];
+
+module.exports = { NFT_ABI, MINTER_ABI, REDEEMER_ABI, FORWARDER_ABI };
@@ -0,0 +1,128 @@
+const { Interface } = require("ethers");
+
+const { NFT_ABI, MINTER_ABI } = require("./abi");
+
+/**
+ * @dev Base class of the errors thrown by the client for contract reverts
+ */
+class AirswapError extends Error {
+  /**
+   * @param {string} message Human-readable description
+   * @param {object} [options]
+   * @param {Error} [options.cause] The original ethers error
+   */
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * @dev The user has already minted the current mintable token
+ */
+class AlreadyMintedError extends AirswapError {}
+
+/**
+ * @dev The user holds less sAST than the minter requires
+ */
+class InsufficientSASTBalanceError extends AirswapError {}
+
+/**
+ * @dev The sender is not allowed to call the function
+ */
+class UnauthorizedError extends AirswapError {}
+
+/**
+ * @dev The token ID has not been minted yet
+ */
+class TokenDoesNotExistError extends AirswapError {}
+
+/**
+ * @dev Not enough of the token's max supply is left to mint
+ */
+class InsufficientSupplyError extends AirswapError {}
+
+/**
+ * @dev Minting or transfers are paused
+ */
+class PausedError extends AirswapError {}
+
+/**
+ * @dev The ETH sent does not cover the mint price
+ */
+class IncorrectPaymentError extends AirswapError {}
+
+/**
+ * @dev The sAST stake is too recent or unlocks too soon to mint
+ */
+class StakeTooShortError extends AirswapError {}
+
+const ERROR_CLASSES = {
+  AlreadyMinted: [AlreadyMintedError, "Address has already minted this token"],
+  InsufficientSASTBalance: [
+    InsufficientSASTBalanceError,
+    "Address does not hold enough sAST to mint",
+  ],
+  StakeTooShort: [
+    StakeTooShortError,
+    "sAST stake is too recent or unlocks too soon",
+  ],
+  Unauthorized: [UnauthorizedError, "Sender is not authorized"],
+  MissingRole: [UnauthorizedError, "Sender is missing the required role"],
+  TokenDoesNotExist: [TokenDoesNotExistError, "Token does not exist"],
+  InsufficientSupply: [InsufficientSupplyError, "Token supply is exhausted"],
+  MaxSupplyExceeded: [InsufficientSupplyError, "Token supply is exhausted"],
+  MintingIsPaused: [PausedError, "Minting is paused"],
+  TransfersArePaused: [PausedError, "Transfers are paused"],
+  IncorrectPayment: [IncorrectPaymentError, "Incorrect mint payment"],
+};
+
+const interfaces = [new Interface(MINTER_ABI), new Interface(NFT_ABI)];
+
+/**
+ * @dev Extracts the revert data carried by an ethers error
+ */
+function findRevertData(error) {
+  const candidates = [
+    error?.data,
+    error?.error?.data,
+    error?.info?.error?.data,
+  ];
+  return candidates.find(
+    (data) => typeof data === "string" && /^0x[0-9a-fA-F]{8}/.test(data)
+  );
+}
+
+/**
+ * @dev Converts a contract revert into the matching typed error
+ * @param {Error} error The error thrown by ethers
+ * @returns {Error} A typed AirswapError, or the original error if the revert is not mapped
+ */
+function parseContractError(error) {
+  const data = findRevertData(error);
+  if (!data) {
+    return error;
+  }
+
+  for (const iface of interfaces) {
+    const parsed = iface.parseError(data);
+    if (parsed && ERROR_CLASSES[parsed.name]) {
+      const [ErrorClass, message] = ERROR_CLASSES[parsed.name];
+      return new ErrorClass(message, { cause: error });
+    }
+  }
+  return error;
+}
+
+module.exports = {
+  AirswapError,
+  AlreadyMintedError,
+  InsufficientSASTBalanceError,
+  UnauthorizedError,
+  TokenDoesNotExistError,
+  InsufficientSupplyError,
+  PausedError,
+  IncorrectPaymentError,
+  StakeTooShortError,
+  parseContractError,
+};
@@ -0,0 +1,384 @@
+const { Contract, Signature, ZeroAddress, ZeroHash } = require("ethers");
+
+const { NFT_ABI, MINTER_ABI } = require("./abi");
+const errors = require("./errors");
+const { ROLES, parseRole } = require("./roles");
+
+const { parseContractError } = errors;
+
+/**
+ * @typedef {object} Eligibility
+ * @property {boolean} eligible Whether `mint()` would succeed for the address
+ * @property {"MintingPaused"|"MintNotStarted"|"MintEnded"|"AllowlistActive"|"SnapshotActive"|"AlreadyMinted"|"InsufficientSupply"|"InsufficientSASTBalance"|"StakeTooShort"|null} reason Why the address cannot mint with `mint()`
+ * @property {bigint} tokenId The token ID the address mints, from its tier when tiers are set
+ * @property {bigint} quantity The quantity the address mints
+ * @property {number|null} tier Index of the tier the address reaches, null when it reaches none or tiers are off
+ * @property {bigint} balance The sAST balance of the address, its stake when the minter reads a staking contract
+ * @property {bigint} requiredBalance The sAST balance required to mint, the lowest tier's when tiers are set
+ * @property {boolean} hasMinted Whether the address already minted the token, or any tier of the current tier round
+ */
+
+/**
+ * @typedef {object} MintCost
+ * @property {string|null} token The ERC-20 the price is paid in, null for ETH
+ * @property {bigint} amount The total price of the mint
+ */
+
+// Read and permit calls made on the minter's payment token
+const PAYMENT_TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * @dev Picks what a sAST balance mints from the global drop like the minter
+ * does: the highest tier reached, or the single threshold when tiers are off.
+ * Below every tier, the lowest one is returned as the target.
+ */
+function resolveDrop(tiers, balance, { tokenId, quantity, requiredBalance }) {
+  if (tiers.length === 0) {
+    return { tier: null, tokenId, quantity, requiredBalance };
+  }
+
+  const index = tiers.findLastIndex((t) => balance >= t.minBalance);
+  const target = tiers[Math.max(index, 0)];
+  return {
+    tier: index === -1 ? null : index,
+    tokenId: target.tokenId,
+    quantity: target.quantity,
+    requiredBalance: target.minBalance,
+  };
+}
+
+/**
+ * @dev Client wrapping the AirswapNFT and AirswapMinter contracts
+ */
+class AirswapClient {
+  /**
+   * @param {object} options
+   * @param {string} options.nft AirswapNFT address
+   * @param {string} options.minter AirswapMinter address
+   * @param {import("ethers").ContractRunner} options.runner Signer, or provider for read-only use
+   */
+  constructor({ nft, minter, runner }) {
+    this.nft = new Contract(nft, NFT_ABI, runner);
+    this.minter = new Contract(minter, MINTER_ABI, runner);
+    this.runner = runner;
+  }
+
+  /**
+   * @dev Returns whether an address can mint, and why not if it cannot
+   * @param {string} address The address to check
+   * @returns {Promise<Eligibility>}
+   */
+  async getEligibility(address) {
+    const [
+      mintableTokenId,
+      mintQuantity,
+      requiredSASTBalance,
+      tiers,
+      balance,
+      stakeMatured,
+      merkleRoot,
+      snapshotRoot,
+      [startTime, endTime],
+      paused,
+      block,
+    ] = await Promise.all([
+      this.minter.mintableTokenId(),
+      this.minter.mintQuantity(),
+      this.minter.requiredSASTBalance(),
+      this.minter.getTiers(),
+      this.minter.getUserSASTBalance(address),
+      this.minter.isStakeMatured(address),
+      this.minter.merkleRoot(),
+      this.minter.snapshotRoot(),
+      this.minter.getMintWindow(),
+      this.minter.isMintingPaused(),
+      (this.runner.provider || this.runner).getBlock("latest"),
+    ]);
+
+    const { tier, tokenId, quantity, requiredBalance } = resolveDrop(
+      tiers,
+      balance,
+      {
+        tokenId: mintableTokenId,
+        quantity: mintQuantity,
+        requiredBalance: requiredSASTBalance,
+      }
+    );
+
+    // One mint per token ID, and per tier round whichever tier it reaches
+    const [mintedToken, claimedTier, totalSupply, maxSupply] =
+      await Promise.all([
+        this.minter.hasMinted(address, tokenId),
+        tiers.length > 0 &&
+          this.minter
+            .tiersVersion()
+            .then((version) => this.minter.hasClaimedTiers(version, address)),
+        this.nft.totalSupply(tokenId),
+        this.nft.maxSupply(tokenId),
+      ]);
+    const hasMinted = mintedToken || claimedTier;
+
+    const now = BigInt(block.timestamp);
+
+    let reason = null;
+    if (paused) {
+      reason = "MintingPaused";
+    } else if (now < startTime) {
+      reason = "MintNotStarted";
+    } else if (endTime !== 0n && now >= endTime) {
+      reason = "MintEnded";
+    } else if (merkleRoot !== ZeroHash) {
+      reason = "AllowlistActive";
+    } else if (snapshotRoot !== ZeroHash) {
+      reason = "SnapshotActive";
+    } else if (hasMinted) {
+      reason = "AlreadyMinted";
+    } else if (maxSupply !== 0n && totalSupply + quantity > maxSupply) {
+      reason = "InsufficientSupply";
+    } else if (balance < requiredBalance) {
+      reason = "InsufficientSASTBalance";
+    } else if (!stakeMatured) {
+      reason = "StakeTooShort";
+    }
+
+    return {
+      eligible: reason === null,
+      reason,
+      tokenId,
+      quantity,
+      tier,
+      balance,
+      requiredBalance,
+      hasMinted,
+    };
+  }
+
+  /**
+   * @dev Mints the current token for the connected signer. The call is
+   * simulated first so that reverts surface as typed errors before any gas
+   * is spent.
+   * @param {import("ethers").Overrides} [overrides] Transaction overrides
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async mint(overrides = {}) {
+    return this._send(
+      "mintNFT",
+      [],
+      await this._withPayment(overrides, await this._signerDrop())
+    );
+  }
+
+  /**
+   * @dev Returns the price of a mint
+   * @param {object} [options]
+   * @param {bigint} [options.tokenId] The token minted, defaults to the minter's mintable token ID
+   * @param {bigint} [options.quantity] The quantity minted, defaults to the minter's mint quantity
+   * @returns {Promise<MintCost>}
+   */
+  async getMintCost({ tokenId, quantity } = {}) {
+    const [id, mintQuantity, paymentToken] = await Promise.all([
+      tokenId ?? this.minter.mintableTokenId(),
+      quantity ?? this.minter.mintQuantity(),
+      this.minter.paymentToken(),
+    ]);
+    const price = await this.minter.mintPrice(id);
+
+    return {
+      token: paymentToken === ZeroAddress ? null : paymentToken,
+      amount: price * BigInt(mintQuantity),
+    };
+  }
+
+  /**
+   * @dev Mints the current token, paying its ERC-20 price with an EIP-2612
+   * permit signed by the connected signer rather than a prior approval. The
+   * token's permit domain is assumed to use its name and version "1".
+   * @param {object} [options]
+   * @param {bigint|number} [options.deadline] Permit deadline, defaults to an hour from now
+   * @param {import("ethers").Overrides} [overrides] Transaction overrides
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async mintWithPermit({ deadline } = {}, overrides = {}) {
+    const { token, amount } = await this.getMintCost(await this._signerDrop());
+    if (!token) {
+      throw new Error("Mints are paid in ETH, use mint() instead");
+    }
+
+    const owner = await this.runner.getAddress();
+    const paymentToken = new Contract(token, PAYMENT_TOKEN_ABI, this.runner);
+    const [name, nonce, { chainId }] = await Promise.all([
+      paymentToken.name(),
+      paymentToken.nonces(owner),
+      this.runner.provider.getNetwork(),
+    ]);
+    const permitDeadline =
+      deadline ?? BigInt(Math.floor(Date.now() / 1000) + 3600);
+
+    const { v, r, s } = Signature.from(
+      await this.runner.signTypedData(
+        { name, version: "1", chainId, verifyingContract: token },
+        PERMIT_TYPES,
+        {
+          owner,
+          spender: this.minter.target,
+          value: amount,
+          nonce,
+          deadline: permitDeadline,
+        }
+      )
+    );
+    return this._send(
+      "mintNFTWithPermit",
+      [permitDeadline, v, r, s],
+      overrides
+    );
+  }
+
+  /**
+   * @dev Adds the ETH price of a mint to the overrides, unless a value is
+   * already set or mints are paid in an ERC-20
+   */
+  async _withPayment(overrides, mint) {
+    if (overrides.value !== undefined) {
+      return overrides;
+    }
+    const { token, amount } = await this.getMintCost(mint);
+    return token || amount === 0n ? overrides : { ...overrides, value: amount };
+  }
+
+  /**
+   * @dev Resolves the token and quantity a sAST balance mints from the
+   * global drop, from its tier when tiers are set
+   */
+  async _dropFor(balance) {
+    const [tokenId, quantity, requiredBalance, tiers] = await Promise.all([
+      this.minter.mintableTokenId(),
+      this.minter.mintQuantity(),
+      this.minter.requiredSASTBalance(),
+      this.minter.getTiers(),
+    ]);
+    return resolveDrop(tiers, balance, { tokenId, quantity, requiredBalance });
+  }
+
+  /**
+   * @dev Resolves what the connected signer mints with its live sAST balance
+   */
+  async _signerDrop() {
+    return this._dropFor(
+      await this.minter.getUserSASTBalance(await this.runner.getAddress())
+    );
+  }
+
+  /**
+   * @dev Claims an allowlist allocation for the connected signer, simulating
+   * the call first like `mint()`
+   * @param {{ quantity: bigint|string, proof: string[] }} entry The signer's entry from the proofs JSON
+   * @param {import("ethers").Overrides} [overrides] Transaction overrides
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async claimAllowlist({ quantity, proof }, overrides = {}) {
+    return this._send(
+      "claimAllowlist",
+      [quantity, proof],
+      await this._withPayment(overrides, { quantity: BigInt(quantity) })
+    );
+  }
+
+  /**
+   * @dev Mints with the signer's sAST balance from the published snapshot,
+   * simulating the call first like `mint()`
+   * @param {{ balance: bigint|string, proof: string[] }} entry The signer's entry from the snapshot JSON
+   * @param {import("ethers").Overrides} [overrides] Transaction overrides
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async mintWithSnapshot({ balance, proof }, overrides = {}) {
+    return this._send(
+      "mintWithSnapshot",
+      [balance, proof],
+      await this._withPayment(overrides, await this._dropFor(BigInt(balance)))
+    );
+  }
+
+  /**
+   * @dev Redeems a signed mint voucher, simulating the call first like
+   * `mint()`. The tokens go to the voucher recipient whoever sends it.
+   * @param {{ recipient: string, tokenId: bigint|string, quantity: bigint|string, nonce: bigint|string, expiry: bigint|string, signature: string }} voucher An entry from the vouchers JSON
+   * @param {import("ethers").Overrides} [overrides] Transaction overrides
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async mintWithVoucher(
+    { recipient, tokenId, quantity, nonce, expiry, signature },
+    overrides = {}
+  ) {
+    return this._send(
+      "mintWithVoucher",
+      [{ recipient, tokenId, quantity, nonce, expiry }, signature],
+      overrides
+    );
+  }
+
+  /**
+   * @dev Simulates a minter call with staticCall, then sends it
+   */
+  async _send(method, args, overrides) {
+    try {
+      await this.minter[method].staticCall(...args, overrides);
+      const tx = await this.minter[method](...args, overrides);
+      return await tx.wait();
+    } catch (error) {
+      throw parseContractError(error);
+    }
+  }
+
+  /**
+   * @dev Returns the metadata URI of a token, with any ERC-1155 `{id}`
+   * placeholder replaced by the token ID as 64 lowercase hex characters
+   * @param {bigint|number} tokenId The token ID
+   * @returns {Promise<string>}
+   */
+  async getTokenMetadataURI(tokenId) {
+    let uri;
+    try {
+      uri = await this.nft.uri(tokenId);
+    } catch (error) {
+      throw parseContractError(error);
+    }
+    return uri.replaceAll(
+      "{id}",
+      BigInt(tokenId).toString(16).padStart(64, "0")
+    );
+  }
+
+  /**
+   * @dev Returns the collection-level metadata URI (ERC-7572)
+   * @returns {Promise<string>} The URI, empty if none is set
+   */
+  async getContractMetadataURI() {
+    return this.nft.contractURI();
+  }
+
+  /**
+   * @dev Lists the addresses granted an NFT role, the owner holds every role
+   * without being listed
+   * @param {string} role Role name such as "minter", or its bytes32 identifier
+   * @returns {Promise<string[]>} Member addresses
+   */
+  async listRoleMembers(role) {
+    return [...(await this.nft.getRoleMembers(parseRole(role)))];
+  }
+}
+
+module.exports = { AirswapClient, NFT_ABI, MINTER_ABI, ROLES, ...errors };
@@ -0,0 +1,43 @@
+const { id, isHexString } = require("ethers");
+
+// AirswapNFT role identifiers, keccak256 of the constant names
+const ROLES = {
+  MINTER: id("MINTER_ROLE"),
+  URI_MANAGER: id("URI_MANAGER_ROLE"),
+  PAUSER: id("PAUSER_ROLE"),
+};
+
+/**
+ * @dev Resolves a role from its name or identifier
+ * @param {string} role "minter", "uri-manager", "URI_MANAGER", ... or a bytes32 identifier
+ * @returns {string} The bytes32 role identifier
+ */
+function parseRole(role) {
+  if (isHexString(role, 32)) {
+    return role;
+  }
+
+  const name = role
+    .toUpperCase()
+    .replace(/-/g, "_")
+    .replace(/_ROLE$/, "");
+  if (!ROLES[name]) {
+    throw new Error(
+      `Unknown role "${role}", expected ${Object.keys(ROLES)
+        .map((key) => key.toLowerCase().replace(/_/g, "-"))
+        .join(", ")}`
+    );
+  }
+  return ROLES[name];
+}
+
+/**
+ * @dev Returns the name of a role identifier, e.g. "URI_MANAGER"
+ * @param {string} role The bytes32 role identifier
+ * @returns {string} The role name, or the identifier itself if unknown
+ */
+function roleName(role) {
+  return Object.keys(ROLES).find((name) => ROLES[name] === role) || role;
+}
+
+module.exports = { ROLES, parseRole, roleName };
@@ -0,0 +1,784 @@
+const { ZeroAddress } = require("ethers");
+const { task, types } = require("hardhat/config");
+const readline = require("readline/promises");
+
+const { decodeRevert } = require("../scripts/lib/errors");
+const { getDeployedAddress, readManifest } = require("../scripts/lib/manifest");
+const { parseRole, roleName } = require("../sdk/roles");
+
+const CONTRACTS = {
+  nft: "AirswapNFT",
+  minter: "AirswapMinter",
+  redeemer: "AirswapRedeemer",
+};
+
+/**
+ * @dev Resolves a contract from the --address override or the deployment
+ * manifest of the current network
+ */
+async function resolveContract(hre, contractName, address) {
+  const target =
+    address || getDeployedAddress(readManifest(hre.network.name), contractName);
+  return hre.ethers.getContractAt(contractName, target);
+}
+
+/**
+ * @dev Maps a --contract value to its contract name
+ */
+function parseContractName(contract) {
+  const contractName = CONTRACTS[contract];
+  if (!contractName) {
+    throw new Error(
+      `Unknown contract "${contract}", expected nft, minter or redeemer`
+    );
+  }
+  return contractName;
+}
+
+/**
+ * @dev Asks the operator to confirm a change on the terminal
+ */
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    throw new Error("No terminal to confirm on, pass --yes to proceed");
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * @dev Shared flow of every admin task: read the current value, confirm,
+ * send the transaction and print the value before and after
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} options
+ * @param {string} options.contractName "AirswapNFT", "AirswapMinter" or "AirswapRedeemer"
+ * @param {string} [options.address] Contract address overriding the manifest
+ * @param {boolean} [options.yes] Skip the confirmation prompt
+ * @param {string} options.label Name of the value being changed
+ * @param {*} options.proposed The value the transaction should set
+ * @param {Function} options.read Reads the value from the contract
+ * @param {Function} options.send Sends the transaction
+ * @returns {Promise<object|null>} The receipt, or null if aborted
+ */
+async function runAdminTask(hre, options) {
+  const { contractName, address, yes, label, proposed, read, send } = options;
+
+  const contract = await resolveContract(hre, contractName, address);
+  const [signer] = await hre.ethers.getSigners();
+
+  console.log(`📋 ${contractName} at ${contract.target} (${hre.network.name})`);
+  console.log(`   Sender: ${signer.address}`);
+
+  const before = await read(contract);
+  console.log(`   ${label}: ${before} → ${proposed}`);
+
+  if (!yes && !(await confirm("Send transaction?"))) {
+    console.log("🛑 Aborted");
+    return null;
+  }
+
+  const interfaces = await Promise.all(
+    Object.values(CONTRACTS).map(async (name) => {
+      const { abi } = await hre.artifacts.readArtifact(name);
+      return new hre.ethers.Interface(abi);
+    })
+  );
+
+  let receipt;
+  try {
+    const tx = await send(contract);
+    console.log(`⏳ Sent ${tx.hash}`);
+    receipt = await tx.wait();
+  } catch (error) {
+    throw new Error(
+      `Transaction reverted: ${decodeRevert(error, interfaces).message}`
+    );
+  }
+
+  const after = await read(contract);
+  console.log(
+    `✅ ${label}: ${before} → ${after} (block ${receipt.blockNumber})`
+  );
+
+  return receipt;
+}
+
+/**
+ * @dev Registers a task with the parameters shared by all admin tasks
+ */
+function adminTask(name, description) {
+  return task(name, description)
+    .addOptionalParam(
+      "address",
+      "Contract address, defaults to the deployment manifest",
+      undefined,
+      types.string
+    )
+    .addFlag("yes", "Skip the confirmation prompt");
+}
+
+adminTask("grant-role", "Grants an AirswapNFT role")
+  .addParam("role", "Role to grant: minter, uri-manager or pauser")
+  .addParam("account", "Address to grant the role to")
+  .setAction(({ address, yes, role, account }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: `hasRole(${roleName(parseRole(role))}, ${account})`,
+      proposed: true,
+      read: (nft) => nft.hasRole(parseRole(role), account),
+      send: (nft) => nft.grantRole(parseRole(role), account),
+    })
+  );
+
+adminTask("revoke-role", "Revokes an AirswapNFT role")
+  .addParam("role", "Role to revoke: minter, uri-manager or pauser")
+  .addParam("account", "Address to revoke the role from")
+  .setAction(({ address, yes, role, account }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: `hasRole(${roleName(parseRole(role))}, ${account})`,
+      proposed: false,
+      read: (nft) => nft.hasRole(parseRole(role), account),
+      send: (nft) => nft.revokeRole(parseRole(role), account),
+    })
+  );
+
+adminTask("set-uri", "Sets the URI of an AirswapNFT token ID")
+  .addParam("tokenId", "Token ID to update", undefined, types.bigint)
+  .addParam("uri", "New URI for the token")
+  .setAction(({ address, yes, tokenId, uri }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: `getTokenURI(${tokenId})`,
+      proposed: JSON.stringify(uri),
+      read: async (nft) => JSON.stringify(await nft.getTokenURI(tokenId)),
+      send: (nft) => nft.setURI(tokenId, uri),
+    })
+  );
+
+adminTask(
+  "set-base-uri",
+  "Sets the URI of AirswapNFT tokens without an override"
+)
+  .addParam("uri", "New base URI")
+  .setAction(({ address, yes, uri }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: "baseURI",
+      proposed: JSON.stringify(uri),
+      read: async (nft) => JSON.stringify(await nft.baseURI()),
+      send: (nft) => nft.setBaseURI(uri),
+    })
+  );
+
+adminTask(
+  "set-id-substitution",
+  "Sets whether AirswapNFT URIs are returned as ERC-1155 {id} templates"
+)
+  .addParam("enabled", "true for {id} templates", undefined, types.boolean)
+  .setAction(({ address, yes, enabled }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: "idSubstitution",
+      proposed: enabled,
+      read: (nft) => nft.idSubstitution(),
+      send: (nft) => nft.setIdSubstitution(enabled),
+    })
+  );
+
+adminTask("set-contract-uri", "Sets the AirswapNFT collection metadata URI")
+  .addParam("uri", "New contract URI")
+  .setAction(({ address, yes, uri }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: "contractURI",
+      proposed: JSON.stringify(uri),
+      read: async (nft) => JSON.stringify(await nft.contractURI()),
+      send: (nft) => nft.setContractURI(uri),
+    })
+  );
+
+adminTask("freeze-uri", "Freezes the URI of an AirswapNFT token forever")
+  .addParam("tokenId", "Token ID to freeze", undefined, types.bigint)
+  .setAction(({ address, yes, tokenId }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: `isFrozen(${tokenId})`,
+      proposed: true,
+      read: (nft) => nft.isFrozen(tokenId),
+      send: (nft) => nft.freezeURI(tokenId),
+    })
+  );
+
+adminTask(
+  "freeze-all",
+  "Freezes the URIs of every AirswapNFT token forever"
+).setAction(({ address, yes }, hre) =>
+  runAdminTask(hre, {
+    contractName: CONTRACTS.nft,
+    address,
+    yes,
+    label: "allURIsFrozen",
+    proposed: true,
+    read: (nft) => nft.allURIsFrozen(),
+    send: (nft) => nft.freezeAll(),
+  })
+);
+
+adminTask(
+  "create-token",
+  "Creates an AirswapNFT token ahead of its first mint, as the owner"
+)
+  .addParam("tokenId", "Token ID to create", undefined, types.bigint)
+  .addOptionalParam(
+    "maxSupply",
+    "Maximum supply, 0 for uncapped",
+    0n,
+    types.bigint
+  )
+  .addOptionalParam("uri", "URI for the token, the base URI when omitted", "")
+  .setAction(({ address, yes, tokenId, maxSupply, uri }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: `tokenExists(${tokenId})`,
+      proposed: true,
+      read: (nft) => nft.tokenExists(tokenId),
+      send: (nft) => nft.createToken(tokenId, maxSupply, uri),
+    })
+  );
+
+adminTask("set-soulbound", "Sets whether an AirswapNFT token is soulbound")
+  .addParam("tokenId", "Token ID to update", undefined, types.bigint)
+  .addParam("soulbound", "true to block transfers", undefined, types.boolean)
+  .setAction(({ address, yes, tokenId, soulbound }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: `locked(${tokenId})`,
+      proposed: soulbound,
+      read: (nft) => nft.locked(tokenId),
+      send: (nft) => nft.setSoulbound(tokenId, soulbound),
+    })
+  );
+
+adminTask(
+  "set-minting-paused",
+  "Pauses or unpauses minting on AirswapNFT or AirswapMinter"
+)
+  .addParam("contract", "Contract to update: nft or minter")
+  .addParam("paused", "true to stop minting", undefined, types.boolean)
+  .setAction(({ address, yes, contract, paused }, hre) => {
+    if (contract !== "nft" && contract !== "minter") {
+      throw new Error(`Unknown contract "${contract}", expected nft or minter`);
+    }
+
+    return runAdminTask(hre, {
+      contractName: CONTRACTS[contract],
+      address,
+      yes,
+      label: "mintingPaused",
+      proposed: paused,
+      read: (target) => target.mintingPaused(),
+      send: (target) =>
+        paused ? target.pauseMinting() : target.unpauseMinting(),
+    });
+  });
+
+adminTask("set-transfers-paused", "Pauses or unpauses AirswapNFT transfers")
+  .addParam(
+    "paused",
+    "true to stop transfers and burns",
+    undefined,
+    types.boolean
+  )
+  .setAction(({ address, yes, paused }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: "transfersPaused",
+      proposed: paused,
+      read: (nft) => nft.transfersPaused(),
+      send: (nft) => (paused ? nft.pauseTransfers() : nft.unpauseTransfers()),
+    })
+  );
+
+adminTask("set-royalty", "Sets the default or a per-token AirswapNFT royalty")
+  .addParam("receiver", "Address receiving royalties")
+  .addParam("bps", "Royalty in basis points", undefined, types.int)
+  .addOptionalParam(
+    "tokenId",
+    "Token ID to override, defaults to the collection default",
+    undefined,
+    types.bigint
+  )
+  .setAction(({ address, yes, receiver, bps, tokenId }, hre) => {
+    // Without an override, token 0 shows the default royalty
+    const shownTokenId = tokenId ?? 0n;
+
+    return runAdminTask(hre, {
+      contractName: CONTRACTS.nft,
+      address,
+      yes,
+      label: `royaltyInfo(${shownTokenId}, 10000)`,
+      proposed: `${receiver},${bps}`,
+      read: async (nft) =>
+        (await nft.royaltyInfo(shownTokenId, 10000)).join(","),
+      send: (nft) =>
+        tokenId === undefined
+          ? nft.setDefaultRoyalty(receiver, bps)
+          : nft.setTokenRoyalty(tokenId, receiver, bps),
+    });
+  });
+
+adminTask("update-sast-token", "Updates the sAST token used by AirswapMinter")
+  .addParam("token", "New sAST token address")
+  .setAction(({ address, yes, token }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "sastToken",
+      proposed: token,
+      read: (minter) => minter.sastToken(),
+      send: (minter) => minter.updateSASTToken(token),
+    })
+  );
+
+adminTask(
+  "update-staking-contract",
+  "Makes AirswapMinter read stakes from an AirSwap Staking contract"
+)
+  .addParam(
+    "staking",
+    "Staking contract, the zero address to read the sAST token again"
+  )
+  .setAction(({ address, yes, staking }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "stakingContract",
+      proposed: staking,
+      read: (minter) => minter.stakingContract(),
+      send: (minter) => minter.updateStakingContract(staking),
+    })
+  );
+
+adminTask(
+  "update-stake-durations",
+  "Updates how long stakes must have been made and stay locked to mint"
+)
+  .addParam(
+    "minAge",
+    "Minimum seconds since the stake was made",
+    undefined,
+    types.bigint
+  )
+  .addOptionalParam(
+    "minLock",
+    "Minimum seconds before the stake fully unlocks, 0 to allow unlocked stakes",
+    0n,
+    types.bigint
+  )
+  .setAction(({ address, yes, minAge, minLock }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "minStakeAge,minStakeLock",
+      proposed: `${minAge},${minLock}`,
+      read: async (minter) =>
+        `${await minter.minStakeAge()},${await minter.minStakeLock()}`,
+      send: (minter) => minter.updateStakeDurations(minAge, minLock),
+    })
+  );
+
+adminTask(
+  "update-required-balance",
+  "Updates the sAST balance required to mint"
+)
+  .addParam(
+    "balance",
+    "New required balance in base units",
+    undefined,
+    types.bigint
+  )
+  .setAction(({ address, yes, balance }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "requiredSASTBalance",
+      proposed: balance,
+      read: (minter) => minter.requiredSASTBalance(),
+      send: (minter) => minter.updateRequiredBalance(balance),
+    })
+  );
+
+adminTask(
+  "update-mintable-token-id",
+  "Updates the token ID minted through AirswapMinter"
+)
+  .addParam("tokenId", "New mintable token ID", undefined, types.bigint)
+  .setAction(({ address, yes, tokenId }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "mintableTokenId",
+      proposed: tokenId,
+      read: (minter) => minter.mintableTokenId(),
+      send: (minter) => minter.updateMintableTokenId(tokenId),
+    })
+  );
+
+adminTask("update-mint-quantity", "Updates the quantity minted per user")
+  .addParam("quantity", "New mint quantity", undefined, types.bigint)
+  .setAction(({ address, yes, quantity }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "mintQuantity",
+      proposed: quantity,
+      read: (minter) => minter.mintQuantity(),
+      send: (minter) => minter.updateMintQuantity(quantity),
+    })
+  );
+
+adminTask("update-voucher-signer", "Updates the signer of mint vouchers")
+  .addParam("signer", "New voucher signer, the zero address disables vouchers")
+  .setAction(({ address, yes, signer }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "voucherSigner",
+      proposed: signer,
+      read: (minter) => minter.voucherSigner(),
+      send: (minter) => minter.updateVoucherSigner(signer),
+    })
+  );
+
+adminTask("update-mint-price", "Updates the price users pay per token minted")
+  .addParam("tokenId", "Token ID to price", undefined, types.bigint)
+  .addParam(
+    "price",
+    "Price per token in wei or payment token base units, 0 for free",
+    undefined,
+    types.bigint
+  )
+  .setAction(({ address, yes, tokenId, price }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: `mintPrice(${tokenId})`,
+      proposed: price,
+      read: (minter) => minter.mintPrice(tokenId),
+      send: (minter) => minter.updateMintPrice(tokenId, price),
+    })
+  );
+
+adminTask("update-payment-token", "Updates the token mint prices are paid in")
+  .addParam("token", "ERC-20 payment token, the zero address for ETH")
+  .setAction(({ address, yes, token }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "paymentToken",
+      proposed: token,
+      read: (minter) => minter.paymentToken(),
+      send: (minter) => minter.updatePaymentToken(token),
+    })
+  );
+
+adminTask("update-treasury", "Updates the address receiving mint payments")
+  .addParam("treasury", "New treasury address")
+  .setAction(({ address, yes, treasury }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "treasury",
+      proposed: treasury,
+      read: (minter) => minter.treasury(),
+      send: (minter) => minter.updateTreasury(treasury),
+    })
+  );
+
+adminTask(
+  "withdraw",
+  "Sends the mint payments held by the minter to the treasury"
+)
+  .addOptionalParam(
+    "token",
+    "ERC-20 to withdraw, ETH when omitted",
+    ZeroAddress
+  )
+  .setAction(({ address, yes, token }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: `balance of ${token === ZeroAddress ? "ETH" : token}`,
+      proposed: 0n,
+      read: (minter) =>
+        token === ZeroAddress
+          ? hre.ethers.provider.getBalance(minter.target)
+          : new hre.ethers.Contract(
+              token,
+              ["function balanceOf(address) view returns (uint256)"],
+              hre.ethers.provider
+            ).balanceOf(minter.target),
+      send: (minter) => minter.withdraw(token),
+    })
+  );
+
+adminTask(
+  "update-trusted-forwarder",
+  "Updates the forwarder relaying gasless mints"
+)
+  .addParam(
+    "forwarder",
+    "New trusted forwarder, the zero address disables gasless mints"
+  )
+  .setAction(({ address, yes, forwarder }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "trustedForwarder",
+      proposed: forwarder,
+      read: (minter) => minter.trustedForwarder(),
+      send: (minter) => minter.updateTrustedForwarder(forwarder),
+    })
+  );
+
+adminTask(
+  "set-mint-window",
+  "Sets when the AirswapMinter drop opens and closes"
+)
+  .addParam("start", "Opening timestamp in seconds", undefined, types.bigint)
+  .addOptionalParam(
+    "end",
+    "Closing timestamp in seconds, 0 for no end",
+    0n,
+    types.bigint
+  )
+  .setAction(({ address, yes, start, end }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "getMintWindow",
+      proposed: `${start},${end}`,
+      read: async (minter) => (await minter.getMintWindow()).join(","),
+      send: (minter) => minter.setMintWindow(start, end),
+    })
+  );
+
+adminTask(
+  "set-tiers",
+  "Replaces the sAST balance tiers of the AirswapMinter drop"
+)
+  .addParam(
+    "tiers",
+    'Tiers as "minBalance:tokenId:quantity" triples by increasing balance, e.g. "10100000:0:1,100000000:1:2", or "" to switch tiers off'
+  )
+  .setAction(({ address, yes, tiers }, hre) => {
+    const parsed = tiers
+      .split(",")
+      .filter((tier) => tier !== "")
+      .map((tier) => {
+        const [minBalance, tokenId, quantity] = tier.split(":");
+        if (quantity === undefined) {
+          throw new Error(
+            `Invalid tier "${tier}", expected minBalance:tokenId:quantity`
+          );
+        }
+        return [BigInt(minBalance), BigInt(tokenId), BigInt(quantity)];
+      });
+
+    return runAdminTask(hre, {
+      contractName: CONTRACTS.minter,
+      address,
+      yes,
+      label: "getTiers",
+      proposed: parsed.map((tier) => tier.join(":")).join(","),
+      read: async (minter) =>
+        (await minter.getTiers()).map((tier) => tier.join(":")).join(","),
+      send: (minter) => minter.setTiers(parsed),
+    });
+  });
+
+adminTask(
+  "start-tier-round",
+  "Lets every address claim an AirswapMinter tier once more"
+).setAction(({ address, yes }, hre) =>
+  runAdminTask(hre, {
+    contractName: CONTRACTS.minter,
+    address,
+    yes,
+    label: "tiersVersion",
+    proposed: "tiersVersion + 1",
+    read: (minter) => minter.tiersVersion(),
+    send: (minter) => minter.startTierRound(),
+  })
+);
+
+adminTask("create-recipe", "Creates an AirswapRedeemer burn-to-redeem recipe")
+  .addParam("inputs", 'Burned tokens as "id:amount" pairs, e.g. "0:3,1:1"')
+  .addParam(
+    "outputId",
+    "Token ID minted on redemption",
+    undefined,
+    types.bigint
+  )
+  .addOptionalParam(
+    "outputAmount",
+    "Amount minted on redemption",
+    1n,
+    types.bigint
+  )
+  .setAction(({ address, yes, inputs, outputId, outputAmount }, hre) => {
+    const pairs = inputs.split(",").map((pair) => {
+      const [id, amount] = pair.split(":");
+      if (amount === undefined) {
+        throw new Error(`Invalid input "${pair}", expected id:amount`);
+      }
+      return [BigInt(id), BigInt(amount)];
+    });
+
+    return runAdminTask(hre, {
+      contractName: CONTRACTS.redeemer,
+      address,
+      yes,
+      label: "recipeCount",
+      proposed: "+1",
+      read: (redeemer) => redeemer.recipeCount(),
+      send: (redeemer) =>
+        redeemer.createRecipe(
+          pairs.map(([id]) => id),
+          pairs.map(([, amount]) => amount),
+          outputId,
+          outputAmount
+        ),
+    });
+  });
+
+adminTask("set-recipe-active", "Switches an AirswapRedeemer recipe on or off")
+  .addParam("recipeId", "Recipe to update", undefined, types.bigint)
+  .addParam("active", "true to allow redemptions", undefined, types.boolean)
+  .setAction(({ address, yes, recipeId, active }, hre) =>
+    runAdminTask(hre, {
+      contractName: CONTRACTS.redeemer,
+      address,
+      yes,
+      label: `getRecipe(${recipeId}).active`,
+      proposed: active,
+      read: async (redeemer) => (await redeemer.getRecipe(recipeId)).active,
+      send: (redeemer) => redeemer.setRecipeActive(recipeId, active),
+    })
+  );
+
+adminTask(
+  "request-ownership-handover",
+  "Requests ownership of a contract for the sender, valid for 48 hours"
+)
+  .addParam("contract", "Contract to take over: nft, minter or redeemer")
+  .setAction(async ({ address, yes, contract }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+
+    return runAdminTask(hre, {
+      contractName: parseContractName(contract),
+      address,
+      yes,
+      label: `ownershipHandoverExpiresAt(${signer.address})`,
+      proposed: "now + 48h",
+      read: (target) => target.ownershipHandoverExpiresAt(signer.address),
+      send: (target) => target.requestOwnershipHandover(),
+    });
+  });
+
+adminTask(
+  "complete-ownership-handover",
+  "Hands ownership of a contract over to an address that requested it"
+)
+  .addParam("contract", "Contract to hand over: nft, minter or redeemer")
+  .addParam("pendingOwner", "Address that requested the handover")
+  .setAction(({ address, yes, contract, pendingOwner }, hre) =>
+    runAdminTask(hre, {
+      contractName: parseContractName(contract),
+      address,
+      yes,
+      label: "owner",
+      proposed: pendingOwner,
+      read: (target) => target.owner(),
+      send: (target) => target.completeOwnershipHandover(pendingOwner),
+    })
+  );
+
+adminTask(
+  "transfer-ownership",
+  "Transfers ownership of the NFT or redeemer in one call, without a handover"
+)
+  .addParam("contract", "Contract to transfer: nft or redeemer")
+  .addParam("newOwner", "Address of the new owner")
+  .addFlag(
+    "singleStep",
+    "Confirm that a mistyped owner cannot be undone, the handover tasks are safer"
+  )
+  .setAction(({ address, yes, contract, newOwner, singleStep }, hre) => {
+    const contractName = parseContractName(contract);
+    if (contractName === CONTRACTS.minter) {
+      throw new Error(
+        "AirswapMinter only changes owner by handover, use request-ownership-handover and complete-ownership-handover"
+      );
+    }
+    if (!singleStep) {
+      throw new Error(
+        "Use request-ownership-handover and complete-ownership-handover, or pass --single-step to transfer in one call"
+      );
+    }
+
+    return runAdminTask(hre, {
+      contractName,
+      address,
+      yes,
+      label: "owner",
+      proposed: newOwner,
+      read: (target) => target.owner(),
+      send: (target) => target.transferOwnership(newOwner),
+    });
+  });
+
+module.exports = { runAdminTask };
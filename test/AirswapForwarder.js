@@ -0,0 +1,151 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const {
+  FORWARD_REQUEST_TYPES,
+  forwarderDomain,
+  signForwardRequest,
+} = require("../scripts/lib/forwarder");
+
+describe("AirswapForwarder", function () {
+  // We define a fixture to reuse the same setup in every test.
+  async function deployForwarderFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const AirswapForwarder = await ethers.getContractFactory(
+      "AirswapForwarder"
+    );
+    const forwarder = await AirswapForwarder.deploy();
+
+    // The NFT has no forwarder support, so calls through the forwarder come
+    // from the forwarder itself: an easy target to check data is forwarded
+    const AirswapNFT = await ethers.getContractFactory("AirswapNFT");
+    const nft = await AirswapNFT.deploy("Airswap NFT Collection", "ANFT");
+    await nft.grantRole(await nft.MINTER_ROLE(), forwarder.target);
+
+    const deadline = (await time.latest()) + 3600;
+    const sign = (signer, data, overrides = {}) =>
+      signForwardRequest(signer, forwarder.target, {
+        to: nft.target,
+        data,
+        gas: 200000,
+        deadline,
+        ...overrides,
+      });
+    const mintData = nft.interface.encodeFunctionData("mint", [
+      user1.address,
+      1,
+      2,
+      "0x",
+    ]);
+
+    return { forwarder, nft, owner, user1, user2, deadline, sign, mintData };
+  }
+
+  it("Should execute signed requests and bump the nonce", async function () {
+    const { forwarder, nft, user1, user2, sign, mintData } = await loadFixture(
+      deployForwarderFixture
+    );
+    const { request, signature } = await sign(user1, mintData);
+
+    expect(await forwarder.verify(request, signature)).to.be.true;
+    await expect(forwarder.connect(user2).execute(request, signature))
+      .to.emit(forwarder, "Executed")
+      .withArgs(user1.address, nft.target, 0)
+      .and.to.emit(nft, "TokenMinted")
+      .withArgs(user1.address, 1, 2);
+
+    expect(await forwarder.nonces(user1.address)).to.equal(1);
+    expect(await forwarder.verify(request, signature)).to.be.false;
+  });
+
+  it("Should match the on-chain request hash", async function () {
+    const { forwarder, user1, sign, mintData } = await loadFixture(
+      deployForwarderFixture
+    );
+    const { request } = await sign(user1, mintData);
+    const { chainId } = await ethers.provider.getNetwork();
+
+    expect(await forwarder.hashRequest(request)).to.equal(
+      ethers.TypedDataEncoder.hash(
+        forwarderDomain(chainId, forwarder.target),
+        FORWARD_REQUEST_TYPES,
+        request
+      )
+    );
+  });
+
+  it("Should reject replayed requests", async function () {
+    const { forwarder, user1, sign, mintData } = await loadFixture(
+      deployForwarderFixture
+    );
+    const { request, signature } = await sign(user1, mintData);
+    await forwarder.execute(request, signature);
+
+    await expect(
+      forwarder.execute(request, signature)
+    ).to.be.revertedWithCustomError(forwarder, "InvalidNonce");
+  });
+
+  it("Should reject expired requests", async function () {
+    const { forwarder, user1, deadline, sign, mintData } = await loadFixture(
+      deployForwarderFixture
+    );
+    const { request, signature } = await sign(user1, mintData);
+
+    await time.increaseTo(deadline);
+
+    expect(await forwarder.verify(request, signature)).to.be.false;
+    await expect(
+      forwarder.execute(request, signature)
+    ).to.be.revertedWithCustomError(forwarder, "RequestExpired");
+  });
+
+  it("Should reject requests not signed by their sender", async function () {
+    const { forwarder, user1, user2, sign, mintData } = await loadFixture(
+      deployForwarderFixture
+    );
+    const { request, signature } = await sign(user1, mintData);
+
+    // Claimed to be from user2, or tampered with after signing
+    for (const tampered of [
+      { ...request, from: user2.address, nonce: 0 },
+      { ...request, gas: 1000000 },
+    ]) {
+      expect(await forwarder.verify(tampered, signature)).to.be.false;
+      await expect(
+        forwarder.execute(tampered, signature)
+      ).to.be.revertedWithCustomError(forwarder, "InvalidRequestSignature");
+    }
+  });
+
+  it("Should require the ETH sent to match the request value", async function () {
+    const { forwarder, user1, sign, mintData } = await loadFixture(
+      deployForwarderFixture
+    );
+    const { request, signature } = await sign(user1, mintData);
+
+    await expect(
+      forwarder.execute(request, signature, { value: 1 })
+    ).to.be.revertedWithCustomError(forwarder, "InvalidValue");
+  });
+
+  it("Should bubble up reverts from the target", async function () {
+    const { forwarder, nft, user1, sign } = await loadFixture(
+      deployForwarderFixture
+    );
+    const { request, signature } = await sign(
+      user1,
+      nft.interface.encodeFunctionData("setURI", [1, "ipfs://new/"])
+    );
+
+    // The forwarder is a minter but not a URI manager
+    await expect(forwarder.execute(request, signature))
+      .to.be.revertedWithCustomError(nft, "MissingRole")
+      .withArgs(await nft.URI_MANAGER_ROLE(), forwarder.target);
+    expect(await forwarder.nonces(user1.address)).to.equal(0);
+  });
+});
@@ -1,8 +1,14 @@
 const {
   loadFixture,
+  time,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 
+const { signForwardRequest } = require("../scripts/lib/forwarder");
+const { buildTree } = require("../scripts/lib/merkle");
+const { buildSnapshot, computeBalances } = require("../scripts/lib/snapshot");
+const { signVouchers, voucherDomain } = require("../scripts/lib/vouchers");
+
 describe("AirswapMinter", function () {
   // We define a fixture to reuse the same setup in every test.
   async function deployMinterFixture() {
@@ -20,8 +26,8 @@ describe("AirswapMinter", function () {
     const AirswapMinter = await ethers.getContractFactory("AirswapMinter");
     const minter = await AirswapMinter.deploy(nft.target, sastToken.target);
 
-    // Add the minter as an admin to the NFT contract
-    await nft.addAdmin(minter.target);
+    // Let the minter mint on the NFT contract
+    await nft.grantRole(await nft.MINTER_ROLE(), minter.target);
 
     return { nft, sastToken, minter, owner, user1, user2, user3, user4 };
   }
@@ -256,148 +262,2235 @@ describe("AirswapMinter", function () {
     });
   });
 
-  describe("Batch Minting", function () {
-    it("Should allow owner to batch mint for multiple users", async function () {
-      const { nft, sastToken, minter, owner, user1, user2, user3 } =
-        await loadFixture(deployMinterFixture);
-      const requiredBalance = await minter.requiredSASTBalance();
+  describe("Allowlist Minting", function () {
+    async function allowlistFixture() {
+      const fixture = await deployMinterFixture();
+      const { minter, owner, user1, user2, user3 } = fixture;
 
-      // Give users sufficient sAST balance
-      await sastToken.mint(user1.address, requiredBalance);
-      await sastToken.mint(user2.address, requiredBalance);
-      await sastToken.mint(user3.address, requiredBalance);
+      const tree = buildTree([
+        { address: user1.address, quantity: 1 },
+        { address: user2.address, quantity: 3 },
+        { address: user3.address, quantity: 2 },
+      ]);
+      await minter.connect(owner).updateMerkleRoot(tree.root);
 
-      const users = [user1.address, user2.address, user3.address];
+      return { ...fixture, tree };
+    }
 
-      // Batch mint
-      await expect(minter.connect(owner).batchMintNFTs(users))
-        .to.emit(minter, "NFTMinted")
-        .withArgs(user1.address, 0, 1)
-        .to.emit(minter, "NFTMinted")
-        .withArgs(user2.address, 0, 1)
-        .to.emit(minter, "NFTMinted")
-        .withArgs(user3.address, 0, 1);
+    it("Should allow allowlisted users to claim their quantity", async function () {
+      const { nft, minter, tree, user2 } = await loadFixture(allowlistFixture);
+      const { quantity, proof } = tree.entries[user2.address];
 
-      // Verify NFTs were minted
-      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
-      expect(await nft.balanceOf(user2.address, 0)).to.equal(1);
-      expect(await nft.balanceOf(user3.address, 0)).to.equal(1);
+      await expect(minter.connect(user2).claimAllowlist(quantity, proof))
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user2.address, 0, 3);
 
-      // Verify total minted
+      expect(await nft.balanceOf(user2.address, 0)).to.equal(3);
+      expect(await minter.hasMinted(user2.address, 0)).to.be.true;
       expect(await minter.totalMinted()).to.equal(3);
     });
 
-    it("Should skip users who have already minted in batch", async function () {
-      const { sastToken, minter, owner, user1, user2 } = await loadFixture(
-        deployMinterFixture
+    it("Should not require an sAST balance", async function () {
+      const { minter, sastToken, tree, user1 } = await loadFixture(
+        allowlistFixture
+      );
+      const { quantity, proof } = tree.entries[user1.address];
+
+      expect(await sastToken.balanceOf(user1.address)).to.equal(0);
+      await expect(
+        minter.connect(user1).claimAllowlist(quantity, proof)
+      ).to.emit(minter, "NFTMinted");
+    });
+
+    it("Should prevent double claims", async function () {
+      const { minter, tree, user1 } = await loadFixture(allowlistFixture);
+      const { quantity, proof } = tree.entries[user1.address];
+
+      await minter.connect(user1).claimAllowlist(quantity, proof);
+
+      await expect(
+        minter.connect(user1).claimAllowlist(quantity, proof)
+      ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
+    });
+
+    it("Should revert with a quantity other than the one in the leaf", async function () {
+      const { minter, tree, user1 } = await loadFixture(allowlistFixture);
+      const { proof } = tree.entries[user1.address];
+
+      await expect(
+        minter.connect(user1).claimAllowlist(5, proof)
+      ).to.be.revertedWithCustomError(minter, "InvalidMerkleProof");
+    });
+
+    it("Should revert for users not on the allowlist", async function () {
+      const { minter, tree, user1, user4 } = await loadFixture(
+        allowlistFixture
       );
+      const { quantity, proof } = tree.entries[user1.address];
+
+      await expect(
+        minter.connect(user4).claimAllowlist(quantity, proof)
+      ).to.be.revertedWithCustomError(minter, "InvalidMerkleProof");
+    });
+
+    it("Should revert with a zero quantity", async function () {
+      const { minter, user1 } = await loadFixture(allowlistFixture);
+
+      await expect(
+        minter.connect(user1).claimAllowlist(0, [])
+      ).to.be.revertedWithCustomError(minter, "InvalidMintQuantity");
+    });
+
+    it("Should disable sAST balance minting while active", async function () {
+      const { minter, sastToken, user4 } = await loadFixture(allowlistFixture);
+      await sastToken.mint(user4.address, await minter.requiredSASTBalance());
+
+      expect(await minter.canMint(user4.address)).to.be.false;
+      await expect(
+        minter.connect(user4).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "AllowlistActive");
+    });
+
+    it("Should revert claims when no allowlist is set", async function () {
+      const { minter, user1 } = await loadFixture(deployMinterFixture);
+
+      await expect(
+        minter.connect(user1).claimAllowlist(1, [])
+      ).to.be.revertedWithCustomError(minter, "AllowlistNotActive");
+    });
+
+    it("Should allow owner to update and clear the Merkle root", async function () {
+      const { minter, owner, tree } = await loadFixture(allowlistFixture);
+
+      await expect(minter.connect(owner).updateMerkleRoot(ethers.ZeroHash))
+        .to.emit(minter, "MerkleRootUpdated")
+        .withArgs(tree.root, ethers.ZeroHash);
+
+      expect(await minter.merkleRoot()).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should revert if non-owner tries to update the Merkle root", async function () {
+      const { minter, user1 } = await loadFixture(deployMinterFixture);
+
+      await expect(
+        minter.connect(user1).updateMerkleRoot(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+  });
+
+  describe("Snapshot Eligibility", function () {
+    async function snapshotFixture() {
+      const fixture = await deployMinterFixture();
+      const { minter, sastToken, owner, user1, user3 } = fixture;
       const requiredBalance = await minter.requiredSASTBalance();
 
-      // Give users sufficient sAST balance
       await sastToken.mint(user1.address, requiredBalance);
-      await sastToken.mint(user2.address, requiredBalance);
+      await sastToken.mint(user3.address, requiredBalance - 1n);
+
+      const blockNumber = await ethers.provider.getBlockNumber();
+      const balances = await computeBalances(
+        ethers.provider,
+        sastToken.target,
+        { blockNumber }
+      );
+      const snapshot = buildSnapshot(balances, { blockNumber });
+      await minter
+        .connect(owner)
+        .updateSnapshot(snapshot.root, snapshot.blockNumber);
+
+      return { ...fixture, snapshot, requiredBalance };
+    }
+
+    it("Should let sAST be passed around between wallets without a snapshot", async function () {
+      const { nft, minter, sastToken, user1, user2 } = await loadFixture(
+        deployMinterFixture
+      );
+      const requiredBalance = await minter.requiredSASTBalance();
+      await sastToken.mint(user1.address, requiredBalance);
 
-      // User1 mints individually first
       await minter.connect(user1).mintNFT();
+      await sastToken.connect(user1).transfer(user2.address, requiredBalance);
+      await minter.connect(user2).mintNFT();
 
-      const users = [user1.address, user2.address];
+      // The same sAST minted twice
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+      expect(await nft.balanceOf(user2.address, 0)).to.equal(1);
+    });
 
-      // Batch mint - should skip user1, mint for user2
-      await expect(minter.connect(owner).batchMintNFTs(users))
+    it("Should block passing sAST around once a snapshot is set", async function () {
+      const { minter, sastToken, snapshot, requiredBalance, user1, user2 } =
+        await loadFixture(snapshotFixture);
+      const { balance, proof } = snapshot.entries[user1.address];
+
+      await minter.connect(user1).mintWithSnapshot(balance, proof);
+      await sastToken.connect(user1).transfer(user2.address, requiredBalance);
+
+      expect(snapshot.entries[user2.address]).to.be.undefined;
+      await expect(
+        minter.connect(user2).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "SnapshotActive");
+      await expect(
+        minter.connect(user2).mintWithSnapshot(balance, proof)
+      ).to.be.revertedWithCustomError(minter, "InvalidMerkleProof");
+    });
+
+    it("Should allow holders to mint with their snapshot balance", async function () {
+      const { nft, minter, snapshot, user1 } = await loadFixture(
+        snapshotFixture
+      );
+      const { balance, proof } = snapshot.entries[user1.address];
+
+      await expect(minter.connect(user1).mintWithSnapshot(balance, proof))
         .to.emit(minter, "NFTMinted")
-        .withArgs(user2.address, 0, 1);
+        .withArgs(user1.address, 0, 1);
 
-      // Verify only user2 got the new NFT
-      expect(await minter.hasMinted(user1.address, 0)).to.be.true;
-      expect(await minter.hasMinted(user2.address, 0)).to.be.true;
-      expect(await minter.totalMinted()).to.equal(2);
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+      await expect(
+        minter.connect(user1).mintWithSnapshot(balance, proof)
+      ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
     });
 
-    it("Should revert if non-owner tries to batch mint", async function () {
+    it("Should use the snapshot balance rather than the live balance", async function () {
+      const { minter, sastToken, snapshot, requiredBalance, user1, user2 } =
+        await loadFixture(snapshotFixture);
+      const { balance, proof } = snapshot.entries[user1.address];
+
+      // Balance moved away after the snapshot still counts
+      await sastToken.connect(user1).transfer(user2.address, requiredBalance);
+
+      await expect(
+        minter.connect(user1).mintWithSnapshot(balance, proof)
+      ).to.emit(minter, "NFTMinted");
+    });
+
+    it("Should revert if the snapshot balance is below the requirement", async function () {
+      const { minter, snapshot, user3 } = await loadFixture(snapshotFixture);
+      const { balance, proof } = snapshot.entries[user3.address];
+
+      await expect(
+        minter.connect(user3).mintWithSnapshot(balance, proof)
+      ).to.be.revertedWithCustomError(minter, "InsufficientSASTBalance");
+    });
+
+    it("Should revert if a higher balance than recorded is claimed", async function () {
+      const { minter, snapshot, requiredBalance, user3 } = await loadFixture(
+        snapshotFixture
+      );
+      const { proof } = snapshot.entries[user3.address];
+
+      await expect(
+        minter.connect(user3).mintWithSnapshot(requiredBalance, proof)
+      ).to.be.revertedWithCustomError(minter, "InvalidMerkleProof");
+    });
+
+    it("Should revert snapshot mints when no snapshot is set", async function () {
       const { minter, user1 } = await loadFixture(deployMinterFixture);
 
-      const users = [user1.address];
+      await expect(
+        minter.connect(user1).mintWithSnapshot(0, [])
+      ).to.be.revertedWithCustomError(minter, "SnapshotNotActive");
+    });
+
+    it("Should allow owner to publish and clear the snapshot", async function () {
+      const { minter, owner, snapshot } = await loadFixture(snapshotFixture);
+
+      expect(await minter.snapshotRoot()).to.equal(snapshot.root);
+      expect(await minter.snapshotBlock()).to.equal(snapshot.blockNumber);
+
+      await expect(minter.connect(owner).updateSnapshot(ethers.ZeroHash, 0))
+        .to.emit(minter, "SnapshotUpdated")
+        .withArgs(ethers.ZeroHash, 0);
+    });
+
+    it("Should revert if non-owner tries to publish a snapshot", async function () {
+      const { minter, user1 } = await loadFixture(deployMinterFixture);
 
       await expect(
-        minter.connect(user1).batchMintNFTs(users)
+        minter.connect(user1).updateSnapshot(ethers.ZeroHash, 0)
       ).to.be.revertedWithCustomError(minter, "Unauthorized");
     });
   });
 
-  describe("Admin Functions", function () {
-    describe("SAST Token Management", function () {
-      it("Should allow owner to update sAST token address", async function () {
-        const { minter, owner, user1 } = await loadFixture(deployMinterFixture);
-        const newTokenAddress = user1.address; // Using user1 as mock new token
+  describe("Tiers", function () {
+    const TIERS = [
+      { minBalance: 10100000n, tokenId: 1n, quantity: 1n },
+      { minBalance: 100000000n, tokenId: 2n, quantity: 2n },
+      { minBalance: 1000000000n, tokenId: 3n, quantity: 5n },
+    ];
+
+    async function tiersFixture() {
+      const fixture = await deployMinterFixture();
+      const { minter, sastToken, owner, user1, user2, user3, user4 } = fixture;
+
+      await minter.connect(owner).setTiers(TIERS);
+      await sastToken.mint(user1.address, TIERS[0].minBalance);
+      await sastToken.mint(user2.address, TIERS[1].minBalance);
+      await sastToken.mint(user3.address, TIERS[2].minBalance * 2n);
+      await sastToken.mint(user4.address, TIERS[0].minBalance - 1n);
+
+      return fixture;
+    }
+
+    it("Should allow owner to set tiers", async function () {
+      const { minter, owner } = await loadFixture(deployMinterFixture);
+
+      await expect(minter.connect(owner).setTiers(TIERS))
+        .to.emit(minter, "TiersUpdated")
+        .withArgs(
+          TIERS.map(({ minBalance, tokenId, quantity }) => [
+            minBalance,
+            tokenId,
+            quantity,
+          ])
+        );
 
-        await expect(minter.connect(owner).updateSASTToken(newTokenAddress))
-          .to.emit(minter, "SASTTokenUpdated")
-          .withArgs(await minter.sastToken(), newTokenAddress);
+      const tiers = await minter.getTiers();
+      expect(tiers.map((tier) => tier.toObject())).to.deep.equal(TIERS);
+    });
 
-        expect(await minter.sastToken()).to.equal(newTokenAddress);
-      });
+    it("Should mint the token and quantity of the highest tier reached", async function () {
+      const { nft, minter, user1, user2, user3 } = await loadFixture(
+        tiersFixture
+      );
 
-      it("Should revert if non-owner tries to update sAST token", async function () {
-        const { minter, user1 } = await loadFixture(deployMinterFixture);
+      await expect(minter.connect(user1).mintNFT())
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user1.address, 1, 1);
+      await expect(minter.connect(user2).mintNFT())
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user2.address, 2, 2);
+      await expect(minter.connect(user3).mintNFT())
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user3.address, 3, 5);
 
-        await expect(
-          minter.connect(user1).updateSASTToken(user1.address)
-        ).to.be.revertedWithCustomError(minter, "Unauthorized");
-      });
+      expect(await nft.balanceOf(user3.address, 3)).to.equal(5);
+      expect(await nft.balanceOf(user3.address, 0)).to.equal(0);
+      expect(await minter.hasMinted(user3.address, 3)).to.be.true;
+      expect(await minter.totalMinted()).to.equal(8);
+    });
 
-      it("Should revert if trying to set zero address as sAST token", async function () {
-        const { minter, owner } = await loadFixture(deployMinterFixture);
+    it("Should revert for holders below the lowest tier", async function () {
+      const { minter, user4 } = await loadFixture(tiersFixture);
 
-        await expect(
-          minter.connect(owner).updateSASTToken(ethers.ZeroAddress)
-        ).to.be.revertedWithCustomError(minter, "InvalidTokenAddress");
-      });
+      await expect(
+        minter.connect(user4).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "InsufficientSASTBalance");
     });
 
-    describe("Required Balance Management", function () {
-      it("Should allow owner to update required balance", async function () {
-        const { minter, owner } = await loadFixture(deployMinterFixture);
-        const newBalance = 2000n * 10n ** 4n;
+    it("Should mint once per address whichever tier is reached", async function () {
+      const { nft, minter, sastToken, owner, user1, user2 } = await loadFixture(
+        deployMinterFixture
+      );
+      await minter.connect(owner).setTiers([
+        { minBalance: 100, tokenId: 1, quantity: 1 },
+        { minBalance: 1000, tokenId: 2, quantity: 3 },
+      ]);
+      await sastToken.mint(user1.address, 1000);
 
-        await expect(minter.connect(owner).updateRequiredBalance(newBalance))
-          .to.emit(minter, "RequiredBalanceUpdated")
-          .withArgs(await minter.requiredSASTBalance(), newBalance);
+      await minter.connect(user1).mintNFT();
+      expect(await minter.hasClaimedTiers(0, user1.address)).to.be.true;
 
-        expect(await minter.requiredSASTBalance()).to.equal(newBalance);
-      });
+      // Dropping to the lower tier does not unlock its token
+      await sastToken.connect(user1).transfer(user2.address, 800);
+      expect(await minter.canMint(user1.address)).to.be.false;
+      await expect(
+        minter.connect(user1).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
 
-      it("Should revert if non-owner tries to update required balance", async function () {
-        const { minter, user1 } = await loadFixture(deployMinterFixture);
+      // Nor does growing into a higher tier
+      await sastToken.connect(user2).transfer(user1.address, 800);
+      await expect(
+        minter.connect(user1).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
 
-        await expect(
-          minter.connect(user1).updateRequiredBalance(2000n * 10n ** 4n)
-        ).to.be.revertedWithCustomError(minter, "Unauthorized");
-      });
+      expect(await nft.balanceOf(user1.address, 2)).to.equal(3);
+      expect(await nft.balanceOf(user1.address, 1)).to.equal(0);
     });
 
-    describe("Ownership Management", function () {
-      it("Should allow owner to transfer ownership", async function () {
-        const { minter, owner, user1 } = await loadFixture(deployMinterFixture);
+    it("Should mint once per address in snapshot mode", async function () {
+      const { minter, sastToken, owner, user2 } = await loadFixture(
+        tiersFixture
+      );
+      const blockNumber = await ethers.provider.getBlockNumber();
+      const snapshot = buildSnapshot(
+        await computeBalances(ethers.provider, sastToken.target, {
+          blockNumber,
+        }),
+        { blockNumber }
+      );
+      await minter
+        .connect(owner)
+        .updateSnapshot(snapshot.root, snapshot.blockNumber);
+      const { balance, proof } = snapshot.entries[user2.address];
 
-        await minter.connect(owner).transferOwnership(user1.address);
+      await minter.connect(user2).mintWithSnapshot(balance, proof);
+      await expect(
+        minter.connect(user2).mintWithSnapshot(balance, proof)
+      ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
+    });
 
-        expect(await minter.owner()).to.equal(user1.address);
-      });
+    it("Should keep claims when the same tiers are set again", async function () {
+      const { minter, owner, user1 } = await loadFixture(tiersFixture);
 
-      it("Should revert if non-owner tries to transfer ownership", async function () {
-        const { minter, user1, user2 } = await loadFixture(deployMinterFixture);
+      await minter.connect(user1).mintNFT();
+      await minter.connect(owner).setTiers(TIERS);
+      await minter.connect(owner).setTiers(TIERS);
 
-        await expect(
-          minter.connect(user1).transferOwnership(user2.address)
-        ).to.be.revertedWithCustomError(minter, "Unauthorized");
-      });
+      expect(await minter.tiersVersion()).to.equal(0);
+      await expect(
+        minter.connect(user1).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
+    });
 
-      it("Should revert if trying to transfer ownership to zero address", async function () {
-        const { minter, owner } = await loadFixture(deployMinterFixture);
+    it("Should not let a tier mint a token the user already minted", async function () {
+      const { nft, minter, sastToken, owner, user1 } = await loadFixture(
+        deployMinterFixture
+      );
+      await sastToken.mint(user1.address, TIERS[0].minBalance);
+      await minter.connect(user1).mintNFT();
 
-        await expect(
-          minter.connect(owner).transferOwnership(ethers.ZeroAddress)
-        ).to.be.revertedWithCustomError(minter, "InvalidTokenAddress");
+      await minter.connect(owner).setTiers([{ ...TIERS[0], tokenId: 0n }]);
+      expect(await minter.canMint(user1.address)).to.be.false;
+      await expect(
+        minter.connect(user1).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
+
+      // Nor does a new tier round
+      await minter.connect(owner).startTierRound();
+      await expect(
+        minter.connect(user1).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+    });
+
+    it("Should let addresses claim a new token in a new tier round", async function () {
+      const { minter, owner, user1 } = await loadFixture(tiersFixture);
+      await minter.connect(user1).mintNFT();
+
+      await expect(minter.connect(owner).startTierRound())
+        .to.emit(minter, "TierRoundStarted")
+        .withArgs(1);
+      await minter
+        .connect(owner)
+        .setTiers([{ ...TIERS[0], tokenId: 4n }, ...TIERS.slice(1)]);
+
+      await expect(minter.connect(user1).mintNFT())
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user1.address, 4, 1);
+      expect(await minter.hasClaimedTiers(1, user1.address)).to.be.true;
+    });
+
+    it("Should only let the owner start a tier round", async function () {
+      const { minter, user1 } = await loadFixture(tiersFixture);
+
+      await expect(
+        minter.connect(user1).startTierRound()
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+
+    it("Should report the tier a user qualifies for", async function () {
+      const { minter, user1, user3, user4 } = await loadFixture(tiersFixture);
+
+      expect(await minter.getTier(user1.address)).to.deep.equal([true, 0n]);
+      expect(await minter.getTier(user3.address)).to.deep.equal([true, 2n]);
+      expect(await minter.getTier(user4.address)).to.deep.equal([false, 0n]);
+    });
+
+    it("Should check the user's tier in canMint", async function () {
+      const { nft, minter, user1, user2, user3, user4 } = await loadFixture(
+        tiersFixture
+      );
+      // Too few of the third tier's token left for its quantity of 5
+      await nft.createToken(3, 4, "ipfs://tier3/");
+
+      expect(await minter.canMint(user1.address)).to.be.true;
+      expect(await minter.canMint(user2.address)).to.be.true;
+      expect(await minter.canMint(user3.address)).to.be.false;
+      expect(await minter.canMint(user4.address)).to.be.false;
+
+      await minter.connect(user1).mintNFT();
+      expect(await minter.canMint(user1.address)).to.be.false;
+    });
+
+    it("Should pick the tier from the snapshot balance", async function () {
+      const { minter, sastToken, owner, user2 } = await loadFixture(
+        tiersFixture
+      );
+      const blockNumber = await ethers.provider.getBlockNumber();
+      const snapshot = buildSnapshot(
+        await computeBalances(ethers.provider, sastToken.target, {
+          blockNumber,
+        }),
+        { blockNumber }
+      );
+      await minter
+        .connect(owner)
+        .updateSnapshot(snapshot.root, snapshot.blockNumber);
+      const { balance, proof } = snapshot.entries[user2.address];
+
+      // Balance moved away after the snapshot still counts
+      await sastToken.connect(user2).transfer(owner.address, balance);
+
+      await expect(minter.connect(user2).mintWithSnapshot(balance, proof))
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user2.address, 2, 2);
+    });
+
+    it("Should charge the price of the tier's token", async function () {
+      const { minter, owner, user2 } = await loadFixture(tiersFixture);
+      const price = ethers.parseEther("0.01");
+      await minter.connect(owner).updateMintPrice(2, price);
+
+      await expect(
+        minter.connect(user2).mintNFT({ value: price * 2n })
+      ).to.changeEtherBalance(minter, price * 2n);
+    });
+
+    it("Should go back to the single threshold when tiers are cleared", async function () {
+      const { minter, owner, user1 } = await loadFixture(tiersFixture);
+
+      await minter.connect(owner).setTiers([]);
+      expect(await minter.getTiers()).to.be.empty;
+
+      await expect(minter.connect(user1).mintNFT())
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user1.address, 0, 1);
+    });
+
+    it("Should revert unless tier boundaries strictly increase", async function () {
+      const { minter, owner } = await loadFixture(deployMinterFixture);
+
+      await expect(
+        minter.connect(owner).setTiers([TIERS[0], TIERS[2], TIERS[1]])
+      )
+        .to.be.revertedWithCustomError(minter, "InvalidTierBoundary")
+        .withArgs(2);
+      await expect(
+        minter
+          .connect(owner)
+          .setTiers([
+            TIERS[0],
+            { ...TIERS[1], minBalance: TIERS[0].minBalance },
+          ])
+      )
+        .to.be.revertedWithCustomError(minter, "InvalidTierBoundary")
+        .withArgs(1);
+      await expect(
+        minter.connect(owner).setTiers([{ ...TIERS[0], quantity: 0n }])
+      ).to.be.revertedWithCustomError(minter, "InvalidMintQuantity");
+    });
+
+    it("Should revert if non-owner tries to set tiers", async function () {
+      const { minter, user1 } = await loadFixture(deployMinterFixture);
+
+      await expect(
+        minter.connect(user1).setTiers(TIERS)
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+  });
+
+  describe("Staking", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function stakingFixture() {
+      const fixture = await deployMinterFixture();
+      const { minter, owner } = fixture;
+
+      const MockStaking = await ethers.getContractFactory("MockStaking");
+      const staking = await MockStaking.deploy();
+      await minter.connect(owner).updateStakingContract(staking.target);
+
+      return {
+        ...fixture,
+        staking,
+        requiredBalance: await minter.requiredSASTBalance(),
+      };
+    }
+
+    it("Should allow owner to set the staking contract", async function () {
+      const { minter, owner, user1 } = await loadFixture(deployMinterFixture);
+
+      await expect(minter.connect(owner).updateStakingContract(user1.address))
+        .to.emit(minter, "StakingContractUpdated")
+        .withArgs(ethers.ZeroAddress, user1.address);
+      expect(await minter.stakingContract()).to.equal(user1.address);
+    });
+
+    it("Should mint with the staked balance rather than token holdings", async function () {
+      const { nft, minter, sastToken, staking, requiredBalance, user1, user2 } =
+        await loadFixture(stakingFixture);
+      await staking.connect(user1).stake(requiredBalance, 365 * DAY);
+      await sastToken.mint(user2.address, requiredBalance);
+
+      expect(await minter.getUserSASTBalance(user1.address)).to.equal(
+        requiredBalance
+      );
+      await minter.connect(user1).mintNFT();
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+
+      await expect(
+        minter.connect(user2).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "InsufficientSASTBalance");
+    });
+
+    it("Should require a minimum stake age", async function () {
+      const { minter, staking, owner, requiredBalance, user1 } =
+        await loadFixture(stakingFixture);
+      await expect(minter.connect(owner).updateStakeDurations(7 * DAY, 0))
+        .to.emit(minter, "StakeDurationsUpdated")
+        .withArgs(7 * DAY, 0);
+      await staking.connect(user1).stake(requiredBalance, 365 * DAY);
+
+      expect(await minter.isStakeMatured(user1.address)).to.be.false;
+      expect(await minter.canMint(user1.address)).to.be.false;
+      await expect(
+        minter.connect(user1).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "StakeTooShort");
+
+      await time.increase(7 * DAY);
+      expect(await minter.canMint(user1.address)).to.be.true;
+      await minter.connect(user1).mintNFT();
+    });
+
+    it("Should require a minimum remaining lock", async function () {
+      const { minter, staking, owner, requiredBalance, user1, user2 } =
+        await loadFixture(stakingFixture);
+      await minter.connect(owner).updateStakeDurations(0, 30 * DAY);
+      await staking.connect(user1).stake(requiredBalance, 10 * DAY);
+      await staking.connect(user2).stake(requiredBalance, 90 * DAY);
+
+      await expect(
+        minter.connect(user1).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "StakeTooShort");
+      await minter.connect(user2).mintNFT();
+
+      // Fully unlocked stakes only count without a lock requirement
+      await time.increase(10 * DAY);
+      await minter.connect(owner).updateStakeDurations(0, 0);
+      await minter.connect(user1).mintNFT();
+    });
+
+    it("Should check stakes for campaign claims", async function () {
+      const { minter, staking, owner, requiredBalance, user1 } =
+        await loadFixture(stakingFixture);
+      await minter
+        .connect(owner)
+        .createCampaign(5, 1, requiredBalance, 0, 0, 0);
+      await minter.connect(owner).updateStakeDurations(7 * DAY, 0);
+      await staking.connect(user1).stake(requiredBalance, 365 * DAY);
+
+      expect(await minter.canMintCampaign(0, user1.address)).to.be.false;
+      await expect(minter.connect(user1).mint(0)).to.be.revertedWithCustomError(
+        minter,
+        "StakeTooShort"
+      );
+
+      await time.increase(7 * DAY);
+      expect(await minter.canMintCampaign(0, user1.address)).to.be.true;
+      await minter.connect(user1).mint(0);
+    });
+
+    it("Should pick tiers from the staked balance", async function () {
+      const { minter, staking, owner, user1 } = await loadFixture(
+        stakingFixture
+      );
+      await minter.connect(owner).setTiers([
+        { minBalance: 1000, tokenId: 1, quantity: 1 },
+        { minBalance: 5000, tokenId: 2, quantity: 2 },
+      ]);
+      await staking.connect(user1).stake(6000, 365 * DAY);
+
+      expect(await minter.getTier(user1.address)).to.deep.equal([true, 1n]);
+      await expect(minter.connect(user1).mintNFT())
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user1.address, 2, 2);
+    });
+
+    it("Should go back to the sAST token when staking is switched off", async function () {
+      const { minter, sastToken, staking, owner, requiredBalance, user1 } =
+        await loadFixture(stakingFixture);
+      await staking.connect(user1).stake(requiredBalance, 365 * DAY);
+      await minter.connect(owner).updateStakeDurations(7 * DAY, 0);
+
+      await minter.connect(owner).updateStakingContract(ethers.ZeroAddress);
+      expect(await minter.getUserSASTBalance(user1.address)).to.equal(0);
+      expect(await minter.isStakeMatured(user1.address)).to.be.true;
+
+      await sastToken.mint(user1.address, requiredBalance);
+      await minter.connect(user1).mintNFT();
+    });
+
+    it("Should revert if non-owner tries to update staking settings", async function () {
+      const { minter, user1 } = await loadFixture(deployMinterFixture);
+
+      await expect(
+        minter.connect(user1).updateStakingContract(user1.address)
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+      await expect(
+        minter.connect(user1).updateStakeDurations(1, 1)
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+  });
+
+  describe("Campaigns", function () {
+    async function campaignFixture() {
+      const fixture = await deployMinterFixture();
+      const { minter, sastToken, owner, user1, user2, user3 } = fixture;
+      const now = await time.latest();
+
+      // Campaign 0: token 5, open now, no end, 2 claims max
+      await minter
+        .connect(owner)
+        .createCampaign(5, 2, 100n * 10n ** 4n, now, 0, 2);
+      // Campaign 1: token 6, opens in an hour for a day
+      await minter
+        .connect(owner)
+        .createCampaign(6, 1, 5000n * 10n ** 4n, now + 3600, now + 90000, 0);
+
+      for (const user of [user1, user2, user3]) {
+        await sastToken.mint(user.address, 5000n * 10n ** 4n);
+      }
+
+      return { ...fixture, now };
+    }
+
+    it("Should allow owner to create campaigns", async function () {
+      const { minter, owner } = await loadFixture(deployMinterFixture);
+
+      await expect(minter.connect(owner).createCampaign(3, 2, 1000, 10, 20, 50))
+        .to.emit(minter, "CampaignCreated")
+        .withArgs(0, 3, 2, 1000, 10, 20, 50);
+
+      expect(await minter.campaignCount()).to.equal(1);
+      const campaign = await minter.getCampaign(0);
+      expect(campaign.tokenId).to.equal(3);
+      expect(campaign.quantity).to.equal(2);
+      expect(campaign.requiredBalance).to.equal(1000);
+      expect(campaign.startTime).to.equal(10);
+      expect(campaign.endTime).to.equal(20);
+      expect(campaign.maxClaims).to.equal(50);
+      expect(campaign.claims).to.equal(0);
+      expect(campaign.active).to.be.true;
+    });
+
+    it("Should revert campaign creation with invalid parameters", async function () {
+      const { minter, owner, user1 } = await loadFixture(deployMinterFixture);
+
+      await expect(
+        minter.connect(owner).createCampaign(1, 0, 0, 0, 0, 0)
+      ).to.be.revertedWithCustomError(minter, "InvalidMintQuantity");
+      await expect(
+        minter.connect(owner).createCampaign(1, 1, 0, 20, 20, 0)
+      ).to.be.revertedWithCustomError(minter, "InvalidCampaignWindow");
+      await expect(
+        minter.connect(user1).createCampaign(1, 1, 0, 0, 0, 0)
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+
+    it("Should mint with the campaign's own rules", async function () {
+      const { nft, minter, user1 } = await loadFixture(campaignFixture);
+
+      await expect(minter.connect(user1).mint(0))
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user1.address, 5, 2)
+        .to.emit(minter, "CampaignClaimed")
+        .withArgs(0, user1.address);
+
+      expect(await nft.balanceOf(user1.address, 5)).to.equal(2);
+      expect(await minter.hasClaimedCampaign(0, user1.address)).to.be.true;
+      expect((await minter.getCampaign(0)).claims).to.equal(1);
+      expect(await minter.totalMinted()).to.equal(2);
+    });
+
+    it("Should run campaigns independently of the global drop", async function () {
+      const { nft, minter, owner, user1 } = await loadFixture(campaignFixture);
+
+      await minter.connect(user1).mintNFT();
+      await minter.connect(user1).mint(0);
+
+      // Changing global settings does not affect the campaign
+      await minter.connect(owner).updateMintQuantity(7);
+      await minter.connect(owner).updateRequiredBalance(10n ** 12n);
+
+      const campaign = await minter.getCampaign(0);
+      expect(campaign.quantity).to.equal(2);
+      expect(campaign.requiredBalance).to.equal(100n * 10n ** 4n);
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+      expect(await nft.balanceOf(user1.address, 5)).to.equal(2);
+    });
+
+    it("Should revert a second claim from the same user", async function () {
+      const { minter, user1 } = await loadFixture(campaignFixture);
+
+      await minter.connect(user1).mint(0);
+
+      await expect(minter.connect(user1).mint(0)).to.be.revertedWithCustomError(
+        minter,
+        "AlreadyMinted"
+      );
+    });
+
+    it("Should keep campaigns on live balances in snapshot mode", async function () {
+      const { minter, sastToken, owner, user1 } = await loadFixture(
+        campaignFixture
+      );
+      const blockNumber = await ethers.provider.getBlockNumber();
+      const snapshot = buildSnapshot(
+        await computeBalances(ethers.provider, sastToken.target, {
+          blockNumber,
+        }),
+        { blockNumber }
+      );
+      await minter
+        .connect(owner)
+        .updateSnapshot(snapshot.root, snapshot.blockNumber);
+
+      expect(await minter.canMintCampaign(0, user1.address)).to.be.true;
+      await expect(minter.connect(user1).mint(0))
+        .to.emit(minter, "CampaignClaimed")
+        .withArgs(0, user1.address);
+    });
+
+    describe("Campaign snapshots", function () {
+      async function campaignSnapshotFixture() {
+        const fixture = await campaignFixture();
+        const { minter, sastToken, owner } = fixture;
+        const blockNumber = await ethers.provider.getBlockNumber();
+        const snapshot = buildSnapshot(
+          await computeBalances(ethers.provider, sastToken.target, {
+            blockNumber,
+          }),
+          { blockNumber }
+        );
+        await minter.connect(owner).setCampaignSnapshot(0, snapshot.root);
+
+        return { ...fixture, snapshot };
+      }
+
+      it("Should allow owner to set a campaign snapshot", async function () {
+        const { minter, owner } = await loadFixture(campaignFixture);
+        const root = ethers.id("snapshot");
+
+        await expect(minter.connect(owner).setCampaignSnapshot(0, root))
+          .to.emit(minter, "CampaignSnapshotUpdated")
+          .withArgs(0, root);
+        expect(await minter.campaignSnapshotRoots(0)).to.equal(root);
+        expect(await minter.campaignSnapshotRoots(1)).to.equal(ethers.ZeroHash);
+
+        await expect(
+          minter.connect(owner).setCampaignSnapshot(2, root)
+        ).to.be.revertedWithCustomError(minter, "CampaignDoesNotExist");
+      });
+
+      it("Should not allow non-owner to set a campaign snapshot", async function () {
+        const { minter, user1 } = await loadFixture(campaignFixture);
+
+        await expect(
+          minter.connect(user1).setCampaignSnapshot(0, ethers.id("snapshot"))
+        ).to.be.revertedWithCustomError(minter, "Unauthorized");
+      });
+
+      it("Should block passing sAST around once a campaign snapshot is set", async function () {
+        const { minter, sastToken, user1, user4, snapshot } = await loadFixture(
+          campaignSnapshotFixture
+        );
+        const { balance, proof } = snapshot.entries[user1.address];
+
+        expect(await minter.canMintCampaign(0, user1.address)).to.be.false;
+        await expect(
+          minter.connect(user1).mint(0)
+        ).to.be.revertedWithCustomError(minter, "SnapshotActive");
+
+        await expect(
+          minter.connect(user1).mintCampaignWithSnapshot(0, balance, proof)
+        )
+          .to.emit(minter, "CampaignClaimed")
+          .withArgs(0, user1.address);
+
+        // The sAST moved after the snapshot does not qualify user4
+        await sastToken.connect(user1).transfer(user4.address, balance);
+        await expect(
+          minter.connect(user4).mintCampaignWithSnapshot(0, balance, proof)
+        ).to.be.revertedWithCustomError(minter, "InvalidMerkleProof");
+        await expect(
+          minter.connect(user4).mint(0)
+        ).to.be.revertedWithCustomError(minter, "SnapshotActive");
+      });
+
+      it("Should check the campaign's rules on snapshot claims", async function () {
+        const { minter, owner, user1, snapshot } = await loadFixture(
+          campaignSnapshotFixture
+        );
+        const { balance, proof } = snapshot.entries[user1.address];
+
+        await expect(
+          minter.connect(user1).mintCampaignWithSnapshot(1, balance, proof)
+        ).to.be.revertedWithCustomError(minter, "CampaignNotStarted");
+        await time.increase(3600);
+        await expect(
+          minter.connect(user1).mintCampaignWithSnapshot(1, balance, proof)
+        ).to.be.revertedWithCustomError(minter, "SnapshotNotActive");
+
+        await minter.connect(user1).mintCampaignWithSnapshot(0, balance, proof);
+        await expect(
+          minter.connect(user1).mintCampaignWithSnapshot(0, balance, proof)
+        ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
+
+        await minter.connect(owner).setCampaignSnapshot(0, ethers.ZeroHash);
+        await expect(
+          minter.connect(user1).mint(0)
+        ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
+      });
+    });
+
+    it("Should revert once max claims are reached", async function () {
+      const { minter, user1, user2, user3 } = await loadFixture(
+        campaignFixture
+      );
+
+      await minter.connect(user1).mint(0);
+      await minter.connect(user2).mint(0);
+
+      expect(await minter.canMintCampaign(0, user3.address)).to.be.false;
+      await expect(minter.connect(user3).mint(0)).to.be.revertedWithCustomError(
+        minter,
+        "CampaignSoldOut"
+      );
+    });
+
+    it("Should enforce the campaign start and end times", async function () {
+      const { nft, minter, now, user1, user2 } = await loadFixture(
+        campaignFixture
+      );
+
+      await expect(minter.connect(user1).mint(1)).to.be.revertedWithCustomError(
+        minter,
+        "CampaignNotStarted"
+      );
+
+      await time.setNextBlockTimestamp(now + 3600);
+      await minter.connect(user1).mint(1);
+      expect(await nft.balanceOf(user1.address, 6)).to.equal(1);
+
+      await time.setNextBlockTimestamp(now + 90000);
+      await expect(minter.connect(user2).mint(1)).to.be.revertedWithCustomError(
+        minter,
+        "CampaignEnded"
+      );
+    });
+
+    it("Should check the campaign's required balance", async function () {
+      const { minter, now, user4 } = await loadFixture(campaignFixture);
+      await time.increaseTo(now + 3600);
+
+      await expect(minter.connect(user4).mint(1)).to.be.revertedWithCustomError(
+        minter,
+        "InsufficientSASTBalance"
+      );
+    });
+
+    it("Should allow owner to switch campaigns off and on", async function () {
+      const { minter, owner, user1 } = await loadFixture(campaignFixture);
+
+      await expect(minter.connect(owner).setCampaignActive(0, false))
+        .to.emit(minter, "CampaignStatusUpdated")
+        .withArgs(0, false);
+      await expect(minter.connect(user1).mint(0)).to.be.revertedWithCustomError(
+        minter,
+        "CampaignNotActive"
+      );
+
+      await minter.connect(owner).setCampaignActive(0, true);
+      await expect(minter.connect(user1).mint(0)).to.emit(
+        minter,
+        "CampaignClaimed"
+      );
+    });
+
+    it("Should revert for campaigns that do not exist", async function () {
+      const { minter, owner, user1 } = await loadFixture(campaignFixture);
+
+      await expect(minter.connect(user1).mint(2)).to.be.revertedWithCustomError(
+        minter,
+        "CampaignDoesNotExist"
+      );
+      await expect(
+        minter.connect(owner).setCampaignActive(2, true)
+      ).to.be.revertedWithCustomError(minter, "CampaignDoesNotExist");
+      await expect(minter.getCampaign(2)).to.be.revertedWithCustomError(
+        minter,
+        "CampaignDoesNotExist"
+      );
+      expect(await minter.canMintCampaign(2, user1.address)).to.be.false;
+    });
+
+    it("Should revert if non-owner tries to switch a campaign", async function () {
+      const { minter, user1 } = await loadFixture(campaignFixture);
+
+      await expect(
+        minter.connect(user1).setCampaignActive(0, false)
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+
+    it("Should list campaigns and per-user claim status", async function () {
+      const { minter, now, user1, user2 } = await loadFixture(campaignFixture);
+
+      await minter.connect(user1).mint(0);
+
+      const list = await minter.getCampaigns();
+      expect(list).to.have.lengthOf(2);
+      expect(list[0].tokenId).to.equal(5);
+      expect(list[0].claims).to.equal(1);
+      expect(list[1].tokenId).to.equal(6);
+      expect(list[1].startTime).to.equal(now + 3600);
+
+      expect(await minter.getClaimStatus(user1.address)).to.deep.equal([
+        true,
+        false,
+      ]);
+      expect(await minter.getClaimStatus(user2.address)).to.deep.equal([
+        false,
+        false,
+      ]);
+      expect(await minter.canMintCampaign(0, user1.address)).to.be.false;
+      expect(await minter.canMintCampaign(0, user2.address)).to.be.true;
+      expect(await minter.canMintCampaign(1, user2.address)).to.be.false;
+    });
+  });
+
+  describe("Mint Window", function () {
+    async function mintWindowFixture() {
+      const fixture = await deployMinterFixture();
+      const { minter, sastToken, owner, user1, user2 } = fixture;
+
+      const requiredBalance = await minter.requiredSASTBalance();
+      await sastToken.mint(user1.address, requiredBalance);
+      await sastToken.mint(user2.address, requiredBalance);
+
+      const now = await time.latest();
+      const startTime = now + 3600;
+      const endTime = now + 7200;
+      await minter.connect(owner).setMintWindow(startTime, endTime);
+
+      return { ...fixture, startTime, endTime };
+    }
+
+    it("Should allow owner to set the mint window", async function () {
+      const { minter, owner } = await loadFixture(deployMinterFixture);
+
+      expect(await minter.getMintWindow()).to.deep.equal([0n, 0n]);
+      expect(await minter.isMintOpen()).to.be.true;
+
+      await expect(minter.connect(owner).setMintWindow(100, 200))
+        .to.emit(minter, "MintWindowUpdated")
+        .withArgs(100, 200);
+      expect(await minter.getMintWindow()).to.deep.equal([100n, 200n]);
+      expect(await minter.mintStartTime()).to.equal(100);
+      expect(await minter.mintEndTime()).to.equal(200);
+    });
+
+    it("Should revert if the end time is not after the start time", async function () {
+      const { minter, owner } = await loadFixture(deployMinterFixture);
+
+      await expect(
+        minter.connect(owner).setMintWindow(200, 200)
+      ).to.be.revertedWithCustomError(minter, "InvalidMintWindow");
+      await expect(
+        minter.connect(owner).setMintWindow(200, 100)
+      ).to.be.revertedWithCustomError(minter, "InvalidMintWindow");
+    });
+
+    it("Should revert if non-owner tries to set the mint window", async function () {
+      const { minter, user1 } = await loadFixture(deployMinterFixture);
+
+      await expect(
+        minter.connect(user1).setMintWindow(100, 200)
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+
+    it("Should revert before the window opens", async function () {
+      const { minter, startTime, user1 } = await loadFixture(mintWindowFixture);
+
+      expect(await minter.isMintOpen()).to.be.false;
+      expect(await minter.canMint(user1.address)).to.be.false;
+
+      await time.setNextBlockTimestamp(startTime - 1);
+      await expect(
+        minter.connect(user1).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "MintNotStarted");
+    });
+
+    it("Should allow minting from the start time", async function () {
+      const { nft, minter, startTime, user1 } = await loadFixture(
+        mintWindowFixture
+      );
+
+      await time.setNextBlockTimestamp(startTime);
+      await expect(minter.connect(user1).mintNFT()).to.emit(
+        minter,
+        "NFTMinted"
+      );
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+    });
+
+    it("Should allow minting until just before the end time", async function () {
+      const { minter, endTime, user1 } = await loadFixture(mintWindowFixture);
+
+      await time.increaseTo(endTime - 2);
+      expect(await minter.canMint(user1.address)).to.be.true;
+
+      await time.setNextBlockTimestamp(endTime - 1);
+      await expect(minter.connect(user1).mintNFT()).to.emit(
+        minter,
+        "NFTMinted"
+      );
+    });
+
+    it("Should revert from the end time", async function () {
+      const { minter, endTime, user1 } = await loadFixture(mintWindowFixture);
+
+      await time.setNextBlockTimestamp(endTime);
+      await expect(
+        minter.connect(user1).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "MintEnded");
+
+      expect(await minter.isMintOpen()).to.be.false;
+      expect(await minter.canMint(user1.address)).to.be.false;
+    });
+
+    it("Should leave the window open-ended when the end time is zero", async function () {
+      const { minter, owner, startTime, user1 } = await loadFixture(
+        mintWindowFixture
+      );
+
+      await minter.connect(owner).setMintWindow(startTime, 0);
+      await time.increaseTo(startTime + 365 * 24 * 3600);
+
+      await expect(minter.connect(user1).mintNFT()).to.emit(
+        minter,
+        "NFTMinted"
+      );
+    });
+
+    it("Should apply the window to allowlist and snapshot mints", async function () {
+      const { minter, owner, endTime, user1 } = await loadFixture(
+        mintWindowFixture
+      );
+
+      const allowlist = buildTree([{ address: user1.address, quantity: 1n }]);
+      await minter.connect(owner).updateMerkleRoot(allowlist.root);
+      await expect(
+        minter
+          .connect(user1)
+          .claimAllowlist(1, allowlist.entries[user1.address].proof)
+      ).to.be.revertedWithCustomError(minter, "MintNotStarted");
+      await minter.connect(owner).updateMerkleRoot(ethers.ZeroHash);
+
+      const snapshot = buildSnapshot(
+        new Map([[user1.address, await minter.requiredSASTBalance()]]),
+        { blockNumber: 1 }
+      );
+      await minter.connect(owner).updateSnapshot(snapshot.root, 1);
+      await time.increaseTo(endTime);
+      const entry = snapshot.entries[user1.address];
+      await expect(
+        minter.connect(user1).mintWithSnapshot(entry.balance, entry.proof)
+      ).to.be.revertedWithCustomError(minter, "MintEnded");
+    });
+
+    it("Should not restrict campaigns or owner batch mints", async function () {
+      const { nft, minter, owner, user1, user2 } = await loadFixture(
+        mintWindowFixture
+      );
+
+      await minter.connect(owner).createCampaign(3, 1, 0, 0, 0, 0);
+      await minter.connect(user1).mint(0);
+      await minter.connect(owner).batchMintNFTs([user2.address]);
+
+      expect(await nft.balanceOf(user1.address, 3)).to.equal(1);
+      expect(await nft.balanceOf(user2.address, 0)).to.equal(1);
+    });
+  });
+
+  describe("Max Supply", function () {
+    async function cappedTokenFixture() {
+      const fixture = await deployMinterFixture();
+      const { nft, minter, sastToken, owner, user1, user2, user3 } = fixture;
+
+      const requiredBalance = await minter.requiredSASTBalance();
+      for (const user of [user1, user2, user3]) {
+        await sastToken.mint(user.address, requiredBalance);
+      }
+
+      await nft.connect(owner).createToken(0, 3, "ipfs://cid/");
+      await minter.connect(owner).updateMintQuantity(2);
+
+      return fixture;
+    }
+
+    it("Should revert when a mint would exceed the max supply", async function () {
+      const { nft, minter, user1, user2 } = await loadFixture(
+        cappedTokenFixture
+      );
+
+      await minter.connect(user1).mintNFT();
+      expect(await minter.canMint(user2.address)).to.be.false;
+      await expect(
+        minter.connect(user2).mintNFT()
+      ).to.be.revertedWithCustomError(minter, "InsufficientSupply");
+      expect(await nft.totalSupply(0)).to.equal(2);
+      expect(await minter.totalMinted()).to.equal(2);
+    });
+
+    it("Should allow minting the remaining supply", async function () {
+      const { nft, minter, owner, user1, user2 } = await loadFixture(
+        cappedTokenFixture
+      );
+
+      await minter.connect(user1).mintNFT();
+      await minter.connect(owner).updateMintQuantity(1);
+      expect(await minter.canMint(user2.address)).to.be.true;
+      await minter.connect(user2).mintNFT();
+
+      expect(await nft.totalSupply(0)).to.equal(await nft.maxSupply(0));
+    });
+
+    it("Should check the max supply of campaign and batch mints", async function () {
+      const { minter, owner, user1, user2, user3 } = await loadFixture(
+        cappedTokenFixture
+      );
+
+      await minter.connect(owner).createCampaign(0, 2, 0, 0, 0, 0);
+      await minter.connect(user1).mint(0);
+      expect(await minter.canMintCampaign(0, user2.address)).to.be.false;
+      await expect(minter.connect(user2).mint(0)).to.be.revertedWithCustomError(
+        minter,
+        "InsufficientSupply"
+      );
+
+      await expect(
+        minter.connect(owner).batchMintNFTs([user2.address, user3.address])
+      ).to.be.revertedWithCustomError(minter, "InsufficientSupply");
+    });
+  });
+
+  describe("Mint Vouchers", function () {
+    async function voucherFixture() {
+      const fixture = await deployMinterFixture();
+      const { minter, owner, user4 } = fixture;
+
+      // user4 acts as the off-chain voucher signer
+      await minter.connect(owner).updateVoucherSigner(user4.address);
+
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = voucherDomain(chainId, minter.target);
+      const expiry = (await time.latest()) + 3600;
+
+      const sign = async (vouchers, signer = user4) =>
+        signVouchers(signer, domain, vouchers);
+
+      return { ...fixture, domain, expiry, sign };
+    }
+
+    function asStruct({ recipient, tokenId, quantity, nonce, expiry }) {
+      return { recipient, tokenId, quantity, nonce, expiry };
+    }
+
+    it("Should mint the voucher to its recipient", async function () {
+      const { nft, minter, expiry, sign, user1, user2 } = await loadFixture(
+        voucherFixture
+      );
+      const [voucher] = await sign([
+        { recipient: user1.address, tokenId: 4, quantity: 2, nonce: 7, expiry },
+      ]);
+
+      // Anyone can relay the voucher
+      await expect(
+        minter
+          .connect(user2)
+          .mintWithVoucher(asStruct(voucher), voucher.signature)
+      )
+        .to.emit(minter, "VoucherRedeemed")
+        .withArgs(7, user1.address)
+        .and.to.emit(minter, "NFTMinted")
+        .withArgs(user1.address, 4, 2);
+
+      expect(await nft.balanceOf(user1.address, 4)).to.equal(2);
+      expect(await nft.balanceOf(user2.address, 4)).to.equal(0);
+      expect(await minter.usedVoucherNonces(7)).to.be.true;
+      expect(await minter.totalMinted()).to.equal(2);
+    });
+
+    it("Should match the on-chain voucher hash", async function () {
+      const { minter, domain, expiry, user1 } = await loadFixture(
+        voucherFixture
+      );
+      const voucher = {
+        recipient: user1.address,
+        tokenId: 1n,
+        quantity: 1n,
+        nonce: 0n,
+        expiry: BigInt(expiry),
+      };
+
+      expect(await minter.hashVoucher(voucher)).to.equal(
+        ethers.TypedDataEncoder.hash(
+          domain,
+          {
+            MintVoucher: [
+              { name: "recipient", type: "address" },
+              { name: "tokenId", type: "uint256" },
+              { name: "quantity", type: "uint256" },
+              { name: "nonce", type: "uint256" },
+              { name: "expiry", type: "uint256" },
+            ],
+          },
+          voucher
+        )
+      );
+    });
+
+    it("Should reject reused nonces", async function () {
+      const { minter, expiry, sign, user1, user2 } = await loadFixture(
+        voucherFixture
+      );
+      const [first] = await sign([
+        { recipient: user1.address, tokenId: 1, quantity: 1, nonce: 3, expiry },
+      ]);
+      const [second] = await sign([
+        { recipient: user2.address, tokenId: 1, quantity: 1, nonce: 3, expiry },
+      ]);
+
+      await minter.mintWithVoucher(asStruct(first), first.signature);
+      await expect(
+        minter.mintWithVoucher(asStruct(first), first.signature)
+      ).to.be.revertedWithCustomError(minter, "VoucherAlreadyUsed");
+      await expect(
+        minter.mintWithVoucher(asStruct(second), second.signature)
+      ).to.be.revertedWithCustomError(minter, "VoucherAlreadyUsed");
+    });
+
+    it("Should reject expired vouchers", async function () {
+      const { minter, expiry, sign, user1 } = await loadFixture(voucherFixture);
+      const [voucher] = await sign([
+        { recipient: user1.address, tokenId: 1, quantity: 1, nonce: 0, expiry },
+      ]);
+
+      await time.setNextBlockTimestamp(expiry);
+      await expect(
+        minter.mintWithVoucher(asStruct(voucher), voucher.signature)
+      ).to.be.revertedWithCustomError(minter, "VoucherExpired");
+    });
+
+    it("Should reject tampered vouchers and other signers", async function () {
+      const { minter, expiry, sign, user1, user3 } = await loadFixture(
+        voucherFixture
+      );
+      const [voucher] = await sign([
+        { recipient: user1.address, tokenId: 1, quantity: 1, nonce: 0, expiry },
+      ]);
+      const [forged] = await sign(
+        [
+          {
+            recipient: user3.address,
+            tokenId: 1,
+            quantity: 5,
+            nonce: 1,
+            expiry,
+          },
+        ],
+        user3
+      );
+
+      await expect(
+        minter.mintWithVoucher(
+          { ...asStruct(voucher), quantity: 10n },
+          voucher.signature
+        )
+      ).to.be.revertedWithCustomError(minter, "InvalidVoucherSignature");
+      await expect(
+        minter.mintWithVoucher(asStruct(forged), forged.signature)
+      ).to.be.revertedWithCustomError(minter, "InvalidVoucherSignature");
+    });
+
+    it("Should invalidate old vouchers when the signer is rotated", async function () {
+      const { minter, owner, expiry, sign, user1, user3, user4 } =
+        await loadFixture(voucherFixture);
+      const [old] = await sign([
+        { recipient: user1.address, tokenId: 1, quantity: 1, nonce: 0, expiry },
+      ]);
+
+      await expect(minter.connect(owner).updateVoucherSigner(user3.address))
+        .to.emit(minter, "VoucherSignerUpdated")
+        .withArgs(user4.address, user3.address);
+      expect(await minter.voucherSigner()).to.equal(user3.address);
+
+      await expect(
+        minter.mintWithVoucher(asStruct(old), old.signature)
+      ).to.be.revertedWithCustomError(minter, "InvalidVoucherSignature");
+
+      const [fresh] = await sign(
+        [
+          {
+            recipient: user1.address,
+            tokenId: 1,
+            quantity: 1,
+            nonce: 0,
+            expiry,
+          },
+        ],
+        user3
+      );
+      await minter.mintWithVoucher(asStruct(fresh), fresh.signature);
+    });
+
+    it("Should reject vouchers while no signer is set", async function () {
+      const { minter, owner, expiry, sign, user1 } = await loadFixture(
+        voucherFixture
+      );
+      const [voucher] = await sign([
+        { recipient: user1.address, tokenId: 1, quantity: 1, nonce: 0, expiry },
+      ]);
+
+      await minter.connect(owner).updateVoucherSigner(ethers.ZeroAddress);
+      await expect(
+        minter.mintWithVoucher(asStruct(voucher), voucher.signature)
+      ).to.be.revertedWithCustomError(minter, "VouchersNotActive");
+    });
+
+    it("Should respect the token max supply", async function () {
+      const { nft, minter, owner, expiry, sign, user1 } = await loadFixture(
+        voucherFixture
+      );
+      await nft.connect(owner).createToken(1, 1, "ipfs://cid/");
+      const [voucher] = await sign([
+        { recipient: user1.address, tokenId: 1, quantity: 2, nonce: 0, expiry },
+      ]);
+
+      await expect(
+        minter.mintWithVoucher(asStruct(voucher), voucher.signature)
+      ).to.be.revertedWithCustomError(minter, "InsufficientSupply");
+    });
+
+    it("Should revert if non-owner tries to update the signer", async function () {
+      const { minter, user1 } = await loadFixture(voucherFixture);
+
+      await expect(
+        minter.connect(user1).updateVoucherSigner(user1.address)
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+  });
+
+  describe("Meta-transactions", function () {
+    async function forwarderFixture() {
+      const fixture = await deployMinterFixture();
+      const { minter, sastToken, owner, user1 } = fixture;
+
+      const AirswapForwarder = await ethers.getContractFactory(
+        "AirswapForwarder"
+      );
+      const forwarder = await AirswapForwarder.deploy();
+      await minter.connect(owner).updateTrustedForwarder(forwarder.target);
+
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+
+      // user1 signs a mintNFT request for a relayer to submit
+      const signMint = async (signer = user1) =>
+        signForwardRequest(signer, forwarder.target, {
+          to: minter.target,
+          data: minter.interface.encodeFunctionData("mintNFT"),
+          gas: 300000,
+          deadline: (await time.latest()) + 3600,
+        });
+
+      return { ...fixture, forwarder, signMint };
+    }
+
+    it("Should mint to the signer of a relayed request", async function () {
+      const { nft, minter, forwarder, signMint, user1, user2 } =
+        await loadFixture(forwarderFixture);
+      const { request, signature } = await signMint();
+
+      // user2 relays and pays the gas
+      await expect(forwarder.connect(user2).execute(request, signature))
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user1.address, 0, 1);
+
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+      expect(await nft.balanceOf(user2.address, 0)).to.equal(0);
+      expect(await minter.hasMinted(user1.address, 0)).to.be.true;
+      expect(await minter.hasMinted(user2.address, 0)).to.be.false;
+    });
+
+    it("Should apply the signer's eligibility", async function () {
+      const { minter, forwarder, signMint, user1, user3 } = await loadFixture(
+        forwarderFixture
+      );
+
+      // user3 holds no sAST
+      let { request, signature } = await signMint(user3);
+      await expect(
+        forwarder.execute(request, signature)
+      ).to.be.revertedWithCustomError(minter, "InsufficientSASTBalance");
+
+      await minter.connect(user1).mintNFT();
+      ({ request, signature } = await signMint(user1));
+      await expect(
+        forwarder.execute(request, signature)
+      ).to.be.revertedWithCustomError(minter, "AlreadyMinted");
+    });
+
+    it("Should ignore appended senders from untrusted callers", async function () {
+      const { nft, minter, sastToken, user1, user2 } = await loadFixture(
+        forwarderFixture
+      );
+      await sastToken.mint(user2.address, await minter.requiredSASTBalance());
+
+      // user2 appends user1's address to the calldata
+      await user2.sendTransaction({
+        to: minter.target,
+        data: ethers.concat([
+          minter.interface.encodeFunctionData("mintNFT"),
+          user1.address,
+        ]),
+      });
+
+      expect(await nft.balanceOf(user2.address, 0)).to.equal(1);
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(0);
+    });
+
+    it("Should stop honouring a forwarder once it is removed", async function () {
+      const { minter, forwarder, signMint, owner } = await loadFixture(
+        forwarderFixture
+      );
+      const { request, signature } = await signMint();
+
+      await expect(
+        minter.connect(owner).updateTrustedForwarder(ethers.ZeroAddress)
+      )
+        .to.emit(minter, "TrustedForwarderUpdated")
+        .withArgs(forwarder.target, ethers.ZeroAddress);
+      expect(await minter.isTrustedForwarder(forwarder.target)).to.be.false;
+
+      // The forwarder itself is now the sender and holds no sAST
+      await expect(
+        forwarder.execute(request, signature)
+      ).to.be.revertedWithCustomError(minter, "InsufficientSASTBalance");
+    });
+
+    it("Should report the trusted forwarder", async function () {
+      const { minter, forwarder } = await loadFixture(forwarderFixture);
+
+      expect(await minter.trustedForwarder()).to.equal(forwarder.target);
+      expect(await minter.isTrustedForwarder(forwarder.target)).to.be.true;
+      expect(await minter.isTrustedForwarder(minter.target)).to.be.false;
+      expect(await minter.isTrustedForwarder(ethers.ZeroAddress)).to.be.false;
+    });
+
+    it("Should revert if non-owner tries to update the forwarder", async function () {
+      const { minter, user1 } = await loadFixture(forwarderFixture);
+
+      await expect(
+        minter.connect(user1).updateTrustedForwarder(user1.address)
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+  });
+
+  describe("Pausing", function () {
+    async function pausingFixture() {
+      const fixture = await deployMinterFixture();
+      const { nft, sastToken, minter, user1, user2 } = fixture;
+
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+      // user2 pauses through the NFT pauser role
+      await nft.grantRole(await nft.PAUSER_ROLE(), user2.address);
+
+      return fixture;
+    }
+
+    it("Should allow owner and NFT pausers to pause and unpause", async function () {
+      const { minter, owner, user2 } = await loadFixture(pausingFixture);
+
+      await expect(minter.connect(owner).pauseMinting())
+        .to.emit(minter, "MintingPaused")
+        .withArgs(owner.address);
+      expect(await minter.mintingPaused()).to.be.true;
+      expect(await minter.isMintingPaused()).to.be.true;
+
+      await expect(minter.connect(user2).unpauseMinting())
+        .to.emit(minter, "MintingUnpaused")
+        .withArgs(user2.address);
+      expect(await minter.mintingPaused()).to.be.false;
+
+      await minter.connect(user2).pauseMinting();
+      expect(await minter.mintingPaused()).to.be.true;
+    });
+
+    it("Should revert if non-pauser tries to pause or unpause", async function () {
+      const { nft, minter, owner, user1 } = await loadFixture(pausingFixture);
+
+      // Minting rights on the NFT do not include pausing
+      await nft.grantRole(await nft.MINTER_ROLE(), user1.address);
+      await expect(
+        minter.connect(user1).pauseMinting()
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+
+      await minter.connect(owner).pauseMinting();
+      await expect(
+        minter.connect(user1).unpauseMinting()
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+
+    it("Should revert if the switch is already in the requested state", async function () {
+      const { minter, owner } = await loadFixture(pausingFixture);
+
+      await expect(
+        minter.connect(owner).unpauseMinting()
+      ).to.be.revertedWithCustomError(minter, "PauseStatusUnchanged");
+      await minter.connect(owner).pauseMinting();
+      await expect(
+        minter.connect(owner).pauseMinting()
+      ).to.be.revertedWithCustomError(minter, "PauseStatusUnchanged");
+    });
+
+    it("Should revert every mint entry point while paused", async function () {
+      const { minter, owner, user1 } = await loadFixture(pausingFixture);
+      await minter.connect(owner).pauseMinting();
+      const voucher = {
+        recipient: user1.address,
+        tokenId: 0,
+        quantity: 1,
+        nonce: 0,
+        expiry: (await time.latest()) + 3600,
+      };
+
+      for (const call of [
+        minter.connect(user1).mintNFT(),
+        minter.connect(user1).mint(0),
+        minter.connect(user1).mintWithSnapshot(1, []),
+        minter.connect(user1).claimAllowlist(1, []),
+        minter.connect(user1).mintWithVoucher(voucher, "0x"),
+        minter.connect(owner).batchMintNFTs([user1.address]),
+        minter.connect(owner).airdrop([user1.address], [1], [1]),
+      ]) {
+        await expect(call).to.be.revertedWithCustomError(
+          minter,
+          "MintingIsPaused"
+        );
+      }
+      expect(await minter.canMint(user1.address)).to.be.false;
+    });
+
+    it("Should resume minting once unpaused", async function () {
+      const { nft, minter, owner, user1 } = await loadFixture(pausingFixture);
+
+      await minter.connect(owner).pauseMinting();
+      await minter.connect(owner).unpauseMinting();
+
+      expect(await minter.canMint(user1.address)).to.be.true;
+      await minter.connect(user1).mintNFT();
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+    });
+
+    it("Should stop minting while the NFT has minting paused", async function () {
+      const { nft, minter, owner, user1 } = await loadFixture(pausingFixture);
+
+      await nft.connect(owner).pauseMinting();
+
+      expect(await minter.mintingPaused()).to.be.false;
+      expect(await minter.isMintingPaused()).to.be.true;
+      expect(await minter.canMint(user1.address)).to.be.false;
+      await expect(
+        minter.connect(user1).mintNFT()
+      ).to.be.revertedWithCustomError(nft, "MintingIsPaused");
+    });
+  });
+
+  describe("Batch Minting", function () {
+    it("Should allow owner to batch mint for multiple users", async function () {
+      const { nft, sastToken, minter, owner, user1, user2, user3 } =
+        await loadFixture(deployMinterFixture);
+      const requiredBalance = await minter.requiredSASTBalance();
+
+      // Give users sufficient sAST balance
+      await sastToken.mint(user1.address, requiredBalance);
+      await sastToken.mint(user2.address, requiredBalance);
+      await sastToken.mint(user3.address, requiredBalance);
+
+      const users = [user1.address, user2.address, user3.address];
+
+      // Batch mint
+      await expect(minter.connect(owner).batchMintNFTs(users))
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user1.address, 0, 1)
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user2.address, 0, 1)
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user3.address, 0, 1);
+
+      // Verify NFTs were minted
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+      expect(await nft.balanceOf(user2.address, 0)).to.equal(1);
+      expect(await nft.balanceOf(user3.address, 0)).to.equal(1);
+
+      // Verify total minted
+      expect(await minter.totalMinted()).to.equal(3);
+    });
+
+    it("Should skip users who have already minted in batch", async function () {
+      const { sastToken, minter, owner, user1, user2 } = await loadFixture(
+        deployMinterFixture
+      );
+      const requiredBalance = await minter.requiredSASTBalance();
+
+      // Give users sufficient sAST balance
+      await sastToken.mint(user1.address, requiredBalance);
+      await sastToken.mint(user2.address, requiredBalance);
+
+      // User1 mints individually first
+      await minter.connect(user1).mintNFT();
+
+      const users = [user1.address, user2.address];
+
+      // Batch mint - should skip user1, mint for user2
+      await expect(minter.connect(owner).batchMintNFTs(users))
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user2.address, 0, 1);
+
+      // Verify only user2 got the new NFT
+      expect(await minter.hasMinted(user1.address, 0)).to.be.true;
+      expect(await minter.hasMinted(user2.address, 0)).to.be.true;
+      expect(await minter.totalMinted()).to.equal(2);
+    });
+
+    it("Should revert if non-owner tries to batch mint", async function () {
+      const { minter, user1 } = await loadFixture(deployMinterFixture);
+
+      const users = [user1.address];
+
+      await expect(
+        minter.connect(user1).batchMintNFTs(users)
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+  });
+
+  describe("Paid Minting", function () {
+    const PRICE = ethers.parseEther("0.01");
+
+    // Solady's ERC20, behind MockERC20, implements EIP-2612 permits
+    async function deployPaidMinterFixture() {
+      const fixture = await deployMinterFixture();
+      const { sastToken, minter, owner, user1, user2 } = fixture;
+
+      const requiredBalance = await minter.requiredSASTBalance();
+      await sastToken.mint(user1.address, requiredBalance);
+      await sastToken.mint(user2.address, requiredBalance);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const paymentToken = await MockERC20.deploy();
+      await paymentToken.mint(user1.address, 1000000);
+
+      await minter.connect(owner).updateMintPrice(0, PRICE);
+
+      return { ...fixture, paymentToken };
+    }
+
+    async function signPermit(token, owner, spender, value, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const signature = await owner.signTypedData(
+        {
+          name: await token.name(),
+          version: "1",
+          chainId,
+          verifyingContract: token.target,
+        },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+          ],
+        },
+        {
+          owner: owner.address,
+          spender,
+          value,
+          nonce: await token.nonces(owner.address),
+          deadline,
+        }
+      );
+      return ethers.Signature.from(signature);
+    }
+
+    it("Should charge the ETH price of the mint", async function () {
+      const { nft, minter, user1 } = await loadFixture(deployPaidMinterFixture);
+
+      await expect(
+        minter.connect(user1).mintNFT({ value: PRICE })
+      ).to.changeEtherBalances([user1, minter], [-PRICE, PRICE]);
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+    });
+
+    it("Should revert if the ETH sent does not cover the price", async function () {
+      const { minter, user1 } = await loadFixture(deployPaidMinterFixture);
+
+      await expect(minter.connect(user1).mintNFT())
+        .to.be.revertedWithCustomError(minter, "IncorrectPayment")
+        .withArgs(PRICE, 0);
+      await expect(minter.connect(user1).mintNFT({ value: PRICE - 1n }))
+        .to.be.revertedWithCustomError(minter, "IncorrectPayment")
+        .withArgs(PRICE, PRICE - 1n);
+    });
+
+    it("Should refund ETH sent above the price", async function () {
+      const { minter, user1 } = await loadFixture(deployPaidMinterFixture);
+
+      await expect(
+        minter.connect(user1).mintNFT({ value: PRICE * 3n })
+      ).to.changeEtherBalances([user1, minter], [-PRICE, PRICE]);
+    });
+
+    it("Should charge the price per token for every quantity minted", async function () {
+      const { minter, owner, user1 } = await loadFixture(
+        deployPaidMinterFixture
+      );
+      await minter.connect(owner).updateMintQuantity(3);
+      await minter.connect(owner).updateMintPrice(5, PRICE);
+      await minter.connect(owner).createCampaign(5, 2, 0, 0, 0, 0);
+
+      await expect(
+        minter.connect(user1).mintNFT({ value: PRICE * 3n })
+      ).to.changeEtherBalance(minter, PRICE * 3n);
+      await expect(
+        minter.connect(user1).mint(0, { value: PRICE * 2n })
+      ).to.changeEtherBalance(minter, PRICE * 2n);
+    });
+
+    it("Should charge allowlist and snapshot mints", async function () {
+      const { minter, owner, user1 } = await loadFixture(
+        deployPaidMinterFixture
+      );
+      const tree = buildTree([{ address: user1.address, quantity: 2 }]);
+      await minter.connect(owner).updateMerkleRoot(tree.root);
+
+      await expect(
+        minter
+          .connect(user1)
+          .claimAllowlist(2, tree.entries[user1.address].proof)
+      )
+        .to.be.revertedWithCustomError(minter, "IncorrectPayment")
+        .withArgs(PRICE * 2n, 0);
+      await expect(
+        minter
+          .connect(user1)
+          .claimAllowlist(2, tree.entries[user1.address].proof, {
+            value: PRICE * 2n,
+          })
+      ).to.changeEtherBalance(minter, PRICE * 2n);
+    });
+
+    it("Should collect ERC-20 prices with an approval", async function () {
+      const { nft, minter, owner, user1, paymentToken } = await loadFixture(
+        deployPaidMinterFixture
+      );
+      await expect(
+        minter.connect(owner).updatePaymentToken(paymentToken.target)
+      )
+        .to.emit(minter, "PaymentTokenUpdated")
+        .withArgs(ethers.ZeroAddress, paymentToken.target);
+      await minter.connect(owner).updateMintPrice(0, 2500);
+
+      await expect(minter.connect(user1).mintNFT()).to.be.reverted;
+
+      await paymentToken.connect(user1).approve(minter.target, 2500);
+      await expect(minter.connect(user1).mintNFT()).to.changeTokenBalances(
+        paymentToken,
+        [user1, minter],
+        [-2500, 2500]
+      );
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+    });
+
+    it("Should reject ETH when prices are paid in an ERC-20", async function () {
+      const { minter, owner, user1, paymentToken } = await loadFixture(
+        deployPaidMinterFixture
+      );
+      await minter.connect(owner).updatePaymentToken(paymentToken.target);
+      await paymentToken.connect(user1).approve(minter.target, PRICE);
+
+      await expect(minter.connect(user1).mintNFT({ value: 1 }))
+        .to.be.revertedWithCustomError(minter, "IncorrectPayment")
+        .withArgs(0, 1);
+    });
+
+    it("Should collect ERC-20 prices with a permit", async function () {
+      const { minter, owner, user1, paymentToken } = await loadFixture(
+        deployPaidMinterFixture
+      );
+      await minter.connect(owner).updatePaymentToken(paymentToken.target);
+      await minter.connect(owner).updateMintPrice(0, 2500);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(
+        paymentToken,
+        user1,
+        minter.target,
+        2500,
+        deadline
+      );
+
+      await expect(
+        minter.connect(user1).mintNFTWithPermit(deadline, v, r, s)
+      ).to.changeTokenBalances(paymentToken, [user1, minter], [-2500, 2500]);
+      expect(
+        await paymentToken.allowance(user1.address, minter.target)
+      ).to.equal(0);
+    });
+
+    it("Should still mint when the permit was front-run", async function () {
+      const { minter, owner, user1, user2, paymentToken } = await loadFixture(
+        deployPaidMinterFixture
+      );
+      await minter.connect(owner).updatePaymentToken(paymentToken.target);
+      await minter.connect(owner).updateMintPrice(0, 2500);
+      await minter.connect(owner).createCampaign(0, 1, 0, 0, 0, 0);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(
+        paymentToken,
+        user1,
+        minter.target,
+        2500,
+        deadline
+      );
+
+      // Someone else submits the permit from the mempool first
+      await paymentToken
+        .connect(user2)
+        .permit(user1.address, minter.target, 2500, deadline, v, r, s);
+
+      await expect(
+        minter.connect(user1).mintWithPermit(0, deadline, v, r, s)
+      ).to.changeTokenBalance(paymentToken, user1, -2500);
+    });
+
+    it("Should revert permit mints when prices are paid in ETH", async function () {
+      const { minter, user1 } = await loadFixture(deployPaidMinterFixture);
+
+      await expect(
+        minter
+          .connect(user1)
+          .mintNFTWithPermit(0, 27, ethers.ZeroHash, ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(minter, "PaymentTokenNotSet");
+    });
+
+    it("Should not charge owner airdrops", async function () {
+      const { nft, minter, owner, user3 } = await loadFixture(
+        deployPaidMinterFixture
+      );
+
+      await minter.connect(owner).batchMintNFTs([user3.address]);
+      await minter.connect(owner).airdrop([user3.address], [0], [2]);
+      expect(await nft.balanceOf(user3.address, 0)).to.equal(3);
+    });
+
+    it("Should withdraw payments to the treasury", async function () {
+      const { minter, owner, user1, user2, user4, paymentToken } =
+        await loadFixture(deployPaidMinterFixture);
+      expect(await minter.treasury()).to.equal(owner.address);
+
+      await expect(minter.connect(owner).updateTreasury(user4.address))
+        .to.emit(minter, "TreasuryUpdated")
+        .withArgs(owner.address, user4.address);
+
+      await minter.connect(user1).mintNFT({ value: PRICE });
+      await minter.connect(user2).mintNFT({ value: PRICE });
+      await expect(
+        minter.connect(owner).withdraw(ethers.ZeroAddress)
+      ).to.changeEtherBalances([minter, user4], [-PRICE * 2n, PRICE * 2n]);
+
+      await paymentToken.mint(minter.target, 700);
+      await expect(minter.connect(owner).withdraw(paymentToken.target))
+        .to.emit(minter, "Withdrawn")
+        .withArgs(paymentToken.target, user4.address, 700);
+
+      await paymentToken.mint(minter.target, 700);
+      await expect(
+        minter.connect(owner).withdraw(paymentToken.target)
+      ).to.changeTokenBalances(paymentToken, [minter, user4], [-700, 700]);
+    });
+
+    it("Should revert if the treasury is the zero address", async function () {
+      const { minter, owner } = await loadFixture(deployPaidMinterFixture);
+
+      await expect(
+        minter.connect(owner).updateTreasury(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(minter, "InvalidTreasury");
+    });
+
+    it("Should emit MintPriceUpdated", async function () {
+      const { minter, owner } = await loadFixture(deployPaidMinterFixture);
+
+      await expect(minter.connect(owner).updateMintPrice(0, 0))
+        .to.emit(minter, "MintPriceUpdated")
+        .withArgs(0, PRICE, 0);
+      expect(await minter.mintPrice(0)).to.equal(0);
+    });
+
+    it("Should revert if non-owner tries to manage payments", async function () {
+      const { minter, user1 } = await loadFixture(deployPaidMinterFixture);
+
+      for (const call of [
+        minter.connect(user1).updateMintPrice(0, 0),
+        minter.connect(user1).updatePaymentToken(ethers.ZeroAddress),
+        minter.connect(user1).updateTreasury(user1.address),
+        minter.connect(user1).withdraw(ethers.ZeroAddress),
+      ]) {
+        await expect(call).to.be.revertedWithCustomError(
+          minter,
+          "Unauthorized"
+        );
+      }
+    });
+  });
+
+  describe("Airdrops", function () {
+    it("Should mint any quantity of any token IDs to each recipient", async function () {
+      const { nft, minter, owner, user1, user2 } = await loadFixture(
+        deployMinterFixture
+      );
+
+      await expect(
+        minter
+          .connect(owner)
+          .airdrop(
+            [user1.address, user1.address, user2.address],
+            [1, 2, 1],
+            [3, 1, 5]
+          )
+      )
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user1.address, 1, 3)
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user1.address, 2, 1)
+        .to.emit(minter, "NFTMinted")
+        .withArgs(user2.address, 1, 5);
+
+      expect(await nft.balanceOf(user1.address, 1)).to.equal(3);
+      expect(await nft.balanceOf(user1.address, 2)).to.equal(1);
+      expect(await nft.balanceOf(user2.address, 1)).to.equal(5);
+      expect(await minter.totalMinted()).to.equal(9);
+      // Airdrops do not count as claiming the global drop
+      expect(await minter.hasMinted(user1.address, 0)).to.be.false;
+    });
+
+    it("Should use mintBatch for consecutive rows of the same recipient", async function () {
+      const { nft, minter, owner, user1, user2 } = await loadFixture(
+        deployMinterFixture
+      );
+
+      await expect(
+        minter
+          .connect(owner)
+          .airdrop(
+            [user1.address, user1.address, user2.address],
+            [1, 2, 1],
+            [3, 1, 5]
+          )
+      )
+        .to.emit(nft, "TransferBatch")
+        .withArgs(
+          minter.target,
+          ethers.ZeroAddress,
+          user1.address,
+          [1, 2],
+          [3, 1]
+        )
+        .and.to.emit(nft, "TransferSingle")
+        .withArgs(minter.target, ethers.ZeroAddress, user2.address, 1, 5);
+    });
+
+    it("Should revert with the lengths when the arrays do not match", async function () {
+      const { minter, owner, user1, user2 } = await loadFixture(
+        deployMinterFixture
+      );
+
+      await expect(
+        minter
+          .connect(owner)
+          .airdrop([user1.address, user2.address], [1, 2], [1])
+      )
+        .to.be.revertedWithCustomError(minter, "ArrayLengthMismatch")
+        .withArgs(2, 2, 1);
+      await expect(minter.connect(owner).airdrop([user1.address], [1, 2], [1]))
+        .to.be.revertedWithCustomError(minter, "ArrayLengthMismatch")
+        .withArgs(1, 2, 1);
+    });
+
+    it("Should revert on zero amounts and exhausted supply", async function () {
+      const { nft, minter, owner, user1, user2 } = await loadFixture(
+        deployMinterFixture
+      );
+      await nft.connect(owner).createToken(1, 4, "ipfs://cid/");
+
+      await expect(
+        minter.connect(owner).airdrop([user1.address], [1], [0])
+      ).to.be.revertedWithCustomError(minter, "InvalidMintQuantity");
+      await expect(
+        minter
+          .connect(owner)
+          .airdrop([user1.address, user2.address], [1, 1], [2, 3])
+      ).to.be.revertedWithCustomError(minter, "InsufficientSupply");
+    });
+
+    it("Should revert if non-owner tries to airdrop", async function () {
+      const { minter, user1 } = await loadFixture(deployMinterFixture);
+
+      await expect(
+        minter.connect(user1).airdrop([user1.address], [1], [1])
+      ).to.be.revertedWithCustomError(minter, "Unauthorized");
+    });
+  });
+
+  describe("Admin Functions", function () {
+    describe("SAST Token Management", function () {
+      it("Should allow owner to update sAST token address", async function () {
+        const { minter, owner, user1 } = await loadFixture(deployMinterFixture);
+        const newTokenAddress = user1.address; // Using user1 as mock new token
+
+        await expect(minter.connect(owner).updateSASTToken(newTokenAddress))
+          .to.emit(minter, "SASTTokenUpdated")
+          .withArgs(await minter.sastToken(), newTokenAddress);
+
+        expect(await minter.sastToken()).to.equal(newTokenAddress);
+      });
+
+      it("Should revert if non-owner tries to update sAST token", async function () {
+        const { minter, user1 } = await loadFixture(deployMinterFixture);
+
+        await expect(
+          minter.connect(user1).updateSASTToken(user1.address)
+        ).to.be.revertedWithCustomError(minter, "Unauthorized");
+      });
+
+      it("Should revert if trying to set zero address as sAST token", async function () {
+        const { minter, owner } = await loadFixture(deployMinterFixture);
+
+        await expect(
+          minter.connect(owner).updateSASTToken(ethers.ZeroAddress)
+        ).to.be.revertedWithCustomError(minter, "InvalidTokenAddress");
+      });
+    });
+
+    describe("Required Balance Management", function () {
+      it("Should allow owner to update required balance", async function () {
+        const { minter, owner } = await loadFixture(deployMinterFixture);
+        const newBalance = 2000n * 10n ** 4n;
+
+        await expect(minter.connect(owner).updateRequiredBalance(newBalance))
+          .to.emit(minter, "RequiredBalanceUpdated")
+          .withArgs(await minter.requiredSASTBalance(), newBalance);
+
+        expect(await minter.requiredSASTBalance()).to.equal(newBalance);
+      });
+
+      it("Should revert if non-owner tries to update required balance", async function () {
+        const { minter, user1 } = await loadFixture(deployMinterFixture);
+
+        await expect(
+          minter.connect(user1).updateRequiredBalance(2000n * 10n ** 4n)
+        ).to.be.revertedWithCustomError(minter, "Unauthorized");
+      });
+    });
+
+    describe("Ownership Management", function () {
+      it("Should reject single-step ownership transfers", async function () {
+        const { minter, owner, user1 } = await loadFixture(deployMinterFixture);
+
+        for (const newOwner of [user1.address, ethers.ZeroAddress]) {
+          await expect(
+            minter.connect(owner).transferOwnership(newOwner)
+          ).to.be.revertedWithCustomError(minter, "OwnershipHandoverRequired");
+        }
+        expect(await minter.owner()).to.equal(owner.address);
+      });
+
+      it("Should revert if non-owner tries to transfer ownership", async function () {
+        const { minter, user1, user2 } = await loadFixture(deployMinterFixture);
+
+        await expect(
+          minter.connect(user1).transferOwnership(user2.address)
+        ).to.be.revertedWithCustomError(minter, "Unauthorized");
+      });
+
+      it("Should hand ownership over to a requesting address", async function () {
+        const { minter, owner, user1 } = await loadFixture(deployMinterFixture);
+
+        await expect(minter.connect(user1).requestOwnershipHandover())
+          .to.emit(minter, "OwnershipHandoverRequested")
+          .withArgs(user1.address);
+        expect(await minter.ownershipHandoverExpiresAt(user1.address)).to.equal(
+          (await time.latest()) + 48 * 3600
+        );
+
+        await expect(
+          minter.connect(owner).completeOwnershipHandover(user1.address)
+        )
+          .to.emit(minter, "OwnershipTransferred")
+          .withArgs(owner.address, user1.address);
+
+        expect(await minter.owner()).to.equal(user1.address);
+        expect(await minter.ownershipHandoverExpiresAt(user1.address)).to.equal(
+          0
+        );
+        await minter.connect(user1).updateMintQuantity(2);
+        await expect(
+          minter.connect(owner).updateMintQuantity(3)
+        ).to.be.revertedWithCustomError(minter, "Unauthorized");
+      });
+
+      it("Should not complete expired or canceled handovers", async function () {
+        const { minter, owner, user1, user2 } = await loadFixture(
+          deployMinterFixture
+        );
+
+        await minter.connect(user1).requestOwnershipHandover();
+        await time.increase(48 * 3600 + 1);
+        await expect(
+          minter.connect(owner).completeOwnershipHandover(user1.address)
+        ).to.be.revertedWithCustomError(minter, "NoHandoverRequest");
+
+        await minter.connect(user2).requestOwnershipHandover();
+        await expect(minter.connect(user2).cancelOwnershipHandover())
+          .to.emit(minter, "OwnershipHandoverCanceled")
+          .withArgs(user2.address);
+        await expect(
+          minter.connect(owner).completeOwnershipHandover(user2.address)
+        ).to.be.revertedWithCustomError(minter, "NoHandoverRequest");
+
+        expect(await minter.owner()).to.equal(owner.address);
+      });
+
+      it("Should revert if non-owner tries to complete a handover", async function () {
+        const { minter, user1 } = await loadFixture(deployMinterFixture);
+
+        await minter.connect(user1).requestOwnershipHandover();
+        await expect(
+          minter.connect(user1).completeOwnershipHandover(user1.address)
+        ).to.be.revertedWithCustomError(minter, "Unauthorized");
+      });
+
+      it("Should allow owner to renounce ownership", async function () {
+        const { minter, owner } = await loadFixture(deployMinterFixture);
+
+        await expect(minter.connect(owner).renounceOwnership())
+          .to.emit(minter, "OwnershipTransferred")
+          .withArgs(owner.address, ethers.ZeroAddress);
+
+        expect(await minter.owner()).to.equal(ethers.ZeroAddress);
+        await expect(
+          minter.connect(owner).updateMintQuantity(2)
+        ).to.be.revertedWithCustomError(minter, "Unauthorized");
       });
     });
 
@@ -4,16 +4,20 @@ const {
 const { expect } = require("chai");
 
 describe("AirswapNFT", function () {
+  const MINTER_ROLE = ethers.id("MINTER_ROLE");
+  const URI_MANAGER_ROLE = ethers.id("URI_MANAGER_ROLE");
+  const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+
   // We define a fixture to reuse the same setup in every test.
   // We use loadFixture to run this setup once, snapshot that state,
   // and reset Hardhat Network to that snapshot in every test.
   async function deployNFTFixture() {
-    const [owner, admin1, admin2, user1, user2] = await ethers.getSigners();
+    const [owner, account1, account2, user1, user2] = await ethers.getSigners();
 
     const AirswapNFT = await ethers.getContractFactory("AirswapNFT");
     const nft = await AirswapNFT.deploy("Airswap NFT Collection", "ANFT");
 
-    return { nft, owner, admin1, admin2, user1, user2 };
+    return { nft, owner, account1, account2, user1, user2 };
   }
 
   describe("Deployment", function () {
@@ -30,143 +34,177 @@ describe("AirswapNFT", function () {
       expect(await nft.owner()).to.equal(owner.address);
     });
 
-    it("Should start with zero admins", async function () {
+    it("Should start with no role members", async function () {
       const { nft } = await loadFixture(deployNFTFixture);
 
-      expect(await nft.adminCount()).to.equal(0);
+      expect(await nft.MINTER_ROLE()).to.equal(MINTER_ROLE);
+      expect(await nft.URI_MANAGER_ROLE()).to.equal(URI_MANAGER_ROLE);
+      expect(await nft.PAUSER_ROLE()).to.equal(PAUSER_ROLE);
+      for (const role of [MINTER_ROLE, URI_MANAGER_ROLE, PAUSER_ROLE]) {
+        expect(await nft.getRoleMemberCount(role)).to.equal(0);
+      }
     });
   });
 
-  describe("Admin Management", function () {
-    describe("Adding Admins", function () {
-      it("Should allow owner to add admin", async function () {
-        const { nft, owner, admin1 } = await loadFixture(deployNFTFixture);
+  describe("Role Management", function () {
+    describe("Granting Roles", function () {
+      it("Should allow owner to grant a role", async function () {
+        const { nft, owner, account1 } = await loadFixture(deployNFTFixture);
 
-        await expect(nft.addAdmin(admin1.address))
-          .to.emit(nft, "AdminAdded")
-          .withArgs(admin1.address);
+        await expect(nft.grantRole(MINTER_ROLE, account1.address))
+          .to.emit(nft, "RoleGranted")
+          .withArgs(MINTER_ROLE, account1.address, owner.address);
 
-        expect(await nft.isAdmin(admin1.address)).to.be.true;
-        expect(await nft.adminCount()).to.equal(1);
+        expect(await nft.hasRole(MINTER_ROLE, account1.address)).to.be.true;
+        expect(await nft.hasRole(URI_MANAGER_ROLE, account1.address)).to.be
+          .false;
+        expect(await nft.getRoleMemberCount(MINTER_ROLE)).to.equal(1);
       });
 
-      it("Should revert if non-owner tries to add admin", async function () {
-        const { nft, user1, admin1 } = await loadFixture(deployNFTFixture);
+      it("Should revert if non-owner tries to grant a role", async function () {
+        const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
 
         await expect(
-          nft.connect(user1).addAdmin(admin1.address)
+          nft.connect(user1).grantRole(MINTER_ROLE, account1.address)
         ).to.be.revertedWithCustomError(nft, "Unauthorized");
       });
 
-      it("Should revert if trying to add zero address as admin", async function () {
-        const { nft } = await loadFixture(deployNFTFixture);
+      it("Should revert if role members cannot grant roles", async function () {
+        const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
+        await nft.grantRole(MINTER_ROLE, account1.address);
 
         await expect(
-          nft.addAdmin(ethers.ZeroAddress)
-        ).to.be.revertedWithCustomError(nft, "InvalidAdminAddress");
+          nft.connect(account1).grantRole(MINTER_ROLE, user1.address)
+        ).to.be.revertedWithCustomError(nft, "Unauthorized");
       });
 
-      it("Should revert if trying to add existing admin", async function () {
-        const { nft, owner, admin1 } = await loadFixture(deployNFTFixture);
+      it("Should revert if trying to grant a role to the zero address", async function () {
+        const { nft } = await loadFixture(deployNFTFixture);
 
-        await nft.addAdmin(admin1.address);
         await expect(
-          nft.addAdmin(admin1.address)
-        ).to.be.revertedWithCustomError(nft, "AlreadyAdmin");
+          nft.grantRole(MINTER_ROLE, ethers.ZeroAddress)
+        ).to.be.revertedWithCustomError(nft, "InvalidRoleAccount");
       });
 
-      it("Should revert if trying to add owner as admin", async function () {
-        const { nft, owner } = await loadFixture(deployNFTFixture);
+      it("Should revert if the account already holds the role", async function () {
+        const { nft, account1 } = await loadFixture(deployNFTFixture);
 
-        await expect(nft.addAdmin(owner.address)).to.be.revertedWithCustomError(
-          nft,
-          "OwnerAlreadyAdmin"
-        );
+        await nft.grantRole(MINTER_ROLE, account1.address);
+        await expect(nft.grantRole(MINTER_ROLE, account1.address))
+          .to.be.revertedWithCustomError(nft, "RoleAlreadyGranted")
+          .withArgs(MINTER_ROLE, account1.address);
       });
 
-      it("Should allow adding multiple admins", async function () {
-        const { nft, owner, admin1, admin2 } = await loadFixture(
-          deployNFTFixture
-        );
-
-        await nft.addAdmin(admin1.address);
-        await nft.addAdmin(admin2.address);
+      it("Should revert if trying to grant a role to the owner", async function () {
+        const { nft, owner } = await loadFixture(deployNFTFixture);
 
-        expect(await nft.isAdmin(admin1.address)).to.be.true;
-        expect(await nft.isAdmin(admin2.address)).to.be.true;
-        expect(await nft.adminCount()).to.equal(2);
+        await expect(nft.grantRole(PAUSER_ROLE, owner.address))
+          .to.be.revertedWithCustomError(nft, "OwnerAlreadyHasRole")
+          .withArgs(PAUSER_ROLE);
       });
     });
 
-    describe("Removing Admins", function () {
-      it("Should allow owner to remove admin", async function () {
-        const { nft, owner, admin1 } = await loadFixture(deployNFTFixture);
+    describe("Revoking and Renouncing Roles", function () {
+      it("Should allow owner to revoke a role", async function () {
+        const { nft, owner, account1 } = await loadFixture(deployNFTFixture);
 
-        await nft.addAdmin(admin1.address);
-        await expect(nft.removeAdmin(admin1.address))
-          .to.emit(nft, "AdminRemoved")
-          .withArgs(admin1.address);
+        await nft.grantRole(MINTER_ROLE, account1.address);
+        await expect(nft.revokeRole(MINTER_ROLE, account1.address))
+          .to.emit(nft, "RoleRevoked")
+          .withArgs(MINTER_ROLE, account1.address, owner.address);
 
-        expect(await nft.isAdmin(admin1.address)).to.be.false;
-        expect(await nft.adminCount()).to.equal(0);
+        expect(await nft.hasRole(MINTER_ROLE, account1.address)).to.be.false;
+        expect(await nft.getRoleMemberCount(MINTER_ROLE)).to.equal(0);
       });
 
-      it("Should revert if non-owner tries to remove admin", async function () {
-        const { nft, owner, admin1, user1 } = await loadFixture(
-          deployNFTFixture
-        );
+      it("Should revert if non-owner tries to revoke a role", async function () {
+        const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
 
-        await nft.addAdmin(admin1.address);
+        await nft.grantRole(MINTER_ROLE, account1.address);
         await expect(
-          nft.connect(user1).removeAdmin(admin1.address)
+          nft.connect(user1).revokeRole(MINTER_ROLE, account1.address)
         ).to.be.revertedWithCustomError(nft, "Unauthorized");
       });
 
-      it("Should revert if trying to remove non-admin", async function () {
-        const { nft, owner, user1 } = await loadFixture(deployNFTFixture);
-
-        await expect(
-          nft.removeAdmin(user1.address)
-        ).to.be.revertedWithCustomError(nft, "NotAdmin");
+      it("Should revert if trying to revoke a role that is not held", async function () {
+        const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
+
+        // Holding one role does not count for another
+        await nft.grantRole(MINTER_ROLE, account1.address);
+        await expect(nft.revokeRole(URI_MANAGER_ROLE, account1.address))
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(URI_MANAGER_ROLE, account1.address);
+        await expect(nft.revokeRole(MINTER_ROLE, user1.address))
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(MINTER_ROLE, user1.address);
       });
 
-      it("Should handle removing multiple admins", async function () {
-        const { nft, owner, admin1, admin2 } = await loadFixture(
-          deployNFTFixture
-        );
-
-        await nft.addAdmin(admin1.address);
-        await nft.addAdmin(admin2.address);
-        expect(await nft.adminCount()).to.equal(2);
+      it("Should allow members to renounce their role", async function () {
+        const { nft, account1 } = await loadFixture(deployNFTFixture);
 
-        await nft.removeAdmin(admin1.address);
-        expect(await nft.adminCount()).to.equal(1);
-        expect(await nft.isAdmin(admin1.address)).to.be.false;
-        expect(await nft.isAdmin(admin2.address)).to.be.true;
+        await nft.grantRole(MINTER_ROLE, account1.address);
+        await expect(nft.connect(account1).renounceRole(MINTER_ROLE))
+          .to.emit(nft, "RoleRenounced")
+          .withArgs(MINTER_ROLE, account1.address);
 
-        await nft.removeAdmin(admin2.address);
-        expect(await nft.adminCount()).to.equal(0);
-        expect(await nft.isAdmin(admin2.address)).to.be.false;
+        expect(await nft.hasRole(MINTER_ROLE, account1.address)).to.be.false;
+        await expect(nft.connect(account1).renounceRole(MINTER_ROLE))
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(MINTER_ROLE, account1.address);
       });
     });
 
-    describe("Admin Status Checks", function () {
-      it("Should correctly identify admins", async function () {
-        const { nft, owner, admin1, user1 } = await loadFixture(
+    describe("Role Views", function () {
+      it("Should treat the owner as holding every role", async function () {
+        const { nft, owner, account1 } = await loadFixture(deployNFTFixture);
+
+        for (const role of [MINTER_ROLE, URI_MANAGER_ROLE, PAUSER_ROLE]) {
+          expect(await nft.hasRole(role, owner.address)).to.be.true;
+          expect(await nft.hasRole(role, account1.address)).to.be.false;
+        }
+        // The owner is not listed as a member
+        expect(await nft.getRoleMembers(MINTER_ROLE)).to.deep.equal([]);
+      });
+
+      it("Should enumerate the members of each role", async function () {
+        const { nft, account1, account2, user1 } = await loadFixture(
           deployNFTFixture
         );
 
-        expect(await nft.isAdmin(owner.address)).to.be.false; // Owner is not in admin mapping
-        expect(await nft.isAdmin(admin1.address)).to.be.false;
-        expect(await nft.isAdmin(user1.address)).to.be.false;
+        await nft.grantRole(MINTER_ROLE, account1.address);
+        await nft.grantRole(MINTER_ROLE, account2.address);
+        await nft.grantRole(URI_MANAGER_ROLE, user1.address);
+
+        expect(await nft.getRoleMemberCount(MINTER_ROLE)).to.equal(2);
+        expect(await nft.getRoleMember(MINTER_ROLE, 0)).to.equal(
+          account1.address
+        );
+        expect(await nft.getRoleMember(MINTER_ROLE, 1)).to.equal(
+          account2.address
+        );
+        expect(await nft.getRoleMembers(MINTER_ROLE)).to.deep.equal([
+          account1.address,
+          account2.address,
+        ]);
+        expect(await nft.getRoleMembers(URI_MANAGER_ROLE)).to.deep.equal([
+          user1.address,
+        ]);
 
-        await nft.addAdmin(admin1.address);
-        expect(await nft.isAdmin(admin1.address)).to.be.true;
+        await nft.revokeRole(MINTER_ROLE, account1.address);
+        expect(await nft.getRoleMembers(MINTER_ROLE)).to.deep.equal([
+          account2.address,
+        ]);
+      });
+
+      it("Should revert when enumerating past the last member", async function () {
+        const { nft } = await loadFixture(deployNFTFixture);
+
+        await expect(nft.getRoleMember(MINTER_ROLE, 0)).to.be.reverted;
       });
     });
   });
 
-  describe("Minting with Admin System", function () {
+  describe("Minting with Roles", function () {
     describe("Owner Minting", function () {
       it("Should allow owner to mint tokens", async function () {
         const { nft, owner, user1 } = await loadFixture(deployNFTFixture);
@@ -203,18 +241,16 @@ describe("AirswapNFT", function () {
       });
     });
 
-    describe("Admin Minting", function () {
-      it("Should allow admin to mint tokens", async function () {
-        const { nft, owner, admin1, user1 } = await loadFixture(
-          deployNFTFixture
-        );
+    describe("Minter Minting", function () {
+      it("Should allow minter to mint tokens", async function () {
+        const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
         const tokenId = 1;
         const amount = 100;
 
-        await nft.addAdmin(admin1.address);
+        await nft.grantRole(MINTER_ROLE, account1.address);
 
         await expect(
-          nft.connect(admin1).mint(user1.address, tokenId, amount, "0x")
+          nft.connect(account1).mint(user1.address, tokenId, amount, "0x")
         )
           .to.emit(nft, "TokenMinted")
           .withArgs(user1.address, tokenId, amount);
@@ -223,17 +259,17 @@ describe("AirswapNFT", function () {
         expect(await nft.tokenExists(tokenId)).to.be.true;
       });
 
-      it("Should allow admin to mint batch tokens", async function () {
-        const { nft, owner, admin1, user1 } = await loadFixture(
-          deployNFTFixture
-        );
+      it("Should allow minter to mint batch tokens", async function () {
+        const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
         const tokenIds = [1, 2, 3];
         const amounts = [100, 200, 300];
 
-        await nft.addAdmin(admin1.address);
+        await nft.grantRole(MINTER_ROLE, account1.address);
 
         await expect(
-          nft.connect(admin1).mintBatch(user1.address, tokenIds, amounts, "0x")
+          nft
+            .connect(account1)
+            .mintBatch(user1.address, tokenIds, amounts, "0x")
         )
           .to.emit(nft, "TokenMinted")
           .withArgs(user1.address, tokenIds[0], amounts[0])
@@ -250,34 +286,51 @@ describe("AirswapNFT", function () {
         }
       });
 
-      it("Should revert if non-admin tries to mint", async function () {
+      it("Should revert if non-minter tries to mint", async function () {
         const { nft, user1, user2 } = await loadFixture(deployNFTFixture);
         const tokenId = 1;
         const amount = 100;
 
         await expect(
           nft.connect(user1).mint(user2.address, tokenId, amount, "0x")
-        ).to.be.revertedWithCustomError(nft, "Unauthorized");
+        )
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(MINTER_ROLE, user1.address);
+        await expect(
+          nft.connect(user1).mintBatch(user2.address, [tokenId], [amount], "0x")
+        )
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(MINTER_ROLE, user1.address);
       });
 
-      it("Should revert if removed admin tries to mint", async function () {
-        const { nft, owner, admin1, user1 } = await loadFixture(
-          deployNFTFixture
-        );
+      it("Should revert if a URI manager tries to mint", async function () {
+        const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
+
+        await nft.grantRole(URI_MANAGER_ROLE, account1.address);
+
+        await expect(nft.connect(account1).mint(user1.address, 1, 100, "0x"))
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(MINTER_ROLE, account1.address);
+      });
+
+      it("Should revert if revoked minter tries to mint", async function () {
+        const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
         const tokenId = 1;
         const amount = 100;
 
-        await nft.addAdmin(admin1.address);
-        await nft.removeAdmin(admin1.address);
+        await nft.grantRole(MINTER_ROLE, account1.address);
+        await nft.revokeRole(MINTER_ROLE, account1.address);
 
         await expect(
-          nft.connect(admin1).mint(user1.address, tokenId, amount, "0x")
-        ).to.be.revertedWithCustomError(nft, "Unauthorized");
+          nft.connect(account1).mint(user1.address, tokenId, amount, "0x")
+        )
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(MINTER_ROLE, account1.address);
       });
     });
   });
 
-  describe("URI Management with Admin System", function () {
+  describe("URI Management with Roles", function () {
     describe("Owner URI Management", function () {
       it("Should allow owner to set URI", async function () {
         const { nft, owner } = await loadFixture(deployNFTFixture);
@@ -298,16 +351,16 @@ describe("AirswapNFT", function () {
       });
     });
 
-    describe("Admin URI Management", function () {
-      it("Should allow admin to set URI", async function () {
-        const { nft, owner, admin1 } = await loadFixture(deployNFTFixture);
+    describe("URI Manager URI Management", function () {
+      it("Should allow URI manager to set URI", async function () {
+        const { nft, owner, account1 } = await loadFixture(deployNFTFixture);
         const tokenId = 1;
         const baseURI = "https://api.example.com/metadata/";
 
-        await nft.addAdmin(admin1.address);
+        await nft.grantRole(URI_MANAGER_ROLE, account1.address);
         await nft.mint(owner.address, tokenId, 1, "0x");
 
-        await expect(nft.connect(admin1).setURI(tokenId, baseURI))
+        await expect(nft.connect(account1).setURI(tokenId, baseURI))
           .to.emit(nft, "URISet")
           .withArgs(tokenId, baseURI);
 
@@ -317,31 +370,868 @@ describe("AirswapNFT", function () {
         );
       });
 
-      it("Should revert if non-admin tries to set URI", async function () {
+      it("Should revert if non-URI manager tries to set URI", async function () {
         const { nft, owner, user1 } = await loadFixture(deployNFTFixture);
         const tokenId = 1;
         const baseURI = "https://api.example.com/metadata/";
 
         await nft.mint(owner.address, tokenId, 1, "0x");
 
-        await expect(
-          nft.connect(user1).setURI(tokenId, baseURI)
-        ).to.be.revertedWithCustomError(nft, "Unauthorized");
+        await expect(nft.connect(user1).setURI(tokenId, baseURI))
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(URI_MANAGER_ROLE, user1.address);
+      });
+
+      it("Should revert if a minter tries to set URI", async function () {
+        const { nft, owner, account1 } = await loadFixture(deployNFTFixture);
+
+        await nft.grantRole(MINTER_ROLE, account1.address);
+        await nft.mint(owner.address, 1, 1, "0x");
+
+        await expect(nft.connect(account1).setURI(1, "ipfs://cid/"))
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(URI_MANAGER_ROLE, account1.address);
       });
 
-      it("Should revert if removed admin tries to set URI", async function () {
-        const { nft, owner, admin1 } = await loadFixture(deployNFTFixture);
+      it("Should revert if revoked URI manager tries to set URI", async function () {
+        const { nft, owner, account1 } = await loadFixture(deployNFTFixture);
         const tokenId = 1;
         const baseURI = "https://api.example.com/metadata/";
 
-        await nft.addAdmin(admin1.address);
+        await nft.grantRole(URI_MANAGER_ROLE, account1.address);
         await nft.mint(owner.address, tokenId, 1, "0x");
-        await nft.removeAdmin(admin1.address);
+        await nft.revokeRole(URI_MANAGER_ROLE, account1.address);
+
+        await expect(nft.connect(account1).setURI(tokenId, baseURI))
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(URI_MANAGER_ROLE, account1.address);
+      });
+    });
+  });
+
+  describe("Metadata", function () {
+    const MAX_UINT256 = ethers.MaxUint256;
+
+    it("Should fall back to the base URI for tokens without an override", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 1, "0x");
+
+      await expect(nft.setBaseURI("ipfs://collection/"))
+        .to.emit(nft, "BaseURISet")
+        .withArgs("ipfs://collection/")
+        .and.to.emit(nft, "BatchMetadataUpdate")
+        .withArgs(0, MAX_UINT256);
+
+      expect(await nft.baseURI()).to.equal("ipfs://collection/");
+      expect(await nft.uri(1)).to.equal("ipfs://collection/1.json");
+    });
+
+    it("Should give token overrides precedence over the base URI", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 1, "0x");
+      await nft.setBaseURI("ipfs://collection/");
+
+      await expect(nft.setURI(1, "ipfs://special/"))
+        .to.emit(nft, "URI")
+        .withArgs("ipfs://special/1.json", 1);
+      expect(await nft.uri(1)).to.equal("ipfs://special/1.json");
+
+      // Clearing the override goes back to the base URI
+      await expect(nft.setURI(1, ""))
+        .to.emit(nft, "URI")
+        .withArgs("ipfs://collection/1.json", 1);
+      expect(await nft.uri(1)).to.equal("ipfs://collection/1.json");
+    });
+
+    it("Should return {id} templates in substitution mode", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 1, "0x");
+      await nft.mint(user1.address, 2, 1, "0x");
+      await nft.setBaseURI("https://api.example.com/{id}.json");
+      await nft.setURI(2, "ipfs://special/{id}.json");
+
+      await expect(nft.setIdSubstitution(true))
+        .to.emit(nft, "IdSubstitutionSet")
+        .withArgs(true)
+        .and.to.emit(nft, "BatchMetadataUpdate")
+        .withArgs(0, MAX_UINT256);
+
+      expect(await nft.idSubstitution()).to.be.true;
+      expect(await nft.uri(1)).to.equal("https://api.example.com/{id}.json");
+      expect(await nft.uri(2)).to.equal("ipfs://special/{id}.json");
+
+      await nft.setIdSubstitution(false);
+      expect(await nft.uri(1)).to.equal(
+        "https://api.example.com/{id}.json1.json"
+      );
+    });
+
+    it("Should set the contract URI", async function () {
+      const { nft } = await loadFixture(deployNFTFixture);
+      expect(await nft.contractURI()).to.equal("");
+
+      await expect(nft.setContractURI("ipfs://collection.json")).to.emit(
+        nft,
+        "ContractURIUpdated"
+      );
+      expect(await nft.contractURI()).to.equal("ipfs://collection.json");
+    });
+
+    it("Should allow URI managers to update the collection URIs", async function () {
+      const { nft, account1 } = await loadFixture(deployNFTFixture);
+      await nft.grantRole(URI_MANAGER_ROLE, account1.address);
+
+      await nft.connect(account1).setBaseURI("ipfs://collection/");
+      await nft.connect(account1).setIdSubstitution(true);
+      await nft.connect(account1).setContractURI("ipfs://collection.json");
+
+      expect(await nft.baseURI()).to.equal("ipfs://collection/");
+      expect(await nft.idSubstitution()).to.be.true;
+      expect(await nft.contractURI()).to.equal("ipfs://collection.json");
+    });
+
+    it("Should revert if non-URI manager tries to update the collection URIs", async function () {
+      const { nft, account1 } = await loadFixture(deployNFTFixture);
+      await nft.grantRole(MINTER_ROLE, account1.address);
+
+      for (const call of [
+        nft.connect(account1).setBaseURI("ipfs://collection/"),
+        nft.connect(account1).setIdSubstitution(true),
+        nft.connect(account1).setContractURI("ipfs://collection.json"),
+      ]) {
+        await expect(call)
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(URI_MANAGER_ROLE, account1.address);
+      }
+    });
+  });
+
+  describe("Metadata Freezing", function () {
+    it("Should freeze the URI of a token forever", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 1, "0x");
+      await nft.setURI(1, "ipfs://art/");
+
+      await expect(nft.freezeURI(1))
+        .to.emit(nft, "PermanentURI")
+        .withArgs("ipfs://art/1.json", 1);
+      expect(await nft.isFrozen(1)).to.be.true;
+      expect(await nft.uriFrozen(1)).to.be.true;
+      expect(await nft.isFrozen(2)).to.be.false;
+
+      await expect(
+        nft.setURI(1, "ipfs://swapped/")
+      ).to.be.revertedWithCustomError(nft, "URIIsFrozen");
+      await expect(nft.freezeURI(1)).to.be.revertedWithCustomError(
+        nft,
+        "URIIsFrozen"
+      );
+    });
+
+    it("Should keep frozen URIs through base URI and mode changes", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 1, "0x");
+      await nft.mint(user1.address, 2, 1, "0x");
+      await nft.setBaseURI("ipfs://collection/");
+      await nft.freezeURI(1);
+
+      await nft.setBaseURI("ipfs://swapped/");
+      await nft.setIdSubstitution(true);
+
+      expect(await nft.uri(1)).to.equal("ipfs://collection/1.json");
+      expect(await nft.uri(2)).to.equal("ipfs://swapped/");
+    });
+
+    it("Should freeze every token with freezeAll", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 1, "0x");
+      await nft.setBaseURI("ipfs://collection/");
+
+      await expect(nft.freezeAll()).to.emit(nft, "AllURIsFrozen");
+      expect(await nft.allURIsFrozen()).to.be.true;
+      expect(await nft.isFrozen(1)).to.be.true;
+      expect(await nft.isFrozen(99)).to.be.true;
+
+      for (const call of [
+        nft.setURI(1, "ipfs://swapped/"),
+        nft.setBaseURI("ipfs://swapped/"),
+        nft.setIdSubstitution(true),
+        nft.freezeURI(1),
+        nft.freezeAll(),
+      ]) {
+        await expect(call).to.be.revertedWithCustomError(nft, "URIIsFrozen");
+      }
+      expect(await nft.uri(1)).to.equal("ipfs://collection/1.json");
+
+      // Collection-level metadata is not covered
+      await nft.setContractURI("ipfs://collection.json");
+    });
+
+    it("Should not let new tokens set a URI once every URI is frozen", async function () {
+      const { nft } = await loadFixture(deployNFTFixture);
+      await nft.setBaseURI("ipfs://collection/");
+      await nft.freezeAll();
+
+      await expect(
+        nft.createToken(1, 100, "ipfs://swapped/")
+      ).to.be.revertedWithCustomError(nft, "URIIsFrozen");
+
+      // Without an override the new token resolves through the frozen base URI
+      await nft.createToken(1, 100, "");
+      expect(await nft.uri(1)).to.equal("ipfs://collection/1.json");
+    });
+
+    it("Should revert when freezing a token that does not exist", async function () {
+      const { nft } = await loadFixture(deployNFTFixture);
+
+      await expect(nft.freezeURI(1)).to.be.revertedWithCustomError(
+        nft,
+        "TokenDoesNotExist"
+      );
+    });
+
+    it("Should revert if non-owner tries to freeze URIs", async function () {
+      const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 1, "0x");
+      await nft.grantRole(URI_MANAGER_ROLE, account1.address);
 
+      await expect(
+        nft.connect(account1).freezeURI(1)
+      ).to.be.revertedWithCustomError(nft, "Unauthorized");
+      await expect(
+        nft.connect(account1).freezeAll()
+      ).to.be.revertedWithCustomError(nft, "Unauthorized");
+    });
+  });
+
+  describe("Token Registry", function () {
+    it("Should allow owner to create a token before minting", async function () {
+      const { nft } = await loadFixture(deployNFTFixture);
+      const baseURI = "https://api.example.com/metadata/";
+
+      await expect(nft.createToken(1, 100, baseURI))
+        .to.emit(nft, "TokenCreated")
+        .withArgs(1, 100, baseURI)
+        .to.emit(nft, "URISet")
+        .withArgs(1, baseURI)
+        .to.emit(nft, "URI")
+        .withArgs(`${baseURI}1.json`, 1);
+
+      expect(await nft.tokenExists(1)).to.be.true;
+      expect(await nft.maxSupply(1)).to.equal(100);
+      expect(await nft.totalSupply(1)).to.equal(0);
+      expect(await nft.uri(1)).to.equal(`${baseURI}1.json`);
+    });
+
+    it("Should revert if non-owner tries to create a token", async function () {
+      const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
+      await nft.grantRole(URI_MANAGER_ROLE, account1.address);
+
+      // Supply caps are permanent, so URI managers cannot set them
+      for (const account of [account1, user1]) {
         await expect(
-          nft.connect(admin1).setURI(tokenId, baseURI)
+          nft.connect(account).createToken(1, 100, "ipfs://cid/")
         ).to.be.revertedWithCustomError(nft, "Unauthorized");
-      });
+      }
+      expect(await nft.tokenExists(1)).to.be.false;
+    });
+
+    it("Should revert if the token already exists", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.createToken(1, 100, "ipfs://cid/");
+      await nft.mint(user1.address, 2, 1, "0x");
+
+      await expect(
+        nft.createToken(1, 200, "ipfs://other/")
+      ).to.be.revertedWithCustomError(nft, "TokenAlreadyExists");
+      await expect(
+        nft.createToken(2, 200, "ipfs://other/")
+      ).to.be.revertedWithCustomError(nft, "TokenAlreadyExists");
+    });
+
+    it("Should track total supply across mints and transfers", async function () {
+      const { nft, user1, user2 } = await loadFixture(deployNFTFixture);
+
+      await nft.mint(user1.address, 1, 10, "0x");
+      await nft.mintBatch(user2.address, [1, 2], [5, 7], "0x");
+      expect(await nft.totalSupply(1)).to.equal(15);
+      expect(await nft.totalSupply(2)).to.equal(7);
+
+      await nft
+        .connect(user1)
+        .safeTransferFrom(user1.address, user2.address, 1, 4, "0x");
+      expect(await nft.totalSupply(1)).to.equal(15);
+    });
+
+    it("Should allow minting up to the max supply", async function () {
+      const { nft, user1, user2 } = await loadFixture(deployNFTFixture);
+      await nft.createToken(1, 10, "ipfs://cid/");
+
+      await nft.mint(user1.address, 1, 6, "0x");
+      await nft.mintBatch(user2.address, [1], [4], "0x");
+      expect(await nft.totalSupply(1)).to.equal(10);
+    });
+
+    it("Should revert mints past the max supply", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.createToken(1, 10, "ipfs://cid/");
+      await nft.mint(user1.address, 1, 9, "0x");
+
+      await expect(
+        nft.mint(user1.address, 1, 2, "0x")
+      ).to.be.revertedWithCustomError(nft, "MaxSupplyExceeded");
+      await expect(
+        nft.mintBatch(user1.address, [2, 1], [100, 2], "0x")
+      ).to.be.revertedWithCustomError(nft, "MaxSupplyExceeded");
+      expect(await nft.totalSupply(2)).to.equal(0);
+    });
+
+    it("Should keep rejecting batches with mismatched arrays", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+
+      await expect(
+        nft.mintBatch(user1.address, [1, 2], [1], "0x")
+      ).to.be.revertedWithCustomError(nft, "ArrayLengthsMismatch");
+    });
+  });
+
+  describe("Burning", function () {
+    it("Should allow holders to burn their tokens", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 10, "0x");
+
+      await expect(nft.connect(user1).burn(user1.address, 1, 4))
+        .to.emit(nft, "TokenBurned")
+        .withArgs(user1.address, 1, 4)
+        .to.emit(nft, "TransferSingle")
+        .withArgs(user1.address, user1.address, ethers.ZeroAddress, 1, 4);
+
+      expect(await nft.balanceOf(user1.address, 1)).to.equal(6);
+      expect(await nft.totalSupply(1)).to.equal(6);
+    });
+
+    it("Should allow holders to burn tokens in a batch", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.mintBatch(user1.address, [1, 2], [10, 20], "0x");
+
+      await expect(nft.connect(user1).burnBatch(user1.address, [1, 2], [10, 5]))
+        .to.emit(nft, "TokenBurned")
+        .withArgs(user1.address, 1, 10)
+        .to.emit(nft, "TokenBurned")
+        .withArgs(user1.address, 2, 5);
+
+      expect(await nft.balanceOf(user1.address, 1)).to.equal(0);
+      expect(await nft.balanceOf(user1.address, 2)).to.equal(15);
+      expect(await nft.totalSupply(1)).to.equal(0);
+      expect(await nft.totalSupply(2)).to.equal(15);
+    });
+
+    it("Should allow approved operators to burn", async function () {
+      const { nft, user1, user2 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 10, "0x");
+      await nft.connect(user1).setApprovalForAll(user2.address, true);
+
+      await nft.connect(user2).burn(user1.address, 1, 3);
+      await nft.connect(user2).burnBatch(user1.address, [1], [2]);
+      expect(await nft.balanceOf(user1.address, 1)).to.equal(5);
+    });
+
+    it("Should revert if the caller is not the holder or approved", async function () {
+      const { nft, owner, user1, user2 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 10, "0x");
+
+      await expect(
+        nft.connect(user2).burn(user1.address, 1, 1)
+      ).to.be.revertedWithCustomError(nft, "NotOwnerNorApproved");
+      await expect(
+        nft.connect(owner).burnBatch(user1.address, [1], [1])
+      ).to.be.revertedWithCustomError(nft, "NotOwnerNorApproved");
+    });
+
+    it("Should revert when burning more than the balance", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.mint(user1.address, 1, 10, "0x");
+
+      await expect(
+        nft.connect(user1).burn(user1.address, 1, 11)
+      ).to.be.revertedWithCustomError(nft, "InsufficientBalance");
+    });
+
+    it("Should free up max supply when tokens are burned", async function () {
+      const { nft, user1 } = await loadFixture(deployNFTFixture);
+      await nft.createToken(1, 5, "ipfs://cid/");
+      await nft.mint(user1.address, 1, 5, "0x");
+
+      await nft.connect(user1).burn(user1.address, 1, 2);
+      await nft.mint(user1.address, 1, 2, "0x");
+      expect(await nft.totalSupply(1)).to.equal(5);
+    });
+  });
+
+  describe("Soulbound Tokens", function () {
+    async function soulboundFixture() {
+      const fixture = await deployNFTFixture();
+      const { nft, user1 } = fixture;
+
+      await nft.mintBatch(user1.address, [1, 2], [10, 10], "0x");
+      await nft.setSoulbound(1, true);
+
+      return fixture;
+    }
+
+    it("Should allow owner to set the soulbound status", async function () {
+      const { nft } = await loadFixture(deployNFTFixture);
+
+      await expect(nft.setSoulbound(1, true))
+        .to.emit(nft, "Locked")
+        .withArgs(1);
+      expect(await nft.locked(1)).to.be.true;
+      expect(await nft.soulbound(1)).to.be.true;
+
+      await expect(nft.setSoulbound(1, false))
+        .to.emit(nft, "Unlocked")
+        .withArgs(1);
+      expect(await nft.locked(1)).to.be.false;
+    });
+
+    it("Should revert if non-owner tries to set the soulbound status", async function () {
+      const { nft, account1 } = await loadFixture(deployNFTFixture);
+
+      // Roles do not extend to soulbound settings
+      for (const role of [MINTER_ROLE, URI_MANAGER_ROLE, PAUSER_ROLE]) {
+        await nft.grantRole(role, account1.address);
+      }
+      await expect(
+        nft.connect(account1).setSoulbound(1, true)
+      ).to.be.revertedWithCustomError(nft, "Unauthorized");
+    });
+
+    it("Should block transfers of soulbound tokens", async function () {
+      const { nft, user1, user2 } = await loadFixture(soulboundFixture);
+
+      await expect(
+        nft
+          .connect(user1)
+          .safeTransferFrom(user1.address, user2.address, 1, 1, "0x")
+      ).to.be.revertedWithCustomError(nft, "TokenSoulbound");
+      await expect(
+        nft
+          .connect(user1)
+          .safeBatchTransferFrom(
+            user1.address,
+            user2.address,
+            [2, 1],
+            [1, 1],
+            "0x"
+          )
+      ).to.be.revertedWithCustomError(nft, "TokenSoulbound");
+
+      await nft
+        .connect(user1)
+        .safeTransferFrom(user1.address, user2.address, 2, 1, "0x");
+      expect(await nft.balanceOf(user2.address, 2)).to.equal(1);
+    });
+
+    it("Should block approved operators the same way", async function () {
+      const { nft, user1, user2 } = await loadFixture(soulboundFixture);
+
+      await nft.connect(user1).setApprovalForAll(user2.address, true);
+      expect(await nft.isApprovedForAll(user1.address, user2.address)).to.be
+        .true;
+
+      await expect(
+        nft
+          .connect(user2)
+          .safeTransferFrom(user1.address, user2.address, 1, 1, "0x")
+      ).to.be.revertedWithCustomError(nft, "TokenSoulbound");
+    });
+
+    it("Should still allow minting and burning soulbound tokens", async function () {
+      const { nft, user1, user2 } = await loadFixture(soulboundFixture);
+
+      await nft.mint(user2.address, 1, 1, "0x");
+      await nft.mintBatch(user2.address, [1], [2], "0x");
+      expect(await nft.balanceOf(user2.address, 1)).to.equal(3);
+
+      await nft.connect(user1).burn(user1.address, 1, 4);
+      await nft.connect(user2).burnBatch(user2.address, [1], [3]);
+      expect(await nft.totalSupply(1)).to.equal(6);
+    });
+
+    it("Should allow transfers again once unlocked", async function () {
+      const { nft, user1, user2 } = await loadFixture(soulboundFixture);
+
+      await nft.setSoulbound(1, false);
+      await nft
+        .connect(user1)
+        .safeTransferFrom(user1.address, user2.address, 1, 1, "0x");
+      expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+    });
+
+    it("Should allow owner to freeze the soulbound status forever", async function () {
+      const { nft } = await loadFixture(soulboundFixture);
+
+      await expect(nft.freezeSoulbound(1))
+        .to.emit(nft, "SoulboundFrozen")
+        .withArgs(1, true);
+      expect(await nft.soulboundFrozen(1)).to.be.true;
+
+      await expect(nft.setSoulbound(1, false)).to.be.revertedWithCustomError(
+        nft,
+        "SoulboundStatusFrozen"
+      );
+      await expect(nft.freezeSoulbound(1)).to.be.revertedWithCustomError(
+        nft,
+        "SoulboundStatusFrozen"
+      );
+    });
+
+    it("Should freeze transferable tokens as transferable", async function () {
+      const { nft } = await loadFixture(soulboundFixture);
+
+      await expect(nft.freezeSoulbound(2))
+        .to.emit(nft, "SoulboundFrozen")
+        .withArgs(2, false);
+      await expect(nft.setSoulbound(2, true)).to.be.revertedWithCustomError(
+        nft,
+        "SoulboundStatusFrozen"
+      );
+    });
+
+    it("Should revert if non-owner tries to freeze the soulbound status", async function () {
+      const { nft, user1 } = await loadFixture(soulboundFixture);
+
+      await expect(
+        nft.connect(user1).freezeSoulbound(1)
+      ).to.be.revertedWithCustomError(nft, "Unauthorized");
+    });
+  });
+
+  describe("Pausing", function () {
+    async function pausingFixture() {
+      const fixture = await deployNFTFixture();
+      const { nft, account1, user1 } = fixture;
+
+      await nft.grantRole(PAUSER_ROLE, account1.address);
+      await nft.mintBatch(user1.address, [1, 2], [10, 10], "0x");
+
+      return fixture;
+    }
+
+    it("Should allow pausers to pause and unpause minting", async function () {
+      const { nft, owner, account1 } = await loadFixture(pausingFixture);
+
+      await expect(nft.connect(account1).pauseMinting())
+        .to.emit(nft, "MintingPaused")
+        .withArgs(account1.address);
+      expect(await nft.mintingPaused()).to.be.true;
+      expect(await nft.transfersPaused()).to.be.false;
+
+      await expect(nft.unpauseMinting())
+        .to.emit(nft, "MintingUnpaused")
+        .withArgs(owner.address);
+      expect(await nft.mintingPaused()).to.be.false;
+    });
+
+    it("Should allow pausers to pause and unpause transfers", async function () {
+      const { nft, owner, account1 } = await loadFixture(pausingFixture);
+
+      await expect(nft.pauseTransfers())
+        .to.emit(nft, "TransfersPaused")
+        .withArgs(owner.address);
+      expect(await nft.transfersPaused()).to.be.true;
+      expect(await nft.mintingPaused()).to.be.false;
+
+      await expect(nft.connect(account1).unpauseTransfers())
+        .to.emit(nft, "TransfersUnpaused")
+        .withArgs(account1.address);
+      expect(await nft.transfersPaused()).to.be.false;
+    });
+
+    it("Should revert if non-pauser tries to pause or unpause", async function () {
+      const { nft, account2 } = await loadFixture(pausingFixture);
+      await nft.grantRole(MINTER_ROLE, account2.address);
+
+      for (const call of [
+        nft.connect(account2).pauseMinting(),
+        nft.connect(account2).unpauseMinting(),
+        nft.connect(account2).pauseTransfers(),
+        nft.connect(account2).unpauseTransfers(),
+      ]) {
+        await expect(call)
+          .to.be.revertedWithCustomError(nft, "MissingRole")
+          .withArgs(PAUSER_ROLE, account2.address);
+      }
+    });
+
+    it("Should revert if the switch is already in the requested state", async function () {
+      const { nft } = await loadFixture(pausingFixture);
+
+      await expect(nft.unpauseMinting()).to.be.revertedWithCustomError(
+        nft,
+        "PauseStatusUnchanged"
+      );
+      await expect(nft.unpauseTransfers()).to.be.revertedWithCustomError(
+        nft,
+        "PauseStatusUnchanged"
+      );
+
+      await nft.pauseMinting();
+      await nft.pauseTransfers();
+      await expect(nft.pauseMinting()).to.be.revertedWithCustomError(
+        nft,
+        "PauseStatusUnchanged"
+      );
+      await expect(nft.pauseTransfers()).to.be.revertedWithCustomError(
+        nft,
+        "PauseStatusUnchanged"
+      );
+    });
+
+    it("Should revert every mint while minting is paused", async function () {
+      const { nft, account2, user1, user2 } = await loadFixture(pausingFixture);
+      await nft.grantRole(MINTER_ROLE, account2.address);
+      await nft.pauseMinting();
+
+      for (const call of [
+        nft.mint(user1.address, 1, 1, "0x"),
+        nft.connect(account2).mint(user1.address, 3, 1, "0x"),
+        nft.mintBatch(user1.address, [1, 2], [1, 1], "0x"),
+      ]) {
+        await expect(call).to.be.revertedWithCustomError(
+          nft,
+          "MintingIsPaused"
+        );
+      }
+
+      // Transfers are a separate switch
+      await nft
+        .connect(user1)
+        .safeTransferFrom(user1.address, user2.address, 1, 1, "0x");
+      expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+    });
+
+    it("Should revert every transfer and burn while transfers are paused", async function () {
+      const { nft, user1, user2 } = await loadFixture(pausingFixture);
+      await nft.connect(user1).setApprovalForAll(user2.address, true);
+      await nft.pauseTransfers();
+
+      for (const call of [
+        nft
+          .connect(user1)
+          .safeTransferFrom(user1.address, user2.address, 1, 1, "0x"),
+        nft
+          .connect(user2)
+          .safeTransferFrom(user1.address, user2.address, 1, 1, "0x"),
+        nft
+          .connect(user1)
+          .safeBatchTransferFrom(
+            user1.address,
+            user2.address,
+            [1, 2],
+            [1, 1],
+            "0x"
+          ),
+        nft.connect(user1).burn(user1.address, 1, 1),
+        nft.connect(user1).burnBatch(user1.address, [1, 2], [1, 1]),
+      ]) {
+        await expect(call).to.be.revertedWithCustomError(
+          nft,
+          "TransfersArePaused"
+        );
+      }
+
+      // Minting is a separate switch
+      await nft.mint(user2.address, 1, 1, "0x");
+      expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+    });
+
+    it("Should allow transfers and mints again once unpaused", async function () {
+      const { nft, user1, user2 } = await loadFixture(pausingFixture);
+      await nft.pauseMinting();
+      await nft.pauseTransfers();
+      await nft.unpauseMinting();
+      await nft.unpauseTransfers();
+
+      await nft.mint(user1.address, 1, 1, "0x");
+      await nft
+        .connect(user1)
+        .safeTransferFrom(user1.address, user2.address, 1, 2, "0x");
+      await nft.connect(user2).burn(user2.address, 1, 1);
+      expect(await nft.balanceOf(user2.address, 1)).to.equal(1);
+      expect(await nft.totalSupply(1)).to.equal(10);
+    });
+  });
+
+  describe("Royalties", function () {
+    const FEE_DENOMINATOR = 10000n;
+    const expectedRoyalty = (salePrice, feeNumerator) =>
+      (salePrice * feeNumerator) / FEE_DENOMINATOR;
+
+    async function royaltyFixture() {
+      const fixture = await deployNFTFixture();
+      const { nft, user1, user2 } = fixture;
+
+      await nft.setDefaultRoyalty(user1.address, 500);
+      await nft.setTokenRoyalty(7, user2.address, 1234);
+
+      return fixture;
+    }
+
+    it("Should advertise ERC-2981 alongside ERC-1155", async function () {
+      const { nft } = await loadFixture(deployNFTFixture);
+
+      expect(await nft.supportsInterface("0x2a55205a")).to.be.true; // ERC-2981
+      expect(await nft.supportsInterface("0xd9b67a26")).to.be.true; // ERC-1155
+      expect(await nft.supportsInterface("0x0e89341c")).to.be.true; // metadata
+      expect(await nft.supportsInterface("0x01ffc9a7")).to.be.true; // ERC-165
+      expect(await nft.supportsInterface("0xffffffff")).to.be.false;
+    });
+
+    it("Should pay no royalties until a default is set", async function () {
+      const { nft } = await loadFixture(deployNFTFixture);
+
+      const [receiver, amount] = await nft.royaltyInfo(
+        1,
+        ethers.parseEther("1")
+      );
+      expect(receiver).to.equal(ethers.ZeroAddress);
+      expect(amount).to.equal(0);
+    });
+
+    it("Should allow owner to set the default royalty", async function () {
+      const { nft, user1, user2 } = await loadFixture(deployNFTFixture);
+
+      await expect(nft.setDefaultRoyalty(user1.address, 500))
+        .to.emit(nft, "DefaultRoyaltyUpdated")
+        .withArgs(user1.address, 500);
+      await expect(nft.setDefaultRoyalty(user2.address, 250))
+        .to.emit(nft, "DefaultRoyaltyUpdated")
+        .withArgs(user2.address, 250);
+
+      const [receiver, amount] = await nft.royaltyInfo(1, 10000);
+      expect(receiver).to.equal(user2.address);
+      expect(amount).to.equal(250);
+    });
+
+    it("Should compute royalties for edge-case sale prices", async function () {
+      const { nft, user1, user2 } = await loadFixture(royaltyFixture);
+      const salePrices = [
+        0n,
+        1n,
+        19n,
+        20n,
+        9999n,
+        10000n,
+        10001n,
+        123456789n,
+        ethers.parseEther("1"),
+        ethers.parseEther("1000000000"),
+        ethers.MaxUint256 / 1234n,
+      ];
+
+      for (const salePrice of salePrices) {
+        const [defaultReceiver, defaultAmount] = await nft.royaltyInfo(
+          1,
+          salePrice
+        );
+        expect(defaultReceiver).to.equal(user1.address);
+        expect(defaultAmount).to.equal(expectedRoyalty(salePrice, 500n));
+
+        const [tokenReceiver, tokenAmount] = await nft.royaltyInfo(
+          7,
+          salePrice
+        );
+        expect(tokenReceiver).to.equal(user2.address);
+        expect(tokenAmount).to.equal(expectedRoyalty(salePrice, 1234n));
+      }
+    });
+
+    it("Should round royalties down", async function () {
+      const { nft } = await loadFixture(royaltyFixture);
+
+      // 5% of 19 wei is 0.95 wei
+      expect((await nft.royaltyInfo(1, 19))[1]).to.equal(0);
+      // 12.34% of 10001 wei is 1234.1234 wei
+      expect((await nft.royaltyInfo(7, 10001))[1]).to.equal(1234);
+    });
+
+    it("Should revert when the royalty computation would overflow", async function () {
+      const { nft } = await loadFixture(royaltyFixture);
+
+      await expect(nft.royaltyInfo(1, ethers.MaxUint256)).to.be.reverted;
+    });
+
+    it("Should allow a 100% royalty and reject anything above", async function () {
+      const { nft, user1 } = await loadFixture(royaltyFixture);
+
+      await nft.setTokenRoyalty(8, user1.address, 10000);
+      expect((await nft.royaltyInfo(8, 777))[1]).to.equal(777);
+
+      await expect(
+        nft.setTokenRoyalty(8, user1.address, 10001)
+      ).to.be.revertedWithCustomError(nft, "RoyaltyOverflow");
+      await expect(
+        nft.setDefaultRoyalty(user1.address, 10001)
+      ).to.be.revertedWithCustomError(nft, "RoyaltyOverflow");
+    });
+
+    it("Should revert if the receiver is the zero address", async function () {
+      const { nft } = await loadFixture(deployNFTFixture);
+
+      await expect(
+        nft.setDefaultRoyalty(ethers.ZeroAddress, 500)
+      ).to.be.revertedWithCustomError(nft, "RoyaltyReceiverIsZeroAddress");
+      await expect(
+        nft.setTokenRoyalty(1, ethers.ZeroAddress, 500)
+      ).to.be.revertedWithCustomError(nft, "RoyaltyReceiverIsZeroAddress");
+    });
+
+    it("Should fall back to the default once an override is reset", async function () {
+      const { nft, user1 } = await loadFixture(royaltyFixture);
+
+      await expect(nft.resetTokenRoyalty(7))
+        .to.emit(nft, "TokenRoyaltyUpdated")
+        .withArgs(7, ethers.ZeroAddress, 0);
+
+      const [receiver, amount] = await nft.royaltyInfo(7, 10000);
+      expect(receiver).to.equal(user1.address);
+      expect(amount).to.equal(500);
+    });
+
+    it("Should keep overrides when the default is deleted", async function () {
+      const { nft, user2 } = await loadFixture(royaltyFixture);
+
+      await expect(nft.deleteDefaultRoyalty())
+        .to.emit(nft, "DefaultRoyaltyUpdated")
+        .withArgs(ethers.ZeroAddress, 0);
+
+      expect(await nft.royaltyInfo(1, 10000)).to.deep.equal([
+        ethers.ZeroAddress,
+        0n,
+      ]);
+      expect(await nft.royaltyInfo(7, 10000)).to.deep.equal([
+        user2.address,
+        1234n,
+      ]);
+    });
+
+    it("Should revert if non-owner tries to manage royalties", async function () {
+      const { nft, user1 } = await loadFixture(royaltyFixture);
+      await nft.grantRole(URI_MANAGER_ROLE, user1.address);
+
+      await expect(
+        nft.connect(user1).setDefaultRoyalty(user1.address, 500)
+      ).to.be.revertedWithCustomError(nft, "Unauthorized");
+      await expect(
+        nft.connect(user1).deleteDefaultRoyalty()
+      ).to.be.revertedWithCustomError(nft, "Unauthorized");
+      await expect(
+        nft.connect(user1).setTokenRoyalty(1, user1.address, 500)
+      ).to.be.revertedWithCustomError(nft, "Unauthorized");
+      await expect(
+        nft.connect(user1).resetTokenRoyalty(7)
+      ).to.be.revertedWithCustomError(nft, "Unauthorized");
     });
   });
 
@@ -401,84 +1291,88 @@ describe("AirswapNFT", function () {
     });
   });
 
-  describe("Complex Admin Scenarios", function () {
-    it("Should handle multiple admins minting different tokens", async function () {
-      const { nft, owner, admin1, admin2, user1, user2 } = await loadFixture(
+  describe("Complex Role Scenarios", function () {
+    it("Should handle multiple minters minting different tokens", async function () {
+      const { nft, account1, account2, user1, user2 } = await loadFixture(
         deployNFTFixture
       );
 
-      await nft.addAdmin(admin1.address);
-      await nft.addAdmin(admin2.address);
+      await nft.grantRole(MINTER_ROLE, account1.address);
+      await nft.grantRole(MINTER_ROLE, account2.address);
 
-      // Admin1 mints token 1
-      await nft.connect(admin1).mint(user1.address, 1, 100, "0x");
+      // Minter 1 mints token 1
+      await nft.connect(account1).mint(user1.address, 1, 100, "0x");
       expect(await nft.balanceOf(user1.address, 1)).to.equal(100);
 
-      // Admin2 mints token 2
-      await nft.connect(admin2).mint(user2.address, 2, 200, "0x");
+      // Minter 2 mints token 2
+      await nft.connect(account2).mint(user2.address, 2, 200, "0x");
       expect(await nft.balanceOf(user2.address, 2)).to.equal(200);
 
       // Owner mints token 3
       await nft.mint(user1.address, 3, 300, "0x");
       expect(await nft.balanceOf(user1.address, 3)).to.equal(300);
 
-      // Check admin count
-      expect(await nft.adminCount()).to.equal(2);
+      // Check minter count
+      expect(await nft.getRoleMemberCount(MINTER_ROLE)).to.equal(2);
     });
 
-    it("Should handle admin removal and re-addition", async function () {
-      const { nft, owner, admin1, user1 } = await loadFixture(deployNFTFixture);
+    it("Should handle role revocation and re-granting", async function () {
+      const { nft, account1, user1 } = await loadFixture(deployNFTFixture);
 
-      await nft.addAdmin(admin1.address);
-      expect(await nft.adminCount()).to.equal(1);
+      await nft.grantRole(MINTER_ROLE, account1.address);
+      expect(await nft.getRoleMemberCount(MINTER_ROLE)).to.equal(1);
 
-      // Admin can mint
-      await nft.connect(admin1).mint(user1.address, 1, 100, "0x");
+      // Minter can mint
+      await nft.connect(account1).mint(user1.address, 1, 100, "0x");
 
-      // Remove admin
-      await nft.removeAdmin(admin1.address);
-      expect(await nft.adminCount()).to.equal(0);
+      // Revoke the role
+      await nft.revokeRole(MINTER_ROLE, account1.address);
+      expect(await nft.getRoleMemberCount(MINTER_ROLE)).to.equal(0);
 
-      // Admin can no longer mint
+      // Former minter can no longer mint
       await expect(
-        nft.connect(admin1).mint(user1.address, 2, 100, "0x")
-      ).to.be.revertedWithCustomError(nft, "Unauthorized");
+        nft.connect(account1).mint(user1.address, 2, 100, "0x")
+      ).to.be.revertedWithCustomError(nft, "MissingRole");
 
-      // Re-add admin
-      await nft.addAdmin(admin1.address);
-      expect(await nft.adminCount()).to.equal(1);
+      // Re-grant the role
+      await nft.grantRole(MINTER_ROLE, account1.address);
+      expect(await nft.getRoleMemberCount(MINTER_ROLE)).to.equal(1);
 
-      // Admin can mint again
-      await nft.connect(admin1).mint(user1.address, 2, 100, "0x");
+      // Minter can mint again
+      await nft.connect(account1).mint(user1.address, 2, 100, "0x");
       expect(await nft.balanceOf(user1.address, 2)).to.equal(100);
     });
 
-    it("Should handle URI management by multiple admins", async function () {
-      const { nft, owner, admin1, admin2 } = await loadFixture(
+    it("Should handle URI management by multiple URI managers", async function () {
+      const { nft, owner, account1, account2 } = await loadFixture(
         deployNFTFixture
       );
 
-      await nft.addAdmin(admin1.address);
-      await nft.addAdmin(admin2.address);
+      await nft.grantRole(URI_MANAGER_ROLE, account1.address);
+      await nft.grantRole(URI_MANAGER_ROLE, account2.address);
 
       // Mint tokens
       await nft.mint(owner.address, 1, 1, "0x");
       await nft.mint(owner.address, 2, 1, "0x");
 
-      // Admin1 sets URI for token 1
-      await nft.connect(admin1).setURI(1, "https://admin1.example.com/");
-      expect(await nft.getTokenURI(1)).to.equal("https://admin1.example.com/");
+      // URI manager 1 sets URI for token 1
+      await nft.connect(account1).setURI(1, "https://manager1.example.com/");
+      expect(await nft.getTokenURI(1)).to.equal(
+        "https://manager1.example.com/"
+      );
 
-      // Admin2 sets URI for token 2
-      await nft.connect(admin2).setURI(2, "https://admin2.example.com/");
-      expect(await nft.getTokenURI(2)).to.equal("https://admin2.example.com/");
+      // URI manager 2 sets URI for token 2
+      await nft.connect(account2).setURI(2, "https://manager2.example.com/");
+      expect(await nft.getTokenURI(2)).to.equal(
+        "https://manager2.example.com/"
+      );
 
-      // Admin1 can update Admin2's URI
+      // URI manager 1 can update URI manager 2's URI
       await nft
-        .connect(admin1)
-        .setURI(2, "https://admin1-updated.example.com/");
+        .connect(account1)
+        .setURI(2, "https://manager1-updated.example.com/");
       expect(await nft.getTokenURI(2)).to.equal(
-        "https://admin1-updated.example.com/"
+        "https://manager1-updated.example.com/"
       );
     });
 
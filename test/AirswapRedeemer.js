@@ -0,0 +1,210 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("AirswapRedeemer", function () {
+  // We define a fixture to reuse the same setup in every test.
+  async function deployRedeemerFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    // Deploy the NFT contract
+    const AirswapNFT = await ethers.getContractFactory("AirswapNFT");
+    const nft = await AirswapNFT.deploy("Airswap NFT Collection", "ANFT");
+
+    // Deploy the redeemer contract
+    const AirswapRedeemer = await ethers.getContractFactory("AirswapRedeemer");
+    const redeemer = await AirswapRedeemer.deploy(nft.target);
+
+    // Let the redeemer mint on the NFT contract
+    await nft.grantRole(await nft.MINTER_ROLE(), redeemer.target);
+
+    // Burn 3 x token 0 to receive 1 x token 1
+    await redeemer.createRecipe([0], [3], 1, 1);
+
+    // Holders approve the redeemer to burn their inputs
+    await nft.mint(user1.address, 0, 7, "0x");
+    await nft.connect(user1).setApprovalForAll(redeemer.target, true);
+
+    return { nft, redeemer, owner, user1, user2 };
+  }
+
+  describe("Deployment", function () {
+    it("Should set the NFT contract and owner", async function () {
+      const { nft, redeemer, owner } = await loadFixture(deployRedeemerFixture);
+
+      expect(await redeemer.nftContract()).to.equal(nft.target);
+      expect(await redeemer.owner()).to.equal(owner.address);
+    });
+
+    it("Should revert if the NFT contract is the zero address", async function () {
+      const AirswapRedeemer = await ethers.getContractFactory(
+        "AirswapRedeemer"
+      );
+
+      await expect(
+        AirswapRedeemer.deploy(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(AirswapRedeemer, "InvalidTokenAddress");
+    });
+  });
+
+  describe("Recipes", function () {
+    it("Should allow owner to create recipes", async function () {
+      const { redeemer } = await loadFixture(deployRedeemerFixture);
+
+      await expect(redeemer.createRecipe([1, 2], [1, 2], 3, 1))
+        .to.emit(redeemer, "RecipeCreated")
+        .withArgs(1, [1, 2], [1, 2], 3, 1);
+
+      const recipe = await redeemer.getRecipe(1);
+      expect(recipe.inputIds).to.deep.equal([1n, 2n]);
+      expect(recipe.inputAmounts).to.deep.equal([1n, 2n]);
+      expect(recipe.outputId).to.equal(3);
+      expect(recipe.outputAmount).to.equal(1);
+      expect(recipe.active).to.be.true;
+      expect(await redeemer.recipeCount()).to.equal(2);
+    });
+
+    it("Should reject invalid recipes", async function () {
+      const { redeemer } = await loadFixture(deployRedeemerFixture);
+
+      for (const [ids, amounts, outputAmount] of [
+        [[], [], 1],
+        [[1, 2], [1], 1],
+        [[1], [0], 1],
+        [[1], [1], 0],
+      ]) {
+        await expect(
+          redeemer.createRecipe(ids, amounts, 3, outputAmount)
+        ).to.be.revertedWithCustomError(redeemer, "InvalidRecipe");
+      }
+    });
+
+    it("Should allow owner to switch recipes off and on", async function () {
+      const { redeemer, user1 } = await loadFixture(deployRedeemerFixture);
+
+      await expect(redeemer.setRecipeActive(0, false))
+        .to.emit(redeemer, "RecipeStatusUpdated")
+        .withArgs(0, false);
+      expect(await redeemer.canRedeem(0, user1.address)).to.be.false;
+      await expect(
+        redeemer.connect(user1).redeem(0)
+      ).to.be.revertedWithCustomError(redeemer, "RecipeNotActive");
+
+      await redeemer.setRecipeActive(0, true);
+      await expect(redeemer.connect(user1).redeem(0)).to.emit(
+        redeemer,
+        "Redeemed"
+      );
+    });
+
+    it("Should revert for recipes that do not exist", async function () {
+      const { redeemer, user1 } = await loadFixture(deployRedeemerFixture);
+
+      await expect(
+        redeemer.connect(user1).redeem(1)
+      ).to.be.revertedWithCustomError(redeemer, "RecipeDoesNotExist");
+      await expect(
+        redeemer.setRecipeActive(1, true)
+      ).to.be.revertedWithCustomError(redeemer, "RecipeDoesNotExist");
+      await expect(redeemer.getRecipe(1)).to.be.revertedWithCustomError(
+        redeemer,
+        "RecipeDoesNotExist"
+      );
+      expect(await redeemer.canRedeem(1, user1.address)).to.be.false;
+    });
+
+    it("Should revert if non-owner tries to manage recipes", async function () {
+      const { redeemer, user1 } = await loadFixture(deployRedeemerFixture);
+
+      await expect(
+        redeemer.connect(user1).createRecipe([0], [1], 1, 1)
+      ).to.be.revertedWithCustomError(redeemer, "Unauthorized");
+      await expect(
+        redeemer.connect(user1).setRecipeActive(0, false)
+      ).to.be.revertedWithCustomError(redeemer, "Unauthorized");
+    });
+  });
+
+  describe("Redeeming", function () {
+    it("Should burn the inputs and mint the output", async function () {
+      const { nft, redeemer, user1 } = await loadFixture(deployRedeemerFixture);
+
+      expect(await redeemer.canRedeem(0, user1.address)).to.be.true;
+      await expect(redeemer.connect(user1).redeem(0))
+        .to.emit(redeemer, "Redeemed")
+        .withArgs(user1.address, 0, 1, 1)
+        .to.emit(nft, "TokenBurned")
+        .withArgs(user1.address, 0, 3)
+        .to.emit(nft, "TokenMinted")
+        .withArgs(user1.address, 1, 1);
+
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(4);
+      expect(await nft.balanceOf(user1.address, 1)).to.equal(1);
+      expect(await nft.totalSupply(0)).to.equal(4);
+      expect(await redeemer.redemptions(0)).to.equal(1);
+    });
+
+    it("Should redeem recipes with several inputs atomically", async function () {
+      const { nft, redeemer, user1 } = await loadFixture(deployRedeemerFixture);
+      await redeemer.createRecipe([0, 1], [2, 1], 2, 1);
+      await nft.mint(user1.address, 1, 1, "0x");
+
+      await redeemer.connect(user1).redeem(1);
+
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(5);
+      expect(await nft.balanceOf(user1.address, 1)).to.equal(0);
+      expect(await nft.balanceOf(user1.address, 2)).to.equal(1);
+
+      // Missing the token 1 input, so nothing is burned
+      expect(await redeemer.canRedeem(1, user1.address)).to.be.false;
+      await expect(
+        redeemer.connect(user1).redeem(1)
+      ).to.be.revertedWithCustomError(nft, "InsufficientBalance");
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(5);
+    });
+
+    it("Should revert if the holder does not have enough inputs", async function () {
+      const { nft, redeemer, user1 } = await loadFixture(deployRedeemerFixture);
+
+      await redeemer.connect(user1).redeem(0);
+      await redeemer.connect(user1).redeem(0);
+
+      expect(await redeemer.canRedeem(0, user1.address)).to.be.false;
+      await expect(
+        redeemer.connect(user1).redeem(0)
+      ).to.be.revertedWithCustomError(nft, "InsufficientBalance");
+    });
+
+    it("Should revert if the holder has not approved the redeemer", async function () {
+      const { nft, redeemer, user2 } = await loadFixture(deployRedeemerFixture);
+      await nft.mint(user2.address, 0, 3, "0x");
+
+      expect(await redeemer.canRedeem(0, user2.address)).to.be.false;
+      await expect(
+        redeemer.connect(user2).redeem(0)
+      ).to.be.revertedWithCustomError(nft, "NotOwnerNorApproved");
+    });
+
+    it("Should respect the max supply of the output token", async function () {
+      const { nft, redeemer, user1 } = await loadFixture(deployRedeemerFixture);
+      await nft.createToken(5, 1, "ipfs://cid/");
+      await redeemer.createRecipe([0], [1], 5, 1);
+
+      await redeemer.connect(user1).redeem(1);
+
+      expect(await redeemer.canRedeem(1, user1.address)).to.be.false;
+      await expect(
+        redeemer.connect(user1).redeem(1)
+      ).to.be.revertedWithCustomError(nft, "MaxSupplyExceeded");
+    });
+
+    it("Should redeem soulbound inputs", async function () {
+      const { nft, redeemer, user1 } = await loadFixture(deployRedeemerFixture);
+      await nft.setSoulbound(0, true);
+
+      await redeemer.connect(user1).redeem(0);
+      expect(await nft.balanceOf(user1.address, 1)).to.equal(1);
+    });
+  });
+});
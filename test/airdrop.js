@@ -0,0 +1,299 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { Airdrop, parseRecipients } = require("../scripts/lib/airdrop");
+const { parseCSV } = require("../scripts/lib/csv");
+const { JsonStore } = require("../scripts/lib/indexer");
+
+describe("Airdrop", function () {
+  let storeDir;
+
+  beforeEach(function () {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "airswap-airdrop-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  async function deployAirdropFixture() {
+    const [owner, ...others] = await ethers.getSigners();
+    const recipients = others.slice(0, 8).map(({ address }) => address);
+
+    const AirswapNFT = await ethers.getContractFactory("AirswapNFT");
+    const nft = await AirswapNFT.deploy("Airswap NFT Collection", "ANFT");
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const sastToken = await MockERC20.deploy();
+
+    const AirswapMinter = await ethers.getContractFactory("AirswapMinter");
+    const minter = await AirswapMinter.deploy(nft.target, sastToken.target);
+
+    await nft.grantRole(await nft.MINTER_ROLE(), minter.target);
+
+    return { nft, minter, sastToken, owner, others, recipients };
+  }
+
+  function createAirdrop({ minter, owner }, recipients, options = {}) {
+    return new Airdrop({
+      signer: owner,
+      minter: minter.target,
+      recipients,
+      store: new JsonStore(path.join(storeDir, "hardhat.json")),
+      ...options,
+    });
+  }
+
+  describe("parseRecipients", function () {
+    it("Should dedupe and validate addresses", function () {
+      const address = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+      const rows = parseCSV(
+        `address\n${address}\n${address.toLowerCase()}\n0x1234\n0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC\n`,
+        ["address"]
+      );
+
+      expect(parseRecipients(rows)).to.deep.equal({
+        recipients: [address, "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC"],
+        duplicates: 1,
+        invalid: [{ line: 4, value: "0x1234" }],
+      });
+    });
+  });
+
+  it("Should mint to every recipient in gas-sized chunks", async function () {
+    const fixture = await loadFixture(deployAirdropFixture);
+    const { nft, minter, recipients } = fixture;
+    const one = await minter.batchMintNFTs.estimateGas(recipients.slice(0, 1));
+    const two = await minter.batchMintNFTs.estimateGas(recipients.slice(0, 2));
+
+    // Room for three recipients per transaction
+    const report = await createAirdrop(fixture, recipients, {
+      gasLimit: one + (two - one) * 2n,
+    }).run();
+
+    expect(report.minted).to.deep.equal(recipients);
+    expect(report.transactions).to.have.lengthOf(3);
+    for (const address of recipients) {
+      expect(await nft.balanceOf(address, 0)).to.equal(1);
+    }
+  });
+
+  it("Should skip recipients who already minted", async function () {
+    const fixture = await loadFixture(deployAirdropFixture);
+    const { minter, recipients } = fixture;
+    await minter.batchMintNFTs(recipients.slice(0, 2));
+
+    const report = await createAirdrop(fixture, recipients).run();
+
+    expect(report.minted).to.deep.equal(recipients.slice(2));
+    expect(report.skipped).to.deep.equal(
+      recipients
+        .slice(0, 2)
+        .map((address) => ({ address, reason: "AlreadyMinted" }))
+    );
+  });
+
+  it("Should plan without minting in a dry run", async function () {
+    const fixture = await loadFixture(deployAirdropFixture);
+    const { nft, recipients } = fixture;
+
+    const report = await createAirdrop(fixture, recipients).run({
+      dryRun: true,
+    });
+
+    expect(report.chunks).to.deep.equal([recipients]);
+    expect(report.minted).to.be.empty;
+    expect(await nft.balanceOf(recipients[0], 0)).to.equal(0);
+    expect(fs.existsSync(path.join(storeDir, "hardhat.json"))).to.be.false;
+  });
+
+  it("Should record recipients that cannot be minted as failed", async function () {
+    const fixture = await loadFixture(deployAirdropFixture);
+    const { nft, minter, recipients } = fixture;
+    await nft.createToken(0, 3, "ipfs://cid/");
+
+    const report = await createAirdrop(fixture, recipients.slice(0, 5)).run();
+
+    expect(report.minted).to.deep.equal(recipients.slice(0, 3));
+    expect(report.failed).to.deep.equal(
+      recipients.slice(3, 5).map((address) => ({
+        address,
+        reason:
+          "InsufficientSupply: Not enough of the token's max supply is left to mint",
+      }))
+    );
+    expect(await minter.totalMinted()).to.equal(3);
+  });
+
+  it("Should retry failed recipients on the next run", async function () {
+    const fixture = await loadFixture(deployAirdropFixture);
+    const { minter, recipients } = fixture;
+    await minter.pauseMinting();
+
+    const first = await createAirdrop(fixture, recipients.slice(0, 2)).run();
+    expect(first.minted).to.be.empty;
+    expect(first.failed.map(({ address }) => address)).to.deep.equal(
+      recipients.slice(0, 2)
+    );
+
+    await minter.unpauseMinting();
+    const second = await createAirdrop(fixture, recipients.slice(0, 2)).run();
+
+    expect(second.minted).to.deep.equal(recipients.slice(0, 2));
+    expect(second.failed).to.be.empty;
+    expect(await minter.totalMinted()).to.equal(2);
+  });
+
+  it("Should stop without recording recipients when a transaction cannot be sent", async function () {
+    const fixture = await loadFixture(deployAirdropFixture);
+    const { owner, minter, recipients } = fixture;
+
+    // The first send fails like a nonce clash would
+    let failed = false;
+    const flakySigner = new Proxy(owner, {
+      get(target, property) {
+        if (property === "sendTransaction") {
+          return async (tx) => {
+            if (!failed) {
+              failed = true;
+              throw new Error("nonce too low");
+            }
+            return target.sendTransaction(tx);
+          };
+        }
+        const value = Reflect.get(target, property);
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+    });
+    await expect(
+      createAirdrop(fixture, recipients, { signer: flakySigner }).run()
+    ).to.be.rejectedWith("nonce too low");
+
+    const store = new JsonStore(path.join(storeDir, "hardhat.json"));
+    expect(store.load()).to.be.null;
+
+    const report = await createAirdrop(fixture, recipients).run();
+    expect(report.minted).to.deep.equal(recipients);
+    expect(report.failed).to.be.empty;
+    expect(await minter.totalMinted()).to.equal(8);
+  });
+
+  it("Should resume after a crash without minting twice", async function () {
+    const fixture = await loadFixture(deployAirdropFixture);
+    const { nft, minter, recipients } = fixture;
+    const one = await minter.batchMintNFTs.estimateGas(recipients.slice(0, 1));
+    const two = await minter.batchMintNFTs.estimateGas(recipients.slice(0, 2));
+    const gasLimit = one + (two - one) * 3n;
+
+    // Crash right after the second transaction is sent
+    const store = new JsonStore(path.join(storeDir, "hardhat.json"));
+    let saves = 0;
+    const crashingStore = {
+      load: () => store.load(),
+      save: (state) => {
+        store.save(state);
+        if (++saves === 3) {
+          throw new Error("Crashed");
+        }
+      },
+    };
+    await expect(
+      createAirdrop(fixture, recipients, {
+        gasLimit,
+        store: crashingStore,
+      }).run()
+    ).to.be.rejectedWith("Crashed");
+    expect(store.load().inFlight.recipients).to.deep.equal(
+      recipients.slice(4, 8)
+    );
+
+    const report = await createAirdrop(fixture, recipients, {
+      gasLimit,
+    }).run();
+
+    expect(report.minted).to.deep.equal(recipients);
+    expect(report.skipped).to.be.empty;
+    expect(report.transactions).to.have.lengthOf(2);
+    expect(await minter.totalMinted()).to.equal(8);
+    for (const address of recipients) {
+      expect(await nft.balanceOf(address, 0)).to.equal(1);
+    }
+  });
+
+  describe("With automine off", function () {
+    afterEach(async function () {
+      await network.provider.send("evm_setAutomine", [true]);
+    });
+
+    // Leaves the first transaction pending, as a crash before it is mined would
+    async function crashWhilePending(fixture) {
+      await network.provider.send("evm_setAutomine", [false]);
+      const store = new JsonStore(path.join(storeDir, "hardhat.json"));
+      const crashingStore = {
+        load: () => store.load(),
+        save: (state) => {
+          store.save(state);
+          throw new Error("Crashed");
+        },
+      };
+      await expect(
+        createAirdrop(fixture, fixture.recipients, {
+          store: crashingStore,
+        }).run()
+      ).to.be.rejectedWith("Crashed");
+      return store.load().inFlight.hash;
+    }
+
+    it("Should wait for a pending transaction instead of resending it", async function () {
+      const fixture = await loadFixture(deployAirdropFixture);
+      const { minter, recipients } = fixture;
+      const hash = await crashWhilePending(fixture);
+
+      let mined;
+      const report = await createAirdrop(fixture, recipients, {
+        log: (message) => {
+          if (message.startsWith("⏳")) {
+            mined = network.provider.send("evm_mine");
+          }
+        },
+      }).run();
+      await mined;
+
+      expect(report.minted).to.deep.equal(recipients);
+      expect(report.skipped).to.be.empty;
+      expect(report.transactions).to.deep.equal([hash]);
+      expect(await minter.totalMinted()).to.equal(8);
+    });
+
+    it("Should resend a dropped transaction", async function () {
+      const fixture = await loadFixture(deployAirdropFixture);
+      const { minter, recipients } = fixture;
+      const hash = await crashWhilePending(fixture);
+      await network.provider.send("hardhat_dropTransaction", [hash]);
+      await network.provider.send("evm_setAutomine", [true]);
+
+      const report = await createAirdrop(fixture, recipients).run();
+
+      expect(report.minted).to.deep.equal(recipients);
+      expect(report.skipped).to.be.empty;
+      expect(report.transactions).to.have.lengthOf(1);
+      expect(await minter.totalMinted()).to.equal(8);
+    });
+  });
+
+  it("Should refuse a checkpoint from another drop", async function () {
+    const fixture = await loadFixture(deployAirdropFixture);
+    const { minter, recipients } = fixture;
+    await createAirdrop(fixture, recipients.slice(0, 1)).run();
+    await minter.updateMintableTokenId(1);
+
+    await expect(createAirdrop(fixture, recipients).run()).to.be.rejectedWith(
+      "Checkpoint is for token 0"
+    );
+  });
+});
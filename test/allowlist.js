@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+
+const { parseCSV } = require("../scripts/lib/csv");
+const { buildTree, hashLeaf, verifyProof } = require("../scripts/lib/merkle");
+
+describe("Allowlist tooling", function () {
+  const addresses = [
+    "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+    "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+    "0x90F79bf6EB2c4f870365E785982E1f101E93b906",
+    "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65",
+    "0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc",
+  ];
+
+  describe("parseCSV", function () {
+    it("Should read rows using the header", function () {
+      const rows = parseCSV(
+        `address,quantity\n${addresses[0]},2\n\n# comment\n${addresses[1]},\n`,
+        ["address", "quantity"]
+      );
+
+      expect(rows).to.deep.equal([
+        { line: 2, values: { address: addresses[0], quantity: "2" } },
+        { line: 5, values: { address: addresses[1], quantity: "" } },
+      ]);
+    });
+
+    it("Should fall back to the given columns without a header", function () {
+      const rows = parseCSV(`${addresses[0]}, 3`, ["address", "quantity"]);
+
+      expect(rows[0].values).to.deep.equal({
+        address: addresses[0],
+        quantity: "3",
+      });
+    });
+  });
+
+  describe("buildTree", function () {
+    it("Should produce proofs that verify for every entry", function () {
+      const tree = buildTree(
+        addresses.map((address, i) => ({ address, quantity: i + 1 }))
+      );
+
+      expect(Object.keys(tree.entries)).to.have.lengthOf(addresses.length);
+      for (const [address, { quantity, proof }] of Object.entries(
+        tree.entries
+      )) {
+        expect(verifyProof(tree.root, address, quantity, proof)).to.be.true;
+        expect(verifyProof(tree.root, address, BigInt(quantity) + 1n, proof)).to
+          .be.false;
+      }
+    });
+
+    it("Should not depend on the input order", function () {
+      const entries = addresses.map((address) => ({ address, quantity: 1 }));
+
+      expect(buildTree(entries).root).to.equal(
+        buildTree([...entries].reverse()).root
+      );
+    });
+
+    it("Should use the leaf as root for a single entry", function () {
+      const tree = buildTree([{ address: addresses[0], quantity: 1 }]);
+
+      expect(tree.root).to.equal(hashLeaf(addresses[0], 1));
+      expect(tree.entries[addresses[0]].proof).to.deep.equal([]);
+    });
+
+    it("Should reject invalid entries", function () {
+      expect(() => buildTree([])).to.throw("without entries");
+      expect(() => buildTree([{ address: "0x1234", quantity: 1 }])).to.throw(
+        "Invalid address"
+      );
+      expect(() =>
+        buildTree([
+          { address: addresses[0], quantity: 1 },
+          { address: addresses[0].toLowerCase(), quantity: 2 },
+        ])
+      ).to.throw("Duplicate address");
+      expect(() =>
+        buildTree([{ address: addresses[0], quantity: 0 }])
+      ).to.throw("quantity must be greater than zero");
+    });
+  });
+});
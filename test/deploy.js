@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deploy } = require("../scripts/deploy");
+const { readManifest } = require("../scripts/lib/manifest");
+const { loadNetworkConfig } = require("../scripts/lib/config");
+const { ROLES } = require("../sdk/roles");
+
+describe("Deployment script", function () {
+  let manifestDir;
+
+  const baseConfig = {
+    name: "Airswap NFT Collection",
+    symbol: "ANFT",
+    sastToken: null,
+    requiredBalance: "10100000",
+    mintableTokenId: 0,
+    mintQuantity: 1,
+    roles: { MINTER: [], URI_MANAGER: [], PAUSER: [] },
+    baseURI: "",
+    contractURI: "",
+  };
+
+  function run(overrides = {}) {
+    return deploy(hre, {
+      configs: { hardhat: { ...baseConfig, ...overrides } },
+      manifestDir,
+      log: () => {},
+    });
+  }
+
+  beforeEach(function () {
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "airswap-deploy-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+  });
+
+  it("Should deploy all contracts and write a manifest", async function () {
+    const [, uriManager] = await ethers.getSigners();
+    const manifest = await run({
+      roles: { MINTER: [], URI_MANAGER: [uriManager.address], PAUSER: [] },
+    });
+
+    expect(readManifest("hardhat", manifestDir).contracts).to.deep.equal(
+      manifest.contracts
+    );
+    expect(manifest.chainId).to.equal(31337);
+
+    const {
+      AirswapNFT,
+      AirswapMinter,
+      AirswapRedeemer,
+      AirswapForwarder,
+      MockERC20,
+    } = manifest.contracts;
+    for (const entry of [
+      AirswapNFT,
+      AirswapMinter,
+      AirswapRedeemer,
+      AirswapForwarder,
+      MockERC20,
+    ]) {
+      expect(ethers.isAddress(entry.address)).to.be.true;
+      expect(entry.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(entry.blockNumber).to.be.a("number");
+    }
+    expect(AirswapNFT.constructorArgs).to.deep.equal([
+      "Airswap NFT Collection",
+      "ANFT",
+    ]);
+    expect(AirswapMinter.constructorArgs).to.deep.equal([
+      AirswapNFT.address,
+      MockERC20.address,
+    ]);
+    expect(AirswapRedeemer.constructorArgs).to.deep.equal([AirswapNFT.address]);
+
+    const nft = await ethers.getContractAt("AirswapNFT", AirswapNFT.address);
+    expect(await nft.getRoleMembers(ROLES.MINTER)).to.deep.equal([
+      AirswapMinter.address,
+      AirswapRedeemer.address,
+    ]);
+    expect(await nft.getRoleMembers(ROLES.URI_MANAGER)).to.deep.equal([
+      uriManager.address,
+    ]);
+
+    const minter = await ethers.getContractAt(
+      "AirswapMinter",
+      AirswapMinter.address
+    );
+    expect(await minter.trustedForwarder()).to.equal(AirswapForwarder.address);
+  });
+
+  it("Should skip contracts that are already deployed", async function () {
+    const first = await run();
+    const second = await run();
+
+    for (const name of [
+      "MockERC20",
+      "AirswapNFT",
+      "AirswapMinter",
+      "AirswapRedeemer",
+      "AirswapForwarder",
+    ]) {
+      expect(second.contracts[name].address).to.equal(
+        first.contracts[name].address
+      );
+    }
+  });
+
+  it("Should update minter settings in place", async function () {
+    const first = await run();
+    const second = await run({
+      requiredBalance: "5000000",
+      mintableTokenId: 3,
+      mintQuantity: 2,
+    });
+
+    expect(second.contracts.AirswapMinter.address).to.equal(
+      first.contracts.AirswapMinter.address
+    );
+
+    const minter = await ethers.getContractAt(
+      "AirswapMinter",
+      second.contracts.AirswapMinter.address
+    );
+    expect(await minter.requiredSASTBalance()).to.equal(5000000);
+    expect(await minter.mintableTokenId()).to.equal(3);
+    expect(await minter.mintQuantity()).to.equal(2);
+  });
+
+  it("Should update collection URIs in place", async function () {
+    await run();
+    const second = await run({
+      baseURI: "ipfs://collection/",
+      contractURI: "ipfs://collection.json",
+    });
+
+    const nft = await ethers.getContractAt(
+      "AirswapNFT",
+      second.contracts.AirswapNFT.address
+    );
+    expect(await nft.baseURI()).to.equal("ipfs://collection/");
+    expect(await nft.contractURI()).to.equal("ipfs://collection.json");
+  });
+
+  it("Should redeploy when immutable parameters change", async function () {
+    const first = await run();
+    const second = await run({ symbol: "ANFT2" });
+
+    const { AirswapNFT, AirswapMinter, AirswapRedeemer } = second.contracts;
+    expect(AirswapNFT.address).to.not.equal(first.contracts.AirswapNFT.address);
+    expect(AirswapNFT.previous).to.deep.equal([
+      first.contracts.AirswapNFT.address,
+    ]);
+    expect(AirswapMinter.constructorArgs[0]).to.equal(AirswapNFT.address);
+    expect(AirswapRedeemer.constructorArgs[0]).to.equal(AirswapNFT.address);
+
+    const nft = await ethers.getContractAt("AirswapNFT", AirswapNFT.address);
+    expect(await nft.symbol()).to.equal("ANFT2");
+    expect(await nft.getRoleMembers(ROLES.MINTER)).to.deep.equal([
+      AirswapMinter.address,
+      AirswapRedeemer.address,
+    ]);
+  });
+
+  it("Should reject invalid network configs", function () {
+    expect(() => loadNetworkConfig("unknown", {})).to.throw(
+      'No deployment config found for network "unknown"'
+    );
+    expect(() =>
+      loadNetworkConfig("sepolia", { sepolia: { ...baseConfig } })
+    ).to.throw('"sastToken" must be set for network "sepolia"');
+    expect(() =>
+      loadNetworkConfig("hardhat", {
+        hardhat: { ...baseConfig, sastToken: ethers.ZeroAddress },
+      })
+    ).to.throw('"sastToken" is not a valid address');
+    expect(() =>
+      loadNetworkConfig("hardhat", {
+        hardhat: { ...baseConfig, roles: { ADMIN: [] } },
+      })
+    ).to.throw('Unknown role "ADMIN"');
+  });
+});
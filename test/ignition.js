@@ -0,0 +1,100 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const AirswapModule = require("../ignition/modules/Airswap");
+
+describe("AirswapModule", function () {
+  async function deployModuleFixture() {
+    const [owner, user1] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const sastToken = await MockERC20.deploy();
+
+    const parameters = {
+      AirswapModule: {
+        name: "Airswap Badges",
+        symbol: "ABDG",
+        sastToken: sastToken.target,
+        requiredBalance: 500n * 10n ** 4n,
+        mintableTokenId: 2,
+        mintQuantity: 3,
+        tokenURI: "ipfs://metadata/",
+        baseURI: "ipfs://collection/",
+        contractURI: "ipfs://collection.json",
+      },
+    };
+
+    const { nft, minter, redeemer, forwarder } = await ignition.deploy(
+      AirswapModule,
+      { parameters }
+    );
+
+    return {
+      nft,
+      minter,
+      redeemer,
+      forwarder,
+      sastToken,
+      parameters,
+      owner,
+      user1,
+    };
+  }
+
+  it("Should deploy both contracts with the given parameters", async function () {
+    const { nft, minter, sastToken, owner } = await loadFixture(
+      deployModuleFixture
+    );
+
+    expect(await nft.name()).to.equal("Airswap Badges");
+    expect(await nft.symbol()).to.equal("ABDG");
+    expect(await nft.owner()).to.equal(owner.address);
+
+    expect(await minter.nftContract()).to.equal(nft.target);
+    expect(await minter.sastToken()).to.equal(sastToken.target);
+    expect(await minter.owner()).to.equal(owner.address);
+  });
+
+  it("Should grant the minter and redeemer the NFT minter role", async function () {
+    const { nft, minter, redeemer } = await loadFixture(deployModuleFixture);
+
+    const role = await nft.MINTER_ROLE();
+    expect(await nft.getRoleMembers(role)).to.deep.equal([
+      minter.target,
+      redeemer.target,
+    ]);
+    expect(await redeemer.nftContract()).to.equal(nft.target);
+  });
+
+  it("Should set the initial URI and minter parameters", async function () {
+    const { nft, minter, forwarder } = await loadFixture(deployModuleFixture);
+
+    expect(await nft.getTokenURI(2)).to.equal("ipfs://metadata/");
+    expect(await nft.baseURI()).to.equal("ipfs://collection/");
+    expect(await nft.contractURI()).to.equal("ipfs://collection.json");
+    expect(await minter.requiredSASTBalance()).to.equal(500n * 10n ** 4n);
+    expect(await minter.mintableTokenId()).to.equal(2);
+    expect(await minter.mintQuantity()).to.equal(3);
+    expect(await minter.trustedForwarder()).to.equal(forwarder.target);
+  });
+
+  it("Should allow eligible users to mint after deployment", async function () {
+    const { nft, minter, sastToken, user1 } = await loadFixture(
+      deployModuleFixture
+    );
+
+    await sastToken.mint(user1.address, 500n * 10n ** 4n);
+    await minter.connect(user1).mintNFT();
+
+    expect(await nft.balanceOf(user1.address, 2)).to.equal(3);
+    expect(await nft.uri(2)).to.equal("ipfs://metadata/2.json");
+  });
+
+  it("Should require the sAST token parameter", async function () {
+    await expect(ignition.deploy(AirswapModule)).to.be.rejectedWith(
+      /sastToken/
+    );
+  });
+});
@@ -0,0 +1,257 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { EventIndexer, JsonStore } = require("../scripts/lib/indexer");
+const { ROLES } = require("../sdk/roles");
+
+describe("EventIndexer", function () {
+  let storeDir;
+
+  beforeEach(function () {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "airswap-indexer-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  async function deployIndexerFixture() {
+    const [owner, account1, user1, user2] = await ethers.getSigners();
+
+    const AirswapNFT = await ethers.getContractFactory("AirswapNFT");
+    const nft = await AirswapNFT.deploy("Airswap NFT Collection", "ANFT");
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const sastToken = await MockERC20.deploy();
+
+    const AirswapMinter = await ethers.getContractFactory("AirswapMinter");
+    const minter = await AirswapMinter.deploy(nft.target, sastToken.target);
+
+    const AirswapRedeemer = await ethers.getContractFactory("AirswapRedeemer");
+    const redeemer = await AirswapRedeemer.deploy(nft.target);
+
+    await nft.grantRole(ROLES.MINTER, minter.target);
+    const startBlock = (await nft.deploymentTransaction().wait()).blockNumber;
+
+    return {
+      nft,
+      minter,
+      redeemer,
+      sastToken,
+      startBlock,
+      owner,
+      account1,
+      user1,
+      user2,
+    };
+  }
+
+  function createIndexer({ nft, minter, startBlock }, options = {}) {
+    return new EventIndexer({
+      provider: ethers.provider,
+      nft: nft.target,
+      minter: minter.target,
+      store: new JsonStore(path.join(storeDir, "hardhat.json")),
+      startBlock,
+      ...options,
+    });
+  }
+
+  it("Should reconstruct holders from transfers", async function () {
+    const fixture = await loadFixture(deployIndexerFixture);
+    const { nft, owner, user1, user2 } = fixture;
+
+    await nft.mint(user1.address, 3, 10, "0x");
+    await nft.mintBatch(user2.address, [3, 4], [5, 7], "0x");
+    await nft
+      .connect(user1)
+      .safeTransferFrom(user1.address, user2.address, 3, 4, "0x");
+    await nft
+      .connect(user2)
+      .safeBatchTransferFrom(
+        user2.address,
+        owner.address,
+        [3, 4],
+        [9, 7],
+        "0x"
+      );
+
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+
+    expect(indexer.getHolders(3)).to.deep.equal([
+      { address: owner.address, balance: 9n },
+      { address: user1.address, balance: 6n },
+    ]);
+    expect(indexer.getHolderSnapshot()).to.deep.equal({
+      3: { [user1.address]: "6", [owner.address]: "9" },
+      4: { [owner.address]: "7" },
+    });
+  });
+
+  it("Should export holder snapshots at past blocks", async function () {
+    const fixture = await loadFixture(deployIndexerFixture);
+    const { nft, user1, user2 } = fixture;
+
+    await nft.mint(user1.address, 3, 10, "0x");
+    const mintBlock = await ethers.provider.getBlockNumber();
+    await nft
+      .connect(user1)
+      .safeTransferFrom(user1.address, user2.address, 3, 10, "0x");
+
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+
+    expect(indexer.getHolders(3, { blockNumber: mintBlock })).to.deep.equal([
+      { address: user1.address, balance: 10n },
+    ]);
+    expect(indexer.getHolders(3)).to.deep.equal([
+      { address: user2.address, balance: 10n },
+    ]);
+  });
+
+  it("Should tell minter mints apart from direct mints", async function () {
+    const fixture = await loadFixture(deployIndexerFixture);
+    const { nft, minter, sastToken, user1, user2 } = fixture;
+
+    await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+    await minter.connect(user1).mintNFT();
+    await nft.mint(user2.address, 0, 1, "0x");
+
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+
+    const history = indexer.getMintHistory();
+    expect(
+      history.map(({ to, viaMinter }) => ({ to, viaMinter }))
+    ).to.deep.equal([
+      { to: user1.address, viaMinter: true },
+      { to: user2.address, viaMinter: false },
+    ]);
+    expect(indexer.getMinterMints().map(({ user }) => user)).to.deep.equal([
+      user1.address,
+    ]);
+  });
+
+  it("Should track burns and redemptions", async function () {
+    const fixture = await loadFixture(deployIndexerFixture);
+    const { nft, redeemer, user1 } = fixture;
+
+    await nft.grantRole(ROLES.MINTER, redeemer.target);
+    await redeemer.createRecipe([0], [3], 1, 1);
+    await nft.mint(user1.address, 0, 5, "0x");
+    await nft.connect(user1).setApprovalForAll(redeemer.target, true);
+    await redeemer.connect(user1).redeem(0);
+    await nft.connect(user1).burn(user1.address, 0, 1);
+
+    const indexer = createIndexer(fixture, { redeemer: redeemer.target });
+    await indexer.sync();
+
+    expect(
+      indexer
+        .getBurnHistory()
+        .map(({ from, amount, viaRedeemer }) => ({ from, amount, viaRedeemer }))
+    ).to.deep.equal([
+      { from: user1.address, amount: 3n, viaRedeemer: true },
+      { from: user1.address, amount: 1n, viaRedeemer: false },
+    ]);
+    expect(indexer.getRedemptions()).to.have.lengthOf(1);
+    expect(indexer.getRedemptions()[0]).to.include({
+      user: user1.address,
+      recipeId: 0n,
+      outputId: 1n,
+      outputAmount: 1n,
+    });
+    expect(indexer.getHolders(0)).to.deep.equal([
+      { address: user1.address, balance: 1n },
+    ]);
+  });
+
+  it("Should track role members and URIs", async function () {
+    const fixture = await loadFixture(deployIndexerFixture);
+    const { nft, minter, account1, user1 } = fixture;
+
+    await nft.grantRole(ROLES.MINTER, account1.address);
+    await nft.grantRole(ROLES.URI_MANAGER, user1.address);
+    await nft.setURI(1, "ipfs://old/");
+    const block = await ethers.provider.getBlockNumber();
+    await nft.revokeRole(ROLES.MINTER, account1.address);
+    await nft.connect(user1).renounceRole(ROLES.URI_MANAGER);
+    await nft.setURI(1, "ipfs://new/");
+
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+
+    expect(
+      indexer.getRoleMembers(ROLES.MINTER, { blockNumber: block })
+    ).to.deep.equal([minter.target, account1.address]);
+    expect(
+      indexer.getRoleMembers(ROLES.URI_MANAGER, { blockNumber: block })
+    ).to.deep.equal([user1.address]);
+    expect(indexer.getRoleMembers(ROLES.MINTER)).to.deep.equal([minter.target]);
+    expect(indexer.getRoleMembers(ROLES.URI_MANAGER)).to.deep.equal([]);
+    expect(indexer.getURIs({ blockNumber: block })).to.deep.equal({
+      1: "ipfs://old/",
+    });
+    expect(indexer.getURIs()).to.deep.equal({ 1: "ipfs://new/" });
+  });
+
+  it("Should resume from the stored checkpoint", async function () {
+    const fixture = await loadFixture(deployIndexerFixture);
+    const { nft, user1 } = fixture;
+
+    await nft.mint(user1.address, 1, 1, "0x");
+    const first = await createIndexer(fixture).sync();
+
+    await nft.mint(user1.address, 1, 2, "0x");
+    const resumed = createIndexer(fixture, { batchSize: 1 });
+    const second = await resumed.sync();
+
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    expect(second.added).to.equal(2); // TransferSingle + TokenMinted
+    expect(resumed.getHolders(1)).to.deep.equal([
+      { address: user1.address, balance: 3n },
+    ]);
+  });
+
+  it("Should roll back events from reorganized blocks", async function () {
+    const fixture = await loadFixture(deployIndexerFixture);
+    const { nft, user1, user2 } = fixture;
+
+    await nft.mint(user1.address, 1, 1, "0x");
+    const snapshotId = await ethers.provider.send("evm_snapshot", []);
+
+    await nft.mint(user1.address, 1, 5, "0x");
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+    expect(indexer.getHolders(1)).to.deep.equal([
+      { address: user1.address, balance: 6n },
+    ]);
+
+    // Replace the last block with a competing one
+    await ethers.provider.send("evm_revert", [snapshotId]);
+    await nft.mint(user2.address, 1, 2, "0x");
+
+    const result = await indexer.sync();
+
+    expect(result.reorged).to.be.true;
+    expect(indexer.getHolders(1)).to.deep.equal([
+      { address: user2.address, balance: 2n },
+      { address: user1.address, balance: 1n },
+    ]);
+  });
+
+  it("Should refuse a store that belongs to other contracts", async function () {
+    const fixture = await loadFixture(deployIndexerFixture);
+    await createIndexer(fixture).sync();
+
+    expect(() =>
+      createIndexer({ ...fixture, minter: { target: fixture.user1.address } })
+    ).to.throw("belongs to other contracts");
+  });
+});
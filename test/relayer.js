@@ -0,0 +1,211 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { signForwardRequest } = require("../scripts/lib/forwarder");
+const { JsonStore } = require("../scripts/lib/indexer");
+const {
+  Relayer,
+  RelayError,
+  createRelayServer,
+} = require("../scripts/lib/relayer");
+
+describe("Relayer", function () {
+  let storeDir;
+
+  beforeEach(function () {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "airswap-relayer-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  async function deployRelayerFixture() {
+    const [owner, relayerAccount, user1, user2] = await ethers.getSigners();
+
+    const AirswapNFT = await ethers.getContractFactory("AirswapNFT");
+    const nft = await AirswapNFT.deploy("Airswap NFT Collection", "ANFT");
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const sastToken = await MockERC20.deploy();
+
+    const AirswapMinter = await ethers.getContractFactory("AirswapMinter");
+    const minter = await AirswapMinter.deploy(nft.target, sastToken.target);
+
+    const AirswapForwarder = await ethers.getContractFactory(
+      "AirswapForwarder"
+    );
+    const forwarder = await AirswapForwarder.deploy();
+
+    await nft.grantRole(await nft.MINTER_ROLE(), minter.target);
+    await minter.updateTrustedForwarder(forwarder.target);
+
+    const required = await minter.requiredSASTBalance();
+    await sastToken.mint(user1.address, required);
+    await sastToken.mint(user2.address, required);
+
+    return { nft, minter, forwarder, owner, relayerAccount, user1, user2 };
+  }
+
+  function createRelayer({ minter, forwarder, relayerAccount }, options = {}) {
+    return new Relayer({
+      signer: relayerAccount,
+      forwarder: forwarder.target,
+      minter: minter.target,
+      spendingCap: ethers.parseEther("1"),
+      store: new JsonStore(path.join(storeDir, "hardhat.json")),
+      ...options,
+    });
+  }
+
+  async function signMint({ minter, forwarder }, signer, overrides = {}) {
+    return signForwardRequest(signer, forwarder.target, {
+      to: minter.target,
+      data: minter.interface.encodeFunctionData("mintNFT"),
+      gas: 300000,
+      deadline: (await time.latest()) + 3600,
+      ...overrides,
+    });
+  }
+
+  it("Should relay mints at the relayer's expense", async function () {
+    const fixture = await loadFixture(deployRelayerFixture);
+    const { nft, relayerAccount, user1 } = fixture;
+    const relayer = createRelayer(fixture);
+    const { request, signature } = await signMint(fixture, user1);
+
+    const userBalance = await ethers.provider.getBalance(user1.address);
+    const relayerBalance = await ethers.provider.getBalance(
+      relayerAccount.address
+    );
+    const { cost } = await relayer.relay(request, signature);
+
+    expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+    expect(await ethers.provider.getBalance(user1.address)).to.equal(
+      userBalance
+    );
+    expect(await ethers.provider.getBalance(relayerAccount.address)).to.equal(
+      relayerBalance - cost
+    );
+    expect(relayer.getSpent(user1.address)).to.equal(cost);
+  });
+
+  it("Should only relay mintNFT on the minter", async function () {
+    const fixture = await loadFixture(deployRelayerFixture);
+    const { nft, minter, user1 } = fixture;
+    const relayer = createRelayer(fixture);
+
+    for (const overrides of [
+      { to: nft.target },
+      { data: minter.interface.encodeFunctionData("mint", [0]) },
+    ]) {
+      const { request, signature } = await signMint(fixture, user1, overrides);
+      await expect(relayer.relay(request, signature))
+        .to.be.rejectedWith(RelayError, "Only mintNFT")
+        .and.eventually.have.property("status", 403);
+    }
+  });
+
+  it("Should reject requests that would revert without paying", async function () {
+    const fixture = await loadFixture(deployRelayerFixture);
+    const { owner, user1 } = fixture;
+    const relayer = createRelayer(fixture);
+
+    // owner holds no sAST
+    let { request, signature } = await signMint(fixture, owner);
+    await expect(relayer.relay(request, signature))
+      .to.be.rejectedWith(RelayError, /InsufficientSASTBalance/)
+      .and.eventually.have.property("status", 400);
+
+    ({ request, signature } = await signMint(fixture, user1));
+    await relayer.relay(request, signature);
+    await expect(relayer.relay(request, signature)).to.be.rejectedWith(
+      RelayError,
+      /InvalidNonce/
+    );
+
+    expect(relayer.getSpent(owner.address)).to.equal(0);
+  });
+
+  it("Should enforce the spending cap per sender", async function () {
+    const fixture = await loadFixture(deployRelayerFixture);
+    const { minter, owner, user1, user2 } = fixture;
+    let relayer = createRelayer(fixture);
+
+    let { request, signature } = await signMint(fixture, user1);
+    const { cost } = await relayer.relay(request, signature);
+
+    // A second drop lets user1 mint again, but their cap is nearly used up
+    await minter.connect(owner).updateMintableTokenId(1);
+    relayer = createRelayer(fixture, { spendingCap: cost + cost / 2n });
+
+    ({ request, signature } = await signMint(fixture, user1));
+    await expect(relayer.relay(request, signature))
+      .to.be.rejectedWith(RelayError, "Spending cap")
+      .and.eventually.have.property("status", 429);
+
+    // Other senders have their own cap
+    ({ request, signature } = await signMint(fixture, user2));
+    await relayer.relay(request, signature);
+    expect(relayer.getSpent(user2.address)).to.be.greaterThan(0);
+  });
+
+  it("Should keep the amounts spent across restarts", async function () {
+    const fixture = await loadFixture(deployRelayerFixture);
+    const { user1 } = fixture;
+    const { request, signature } = await signMint(fixture, user1);
+    const { cost } = await createRelayer(fixture).relay(request, signature);
+
+    expect(createRelayer(fixture).getSpent(user1.address)).to.equal(cost);
+  });
+
+  it("Should serve relays and spending over HTTP", async function () {
+    const fixture = await loadFixture(deployRelayerFixture);
+    const { nft, user1 } = fixture;
+    const relayer = createRelayer(fixture);
+    const server = createRelayServer(relayer);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const { request, signature } = await signMint(fixture, user1);
+      let response = await fetch(`${url}/relay`, {
+        method: "POST",
+        // Clients send the request fields as decimal strings
+        body: JSON.stringify({ request, signature }, (_, value) =>
+          typeof value === "bigint" ? value.toString() : value
+        ),
+      });
+      expect(response.status).to.equal(200);
+      const { hash, cost } = await response.json();
+      expect(hash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+
+      response = await fetch(`${url}/spending/${user1.address}`);
+      expect(await response.json()).to.deep.equal({
+        spent: cost,
+        cap: ethers.parseEther("1").toString(),
+      });
+
+      response = await fetch(`${url}/relay`, { method: "POST", body: "{" });
+      expect(response.status).to.equal(400);
+      expect(await response.json()).to.deep.equal({
+        error: "Request body is not valid JSON",
+      });
+
+      response = await fetch(`${url}/spending/0x1234`);
+      expect(response.status).to.equal(400);
+
+      response = await fetch(`${url}/unknown`);
+      expect(response.status).to.equal(404);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,430 @@
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const {
+  AirswapClient,
+  AirswapError,
+  AlreadyMintedError,
+  ROLES,
+  InsufficientSASTBalanceError,
+  UnauthorizedError,
+  TokenDoesNotExistError,
+  InsufficientSupplyError,
+  PausedError,
+  IncorrectPaymentError,
+  StakeTooShortError,
+} = require("../sdk");
+const { buildTree } = require("../scripts/lib/merkle");
+
+describe("SDK", function () {
+  async function deploySDKFixture() {
+    const [owner, account1, user1, user2] = await ethers.getSigners();
+
+    const AirswapNFT = await ethers.getContractFactory("AirswapNFT");
+    const nft = await AirswapNFT.deploy("Airswap NFT Collection", "ANFT");
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const sastToken = await MockERC20.deploy();
+
+    const AirswapMinter = await ethers.getContractFactory("AirswapMinter");
+    const minter = await AirswapMinter.deploy(nft.target, sastToken.target);
+
+    await nft.grantRole(ROLES.MINTER, minter.target);
+
+    const clientFor = (runner) =>
+      new AirswapClient({ nft: nft.target, minter: minter.target, runner });
+
+    return { nft, minter, sastToken, clientFor, owner, account1, user1, user2 };
+  }
+
+  describe("getEligibility", function () {
+    it("Should report eligible users", async function () {
+      const { minter, sastToken, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      const requiredBalance = await minter.requiredSASTBalance();
+      await sastToken.mint(user1.address, requiredBalance);
+
+      const eligibility = await clientFor(ethers.provider).getEligibility(
+        user1.address
+      );
+
+      expect(eligibility).to.deep.equal({
+        eligible: true,
+        reason: null,
+        tokenId: 0n,
+        quantity: 1n,
+        tier: null,
+        balance: requiredBalance,
+        requiredBalance,
+        hasMinted: false,
+      });
+    });
+
+    it("Should report why users cannot mint", async function () {
+      const { minter, sastToken, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      const client = clientFor(ethers.provider);
+
+      let eligibility = await client.getEligibility(user1.address);
+      expect(eligibility.eligible).to.be.false;
+      expect(eligibility.reason).to.equal("InsufficientSASTBalance");
+
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+      await minter.connect(user1).mintNFT();
+
+      eligibility = await client.getEligibility(user1.address);
+      expect(eligibility.eligible).to.be.false;
+      expect(eligibility.reason).to.equal("AlreadyMinted");
+      expect(eligibility.hasMinted).to.be.true;
+    });
+
+    it("Should report paused minting first", async function () {
+      const { nft, minter, sastToken, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+      const client = clientFor(ethers.provider);
+
+      await nft.pauseMinting();
+      expect((await client.getEligibility(user1.address)).reason).to.equal(
+        "MintingPaused"
+      );
+
+      await nft.unpauseMinting();
+      await minter.pauseMinting();
+      expect((await client.getEligibility(user1.address)).reason).to.equal(
+        "MintingPaused"
+      );
+    });
+
+    it("Should report when the token supply is exhausted", async function () {
+      const { nft, minter, sastToken, clientFor, owner, user1 } =
+        await loadFixture(deploySDKFixture);
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+      await nft.connect(owner).createToken(0, 1, "ipfs://cid/");
+      await nft.connect(owner).mint(owner.address, 0, 1, "0x");
+
+      const client = clientFor(user1);
+      expect((await client.getEligibility(user1.address)).reason).to.equal(
+        "InsufficientSupply"
+      );
+      await expect(client.mint()).to.be.rejectedWith(InsufficientSupplyError);
+    });
+
+    it("Should report when the mint window is closed", async function () {
+      const { minter, sastToken, clientFor, owner, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      const client = clientFor(ethers.provider);
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+
+      const now = await time.latest();
+      await minter.connect(owner).setMintWindow(now + 100, now + 200);
+      expect((await client.getEligibility(user1.address)).reason).to.equal(
+        "MintNotStarted"
+      );
+
+      await time.increaseTo(now + 200);
+      expect((await client.getEligibility(user1.address)).reason).to.equal(
+        "MintEnded"
+      );
+    });
+
+    it("Should report stakes that are too recent", async function () {
+      const { minter, clientFor, owner, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      const MockStaking = await ethers.getContractFactory("MockStaking");
+      const staking = await MockStaking.deploy();
+      await minter.connect(owner).updateStakingContract(staking.target);
+      await minter.connect(owner).updateStakeDurations(3600, 0);
+      const requiredBalance = await minter.requiredSASTBalance();
+      await staking.connect(user1).stake(requiredBalance, 86400);
+
+      const client = clientFor(user1);
+      expect(await client.getEligibility(user1.address)).to.include({
+        eligible: false,
+        reason: "StakeTooShort",
+        balance: requiredBalance,
+      });
+      const error = await client.mint().catch((e) => e);
+      expect(error).to.be.instanceOf(StakeTooShortError);
+      expect(error).to.not.be.instanceOf(InsufficientSASTBalanceError);
+      expect(error.message).to.equal(
+        "sAST stake is too recent or unlocks too soon"
+      );
+    });
+
+    it("Should report the token and quantity of the user's tier", async function () {
+      const { nft, minter, sastToken, clientFor, owner, user1, user2 } =
+        await loadFixture(deploySDKFixture);
+      await minter.connect(owner).setTiers([
+        { minBalance: 1000, tokenId: 1, quantity: 1 },
+        { minBalance: 5000, tokenId: 2, quantity: 3 },
+      ]);
+      await sastToken.mint(user1.address, 6000);
+      await sastToken.mint(user2.address, 999);
+      const price = ethers.parseEther("0.01");
+      await minter.connect(owner).updateMintPrice(2, price);
+
+      const client = clientFor(user1);
+      expect(await client.getEligibility(user1.address)).to.include({
+        eligible: true,
+        tokenId: 2n,
+        quantity: 3n,
+        tier: 1,
+        requiredBalance: 5000n,
+      });
+      expect(await client.getEligibility(user2.address)).to.include({
+        eligible: false,
+        reason: "InsufficientSASTBalance",
+        tokenId: 1n,
+        tier: null,
+        requiredBalance: 1000n,
+      });
+
+      // The tier's price is sent with the mint
+      await client.mint();
+      expect(await nft.balanceOf(user1.address, 2)).to.equal(3);
+      expect(await ethers.provider.getBalance(minter.target)).to.equal(
+        price * 3n
+      );
+
+      // Dropping to the lower tier does not allow a second mint
+      await sastToken.connect(user1).transfer(user2.address, 4000);
+      expect(await client.getEligibility(user1.address)).to.include({
+        eligible: false,
+        reason: "AlreadyMinted",
+        tier: 0,
+        hasMinted: true,
+      });
+    });
+  });
+
+  describe("mint", function () {
+    it("Should mint for eligible users", async function () {
+      const { nft, minter, sastToken, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+
+      const receipt = await clientFor(user1).mint();
+
+      expect(receipt.status).to.equal(1);
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+    });
+
+    it("Should throw InsufficientSASTBalanceError before sending", async function () {
+      const { clientFor, user1 } = await loadFixture(deploySDKFixture);
+      const nonce = await ethers.provider.getTransactionCount(user1.address);
+
+      const error = await clientFor(user1)
+        .mint()
+        .catch((e) => e);
+
+      expect(error).to.be.instanceOf(InsufficientSASTBalanceError);
+      expect(error).to.be.instanceOf(AirswapError);
+      expect(error.cause).to.exist;
+      expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(
+        nonce
+      );
+    });
+
+    it("Should throw AlreadyMintedError on a second mint", async function () {
+      const { minter, sastToken, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+      const client = clientFor(user1);
+
+      await client.mint();
+
+      await expect(client.mint()).to.be.rejectedWith(AlreadyMintedError);
+    });
+
+    it("Should throw PausedError while minting is paused", async function () {
+      const { minter, sastToken, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+      await minter.pauseMinting();
+
+      await expect(clientFor(user1).mint()).to.be.rejectedWith(PausedError);
+    });
+
+    it("Should throw UnauthorizedError when the minter lacks the minter role", async function () {
+      const { nft, minter, sastToken, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+      await nft.revokeRole(ROLES.MINTER, minter.target);
+
+      await expect(clientFor(user1).mint()).to.be.rejectedWith(
+        UnauthorizedError
+      );
+    });
+  });
+
+  describe("paid mints", function () {
+    it("Should report the mint cost", async function () {
+      const { minter, sastToken, clientFor } = await loadFixture(
+        deploySDKFixture
+      );
+      const client = clientFor(ethers.provider);
+      expect(await client.getMintCost()).to.deep.equal({
+        token: null,
+        amount: 0n,
+      });
+
+      await minter.updateMintPrice(0, 100);
+      await minter.updateMintQuantity(3);
+      expect(await client.getMintCost()).to.deep.equal({
+        token: null,
+        amount: 300n,
+      });
+
+      await minter.updatePaymentToken(sastToken.target);
+      expect(await client.getMintCost({ quantity: 2n })).to.deep.equal({
+        token: sastToken.target,
+        amount: 200n,
+      });
+    });
+
+    it("Should send the ETH price with the mint", async function () {
+      const { minter, sastToken, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+      const price = ethers.parseEther("0.01");
+      await minter.updateMintPrice(0, price);
+
+      await clientFor(user1).mint();
+
+      expect(await ethers.provider.getBalance(minter.target)).to.equal(price);
+    });
+
+    it("Should throw IncorrectPaymentError when underpaying", async function () {
+      const { minter, sastToken, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      await sastToken.mint(user1.address, await minter.requiredSASTBalance());
+      await minter.updateMintPrice(0, 100);
+
+      await expect(clientFor(user1).mint({ value: 99 })).to.be.rejectedWith(
+        IncorrectPaymentError
+      );
+    });
+
+    it("Should pay ERC-20 prices with a permit", async function () {
+      const { nft, minter, sastToken, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      const requiredBalance = await minter.requiredSASTBalance();
+      await sastToken.mint(user1.address, requiredBalance + 100n);
+      await minter.updateMintPrice(0, 100);
+      await minter.updatePaymentToken(sastToken.target);
+
+      await clientFor(user1).mintWithPermit({
+        deadline: (await time.latest()) + 3600,
+      });
+
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(1);
+      expect(await sastToken.balanceOf(minter.target)).to.equal(100);
+    });
+  });
+
+  describe("claimAllowlist", function () {
+    it("Should claim with an entry from the proofs JSON", async function () {
+      const { nft, minter, clientFor, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      const tree = buildTree([{ address: user1.address, quantity: 2 }]);
+      await minter.updateMerkleRoot(tree.root);
+      const client = clientFor(user1);
+
+      expect((await client.getEligibility(user1.address)).reason).to.equal(
+        "AllowlistActive"
+      );
+
+      await client.claimAllowlist(tree.entries[user1.address]);
+      expect(await nft.balanceOf(user1.address, 0)).to.equal(2);
+
+      await expect(
+        client.claimAllowlist(tree.entries[user1.address])
+      ).to.be.rejectedWith(AlreadyMintedError);
+    });
+  });
+
+  describe("getTokenMetadataURI", function () {
+    it("Should return the token URI", async function () {
+      const { nft, clientFor, owner } = await loadFixture(deploySDKFixture);
+      await nft.mint(owner.address, 1, 1, "0x");
+      await nft.setURI(1, "ipfs://metadata/");
+
+      expect(await clientFor(ethers.provider).getTokenMetadataURI(1)).to.equal(
+        "ipfs://metadata/1.json"
+      );
+    });
+
+    it("Should fill in {id} templates with the hex token ID", async function () {
+      const { nft, clientFor, owner } = await loadFixture(deploySDKFixture);
+      await nft.mint(owner.address, 314, 1, "0x");
+      await nft.setBaseURI("https://api.example.com/{id}.json");
+      await nft.setIdSubstitution(true);
+
+      expect(
+        await clientFor(ethers.provider).getTokenMetadataURI(314)
+      ).to.equal(`https://api.example.com/${"0".repeat(61)}13a.json`);
+    });
+
+    it("Should throw TokenDoesNotExistError for unminted tokens", async function () {
+      const { clientFor } = await loadFixture(deploySDKFixture);
+
+      await expect(
+        clientFor(ethers.provider).getTokenMetadataURI(999)
+      ).to.be.rejectedWith(TokenDoesNotExistError);
+    });
+  });
+
+  describe("getContractMetadataURI", function () {
+    it("Should return the collection metadata URI", async function () {
+      const { nft, clientFor } = await loadFixture(deploySDKFixture);
+      const client = clientFor(ethers.provider);
+      expect(await client.getContractMetadataURI()).to.equal("");
+
+      await nft.setContractURI("ipfs://collection.json");
+      expect(await client.getContractMetadataURI()).to.equal(
+        "ipfs://collection.json"
+      );
+    });
+  });
+
+  describe("listRoleMembers", function () {
+    it("Should list current role members", async function () {
+      const { nft, minter, clientFor, account1, user1 } = await loadFixture(
+        deploySDKFixture
+      );
+      await nft.grantRole(ROLES.MINTER, account1.address);
+      await nft.grantRole(ROLES.MINTER, user1.address);
+      await nft.grantRole(ROLES.URI_MANAGER, account1.address);
+      await nft.revokeRole(ROLES.MINTER, account1.address);
+      const client = clientFor(ethers.provider);
+
+      expect(await client.listRoleMembers("minter")).to.deep.equal([
+        minter.target,
+        user1.address,
+      ]);
+      expect(await client.listRoleMembers(ROLES.URI_MANAGER)).to.deep.equal([
+        account1.address,
+      ]);
+      await expect(client.listRoleMembers("admin")).to.be.rejectedWith(
+        'Unknown role "admin"'
+      );
+    });
+  });
+});
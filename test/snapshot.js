@@ -0,0 +1,81 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { verifyProof } = require("../scripts/lib/merkle");
+const { buildSnapshot, computeBalances } = require("../scripts/lib/snapshot");
+
+describe("Snapshot tooling", function () {
+  async function deployTokenFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const sastToken = await MockERC20.deploy();
+
+    await sastToken.mint(user1.address, 100);
+    await sastToken.mint(user2.address, 50);
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+
+    await sastToken.connect(user1).transfer(user3.address, 100);
+    await sastToken.connect(user2).transfer(user3.address, 20);
+
+    return { sastToken, snapshotBlock, owner, user1, user2, user3 };
+  }
+
+  it("Should compute balances at a past block", async function () {
+    const { sastToken, snapshotBlock, user1, user2 } = await loadFixture(
+      deployTokenFixture
+    );
+
+    const balances = await computeBalances(ethers.provider, sastToken.target, {
+      blockNumber: snapshotBlock,
+      batchSize: 1,
+    });
+
+    expect([...balances]).to.deep.equal([
+      [user1.address, 100n],
+      [user2.address, 50n],
+    ]);
+  });
+
+  it("Should drop emptied balances at the latest block", async function () {
+    const { sastToken, user2, user3 } = await loadFixture(deployTokenFixture);
+
+    const balances = await computeBalances(ethers.provider, sastToken.target, {
+      blockNumber: await ethers.provider.getBlockNumber(),
+    });
+
+    expect([...balances]).to.deep.equal([
+      [user2.address, 30n],
+      [user3.address, 120n],
+    ]);
+  });
+
+  it("Should build a snapshot with verifiable balance proofs", async function () {
+    const { sastToken, snapshotBlock, user1, user2 } = await loadFixture(
+      deployTokenFixture
+    );
+    const balances = await computeBalances(ethers.provider, sastToken.target, {
+      blockNumber: snapshotBlock,
+    });
+
+    const snapshot = buildSnapshot(balances, {
+      blockNumber: snapshotBlock,
+      minBalance: 60n,
+    });
+
+    expect(snapshot.blockNumber).to.equal(snapshotBlock);
+    expect(Object.keys(snapshot.entries)).to.deep.equal([user1.address]);
+    expect(snapshot.entries[user1.address].balance).to.equal("100");
+    expect(
+      verifyProof(
+        snapshot.root,
+        user1.address,
+        100n,
+        snapshot.entries[user1.address].proof
+      )
+    ).to.be.true;
+    expect(balances.get(user2.address)).to.equal(50n);
+  });
+});
@@ -0,0 +1,508 @@
+const {
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { decodeRevert } = require("../scripts/lib/errors");
+
+describe("Admin tasks", function () {
+  let log;
+
+  // Keep task output out of the test report
+  beforeEach(function () {
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = log;
+  });
+
+  async function deployTasksFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const AirswapNFT = await ethers.getContractFactory("AirswapNFT");
+    const nft = await AirswapNFT.deploy("Airswap NFT Collection", "ANFT");
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const sastToken = await MockERC20.deploy();
+
+    const AirswapMinter = await ethers.getContractFactory("AirswapMinter");
+    const minter = await AirswapMinter.deploy(nft.target, sastToken.target);
+
+    const AirswapRedeemer = await ethers.getContractFactory("AirswapRedeemer");
+    const redeemer = await AirswapRedeemer.deploy(nft.target);
+
+    return { nft, minter, redeemer, sastToken, owner, user1, user2 };
+  }
+
+  describe("AirswapNFT tasks", function () {
+    it("Should grant and revoke roles", async function () {
+      const { nft, user1 } = await loadFixture(deployTasksFixture);
+      const role = await nft.URI_MANAGER_ROLE();
+
+      await hre.run("grant-role", {
+        address: nft.target,
+        role: "uri-manager",
+        account: user1.address,
+        yes: true,
+      });
+      expect(await nft.hasRole(role, user1.address)).to.be.true;
+
+      await hre.run("revoke-role", {
+        address: nft.target,
+        role: "uri-manager",
+        account: user1.address,
+        yes: true,
+      });
+      expect(await nft.hasRole(role, user1.address)).to.be.false;
+    });
+
+    it("Should set a token URI", async function () {
+      const { nft } = await loadFixture(deployTasksFixture);
+
+      await hre.run("set-uri", {
+        address: nft.target,
+        tokenId: 4n,
+        uri: "ipfs://metadata/",
+        yes: true,
+      });
+      expect(await nft.getTokenURI(4)).to.equal("ipfs://metadata/");
+    });
+
+    it("Should set the collection metadata URIs", async function () {
+      const { nft } = await loadFixture(deployTasksFixture);
+
+      await hre.run("set-base-uri", {
+        address: nft.target,
+        uri: "ipfs://collection/{id}.json",
+        yes: true,
+      });
+      await hre.run("set-id-substitution", {
+        address: nft.target,
+        enabled: true,
+        yes: true,
+      });
+      await hre.run("set-contract-uri", {
+        address: nft.target,
+        uri: "ipfs://collection.json",
+        yes: true,
+      });
+
+      await nft.createToken(4, 0, "");
+      expect(await nft.uri(4)).to.equal("ipfs://collection/{id}.json");
+      expect(await nft.contractURI()).to.equal("ipfs://collection.json");
+    });
+
+    it("Should freeze token and collection URIs", async function () {
+      const { nft } = await loadFixture(deployTasksFixture);
+      await nft.createToken(4, 0, "ipfs://art/");
+
+      await hre.run("freeze-uri", {
+        address: nft.target,
+        tokenId: 4n,
+        yes: true,
+      });
+      expect(await nft.isFrozen(4)).to.be.true;
+      expect(await nft.isFrozen(5)).to.be.false;
+
+      await hre.run("freeze-all", { address: nft.target, yes: true });
+      expect(await nft.isFrozen(5)).to.be.true;
+    });
+
+    it("Should create a token", async function () {
+      const { nft } = await loadFixture(deployTasksFixture);
+
+      await hre.run("create-token", {
+        address: nft.target,
+        tokenId: 4n,
+        maxSupply: 50n,
+        uri: "ipfs://cid/",
+        yes: true,
+      });
+
+      expect(await nft.maxSupply(4)).to.equal(50);
+      expect(await nft.uri(4)).to.equal("ipfs://cid/4.json");
+    });
+
+    it("Should set default and per-token royalties", async function () {
+      const { nft, user1 } = await loadFixture(deployTasksFixture);
+
+      await hre.run("set-royalty", {
+        address: nft.target,
+        receiver: user1.address,
+        bps: 500,
+        yes: true,
+      });
+      await hre.run("set-royalty", {
+        address: nft.target,
+        receiver: user1.address,
+        bps: 1000,
+        tokenId: 3n,
+        yes: true,
+      });
+
+      expect((await nft.royaltyInfo(1, 10000))[1]).to.equal(500);
+      expect((await nft.royaltyInfo(3, 10000))[1]).to.equal(1000);
+    });
+
+    it("Should pause and unpause minting and transfers", async function () {
+      const { nft, minter } = await loadFixture(deployTasksFixture);
+
+      await hre.run("set-minting-paused", {
+        address: nft.target,
+        contract: "nft",
+        paused: true,
+        yes: true,
+      });
+      await hre.run("set-minting-paused", {
+        address: minter.target,
+        contract: "minter",
+        paused: true,
+        yes: true,
+      });
+      await hre.run("set-transfers-paused", {
+        address: nft.target,
+        paused: true,
+        yes: true,
+      });
+      expect(await nft.mintingPaused()).to.be.true;
+      expect(await minter.mintingPaused()).to.be.true;
+      expect(await nft.transfersPaused()).to.be.true;
+
+      await hre.run("set-transfers-paused", {
+        address: nft.target,
+        paused: false,
+        yes: true,
+      });
+      expect(await nft.transfersPaused()).to.be.false;
+
+      await expect(
+        hre.run("set-minting-paused", {
+          address: nft.target,
+          contract: "redeemer",
+          paused: true,
+          yes: true,
+        })
+      ).to.be.rejectedWith('Unknown contract "redeemer"');
+    });
+
+    it("Should decode custom errors when a call reverts", async function () {
+      const { nft, user1 } = await loadFixture(deployTasksFixture);
+
+      await expect(
+        hre.run("revoke-role", {
+          address: nft.target,
+          role: "minter",
+          account: user1.address,
+          yes: true,
+        })
+      ).to.be.rejectedWith(
+        "MissingRole: The address does not hold the required role"
+      );
+    });
+  });
+
+  describe("AirswapMinter tasks", function () {
+    it("Should update minter settings", async function () {
+      const { minter, user1 } = await loadFixture(deployTasksFixture);
+
+      await hre.run("update-sast-token", {
+        address: minter.target,
+        token: user1.address,
+        yes: true,
+      });
+      await hre.run("update-required-balance", {
+        address: minter.target,
+        balance: 500n,
+        yes: true,
+      });
+      await hre.run("update-mintable-token-id", {
+        address: minter.target,
+        tokenId: 7n,
+        yes: true,
+      });
+      await hre.run("update-mint-quantity", {
+        address: minter.target,
+        quantity: 2n,
+        yes: true,
+      });
+
+      expect(await minter.sastToken()).to.equal(user1.address);
+      expect(await minter.requiredSASTBalance()).to.equal(500);
+      expect(await minter.mintableTokenId()).to.equal(7);
+      expect(await minter.mintQuantity()).to.equal(2);
+    });
+
+    it("Should update the voucher signer", async function () {
+      const { minter, user2 } = await loadFixture(deployTasksFixture);
+
+      await hre.run("update-voucher-signer", {
+        address: minter.target,
+        signer: user2.address,
+        yes: true,
+      });
+
+      expect(await minter.voucherSigner()).to.equal(user2.address);
+    });
+
+    it("Should update the trusted forwarder", async function () {
+      const { minter, user2 } = await loadFixture(deployTasksFixture);
+
+      await hre.run("update-trusted-forwarder", {
+        address: minter.target,
+        forwarder: user2.address,
+        yes: true,
+      });
+
+      expect(await minter.trustedForwarder()).to.equal(user2.address);
+    });
+
+    it("Should set the mint window", async function () {
+      const { minter } = await loadFixture(deployTasksFixture);
+
+      await hre.run("set-mint-window", {
+        address: minter.target,
+        start: 1000n,
+        end: 2000n,
+        yes: true,
+      });
+
+      expect(await minter.getMintWindow()).to.deep.equal([1000n, 2000n]);
+    });
+
+    it("Should manage mint payments", async function () {
+      const { minter, sastToken, user1 } = await loadFixture(
+        deployTasksFixture
+      );
+
+      await hre.run("update-mint-price", {
+        address: minter.target,
+        tokenId: 0n,
+        price: 100n,
+        yes: true,
+      });
+      await hre.run("update-payment-token", {
+        address: minter.target,
+        token: sastToken.target,
+        yes: true,
+      });
+      await hre.run("update-treasury", {
+        address: minter.target,
+        treasury: user1.address,
+        yes: true,
+      });
+
+      expect(await minter.mintPrice(0)).to.equal(100);
+      expect(await minter.paymentToken()).to.equal(sastToken.target);
+      expect(await minter.treasury()).to.equal(user1.address);
+
+      await sastToken.mint(minter.target, 500);
+      await hre.run("withdraw", {
+        address: minter.target,
+        token: sastToken.target,
+        yes: true,
+      });
+
+      expect(await sastToken.balanceOf(user1.address)).to.equal(500);
+    });
+
+    it("Should update the staking settings", async function () {
+      const { minter, user2 } = await loadFixture(deployTasksFixture);
+
+      await hre.run("update-staking-contract", {
+        address: minter.target,
+        staking: user2.address,
+        yes: true,
+      });
+      await hre.run("update-stake-durations", {
+        address: minter.target,
+        minAge: 604800n,
+        minLock: 2592000n,
+        yes: true,
+      });
+
+      expect(await minter.stakingContract()).to.equal(user2.address);
+      expect(await minter.minStakeAge()).to.equal(604800);
+      expect(await minter.minStakeLock()).to.equal(2592000);
+    });
+
+    it("Should set and clear tiers", async function () {
+      const { minter } = await loadFixture(deployTasksFixture);
+
+      await hre.run("set-tiers", {
+        address: minter.target,
+        tiers: "10100000:0:1,100000000:1:2",
+        yes: true,
+      });
+
+      expect(
+        (await minter.getTiers()).map((tier) => tier.toArray())
+      ).to.deep.equal([
+        [10100000n, 0n, 1n],
+        [100000000n, 1n, 2n],
+      ]);
+
+      await hre.run("set-tiers", {
+        address: minter.target,
+        tiers: "",
+        yes: true,
+      });
+      expect(await minter.getTiers()).to.be.empty;
+
+      await expect(
+        hre.run("set-tiers", {
+          address: minter.target,
+          tiers: "5:1",
+          yes: true,
+        })
+      ).to.be.rejectedWith('Invalid tier "5:1"');
+    });
+
+    it("Should start a tier round", async function () {
+      const { minter } = await loadFixture(deployTasksFixture);
+
+      await hre.run("start-tier-round", { address: minter.target, yes: true });
+
+      expect(await minter.tiersVersion()).to.equal(1);
+    });
+
+    it("Should decode minter errors", async function () {
+      const { minter } = await loadFixture(deployTasksFixture);
+
+      await expect(
+        hre.run("update-mint-quantity", {
+          address: minter.target,
+          quantity: 0n,
+          yes: true,
+        })
+      ).to.be.rejectedWith(
+        "InvalidMintQuantity: The mint quantity must be greater than zero"
+      );
+    });
+  });
+
+  describe("AirswapRedeemer tasks", function () {
+    it("Should create and switch off recipes", async function () {
+      const { redeemer } = await loadFixture(deployTasksFixture);
+
+      await hre.run("create-recipe", {
+        address: redeemer.target,
+        inputs: "0:3,1:1",
+        outputId: 2n,
+        outputAmount: 1n,
+        yes: true,
+      });
+      await hre.run("set-recipe-active", {
+        address: redeemer.target,
+        recipeId: 0n,
+        active: false,
+        yes: true,
+      });
+
+      const recipe = await redeemer.getRecipe(0);
+      expect(recipe.inputIds).to.deep.equal([0n, 1n]);
+      expect(recipe.inputAmounts).to.deep.equal([3n, 1n]);
+      expect(recipe.outputId).to.equal(2);
+      expect(recipe.active).to.be.false;
+    });
+
+    it("Should reject malformed recipe inputs", async function () {
+      const { redeemer } = await loadFixture(deployTasksFixture);
+
+      await expect(
+        hre.run("create-recipe", {
+          address: redeemer.target,
+          inputs: "0",
+          outputId: 2n,
+          outputAmount: 1n,
+          yes: true,
+        })
+      ).to.be.rejectedWith('Invalid input "0", expected id:amount');
+    });
+  });
+
+  describe("Ownership tasks", function () {
+    it("Should only transfer ownership in one call when asked to", async function () {
+      const { nft, minter, owner, user1 } = await loadFixture(
+        deployTasksFixture
+      );
+
+      await expect(
+        hre.run("transfer-ownership", {
+          address: nft.target,
+          contract: "nft",
+          newOwner: user1.address,
+          yes: true,
+        })
+      ).to.be.rejectedWith("pass --single-step");
+      await expect(
+        hre.run("transfer-ownership", {
+          address: minter.target,
+          contract: "minter",
+          newOwner: user1.address,
+          singleStep: true,
+          yes: true,
+        })
+      ).to.be.rejectedWith("AirswapMinter only changes owner by handover");
+      expect(await nft.owner()).to.equal(owner.address);
+
+      await hre.run("transfer-ownership", {
+        address: nft.target,
+        contract: "nft",
+        newOwner: user1.address,
+        singleStep: true,
+        yes: true,
+      });
+      expect(await nft.owner()).to.equal(user1.address);
+      expect(await minter.owner()).to.equal(owner.address);
+    });
+
+    it("Should request and complete ownership handovers", async function () {
+      const { minter, owner, user1 } = await loadFixture(deployTasksFixture);
+
+      // The task sender requests the handover for itself
+      await hre.run("request-ownership-handover", {
+        address: minter.target,
+        contract: "minter",
+        yes: true,
+      });
+      expect(await minter.ownershipHandoverExpiresAt(owner.address)).to.be.gt(
+        0
+      );
+
+      await minter.connect(user1).requestOwnershipHandover();
+      await hre.run("complete-ownership-handover", {
+        address: minter.target,
+        contract: "minter",
+        pendingOwner: user1.address,
+        yes: true,
+      });
+      expect(await minter.owner()).to.equal(user1.address);
+    });
+
+    it("Should reject unknown contracts", async function () {
+      const { user1 } = await loadFixture(deployTasksFixture);
+
+      await expect(
+        hre.run("transfer-ownership", {
+          contract: "sast",
+          newOwner: user1.address,
+          yes: true,
+        })
+      ).to.be.rejectedWith('Unknown contract "sast"');
+    });
+  });
+
+  describe("decodeRevert", function () {
+    it("Should fall back to the error message for unknown data", function () {
+      const decoded = decodeRevert(
+        { data: "0xdeadbeef", shortMessage: "execution reverted" },
+        []
+      );
+
+      expect(decoded.name).to.be.null;
+      expect(decoded.message).to.equal("execution reverted");
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+
+const {
+  hashVoucher,
+  normalizeVoucher,
+  recoverVoucherSigner,
+  signVouchers,
+  voucherDomain,
+} = require("../scripts/lib/vouchers");
+
+describe("Voucher tooling", function () {
+  const minter = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const domain = voucherDomain(31337, minter);
+  const recipients = [
+    "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+    "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+  ];
+
+  it("Should sign vouchers that recover to the signer offline", async function () {
+    const signer = ethers.Wallet.createRandom();
+    const vouchers = await signVouchers(signer, domain, [
+      {
+        recipient: recipients[0],
+        tokenId: 1,
+        quantity: 2,
+        nonce: 0,
+        expiry: 1e10,
+      },
+      {
+        recipient: recipients[1],
+        tokenId: "3",
+        quantity: "1",
+        nonce: 1n,
+        expiry: "9999999999",
+      },
+    ]);
+
+    expect(vouchers).to.have.lengthOf(2);
+    expect(vouchers[1]).to.include({
+      recipient: recipients[1],
+      tokenId: 3n,
+      quantity: 1n,
+      nonce: 1n,
+    });
+    for (const voucher of vouchers) {
+      expect(recoverVoucherSigner(domain, voucher, voucher.signature)).to.equal(
+        signer.address
+      );
+    }
+  });
+
+  it("Should not recover the signer for another minter or chain", async function () {
+    const signer = ethers.Wallet.createRandom();
+    const [voucher] = await signVouchers(signer, domain, [
+      {
+        recipient: recipients[0],
+        tokenId: 1,
+        quantity: 1,
+        nonce: 0,
+        expiry: 1e10,
+      },
+    ]);
+
+    expect(
+      recoverVoucherSigner(voucherDomain(1, minter), voucher, voucher.signature)
+    ).to.not.equal(signer.address);
+    expect(hashVoucher(domain, voucher)).to.not.equal(
+      hashVoucher(voucherDomain(31337, recipients[0]), voucher)
+    );
+  });
+
+  it("Should reject duplicate nonces", async function () {
+    const signer = ethers.Wallet.createRandom();
+
+    await expect(
+      signVouchers(signer, domain, [
+        {
+          recipient: recipients[0],
+          tokenId: 1,
+          quantity: 1,
+          nonce: 5,
+          expiry: 1e10,
+        },
+        {
+          recipient: recipients[1],
+          tokenId: 2,
+          quantity: 1,
+          nonce: 5,
+          expiry: 1e10,
+        },
+      ])
+    ).to.be.rejectedWith("Duplicate nonce 5");
+  });
+
+  it("Should validate recipients and quantities", function () {
+    expect(() =>
+      normalizeVoucher({
+        recipient: "0x1234",
+        tokenId: 1,
+        quantity: 1,
+        nonce: 0,
+        expiry: 1,
+      })
+    ).to.throw('Invalid recipient address "0x1234"');
+    expect(() =>
+      normalizeVoucher({
+        recipient: recipients[0],
+        tokenId: 1,
+        quantity: 0,
+        nonce: 0,
+        expiry: 1,
+      })
+    ).to.throw("quantity must be greater than zero");
+  });
+});